@@ -1,10 +1,21 @@
 /**
  * Next.js Instrumentation
- * Used to suppress noisy development errors that don't affect functionality
+ * Installs the OpenTelemetry exporter and suppresses noisy development errors
+ * that don't affect functionality
  */
 
 export async function register() {
   if (process.env.NEXT_RUNTIME === 'nodejs') {
+    // Span export for /api/rank-and-justify (see src/lib/tracing.ts)
+    const { initTracing } = await import('./src/lib/tracing');
+    try {
+      if (initTracing()) {
+        console.log(`Tracing enabled (OTEL_TRACES_EXPORTER=${process.env.OTEL_TRACES_EXPORTER})`);
+      }
+    } catch (error) {
+      console.warn('Tracing disabled:', error instanceof Error ? error.message : error);
+    }
+
     // Suppress noisy "Failed to find Server Action" errors in development
     const originalConsoleError = console.error;
     console.error = (...args: any[]) => {
@@ -1,6 +1,12 @@
 require('@testing-library/jest-dom');
 require('whatwg-fetch');
 
+// Keep test runs out of logs/ (see src/lib/logger.ts)
+process.env.LOG_FILE = process.env.LOG_FILE || 'none';
+process.env.LLM_INTERACTION_LOG = process.env.LLM_INTERACTION_LOG || 'none';
+// ... and keep budget/circuit breaker state in memory (see src/lib/llm/budget.ts)
+process.env.LLM_BUDGET_STATE_FILE = process.env.LLM_BUDGET_STATE_FILE || 'none';
+
 import { ReadableStream } from 'stream/web';
 import { TextEncoder, TextDecoder } from 'util';
 
@@ -43,7 +43,7 @@ describe('GET /api/health', () => {
     const body = await response.json();
 
     const classes = body.ai_gateway.routing.map((r: any) => r.class);
-    expect(classes).toEqual(expect.arrayContaining(['openai', 'anthropic', 'xai', 'hyperbolic', 'ollama']));
+    expect(classes).toEqual(expect.arrayContaining(['openai', 'anthropic', 'xai', 'gemini', 'hyperbolic', 'ollama']));
   });
 
   test('ollama always shows native backend', async () => {
@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+import { GET } from '../../app/api/metrics/route';
+import {
+  register,
+  recordRequest,
+  observeModelCall,
+  recordModelResult,
+  recordProviderError,
+  observeJustifier,
+  observeAttachments,
+  recordTokenUsage,
+} from '../../lib/metrics';
+
+describe('GET /api/metrics', () => {
+  beforeEach(() => {
+    register.resetMetrics();
+  });
+
+  test('serves the Prometheus exposition format', async () => {
+    const response = await GET();
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toContain('text/plain');
+    expect(await response.text()).toContain('verdikta_ai_process_cpu_seconds_total');
+  });
+
+  test('exports per-model latency and result counts', async () => {
+    observeModelCall('OpenAI', 'gpt-4o', false, 1500);
+    recordModelResult({ provider: 'OpenAI', model: 'gpt-4o', status: 'success', duration_ms: 1600 });
+    recordModelResult({ provider: 'Anthropic', model: 'claude-sonnet-4', status: 'timeout', duration_ms: 120000 });
+    recordModelResult({ provider: 'xAI', model: 'grok-4', status: 'parsing_error', duration_ms: 900 });
+
+    const text = await (await GET()).text();
+    expect(text).toContain('verdikta_ai_model_call_duration_seconds_sum{provider="OpenAI",model="gpt-4o",attachments="false"} 1.5');
+    expect(text).toContain('verdikta_ai_model_results_total{provider="Anthropic",model="claude-sonnet-4",status="timeout"} 1');
+    expect(text).toContain('verdikta_ai_model_results_total{provider="xAI",model="grok-4",status="parsing_error"} 1');
+    expect(text).toContain('verdikta_ai_model_duration_seconds_count{provider="OpenAI",model="gpt-4o",status="success"} 1');
+  });
+
+  test('exports provider errors, justifier, attachment and request timings', async () => {
+    recordProviderError('OpenAI', 'gpt-4o', 'rate_limit');
+    observeJustifier('OpenAI', 'gpt-4o-mini', 'timeout', 45000);
+    observeAttachments('text_extraction', 250);
+    recordRequest(200, 3000);
+    recordRequest(408, 240000);
+
+    const text = await (await GET()).text();
+    expect(text).toContain('verdikta_ai_provider_errors_total{provider="OpenAI",model="gpt-4o",error_type="rate_limit"} 1');
+    expect(text).toContain('verdikta_ai_justifier_duration_seconds_sum{provider="OpenAI",model="gpt-4o-mini",outcome="timeout"} 45');
+    expect(text).toContain('verdikta_ai_attachment_processing_duration_seconds_count{type="text_extraction"} 1');
+    expect(text).toContain('verdikta_ai_requests_total{status="200"} 1');
+    expect(text).toContain('verdikta_ai_requests_total{status="408"} 1');
+  });
+
+  test('counts reported token usage and estimates it otherwise', async () => {
+    recordTokenUsage('OpenAI', 'gpt-4o', { inputTokens: 120, outputTokens: 30 });
+    recordTokenUsage('Ollama', 'llama3', null, { prompt: 'x'.repeat(400), response: 'y'.repeat(41) });
+
+    const text = await (await GET()).text();
+    expect(text).toContain('verdikta_ai_tokens_total{provider="OpenAI",model="gpt-4o",direction="input",source="provider"} 120');
+    expect(text).toContain('verdikta_ai_tokens_total{provider="OpenAI",model="gpt-4o",direction="output",source="provider"} 30');
+    expect(text).toContain('verdikta_ai_tokens_total{provider="Ollama",model="llama3",direction="input",source="estimate"} 100');
+    expect(text).toContain('verdikta_ai_tokens_total{provider="Ollama",model="llama3",direction="output",source="estimate"} 11');
+  });
+});
@@ -0,0 +1,78 @@
+import path from 'path';
+
+// Runs the real route (prompt building, parsing, aggregation, justification)
+// against the recorded answers in __tests__/fixtures/llm. Re-record with
+// LLM_FIXTURES=record and live keys after changing the prompts.
+process.env.LLM_FIXTURES = 'replay';
+process.env.LLM_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+process.env.JUSTIFIER_MODEL = 'xAI:grok-4-fast-non-reasoning';
+
+// The jury below uses fetch-based providers only
+jest.mock('../../lib/llm/openai-provider', () => ({ OpenAIProvider: jest.fn() }));
+jest.mock('../../lib/llm/anthropic-provider', () => ({ AnthropicProvider: jest.fn() }));
+jest.mock('../../lib/llm/ollama-provider', () => ({ OllamaProvider: jest.fn() }));
+
+jest.mock('next/server', () => ({
+  NextResponse: {
+    json: jest.fn((data, options) => ({
+      status: options?.status || 200,
+      json: jest.fn().mockResolvedValue(data),
+    })),
+  },
+}));
+
+// Required in beforeAll so the route reads the environment above
+let POST: (request: Request) => Promise<any>;
+
+const request = (body: unknown) =>
+  ({ json: async () => body, headers: new Headers() }) as unknown as Request;
+
+describe('rank-and-justify with replayed providers', () => {
+  const mockFetch = jest.fn();
+
+  beforeAll(() => {
+    POST = require('../../app/api/rank-and-justify/route').POST;
+    global.fetch = mockFetch;
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('scores, aggregates and justifies from fixtures without network', async () => {
+    const response = await POST(request({
+      prompt: 'Which delivery should be paid? Outcome A: the work was delivered on time. Outcome B: it was late.',
+      outcomes: ['A', 'B'],
+      models: [
+        { provider: 'xAI', model: 'grok-4-0709', weight: 0.5 },
+        { provider: 'xAI', model: 'grok-code-fast-1', weight: 0.5 },
+      ],
+    }));
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(data.scores).toEqual([
+      { outcome: 'A', score: 750000 },
+      { outcome: 'B', score: 250000 },
+    ]);
+    expect(data.justification).toContain('Both jurors found the delivery on time');
+    expect(data.model_results.map((r: any) => r.status)).toEqual(['success', 'success']);
+    expect(data.metadata.usage).toMatchObject({ input_tokens: 1100, output_tokens: 170, estimated: false });
+  });
+
+  test('a call without a fixture fails the model instead of reaching the provider', async () => {
+    const response = await POST(request({
+      prompt: 'A prompt that was never recorded.',
+      outcomes: ['A', 'B'],
+      models: [{ provider: 'xAI', model: 'grok-4-0709', weight: 1 }],
+    }));
+    const data = await response.json();
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(data.scores).toEqual([]);
+    expect(data.error).toContain('xAI-grok-4-0709 ([Replay] No recorded fixture for xAI:grok-4-0709');
+  });
+});
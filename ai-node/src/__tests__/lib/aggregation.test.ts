@@ -0,0 +1,96 @@
+import {
+  aggregateScores,
+  parseAggregation,
+  resolveAggregation,
+  toScoreVector,
+  AGGREGATION_STRATEGIES,
+  SCORE_TOTAL,
+} from '../../lib/aggregation';
+
+const sum = (v: number[]) => v.reduce((a, b) => a + b, 0);
+
+describe('aggregation', () => {
+  const jury = [
+    { vector: [700000, 200000, 100000], weight: 0.5 },
+    { vector: [600000, 300000, 100000], weight: 0.3 },
+    { vector: [100000, 100000, 800000], weight: 0.2 },
+  ];
+
+  afterEach(() => {
+    delete process.env.AGGREGATION_STRATEGY;
+  });
+
+  test.each(AGGREGATION_STRATEGIES.map(s => [s]))('%s returns integers summing to exactly 1,000,000', strategy => {
+    const result = aggregateScores(jury, parseAggregation(strategy));
+    expect(result).toHaveLength(3);
+    expect(result.every(Number.isInteger)).toBe(true);
+    expect(sum(result)).toBe(SCORE_TOTAL);
+  });
+
+  test('weighted_average matches the historical weighted mean', () => {
+    expect(aggregateScores(jury, { strategy: 'weighted_average' })).toEqual([550000, 210000, 240000]);
+  });
+
+  test('weighted_median ignores an outlier model', () => {
+    const result = aggregateScores([
+      { vector: [600000, 300000, 100000], weight: 0.4 },
+      { vector: [700000, 200000, 100000], weight: 0.35 },
+      { vector: [100000, 100000, 800000], weight: 0.25 },
+    ], { strategy: 'weighted_median' });
+    // Medians 600000 / 200000 / 100000, rescaled to the 1,000,000 total
+    expect(result).toEqual(toScoreVector([600000, 200000, 100000]));
+    expect(result).toEqual([666667, 222222, 111111]);
+  });
+
+  test('trimmed_mean drops the extremes per outcome', () => {
+    const five = [100000, 300000, 500000, 700000, 900000].map(a => ({ vector: [a, SCORE_TOTAL - a], weight: 0.2 }));
+    expect(aggregateScores(five, { strategy: 'trimmed_mean', trim: 0.2 })).toEqual([500000, 500000]);
+  });
+
+  test('geometric pooling lets one model veto an outcome', () => {
+    const result = aggregateScores([
+      { vector: [500000, 500000], weight: 0.5 },
+      { vector: [0, 1000000], weight: 0.5 },
+    ], { strategy: 'geometric' });
+    expect(result[0]).toBeLessThan(1000);
+    expect(sum(result)).toBe(SCORE_TOTAL);
+  });
+
+  test('majority_vote returns the weighted argmax vote share', () => {
+    expect(aggregateScores(jury, { strategy: 'majority_vote' })).toEqual([800000, 0, 200000]);
+  });
+
+  test('confidence_weighted favours the more decisive model', () => {
+    const result = aggregateScores([
+      { vector: [950000, 50000], weight: 0.5 },
+      { vector: [450000, 550000], weight: 0.5 },
+    ], { strategy: 'confidence_weighted' });
+    expect(result[0]).toBeGreaterThan(700000);
+  });
+
+  test('returns [] when no model contributed', () => {
+    expect(aggregateScores([], { strategy: 'weighted_median' })).toEqual([]);
+  });
+
+  test('toScoreVector hands the rounding remainder to the largest fractions', () => {
+    expect(toScoreVector([1, 1, 1])).toEqual([333334, 333333, 333333]);
+    expect(toScoreVector([0, 0])).toEqual([500000, 500000]);
+  });
+
+  test('rejects unknown strategies and invalid trims', () => {
+    expect(() => parseAggregation('mode')).toThrow('Unknown aggregation strategy "mode"');
+    expect(() => parseAggregation({ strategy: 'trimmed_mean', trim: 0.5 })).toThrow('Invalid trimmed_mean trim');
+    expect(parseAggregation('trimmed_mean:0.25')).toEqual({ strategy: 'trimmed_mean', trim: 0.25 });
+  });
+
+  test('resolves request, then node default', () => {
+    process.env.AGGREGATION_STRATEGY = 'geometric';
+
+    expect(resolveAggregation('majority_vote')).toEqual({ strategy: 'majority_vote', source: 'request' });
+    expect(resolveAggregation('trimmed_mean:0.1')).toEqual({ strategy: 'trimmed_mean', trim: 0.1, source: 'request' });
+    expect(resolveAggregation(undefined)).toEqual({ strategy: 'geometric', source: 'default' });
+
+    delete process.env.AGGREGATION_STRATEGY;
+    expect(resolveAggregation(undefined)).toEqual({ strategy: 'weighted_average', source: 'default' });
+  });
+});
@@ -0,0 +1,71 @@
+import { createCostLedger, JUSTIFIER_SLOT } from '../../lib/cost';
+import { priceFor, costUsd } from '../../config/pricing';
+
+describe('pricing', () => {
+  afterEach(() => {
+    delete process.env.MODEL_PRICES;
+    delete process.env.OPENAI_COMPATIBLE_ENDPOINTS;
+  });
+
+  test('matches dated releases, OpenRouter ids and dot notation to their family', () => {
+    expect(priceFor('OpenAI', 'gpt-5-mini-2025-08-07')).toEqual({ input: 0.25, output: 2 });
+    expect(priceFor('OpenAI', 'gpt-4o')).toEqual({ input: 2.5, output: 10 });
+    expect(priceFor('openrouter', 'openai/gpt-4o-mini')).toEqual({ input: 0.15, output: 0.6 });
+    expect(priceFor('Anthropic', 'claude-3-5-haiku-20241022')).toEqual(priceFor('Anthropic', 'claude-3.5-haiku'));
+    expect(priceFor('xAI', 'grok-4-1-fast-reasoning')).toEqual({ input: 0.2, output: 0.5 });
+    expect(priceFor('xAI', 'grok-4-0709')).toEqual(priceFor('xAI', 'grok-4'));
+    expect(priceFor('Gemini', 'gemini-3-pro-preview')).toEqual(priceFor('Gemini', 'gemini-3-pro'));
+  });
+
+  test('does not price variants as their base model', () => {
+    expect(priceFor('OpenAI', 'gpt-5.1-codex-mini')).toEqual({ input: 0.25, output: 2 });
+    expect(priceFor('OpenAI', 'gpt-5.1-codex-mini-2025-11-13')).toEqual({ input: 0.25, output: 2 });
+    expect(priceFor('OpenAI', 'gpt-5.4')).toBeNull();
+    expect(priceFor('OpenAI', 'gpt-5-pro')).toBeNull();
+  });
+
+  test('local models are free and unknown models unpriced unless overridden', () => {
+    expect(priceFor('Open-source', 'llama3.1:8b')).toEqual({ input: 0, output: 0 });
+    expect(priceFor('Hyperbolic', 'deepseek-ai/DeepSeek-R1')).toBeNull();
+
+    process.env.MODEL_PRICES = '{"DeepSeek-R1": {"input": 2, "output": 2}, "gpt-5": {"input": 1, "output": 8}}';
+    expect(priceFor('Hyperbolic', 'deepseek-ai/DeepSeek-R1')).toEqual({ input: 2, output: 2 });
+    expect(priceFor('OpenAI', 'gpt-5-2025-08-07')).toEqual({ input: 1, output: 8 });
+  });
+
+  test('OpenAI-compatible endpoints are free unless they set a price', () => {
+    process.env.OPENAI_COMPATIBLE_ENDPOINTS = JSON.stringify({
+      vllm: { baseUrl: 'http://gpu-1:8000/v1', models: [] },
+      hosted: { baseUrl: 'https://api.example.com/v1', models: [], price: { input: 0.5, output: 1 } },
+    });
+    expect(priceFor('vllm', 'gpt-oss-120b')).toEqual({ input: 0, output: 0 });
+    expect(priceFor('hosted', 'gpt-oss-120b')).toEqual({ input: 0.5, output: 1 });
+  });
+
+  test('costUsd is per million tokens', () => {
+    expect(costUsd({ input: 1.25, output: 10 }, { inputTokens: 2000, outputTokens: 500 })).toBe(0.0075);
+  });
+});
+
+describe('cost ledger', () => {
+  test('totals slots, prefers reported usage and lists unpriced models', () => {
+    const ledger = createCostLedger();
+    const text = { prompt: 'x'.repeat(400), response: 'y'.repeat(40) };
+
+    ledger.record('jury-0', 'OpenAI', 'gpt-5', { inputTokens: 2000, outputTokens: 500 }, text);
+    ledger.record('jury-0', 'OpenAI', 'gpt-5', { inputTokens: 2000, outputTokens: 500 }, text);
+    ledger.record('jury-1', 'Hyperbolic', 'deepseek-ai/DeepSeek-R1', null, text);
+    ledger.record(JUSTIFIER_SLOT, 'OpenAI', 'gpt-5-nano', { inputTokens: 1000, outputTokens: 1000 }, text);
+
+    expect(ledger.slot('jury-0')).toEqual({ input_tokens: 4000, output_tokens: 1000, cost_usd: 0.015, estimated: false });
+    expect(ledger.slot('jury-1')).toEqual({ input_tokens: 100, output_tokens: 10, cost_usd: null, estimated: true });
+    expect(ledger.summary()).toEqual({
+      input_tokens: 5100,
+      output_tokens: 2010,
+      cost_usd: 0.01545,
+      estimated: true,
+      justifier: { input_tokens: 1000, output_tokens: 1000, cost_usd: 0.00045, estimated: false },
+      unpriced_models: ['Hyperbolic-deepseek-ai/DeepSeek-R1'],
+    });
+  });
+});
@@ -1,6 +1,7 @@
 import { AnthropicProvider } from '../../../lib/llm/anthropic-provider';
 import { ChatAnthropic } from "@langchain/anthropic";
 import { modelConfig } from '../../../config/models';
+import { scoreResponseSchema } from '../../../lib/llm/structured-output';
 
 jest.mock("@langchain/anthropic", () => ({
   ChatAnthropic: jest.fn().mockImplementation(() => ({
@@ -8,6 +9,11 @@ jest.mock("@langchain/anthropic", () => ({
   })),
 }));
 
+const mockMessagesCreate = jest.fn();
+jest.mock('@anthropic-ai/sdk', () => ({
+  Anthropic: jest.fn().mockImplementation(() => ({ messages: { create: mockMessagesCreate } })),
+}));
+
 jest.mock('../../../config/models', () => ({
   modelConfig: {
     anthropic: [
@@ -233,5 +239,22 @@ describe('AnthropicProvider', () => {
     expect(response).toBe('Mocked attachments response');
     expect(mockInvoke).toHaveBeenCalledTimes(1);
   });
-});
 
+  test('structured output forces a tool call and returns its input as JSON', async () => {
+    mockMessagesCreate.mockResolvedValue({
+      stop_reason: 'tool_use',
+      content: [{ type: 'tool_use', name: 'verdikta_scores', input: { score: [700000, 300000], justification: 'ok' } }],
+    });
+    const schema = scoreResponseSchema(2);
+
+    const response = await provider.generateResponse('Decide', 'claude-3-5-sonnet-20241022', { responseSchema: schema });
+
+    expect(JSON.parse(response)).toEqual({ score: [700000, 300000], justification: 'ok' });
+    expect(mockMessagesCreate).toHaveBeenCalledWith(expect.objectContaining({
+      tools: [expect.objectContaining({ name: 'verdikta_scores', input_schema: schema.schema })],
+      tool_choice: { type: 'tool', name: 'verdikta_scores' },
+    }));
+    expect(ChatAnthropic).not.toHaveBeenCalled();
+    expect(provider.supportsStructuredOutput('claude-2.1')).toBe(false);
+  });
+});
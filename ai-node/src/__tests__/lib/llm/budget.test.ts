@@ -0,0 +1,125 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createBudgetGuard, withBudget, BudgetRejectedError } from '../../../lib/llm/budget';
+
+describe('budget guard', () => {
+  let clock: number;
+  const now = () => clock;
+  const breaker = { errorRate: 0.5, minCalls: 4, windowMs: 60000, cooldownMs: 30000 };
+
+  beforeEach(() => {
+    clock = Date.parse('2025-03-31T23:00:00Z');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects a model once its daily budget is spent, until the day rolls over', () => {
+    const guard = createBudgetGuard({ limits: { 'openai:gpt-5': { daily_usd: 1 } }, breaker, stateFile: null, now });
+
+    guard.assertAllowed('OpenAI', 'gpt-5');
+    guard.record('OpenAI', 'gpt-5', true, 1.2);
+
+    expect(() => guard.assertAllowed('OpenAI', 'gpt-5')).toThrow(BudgetRejectedError);
+    expect(() => guard.assertAllowed('OpenAI', 'gpt-5')).toThrow('Daily budget of $1 for openai:gpt-5 is spent');
+    expect(() => guard.assertAllowed('OpenAI', 'gpt-5-mini')).not.toThrow();
+
+    clock += 2 * 60 * 60 * 1000;
+    expect(() => guard.assertAllowed('OpenAI', 'gpt-5')).not.toThrow();
+    expect(guard.status().find(s => s.key === 'openai')?.spend_usd).toEqual({ day: 0, month: 0 });
+  });
+
+  test('limits requests per minute per provider class', () => {
+    const guard = createBudgetGuard({ limits: { anthropic: { requests_per_minute: 2 } }, breaker, stateFile: null, now });
+
+    guard.assertAllowed('Anthropic', 'claude-sonnet-4');
+    guard.assertAllowed('Anthropic', 'claude-3-5-haiku');
+    expect(() => guard.assertAllowed('Anthropic', 'claude-sonnet-4')).toThrow('2/min for anthropic');
+
+    clock += 60001;
+    expect(() => guard.assertAllowed('Anthropic', 'claude-sonnet-4')).not.toThrow();
+  });
+
+  test('opens the breaker on a high error rate and closes it after a successful trial', () => {
+    const guard = createBudgetGuard({ limits: {}, breaker, stateFile: null, now });
+    [true, false, false, false].forEach(ok => guard.record('xAI', 'grok-4', ok, 0));
+
+    expect(() => guard.assertAllowed('xAI', 'grok-4')).toThrow(expect.objectContaining({ code: 'CIRCUIT_OPEN' }));
+    expect(guard.status().find(s => s.key === 'xai')?.breaker).toBe('open');
+
+    clock += breaker.cooldownMs;
+    expect(() => guard.assertAllowed('xAI', 'grok-4')).not.toThrow();
+    expect(guard.status().find(s => s.key === 'xai')?.breaker).toBe('half_open');
+    guard.record('xAI', 'grok-4', true, 0);
+    expect(guard.status().find(s => s.key === 'xai')?.breaker).toBe('closed');
+  });
+
+  test('persists spend and open breakers across restarts', async () => {
+    const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'budget-')), 'state.json');
+    const first = createBudgetGuard({ limits: { openai: { monthly_usd: 10 } }, breaker, stateFile, now });
+    first.record('OpenAI', 'gpt-4o', true, 10);
+    await first.flush();
+
+    const restarted = createBudgetGuard({ limits: { openai: { monthly_usd: 10 } }, breaker, stateFile, now });
+    expect(() => restarted.assertAllowed('OpenAI', 'gpt-4o')).toThrow('Monthly budget of $10 for openai is spent');
+    expect(restarted.status().find(s => s.key === 'openai')).toMatchObject({ budget_exhausted: true, spend_usd: { month: 10 } });
+  });
+
+  test('writes the state file in the background, coalescing parallel calls', async () => {
+    const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'budget-')), 'state.json');
+    const guard = createBudgetGuard({ limits: {}, breaker, stateFile, now });
+    const writeFileSync = jest.spyOn(fs, 'writeFileSync');
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+
+    for (let i = 0; i < 20; i++) guard.record('OpenAI', 'gpt-4o', true, 0.5);
+    expect(writeFileSync).not.toHaveBeenCalled();
+    await guard.flush();
+
+    expect(writeFile.mock.calls.length).toBeLessThanOrEqual(2);
+    expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).keys.openai.dailyUsd).toBe(10);
+    writeFileSync.mockRestore();
+    writeFile.mockRestore();
+  });
+
+  test('flushSync writes unsaved state at exit', () => {
+    const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'budget-')), 'state.json');
+    const guard = createBudgetGuard({ limits: {}, breaker, stateFile, now });
+    guard.record('OpenAI', 'gpt-4o', true, 3);
+    guard.flushSync();
+
+    expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).keys.openai.dailyUsd).toBe(3);
+  });
+
+  test('withBudget charges the usage a failed call reported before failing', async () => {
+    const guard = createBudgetGuard({ limits: {}, breaker, stateFile: null, now });
+    const generateResponse = jest.fn(async (_prompt: string, _model: string, options?: any) => {
+      options?.onUsage?.({ inputTokens: 2000, outputTokens: 1000 });
+      throw new Error('Request timed out');
+    });
+    const provider = withBudget({ generateResponse } as any, 'OpenAI', guard);
+
+    await expect(provider.generateResponse('prompt', 'gpt-4o')).rejects.toThrow('timed out');
+    expect(guard.status().find(s => s.key === 'openai:gpt-4o')?.spend_usd.day).toBe(0.015);
+  });
+
+  test('withBudget records the cost of provider-reported usage and rejects before sending', async () => {
+    const guard = createBudgetGuard({ limits: { 'openai:gpt-4o': { daily_usd: 0.01 } }, breaker, stateFile: null, now });
+    const generateResponse = jest.fn(async (_prompt: string, _model: string, options?: any) => {
+      options?.onUsage?.({ inputTokens: 2000, outputTokens: 1000 });
+      return 'ok';
+    });
+    const provider = withBudget({ generateResponse } as any, 'OpenAI', guard);
+    const onUsage = jest.fn();
+
+    await expect(provider.generateResponse('prompt', 'gpt-4o', { onUsage })).resolves.toBe('ok');
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 2000, outputTokens: 1000 });
+    // 2000 * $2.5/M + 1000 * $10/M
+    expect(guard.status().find(s => s.key === 'openai:gpt-4o')?.spend_usd.day).toBe(0.015);
+
+    await expect(provider.generateResponse('prompt', 'gpt-4o')).rejects.toThrow('Daily budget');
+    expect(generateResponse).toHaveBeenCalledTimes(1);
+  });
+});
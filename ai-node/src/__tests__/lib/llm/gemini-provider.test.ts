@@ -0,0 +1,158 @@
+import { GeminiProvider } from '../../../lib/llm/gemini-provider';
+import { scoreResponseSchema } from '../../../lib/llm/structured-output';
+
+// Mock fetch globally
+const mockFetch = jest.fn();
+global.fetch = mockFetch;
+
+jest.mock('../../../config/models', () => ({
+  modelConfig: {
+    gemini: [
+      { name: 'gemini-2.5-pro', supportsImages: true, supportsAttachments: true },
+      { name: 'gemini-2.0-flash', supportsImages: true, supportsAttachments: true },
+    ],
+  },
+}));
+
+const geminiResponse = (text: string, extra: Record<string, unknown> = {}) => ({
+  ok: true,
+  json: async () => ({
+    candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }],
+    usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 8, thoughtsTokenCount: 2 },
+    ...extra,
+  }),
+});
+
+describe('GeminiProvider', () => {
+  let provider: GeminiProvider;
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    process.env = { ...originalEnv, GEMINI_API_KEY: 'test-gemini-key' };
+    delete process.env.GEMINI_BASE_URL;
+    provider = new GeminiProvider();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+  });
+
+  test('lists configured models and their capabilities', async () => {
+    expect((await provider.getModels()).map(m => m.name)).toEqual(['gemini-2.5-pro', 'gemini-2.0-flash']);
+    expect(provider.supportsImages('gemini-2.5-pro')).toBe(true);
+    expect(provider.supportsAttachments('unknown-model')).toBe(false);
+    expect(provider.supportsStructuredOutput('gemini-2.5-pro')).toBe(true);
+    expect(provider.supportsStructuredOutput('gemini-2.0-flash')).toBe(false);
+  });
+
+  test('calls generateContent with the API key header and returns the text, reporting usage', async () => {
+    mockFetch.mockResolvedValueOnce(geminiResponse('Hello from Gemini'));
+    const onUsage = jest.fn();
+
+    const result = await provider.generateResponse('Test prompt', 'gemini-2.5-pro', { onUsage });
+
+    expect(result).toBe('Hello from Gemini');
+    const [url, init] = mockFetch.mock.calls[0];
+    expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent');
+    expect(init.headers['x-goog-api-key']).toBe('test-gemini-key');
+    expect(JSON.parse(init.body).contents).toEqual([{ role: 'user', parts: [{ text: 'Test prompt' }] }]);
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 20, outputTokens: 10 });
+  });
+
+  test('leaves thought parts out of the answer', async () => {
+    mockFetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        candidates: [{ content: { parts: [{ text: 'thinking...', thought: true }, { text: 'answer' }] }, finishReason: 'STOP' }],
+      }),
+    });
+
+    await expect(provider.generateResponse('Test', 'gemini-2.5-pro')).resolves.toBe('answer');
+  });
+
+  test('sends the response schema as responseJsonSchema', async () => {
+    mockFetch.mockResolvedValueOnce(geminiResponse('{"score":[1000000,0],"justification":"ok"}'));
+
+    await provider.generateResponse('Test', 'gemini-2.5-pro', { responseSchema: scoreResponseSchema(2) });
+
+    const { generationConfig } = JSON.parse(mockFetch.mock.calls[0][1].body);
+    expect(generationConfig.responseMimeType).toBe('application/json');
+    expect(generationConfig.responseJsonSchema).toEqual(scoreResponseSchema(2).schema);
+  });
+
+  test('sends images and PDFs inline and text attachments as text', async () => {
+    mockFetch.mockResolvedValueOnce(geminiResponse('ok'));
+
+    await provider.generateResponseWithAttachments('Judge this', 'gemini-2.5-pro', [
+      { type: 'image', content: 'aW1hZ2U=', mediaType: 'image/png' },
+      { type: 'document', content: 'cGRm', mediaType: 'application/pdf' },
+      { type: 'text', content: 'extracted text', mediaType: 'text/plain' },
+    ]);
+
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body).contents[0].parts).toEqual([
+      { text: 'Judge this' },
+      { inline_data: { mime_type: 'image/png', data: 'aW1hZ2U=' } },
+      { inline_data: { mime_type: 'application/pdf', data: 'cGRm' } },
+      { text: 'extracted text' },
+    ]);
+  });
+
+  test('rejects unsupported image formats before calling the API', async () => {
+    await expect(provider.generateResponseWithImage('Test', 'gemini-2.5-pro', 'abc', 'image/bmp'))
+      .rejects.toThrow('Unsupported image format: image/bmp');
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  test('streams through onToken from streamGenerateContent', async () => {
+    const encoder = new TextEncoder();
+    const chunks = [
+      { candidates: [{ content: { parts: [{ text: '{"score": [1000000, 0], ' }] } }] },
+      { candidates: [{ content: { parts: [{ text: '"justification": "ok"}' }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 7 } },
+    ];
+    mockFetch.mockResolvedValueOnce({
+      ok: true,
+      body: new ReadableStream({
+        start(controller) {
+          chunks.forEach(c => controller.enqueue(encoder.encode(`data: ${JSON.stringify(c)}\r\n\r\n`)));
+          controller.close();
+        },
+      }),
+    });
+    const onToken = jest.fn();
+    const onUsage = jest.fn();
+
+    const result = await provider.generateResponse('Test', 'gemini-2.5-pro', { onToken, onUsage });
+
+    expect(result).toBe('{"score": [1000000, 0], "justification": "ok"}');
+    expect(mockFetch.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse');
+    expect(onToken).toHaveBeenCalledTimes(2);
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 5, outputTokens: 7 });
+  });
+
+  test('reports HTTP errors with their status and safety blocks as content policy errors', async () => {
+    mockFetch.mockResolvedValueOnce({
+      ok: false,
+      status: 429,
+      headers: new Headers({ 'retry-after': '3' }),
+      text: async () => 'RESOURCE_EXHAUSTED',
+    });
+    await expect(provider.generateResponse('Test', 'gemini-2.5-pro')).rejects.toMatchObject({
+      message: '[Gemini] HTTP 429: RESOURCE_EXHAUSTED',
+      status: 429,
+    });
+
+    mockFetch.mockResolvedValueOnce({ ok: true, json: async () => ({ promptFeedback: { blockReason: 'SAFETY' } }) });
+    await expect(provider.generateResponse('Test', 'gemini-2.5-pro')).rejects.toThrow('safety filters (SAFETY)');
+  });
+
+  test('throws when GEMINI_API_KEY is not configured', async () => {
+    jest.spyOn(console, 'warn').mockImplementation();
+    delete process.env.GEMINI_API_KEY;
+    delete process.env.GOOGLE_API_KEY;
+
+    await expect(new GeminiProvider().generateResponse('Test', 'gemini-2.5-pro')).rejects.toThrow('GEMINI_API_KEY not configured');
+  });
+});
@@ -26,6 +26,10 @@ jest.mock('../../../lib/llm/hyperbolic-provider', () => ({
   HyperbolicProvider: jest.fn().mockImplementation(() => ({ initialize: jest.fn().mockResolvedValue(undefined) })),
 }));
 
+jest.mock('../../../lib/llm/gemini-provider', () => ({
+  GeminiProvider: jest.fn().mockImplementation(() => ({ initialize: jest.fn().mockResolvedValue(undefined) })),
+}));
+
 jest.mock('../../../lib/llm/ollama-provider', () => ({
   OllamaProvider: jest.fn().mockImplementation(() => ({ initialize: jest.fn().mockResolvedValue(undefined) })),
 }));
@@ -33,6 +37,7 @@ jest.mock('../../../lib/llm/ollama-provider', () => ({
 import { LLMFactory } from '../../../lib/llm/llm-factory';
 import { OpenRouterProvider } from '../../../lib/llm/openrouter-provider';
 import { OpenAIProvider } from '../../../lib/llm/openai-provider';
+import { GeminiProvider } from '../../../lib/llm/gemini-provider';
 
 describe('LLMFactory gateway routing', () => {
   const ORIGINAL_ENV = process.env;
@@ -44,6 +49,7 @@ describe('LLMFactory gateway routing', () => {
     delete process.env.OPENAI_CLASS_PROVIDER;
     delete process.env.OPENAI_API_KEY;
     delete process.env.OPENROUTER_API_KEY;
+    delete process.env.GEMINI_API_KEY;
     delete process.env.AI_GATEWAY_LEGACY_NATIVE_FALLBACK;
   });
 
@@ -109,4 +115,71 @@ describe('LLMFactory gateway routing', () => {
     expect(OpenRouterProvider).not.toHaveBeenCalled();
     warnSpy.mockRestore();
   });
+
+  test('Gemini uses the native provider with GEMINI_API_KEY and OpenRouter without it', async () => {
+    process.env.OPENROUTER_API_KEY = 'or-key';
+
+    await LLMFactory.getProvider('Gemini');
+    expect(GeminiProvider).not.toHaveBeenCalled();
+    expect(OpenRouterProvider).toHaveBeenCalledWith([expect.objectContaining({ name: 'google/gemini-2.5-pro' })], 'google');
+
+    process.env.GEMINI_API_KEY = 'gemini-key';
+    await LLMFactory.getProvider('Gemini');
+    expect(GeminiProvider).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('LLMFactory.withFallback', () => {
+  const ORIGINAL_ENV = process.env;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env = { ...ORIGINAL_ENV, OPENAI_CLASS_FALLBACKS: 'gpt-5-mini>openrouter:openai/gpt-5' };
+  });
+
+  afterEach(() => {
+    process.env = ORIGINAL_ENV;
+    jest.restoreAllMocks();
+  });
+
+  test('moves down the chain until a target succeeds and reports each substitution', async () => {
+    const run = jest.fn()
+      .mockRejectedValueOnce(new Error('HTTP 404: model deprecated'))
+      .mockRejectedValueOnce(new Error('HTTP 503'))
+      .mockResolvedValue('ok');
+    const onFallback = jest.fn();
+
+    const { result, target } = await LLMFactory.withFallback('OpenAI', 'gpt-5', run, onFallback);
+
+    expect(result).toBe('ok');
+    expect(target).toEqual({ provider: 'openrouter', model: 'openai/gpt-5' });
+    expect(onFallback.mock.calls.map(([event]) => [event.from.model, event.to.model])).toEqual([
+      ['gpt-5', 'gpt-5-mini'],
+      ['gpt-5-mini', 'openai/gpt-5'],
+    ]);
+  });
+
+  test('rethrows errors that are not provider failures without falling back', async () => {
+    const run = jest.fn().mockRejectedValue(new Error('Invalid model input. Check provider, model, and weight.'));
+    const onFallback = jest.fn();
+
+    await expect(LLMFactory.withFallback('OpenAI', 'gpt-5', run, onFallback)).rejects.toThrow('Invalid model input');
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(onFallback).not.toHaveBeenCalled();
+  });
+
+  test('stops at the slot deadline', async () => {
+    const run = jest.fn().mockRejectedValue(new Error('HTTP 503'));
+
+    await expect(LLMFactory.withFallback('OpenAI', 'gpt-5', run, undefined, Date.now() - 1)).rejects.toThrow('HTTP 503');
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  test('rethrows the last error when the chain is exhausted', async () => {
+    delete process.env.OPENAI_CLASS_FALLBACKS;
+    const run = jest.fn().mockRejectedValue(new Error('invalid api key'));
+
+    await expect(LLMFactory.withFallback('OpenAI', 'gpt-5', run)).rejects.toThrow('invalid api key');
+    expect(run).toHaveBeenCalledTimes(1);
+  });
 });
@@ -1,5 +1,6 @@
 import { OllamaProvider } from '../../../lib/llm/ollama-provider';
 import { ChatOllama } from "@langchain/ollama";
+import { extractProviderErrorDetails } from '../../../lib/llm/retry';
 
 // Add TextEncoder to the global scope for tests
 global.TextEncoder = require('util').TextEncoder;
@@ -74,6 +75,21 @@ describe('OllamaProvider', () => {
     });
   });
 
+  test('keeps the HTTP status of API errors, so a missing model is model_not_found', async () => {
+    await provider.initialize();
+    jest.spyOn(provider, 'supportsImages').mockReturnValue(true);
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 404,
+      statusText: 'Not Found',
+      text: () => Promise.resolve('{"error":"model \\"llava\\" not found, try pulling it first"}')
+    });
+
+    const error = await provider.generateResponseWithImage('Describe this image', 'llava', 'aGVsbG8=', 'image/png').catch(e => e);
+    expect(error.status).toBe(404);
+    expect(extractProviderErrorDetails(error).errorType).toBe('model_not_found');
+  });
+
   describe('File Size Validation', () => {
     test('rejects oversized images', async () => {
       await provider.initialize();
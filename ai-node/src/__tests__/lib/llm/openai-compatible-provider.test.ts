@@ -0,0 +1,172 @@
+import { OpenAICompatibleProvider } from '../../../lib/llm/openai-compatible-provider';
+import { getOpenAICompatibleEndpoint, getOpenAICompatibleEndpoints } from '../../../config/openai-compatible';
+import { scoreResponseSchema } from '../../../lib/llm/structured-output';
+
+const mockFetch = jest.fn();
+global.fetch = mockFetch;
+
+const ENDPOINTS = {
+  'vllm-a100': {
+    baseUrl: 'http://gpu-1:8000/v1/',
+    apiKeyEnv: 'VLLM_API_KEY',
+    models: [
+      { name: 'Qwen/Qwen3-32B', supportsAttachments: true, supportsStructuredOutput: true, reasoning: true },
+      { name: 'llava-1.6', supportsImages: true, supportsAttachments: true, maxTokens: 2000 },
+    ],
+  },
+  llamacpp: {
+    baseUrl: 'http://localhost:8080/v1',
+    models: [{ name: 'gemma-3-12b' }],
+    price: { input: 0.1, output: 0.2 },
+  },
+};
+
+const completion = (content: string, finishReason = 'stop') => ({
+  ok: true,
+  json: async () => ({
+    choices: [{ message: { content }, finish_reason: finishReason }],
+    usage: { prompt_tokens: 12, completion_tokens: 5 },
+  }),
+});
+
+describe('OpenAI-compatible endpoints config', () => {
+  afterEach(() => {
+    delete process.env.OPENAI_COMPATIBLE_ENDPOINTS;
+    delete process.env.VLLM_API_KEY;
+  });
+
+  test('reads named endpoints with their key, models and capability flags', () => {
+    process.env.OPENAI_COMPATIBLE_ENDPOINTS = JSON.stringify(ENDPOINTS);
+    process.env.VLLM_API_KEY = 'vllm-key';
+
+    const vllm = getOpenAICompatibleEndpoint('VLLM-A100');
+    expect(vllm).toMatchObject({ name: 'vllm-a100', baseUrl: 'http://gpu-1:8000/v1', apiKey: 'vllm-key' });
+    expect(vllm!.models[0]).toMatchObject({ name: 'Qwen/Qwen3-32B', supportsImages: false, supportsStructuredOutput: true });
+    expect(getOpenAICompatibleEndpoint('llamacpp')).toMatchObject({ apiKey: undefined, price: { input: 0.1, output: 0.2 } });
+  });
+
+  test('skips endpoints without a base URL or named after a built-in provider, and invalid JSON', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+    process.env.OPENAI_COMPATIBLE_ENDPOINTS = JSON.stringify({
+      OpenAI: { baseUrl: 'http://x/v1', models: [] },
+      broken: { models: [] },
+      ok: { baseUrl: 'http://y/v1', models: [] },
+    });
+    expect(Object.keys(getOpenAICompatibleEndpoints())).toEqual(['ok']);
+
+    process.env.OPENAI_COMPATIBLE_ENDPOINTS = '{not json';
+    expect(getOpenAICompatibleEndpoints()).toEqual({});
+    expect(warnSpy).toHaveBeenCalledTimes(3);
+    warnSpy.mockRestore();
+  });
+
+  test('parses the variable once and warns once, not on every lookup', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    process.env.OPENAI_COMPATIBLE_ENDPOINTS = JSON.stringify({ broken: { models: [] }, ...ENDPOINTS });
+
+    expect(getOpenAICompatibleEndpoint('llamacpp')).toBeDefined();
+    expect(getOpenAICompatibleEndpoint('vllm-a100')).toBeDefined();
+    expect(getOpenAICompatibleEndpoints()).toBe(getOpenAICompatibleEndpoints());
+    expect(warnSpy).toHaveBeenCalledTimes(1);
+    warnSpy.mockRestore();
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  let provider: OpenAICompatibleProvider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.OPENAI_COMPATIBLE_ENDPOINTS = JSON.stringify(ENDPOINTS);
+    process.env.VLLM_API_KEY = 'vllm-key';
+    provider = new OpenAICompatibleProvider(getOpenAICompatibleEndpoint('vllm-a100')!);
+  });
+
+  afterEach(() => {
+    delete process.env.OPENAI_COMPATIBLE_ENDPOINTS;
+    delete process.env.VLLM_API_KEY;
+  });
+
+  test('lists configured models and capabilities', async () => {
+    expect(await provider.getModels()).toEqual([
+      { name: 'Qwen/Qwen3-32B', supportsImages: false, supportsAttachments: true },
+      { name: 'llava-1.6', supportsImages: true, supportsAttachments: true },
+    ]);
+    expect(provider.supportsImages('llava-1.6')).toBe(true);
+    expect(provider.supportsStructuredOutput('Qwen/Qwen3-32B')).toBe(true);
+    expect(provider.supportsStructuredOutput('llava-1.6')).toBe(false);
+    expect(provider.supportsAttachments('unknown')).toBe(false);
+  });
+
+  test('posts chat completions to the endpoint with its key, token limit and schema', async () => {
+    mockFetch.mockResolvedValueOnce(completion('{"score": [1, 0]}'));
+    const onUsage = jest.fn();
+
+    const result = await provider.generateResponse('Rank these', 'Qwen/Qwen3-32B', {
+      responseSchema: scoreResponseSchema(2),
+      onUsage,
+    });
+
+    expect(result).toBe('{"score": [1, 0]}');
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 12, outputTokens: 5 });
+    const [url, init] = mockFetch.mock.calls[0];
+    expect(url).toBe('http://gpu-1:8000/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer vllm-key');
+    const body = JSON.parse(init.body);
+    expect(body).toMatchObject({ model: 'Qwen/Qwen3-32B', max_tokens: 16000, stream: false });
+    expect(body.response_format.type).toBe('json_schema');
+  });
+
+  test('sends no Authorization header or schema when the endpoint and model have none', async () => {
+    const llamacpp = new OpenAICompatibleProvider(getOpenAICompatibleEndpoint('llamacpp')!);
+    mockFetch.mockResolvedValueOnce(completion('answer'));
+
+    await llamacpp.generateResponse('Hi', 'gemma-3-12b', { responseSchema: scoreResponseSchema(2) });
+
+    const [, init] = mockFetch.mock.calls[0];
+    expect(init.headers.Authorization).toBeUndefined();
+    const body = JSON.parse(init.body);
+    expect(body.max_tokens).toBe(1000);
+    expect(body.response_format).toBeUndefined();
+  });
+
+  test('sends images as data URLs and text attachments as text parts', async () => {
+    mockFetch.mockResolvedValueOnce(completion('seen'));
+
+    await provider.generateResponseWithAttachments('Describe', 'llava-1.6', [
+      { type: 'image', content: 'aGVsbG8=', mediaType: 'image/png' },
+      { type: 'text', content: 'extracted document', mediaType: 'text/plain' },
+    ]);
+
+    const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+    expect(body.max_tokens).toBe(2000);
+    expect(body.messages[0].content).toEqual([
+      { type: 'text', text: 'Describe' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,aGVsbG8=' } },
+      { type: 'text', text: 'extracted document' },
+    ]);
+    await expect(
+      provider.generateResponseWithAttachments('Describe', 'Qwen/Qwen3-32B', [{ type: 'image', content: 'aGVsbG8=', mediaType: 'image/png' }])
+    ).rejects.toThrow('does not support image inputs');
+  });
+
+  test('rejects attachment types it cannot send instead of dropping them', async () => {
+    await expect(
+      provider.generateResponseWithAttachments('Summarise', 'llava-1.6', [{ type: 'document', content: 'JVBERi0=', mediaType: 'application/pdf' }])
+    ).rejects.toThrow('Unsupported attachment type: document (application/pdf)');
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  test('surfaces HTTP errors with their status for the retry policy', async () => {
+    mockFetch.mockResolvedValueOnce({
+      ok: false,
+      status: 503,
+      statusText: 'Service Unavailable',
+      headers: new Headers(),
+      text: async () => 'overloaded',
+    });
+
+    await expect(provider.generateResponse('Hi', 'Qwen/Qwen3-32B')).rejects.toMatchObject({ status: 503 });
+  });
+});
@@ -1,6 +1,7 @@
 import { OpenAIProvider } from '../../../lib/llm/openai-provider';
 import { ChatOpenAI } from "@langchain/openai";
 import { HumanMessage } from '@langchain/core/messages';
+import { scoreResponseSchema, toResponseFormat } from '../../../lib/llm/structured-output';
 
 import OpenAI from 'openai';
 
@@ -462,4 +463,27 @@ describe('OpenAIProvider', () => {
       maxTokens: 1000,
     });
   });
+
+  test('structured output sends a json_schema response_format', async () => {
+    const schema = scoreResponseSchema(2);
+    const mockInvoke = jest.fn().mockResolvedValue({ content: '{"score":[600000,400000],"justification":"ok"}' });
+    (ChatOpenAI as unknown as jest.Mock).mockImplementation(() => ({ invoke: mockInvoke }));
+
+    await provider.generateResponse('Decide', 'gpt-4o', { responseSchema: schema });
+    expect(ChatOpenAI).toHaveBeenCalledWith(expect.objectContaining({
+      modelKwargs: { response_format: toResponseFormat(schema) }
+    }));
+
+    await provider.generateResponse('Decide', 'gpt-5-mini', { responseSchema: schema });
+    expect(mockOpenAICreate).toHaveBeenCalledWith(expect.objectContaining({
+      response_format: expect.objectContaining({ type: 'json_schema', json_schema: expect.objectContaining({ strict: true }) })
+    }));
+  });
+
+  test('supportsStructuredOutput covers json_schema capable models only', () => {
+    expect(provider.supportsStructuredOutput('gpt-4o')).toBe(true);
+    expect(provider.supportsStructuredOutput('gpt-5-mini')).toBe(true);
+    expect(provider.supportsStructuredOutput('o1-mini')).toBe(false);
+    expect(provider.supportsStructuredOutput('gpt-3.5-turbo')).toBe(false);
+  });
 });
@@ -1,5 +1,6 @@
 import { OpenRouterProvider } from '../../../lib/llm/openrouter-provider';
 import { resolveOpenRouterModelId } from '../../../config/openrouter-models';
+import { scoreResponseSchema } from '../../../lib/llm/structured-output';
 
 function mockFetchSuccess(content: string = 'ok-from-openrouter') {
   (global.fetch as jest.Mock).mockResolvedValue({
@@ -74,6 +75,17 @@ describe('OpenRouterProvider', () => {
     expect(body.max_tokens).toBe(4096);
   });
 
+  test('passes a response schema through as response_format', async () => {
+    mockFetchSuccess();
+
+    const provider = new OpenRouterProvider();
+    await provider.generateResponse('hello', 'openai/gpt-4o', { responseSchema: scoreResponseSchema(3) });
+
+    const body = JSON.parse((global.fetch as jest.Mock).mock.calls[0][1].body);
+    expect(body.response_format.type).toBe('json_schema');
+    expect(body.response_format.json_schema.schema.properties.score.minItems).toBe(3);
+  });
+
   test('uses reasoning max_tokens for reasoning models', async () => {
     mockFetchSuccess();
 
@@ -1,4 +1,4 @@
-import { resolveProviderConfig, resolveProviderClass } from '../../../lib/llm/provider-config';
+import { resolveProviderConfig, resolveProviderClass, resolveProviderScope, resolveFallbackChain } from '../../../lib/llm/provider-config';
 
 describe('provider-config precedence', () => {
   const ORIGINAL_ENV = process.env;
@@ -15,6 +15,8 @@ describe('provider-config precedence', () => {
     delete process.env.XAI_API_KEY;
     delete process.env.GROK_API_KEY;
     delete process.env.HYPERBOLIC_API_KEY;
+    delete process.env.GEMINI_API_KEY;
+    delete process.env.GOOGLE_API_KEY;
     delete process.env.AI_GATEWAY_LEGACY_NATIVE_FALLBACK;
   });
 
@@ -100,6 +102,15 @@ describe('provider-config precedence', () => {
     expect(result.backend).toBe('native');
   });
 
+  test('gemini and google resolve to the gemini class, native with GEMINI_API_KEY', () => {
+    process.env.OPENROUTER_API_KEY = 'or-key';
+    expect(resolveProviderClass('Google')).toBe('gemini');
+    expect(resolveProviderConfig('gemini')).toMatchObject({ backend: 'openrouter', modelOverride: 'google/gemini-2.5-pro' });
+
+    process.env.GEMINI_API_KEY = 'gemini-key';
+    expect(resolveProviderConfig('Gemini').backend).toBe('native');
+  });
+
   test('per-class model override is included in resolution', () => {
     process.env.OPENROUTER_API_KEY = 'or-key';
     process.env.OPENAI_CLASS_MODEL = 'openai/gpt-5';
@@ -149,3 +160,59 @@ describe('provider-config precedence', () => {
     expect(resolveProviderClass('OpenRouter')).toBe('openrouter');
   });
 });
+
+describe('fallback chains', () => {
+  const ORIGINAL_ENV = process.env;
+
+  beforeEach(() => {
+    process.env = { ...ORIGINAL_ENV };
+    delete process.env.MODEL_FALLBACKS;
+    delete process.env.OPENAI_CLASS_FALLBACKS;
+    delete process.env.OLLAMA_CLASS_FALLBACKS;
+    delete process.env.VLLM_A_CLASS_FALLBACKS;
+    delete process.env.OPENAI_COMPATIBLE_ENDPOINTS;
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  test('a model chain takes precedence over the class chain', () => {
+    process.env.MODEL_FALLBACKS = 'gpt-5=gpt-5-mini>openrouter:openai/gpt-5; anthropic:claude-opus-4-1=claude-sonnet-4-5';
+    process.env.OPENAI_CLASS_FALLBACKS = 'gpt-4o';
+
+    expect(resolveFallbackChain('OpenAI', 'gpt-5')).toEqual([
+      { provider: 'OpenAI', model: 'gpt-5-mini' },
+      { provider: 'openrouter', model: 'openai/gpt-5' },
+    ]);
+    expect(resolveFallbackChain('OpenAI', 'gpt-4.1')).toEqual([{ provider: 'OpenAI', model: 'gpt-4o' }]);
+    expect(resolveFallbackChain('Anthropic', 'claude-opus-4-1')).toEqual([{ provider: 'Anthropic', model: 'claude-sonnet-4-5' }]);
+    expect(resolveFallbackChain('xAI', 'grok-4-0709')).toEqual([]);
+  });
+
+  test('keeps model tags that are not provider prefixes and drops the model itself', () => {
+    process.env.OLLAMA_CLASS_FALLBACKS = 'llama3.1:8b>phi3:mini>llama3.1:8b>openrouter:meta-llama/llama-3.1-8b-instruct:free';
+
+    expect(resolveFallbackChain('ollama', 'llama3.1:8b')).toEqual([
+      { provider: 'ollama', model: 'phi3:mini' },
+      { provider: 'openrouter', model: 'meta-llama/llama-3.1-8b-instruct:free' },
+    ]);
+  });
+
+  test('OpenAI-compatible endpoints resolve natively and chain between each other by name', () => {
+    process.env.OPENAI_COMPATIBLE_ENDPOINTS = JSON.stringify({
+      'vllm-a': { baseUrl: 'http://a:8000/v1', models: [{ name: 'qwen3-32b' }] },
+      'vllm-b': { baseUrl: 'http://b:8000/v1', models: [{ name: 'qwen3-32b' }] },
+    });
+    process.env.AI_GATEWAY = 'openrouter';
+    process.env.VLLM_A_CLASS_FALLBACKS = 'qwen3-32b>vllm-b:qwen3-32b';
+
+    expect(resolveProviderConfig('vllm-a')).toMatchObject({ providerClass: 'openai-compatible', backend: 'native' });
+    expect(resolveProviderScope('VLLM-A')).toBe('vllm-a');
+    expect(resolveProviderScope('OpenAI')).toBe('openai');
+    // Same model on the other server is a distinct substitute
+    expect(resolveFallbackChain('vllm-a', 'qwen3-32b')).toEqual([{ provider: 'vllm-b', model: 'qwen3-32b' }]);
+    expect(() => resolveProviderClass('vllm-c')).toThrow('Unknown provider: vllm-c');
+    delete process.env.AI_GATEWAY;
+  });
+});
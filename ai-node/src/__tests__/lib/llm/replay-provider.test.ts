@@ -0,0 +1,87 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ReplayProvider, fixturePath, fixtureMode } from '../../../lib/llm/replay-provider';
+import { LLMProvider } from '../../../lib/llm/llm-provider-interface';
+import { scoreResponseSchema } from '../../../lib/llm/structured-output';
+
+const liveProvider = (): jest.Mocked<LLMProvider> => ({
+  initialize: jest.fn().mockResolvedValue(undefined),
+  getModels: jest.fn().mockResolvedValue([{ name: 'gpt-4o', supportsImages: true, supportsAttachments: true }]),
+  generateResponse: jest.fn().mockImplementation(async (prompt, model, options) => {
+    options?.onUsage?.({ inputTokens: 40, outputTokens: 9 });
+    return `live answer to ${prompt}`;
+  }),
+  generateResponseWithImage: jest.fn().mockResolvedValue('live image answer'),
+  generateResponseWithAttachments: jest.fn().mockResolvedValue('live attachment answer'),
+  supportsImages: jest.fn().mockReturnValue(true),
+  supportsAttachments: jest.fn().mockReturnValue(true),
+  supportsStructuredOutput: jest.fn().mockReturnValue(true),
+});
+
+describe('ReplayProvider', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.LLM_FIXTURES;
+  });
+
+  test('records live answers with their usage, then replays them without calling the provider', async () => {
+    const live = liveProvider();
+    const recorder = new ReplayProvider(live, 'OpenAI', 'record', dir);
+    await recorder.initialize();
+    const recordedUsage = jest.fn();
+    expect(await recorder.generateResponse('Rank A and B', 'gpt-4o', { onUsage: recordedUsage })).toBe('live answer to Rank A and B');
+    expect(recordedUsage).toHaveBeenCalledWith({ inputTokens: 40, outputTokens: 9 });
+
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, fixturePath('gpt-4o', 'Rank A and B')), 'utf8'));
+    expect(fixture).toMatchObject({ provider: 'OpenAI', model: 'gpt-4o', prompt: 'Rank A and B', usage: { inputTokens: 40, outputTokens: 9 } });
+
+    const offline = liveProvider();
+    const replayer = new ReplayProvider(offline, 'OpenAI', 'replay', dir);
+    await replayer.initialize();
+    const replayedUsage = jest.fn();
+    const onToken = jest.fn();
+    expect(await replayer.generateResponse('Rank A and B', 'gpt-4o', { onUsage: replayedUsage, onToken })).toBe('live answer to Rank A and B');
+    expect(replayedUsage).toHaveBeenCalledWith({ inputTokens: 40, outputTokens: 9 });
+    expect(onToken).toHaveBeenCalledWith('live answer to Rank A and B');
+    expect(offline.initialize).not.toHaveBeenCalled();
+    expect(offline.generateResponse).not.toHaveBeenCalled();
+    // Capabilities still come from the wrapped provider
+    expect(replayer.supportsStructuredOutput('gpt-4o')).toBe(true);
+  });
+
+  test('keys fixtures by model, prompt, attachment content and schema', async () => {
+    const replayer = new ReplayProvider(liveProvider(), 'OpenAI', 'replay', dir);
+    const attachment = [{ type: 'image', content: 'aGVsbG8=', mediaType: 'image/png' }];
+
+    const keys = [
+      fixturePath('gpt-4o', 'prompt'),
+      fixturePath('gpt-4o-mini', 'prompt'),
+      fixturePath('gpt-4o', 'prompt 2'),
+      fixturePath('gpt-4o', 'prompt', attachment),
+      fixturePath('gpt-4o', 'prompt', [{ ...attachment[0], content: 'b3RoZXI=' }]),
+      fixturePath('gpt-4o', 'prompt', undefined, scoreResponseSchema(2).name),
+    ];
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(fixturePath('deepseek-ai/DeepSeek-R1', 'prompt')).toMatch(/^deepseek-ai_DeepSeek-R1[/\\][0-9a-f]{16}\.json$/);
+
+    await expect(replayer.generateResponseWithAttachments('prompt', 'gpt-4o', attachment))
+      .rejects.toThrow('[Replay] No recorded fixture for OpenAI:gpt-4o');
+  });
+
+  test('LLM_FIXTURES selects the mode', () => {
+    expect(fixtureMode()).toBeNull();
+    process.env.LLM_FIXTURES = 'Replay';
+    expect(fixtureMode()).toBe('replay');
+    process.env.LLM_FIXTURES = 'sometimes';
+    expect(fixtureMode()).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+import { retryWithBackoff, retryAfterMs, backoffDelay, providerHttpError, extractProviderErrorDetails, isProviderError, RetryOptions } from '../../../lib/llm/retry';
+
+const httpError = (status: number, headers?: Record<string, string>) =>
+  Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+const classify = (error: any) =>
+  error.status === 429 ? 'rate_limit' : error.status >= 500 ? 'provider_error' : 'authentication';
+
+describe('retryWithBackoff', () => {
+  const options = (overrides: Partial<RetryOptions> = {}): RetryOptions => ({
+    maxRetries: 2,
+    baseDelayMs: 1,
+    maxDelayMs: 5,
+    deadline: Date.now() + 10000,
+    classify,
+    ...overrides,
+  });
+
+  test('retries retryable failures until the call succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(429))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValue('ok');
+    const onRetry = jest.fn();
+
+    await expect(retryWithBackoff(fn, options({ onRetry }))).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(fn.mock.calls.map(call => call[0])).toEqual([0, 1, 2]);
+    expect(onRetry.mock.calls.map(call => call[0].errorType)).toEqual(['rate_limit', 'provider_error']);
+  });
+
+  test('throws fatal errors without retrying', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(401));
+    await expect(retryWithBackoff(fn, options())).rejects.toThrow('HTTP 401');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after maxRetries', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(503));
+    await expect(retryWithBackoff(fn, options({ maxRetries: 1 }))).rejects.toThrow('HTTP 503');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('waits for Retry-After, but not past the deadline', async () => {
+    const onRetry = jest.fn();
+    const quick = jest.fn().mockRejectedValueOnce(httpError(429, { 'retry-after': '0' })).mockResolvedValue('ok');
+    await expect(retryWithBackoff(quick, options({ onRetry }))).resolves.toBe('ok');
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ delayMs: 0 }));
+
+    const slow = jest.fn().mockRejectedValue(httpError(429, { 'retry-after': '60' }));
+    await expect(retryWithBackoff(slow, options({ deadline: Date.now() + 1000 }))).rejects.toThrow('HTTP 429');
+    expect(slow).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('retryAfterMs', () => {
+  test('reads seconds, HTTP dates and retry-after-ms from the error or its response', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    expect(retryAfterMs({ headers: { 'Retry-After': '3' } }, now)).toBe(3000);
+    expect(retryAfterMs({ headers: { 'retry-after': 'Wed, 01 Jan 2025 00:00:05 GMT' } }, now)).toBe(5000);
+    expect(retryAfterMs({ headers: new Headers({ 'retry-after-ms': '250', 'retry-after': '1' }) }, now)).toBe(250);
+    expect(retryAfterMs({ response: { headers: new Headers({ 'retry-after': '2' }) } }, now)).toBe(2000);
+    expect(retryAfterMs(new Error('boom'), now)).toBeNull();
+  });
+});
+
+describe('backoffDelay', () => {
+  test('stays under the exponential ceiling and the cap', () => {
+    for (let attempt = 1; attempt <= 6; attempt++) {
+      const delay = backoffDelay(attempt, 1000, 8000);
+      expect(delay).toBeGreaterThanOrEqual(0);
+      expect(delay).toBeLessThanOrEqual(Math.min(8000, 1000 * 2 ** (attempt - 1)));
+    }
+  });
+});
+
+describe('providerHttpError', () => {
+  test('keeps the status and Retry-After of a fetch response', () => {
+    const response = { status: 429, headers: new Headers({ 'retry-after': '7' }) } as Response;
+    const error: any = providerHttpError('[xAI]', response, 'slow down');
+    expect(error.message).toBe('[xAI] HTTP 429: slow down');
+    expect(error.status).toBe(429);
+    expect(retryAfterMs(error)).toBe(7000);
+  });
+});
+
+describe('extractProviderErrorDetails', () => {
+  test('reports model_not_found only for a provider 404 or error code', () => {
+    expect(extractProviderErrorDetails(new Error('[OpenRouter] HTTP 404: no endpoints')).errorType).toBe('model_not_found');
+    expect(extractProviderErrorDetails({ message: 'The model does not exist', code: 'model_not_found' }).errorType).toBe('model_not_found');
+
+    const missingFile = Object.assign(new Error("ENOENT: no such file or directory, open 'evidence.pdf' (attachment not found)"), { code: 'ENOENT' });
+    expect(extractProviderErrorDetails(missingFile).errorType).toBe('unknown');
+    expect(isProviderError(missingFile)).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+import {
+  streamingFields,
+  readServerSentEvents,
+  collectChatCompletionChunks,
+  readChatCompletion,
+  streamChatModel,
+} from '../../../lib/llm/streaming';
+
+// A fetch Response whose body arrives in the given pieces (the jsdom
+// environment's Response polyfill has no body stream)
+const sseResponse = (pieces: string[]) => {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      pieces.forEach(piece => controller.enqueue(encoder.encode(piece)));
+      controller.close();
+    },
+  });
+  return { body } as unknown as Response;
+};
+
+const chunk = (content: string, extra: Record<string, unknown> = {}) =>
+  `data: ${JSON.stringify({ choices: [{ delta: { content } }], ...extra })}\n\n`;
+
+async function collect<T>(items: AsyncIterable<T>): Promise<T[]> {
+  const all: T[] = [];
+  for await (const item of items) all.push(item);
+  return all;
+}
+
+describe('streamingFields', () => {
+  test('asks for a stream with usage only when there is an onToken', () => {
+    expect(streamingFields()).toEqual({ stream: false });
+    expect(streamingFields({ onToken: () => {} })).toEqual({ stream: true, stream_options: { include_usage: true } });
+  });
+});
+
+describe('readServerSentEvents', () => {
+  test('parses data lines split across reads, skipping comments, up to [DONE]', async () => {
+    const body = chunk('{"score": [6') + ': OPENROUTER PROCESSING\n\n' + chunk('00000, 400000]') + 'data: [DONE]\n\n' + chunk('ignored');
+    const response = sseResponse([body.slice(0, 25), body.slice(25, 70), body.slice(70)]);
+
+    const events = await collect(readServerSentEvents(response));
+    expect(events.map(e => e.choices[0].delta.content)).toEqual(['{"score": [6', '00000, 400000]']);
+  });
+
+  test('throws an error sent mid-stream', async () => {
+    const response = sseResponse([chunk('{"sc'), 'data: {"error": {"code": 502, "message": "upstream died"}}\n\n']);
+    await expect(collect(readServerSentEvents(response))).rejects.toMatchObject({
+      message: 'Stream error: upstream died',
+      status: 502,
+    });
+  });
+});
+
+describe('collectChatCompletionChunks', () => {
+  test('folds deltas into a completion body, passing each to onToken', async () => {
+    const onToken = jest.fn();
+    const chunks = [
+      { model: 'grok-4', choices: [{ delta: { role: 'assistant' } }] },
+      { choices: [{ delta: { content: 'Hello' } }] },
+      { choices: [{ delta: { content: ' world' }, finish_reason: 'stop' }] },
+      { choices: [], usage: { prompt_tokens: 10, completion_tokens: 2 } },
+    ];
+    async function* stream() { yield* chunks; }
+
+    const body = await collectChatCompletionChunks(stream(), onToken);
+    expect(onToken.mock.calls.map(call => call[0])).toEqual(['Hello', ' world']);
+    expect(body).toEqual({
+      model: 'grok-4',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Hello world' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 10, completion_tokens: 2 },
+    });
+  });
+});
+
+describe('readChatCompletion', () => {
+  test('reads JSON without onToken and the stream with it', async () => {
+    const json = { choices: [{ message: { content: 'hi' } }] };
+    await expect(readChatCompletion(new Response(JSON.stringify(json)))).resolves.toEqual(json);
+
+    const streamed = await readChatCompletion(sseResponse([chunk('h'), chunk('i'), 'data: [DONE]\n\n']), { onToken: () => {} });
+    expect(streamed.choices[0].message.content).toBe('hi');
+  });
+});
+
+describe('streamChatModel', () => {
+  test('flattens text from string and content-block chunks, leaving out thinking', async () => {
+    const chunks = [
+      { content: [{ index: 0, type: 'thinking', thinking: 'hmm' }] },
+      { content: [{ index: 1, type: 'text', text: '{"score": ' }] },
+      { content: '[1, 0]}', usage_metadata: { input_tokens: 5, output_tokens: 3 } },
+    ].map(c => ({ ...c, concat(other: any) { return { ...this, ...other, concat: this.concat }; } }));
+    const chatModel = { stream: async () => (async function* () { yield* chunks; })() };
+    const onToken = jest.fn();
+
+    const message = await streamChatModel(chatModel, 'prompt', onToken);
+    expect(onToken.mock.calls.map(call => call[0])).toEqual(['{"score": ', '[1, 0]}']);
+    expect(message.content).toBe('{"score": [1, 0]}');
+    expect(message.usage_metadata).toEqual({ input_tokens: 5, output_tokens: 3 });
+  });
+});
@@ -0,0 +1,31 @@
+import { extractUsage, captureUsage } from '../../../lib/llm/usage';
+
+describe('extractUsage', () => {
+  test('reads each provider response shape', () => {
+    const expected = { inputTokens: 12, outputTokens: 34 };
+    expect(extractUsage({ usage_metadata: { input_tokens: 12, output_tokens: 34, total_tokens: 46 } })).toEqual(expected);
+    expect(extractUsage({ response_metadata: { tokenUsage: { promptTokens: 12, completionTokens: 34 } } })).toEqual(expected);
+    expect(extractUsage({ usage: { prompt_tokens: 12, completion_tokens: 34 } })).toEqual(expected);
+    expect(extractUsage({ usage: { input_tokens: 12, output_tokens: 34 } })).toEqual(expected);
+    expect(extractUsage({ done: true, prompt_eval_count: 12, eval_count: 34 })).toEqual(expected);
+    expect(extractUsage({ usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 30, thoughtsTokenCount: 4 } })).toEqual(expected);
+  });
+
+  test('returns null without usage', () => {
+    expect(extractUsage({ content: 'hi' })).toBeNull();
+    expect(extractUsage('hi')).toBeNull();
+    expect(extractUsage({ usage: { prompt_tokens: 12 } })).toBeNull();
+  });
+});
+
+describe('captureUsage', () => {
+  test('keeps the options and records the last report', () => {
+    const captured = captureUsage({ verbosity: 'low' });
+    expect(captured.options.verbosity).toBe('low');
+    expect(captured.reported()).toBeNull();
+
+    captured.options.onUsage!({ inputTokens: 1, outputTokens: 2 });
+    captured.options.onUsage!({ inputTokens: 3, outputTokens: 4 });
+    expect(captured.reported()).toEqual({ inputTokens: 3, outputTokens: 4 });
+  });
+});
@@ -19,6 +19,7 @@ jest.mock('../../../config/models', () => ({
 }));
 
 import { modelConfig } from '../../../config/models';
+import { scoreResponseSchema } from '../../../lib/llm/structured-output';
 
 describe('XAIProvider', () => {
   let provider: XAIProvider;
@@ -147,6 +148,64 @@ describe('XAIProvider', () => {
       );
     });
 
+    test('reports token usage through onUsage', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          choices: [{ message: { content: 'Mocked xAI response' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 15, completion_tokens: 10, total_tokens: 25 }
+        })
+      });
+      const onUsage = jest.fn();
+
+      await provider.generateResponse('Test prompt', 'grok-4-fast-reasoning', { onUsage });
+
+      expect(onUsage).toHaveBeenCalledWith({ inputTokens: 15, outputTokens: 10 });
+    });
+
+    test('streams through onToken, reporting usage from the last chunk', async () => {
+      const events = [
+        { choices: [{ delta: { content: '{"score": [1000000, 0], ' } }] },
+        { choices: [{ delta: { content: '"justification": "ok"}' }, finish_reason: 'stop' }] },
+        { choices: [], usage: { prompt_tokens: 12, completion_tokens: 8 } },
+      ];
+      const encoder = new TextEncoder();
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        body: new ReadableStream({
+          start(controller) {
+            events.forEach(e => controller.enqueue(encoder.encode(`data: ${JSON.stringify(e)}\n\n`)));
+            controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+            controller.close();
+          }
+        })
+      });
+      const onToken = jest.fn();
+      const onUsage = jest.fn();
+
+      const result = await provider.generateResponse('Test prompt', 'grok-4-fast-reasoning', { onToken, onUsage });
+
+      expect(result).toBe('{"score": [1000000, 0], "justification": "ok"}');
+      expect(onToken).toHaveBeenCalledTimes(2);
+      expect(onUsage).toHaveBeenCalledWith({ inputTokens: 12, outputTokens: 8 });
+      const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+      expect(body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    });
+
+    test('sends response_format when a response schema is given', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          choices: [{ message: { content: '{"score":[1000000,0],"justification":"ok"}' }, finish_reason: 'stop' }]
+        })
+      });
+
+      await provider.generateResponse('Test prompt', 'grok-4-fast-reasoning', { responseSchema: scoreResponseSchema(2) });
+
+      const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+      expect(body.response_format).toMatchObject({ type: 'json_schema', json_schema: { name: 'verdikta_scores', strict: true } });
+    });
+
     test('throws error when API key is not configured', async () => {
       delete process.env.XAI_API_KEY;
       delete process.env.GROK_API_KEY;
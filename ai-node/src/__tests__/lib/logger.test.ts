@@ -0,0 +1,90 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createLogger,
+  flushLogs,
+  runWithLogContext,
+  logContextFromHeaders,
+  RotatingFileSink,
+} from '../../lib/logger';
+
+describe('logger', () => {
+  let dir: string;
+  let file: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-logs-'));
+    file = path.join(dir, 'ai-node.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readRecords = (f = file) => fs.readFileSync(f, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  test('writes JSON records with fields and serialized errors', async () => {
+    const logger = createLogger({ file, console: false });
+    logger.info('MODEL_SUCCESS', { provider: 'OpenAI', model: 'gpt-4o' });
+    logger.error('Provider error', new Error('429 rate limit'));
+    logger.warn('Skipped attachments', ['too large']);
+    await flushLogs();
+
+    const [success, failure, skipped] = readRecords();
+    expect(success).toMatchObject({ level: 'info', msg: 'MODEL_SUCCESS', provider: 'OpenAI', model: 'gpt-4o' });
+    expect(typeof success.time).toBe('string');
+    expect(failure.error).toMatchObject({ name: 'Error', message: '429 rate limit' });
+    expect(skipped.data).toEqual(['too large']);
+  });
+
+  test('drops records below the configured level', async () => {
+    const logger = createLogger({ file, console: false, level: 'warn' });
+    logger.debug('noise');
+    logger.info('noise');
+    logger.warn('kept');
+    await flushLogs();
+
+    expect(readRecords().map(r => r.msg)).toEqual(['kept']);
+  });
+
+  test('tags records with the adapter correlation headers', async () => {
+    const logger = createLogger({ file, console: false });
+    const headers = new Headers({ 'X-Verdikta-Job-Run-Id': 'job-7', 'X-Verdikta-Agg-Id': '0xabc' });
+
+    await runWithLogContext(logContextFromHeaders(headers), async () => {
+      await Promise.resolve();
+      logger.info('inside request');
+    });
+    logger.info('outside request');
+    await flushLogs();
+
+    const [inside, outside] = readRecords();
+    expect(inside).toMatchObject({ jobRunID: 'job-7', aggId: '0xabc' });
+    expect(outside.jobRunID).toBeUndefined();
+  });
+
+  test('child loggers add their bindings', async () => {
+    const logger = createLogger({ file, console: false }).child({ component: 'justifier' });
+    logger.info('ready');
+    await flushLogs();
+
+    expect(readRecords()[0]).toMatchObject({ component: 'justifier', msg: 'ready' });
+  });
+
+  test('rotates the file once it would exceed maxBytes', async () => {
+    const sink = new RotatingFileSink(file, 100, 2);
+    for (let i = 0; i < 5; i++) {
+      sink.write(`${JSON.stringify({ i, pad: 'x'.repeat(60) })}\n`);
+      await sink.flush();
+    }
+
+    expect(readRecords().map(r => r.i)).toEqual([4]);
+    expect(readRecords(`${file}.1`).map(r => r.i)).toEqual([3]);
+    expect(readRecords(`${file}.2`).map(r => r.i)).toEqual([2]);
+    expect(fs.existsSync(`${file}.3`)).toBe(false);
+  });
+});
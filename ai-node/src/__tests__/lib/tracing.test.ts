@@ -0,0 +1,60 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initTracing, shutdownTracing, withSpan, incomingContext, context, SpanStatusCode } from '../../lib/tracing';
+
+describe('tracing', () => {
+  let dir: string;
+  let file: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-traces-'));
+    file = path.join(dir, 'traces.jsonl');
+  });
+
+  afterEach(async () => {
+    await shutdownTracing();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readSpans = () => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  test('is a no-op when no exporter is configured', async () => {
+    expect(initTracing({ exporter: 'none', file, serviceName: 'ai' })).toBe(false);
+    await expect(withSpan('rank_and_justify', {}, async () => 42)).resolves.toBe(42);
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  test('continues the trace from an incoming traceparent header', async () => {
+    initTracing({ exporter: 'file', file, serviceName: 'ai-test' });
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const parentSpanId = '00f067aa0ba902b7';
+    const headers = new Headers({ traceparent: `00-${traceId}-${parentSpanId}-01` });
+
+    await context.with(incomingContext(headers), () =>
+      withSpan('rank_and_justify', {}, () =>
+        withSpan('model.evaluate', { 'llm.provider': 'OpenAI', 'llm.model': 'gpt-4o' }, async () => 'done')));
+    await shutdownTracing();
+
+    const spans = readSpans();
+    const root = spans.find(s => s.name === 'rank_and_justify');
+    const model = spans.find(s => s.name === 'model.evaluate');
+    expect(root).toMatchObject({ traceId, parentSpanId, service: 'ai-test' });
+    expect(model).toMatchObject({ traceId, parentSpanId: root.spanId, attributes: { 'llm.model': 'gpt-4o' } });
+  });
+
+  test('records failures on the span and re-throws', async () => {
+    initTracing({ exporter: 'file', file, serviceName: 'ai-test' });
+
+    await expect(withSpan('llm.generate', {}, async () => {
+      throw new Error('429 rate limit');
+    })).rejects.toThrow('429 rate limit');
+    await shutdownTracing();
+
+    const [span] = readSpans();
+    expect(span.status).toEqual({ code: SpanStatusCode.ERROR, message: '429 rate limit' });
+  });
+});
@@ -0,0 +1,106 @@
+import { normalizeScore, buildCorrectionPrompt } from '../../utils/scoreNormalizer';
+import { extractModelResponse, parseModelResponse, salvagePartialResponse } from '../../utils/parseModelResponse';
+
+describe('scoreNormalizer', () => {
+  const outcomes = ['Approve', 'Reject'];
+  const kinds = (result: ReturnType<typeof normalizeScore>) => result.repairs.map(r => r.kind);
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads probabilities and percentages', () => {
+    const probabilities = normalizeScore([0.7, 0.3], outcomes);
+    expect(probabilities.decisionVector).toEqual([700000, 300000]);
+    expect(kinds(probabilities)).toEqual(['probability_scale']);
+
+    const percentages = normalizeScore(['65%', '35%'], outcomes);
+    expect(percentages.decisionVector).toEqual([650000, 350000]);
+    expect(kinds(percentages)).toEqual(['numeric_strings', 'percent_scale']);
+
+    expect(normalizeScore([60, 40], outcomes).decisionVector).toEqual([600000, 400000]);
+  });
+
+  test('rounds and rescales vectors close to 1,000,000', () => {
+    const result = normalizeScore([333333.3, 333333.3, 333333.3]);
+    expect(result.decisionVector).toEqual([333334, 333333, 333333]);
+    expect(kinds(result)).toEqual(['rounded', 'rescaled']);
+  });
+
+  test('maps label-keyed objects onto the outcome order', () => {
+    const result = normalizeScore({ reject: 200000, ' Approve ': 800000 }, outcomes);
+    expect(result.decisionVector).toEqual([800000, 200000]);
+    expect(kinds(result)).toEqual(['label_keyed']);
+
+    expect(normalizeScore({ Maybe: 1000000 }, outcomes).problem).toMatch('does not match any outcome');
+    expect(normalizeScore({ Approve: 1000000 }).problem).toMatch('no outcome labels');
+  });
+
+  test('trims trailing zeros but not missing outcomes', () => {
+    const padded = normalizeScore([600000, 400000, 0], outcomes);
+    expect(padded.decisionVector).toEqual([600000, 400000]);
+    expect(kinds(padded)).toEqual(['trailing_zeros_trimmed']);
+
+    expect(normalizeScore([1000000], outcomes)).toMatchObject({
+      decisionVector: null,
+      problem: 'score has 1 entries but there are 2 outcomes'
+    });
+  });
+
+  test('leaves ambiguous vectors for a re-prompt', () => {
+    expect(normalizeScore([1200000, -200000], outcomes).problem).toMatch('negative numbers');
+    expect(normalizeScore([500, 300], outcomes).problem).toBe('scores sum to 800, expected 1,000,000');
+    expect(normalizeScore(['high', 'low'], outcomes).problem).toMatch('non-numeric');
+    expect(normalizeScore([0, 0], outcomes).problem).toBe('all scores are zero');
+  });
+
+  test('repairs what parseModelResponse rejects', () => {
+    const response = '```json\n{"score": [0.55, 0.45], "justification": "Mostly meets the criteria."}\n```';
+    expect(parseModelResponse(response, outcomes).decisionVector).toBeNull();
+
+    const extracted = extractModelResponse(response);
+    expect(extracted?.justification).toBe('Mostly meets the criteria.');
+    expect(normalizeScore(extracted?.score, outcomes).decisionVector).toEqual([550000, 450000]);
+  });
+
+  test('correction prompt names the problem and the outcome order', () => {
+    const prompt = buildCorrectionPrompt('scores sum to 800, expected 1,000,000', '{"score": [500, 300]}', outcomes);
+    expect(prompt).toContain('scores sum to 800, expected 1,000,000');
+    expect(prompt).toContain('{"score": [500, 300]}');
+    expect(prompt).toContain('1. Approve\n2. Reject');
+    expect(prompt).toContain('exactly 2 non-negative');
+  });
+});
+
+describe('salvagePartialResponse', () => {
+  const outcomes = ['Approve', 'Reject'];
+
+  test('keeps a complete score array and the justification written so far', () => {
+    const partial = '{"score": [0.7, 0.3], "justification": "The work meets \\"most\\" of the crit';
+    expect(salvagePartialResponse(partial, outcomes)).toEqual({
+      decisionVector: [700000, 300000],
+      justification: 'The work meets "most" of the crit',
+    });
+  });
+
+  test('needs the score array closed and valid', () => {
+    expect(salvagePartialResponse('{"score": [600000, 40', outcomes)).toBeNull();
+    expect(salvagePartialResponse('{"score": [600000], "justification": "x"', outcomes)).toBeNull();
+    expect(salvagePartialResponse('', outcomes)).toBeNull();
+  });
+
+  test('ignores scores inside thinking blocks, closed or not', () => {
+    expect(salvagePartialResponse('<think>maybe "score": [500000, 500000]', outcomes)).toBeNull();
+    expect(salvagePartialResponse('<think>"score": [1, 0]</think>{"score": [0, 1000000], "justification": "No', outcomes))
+      .toEqual({ decisionVector: [0, 1000000], justification: 'No' });
+  });
+
+  test('drops an escape cut in half', () => {
+    expect(salvagePartialResponse('{"score": [1000000, 0], "justification": "Caf\\u00', outcomes)?.justification).toBe('Caf');
+  });
+});
@@ -1,11 +1,12 @@
 import { NextResponse } from 'next/server';
 import { LLMFactory } from '../../../lib/llm/llm-factory';
+import { getOpenAICompatibleEndpoints } from '../../../config/openai-compatible';
 import { fileToBase64 } from '../../../utils/fileUtils';
 import { processAttachments, convertToLLMFormat, logAttachmentSummary } from '../../../utils/attachment-processor'; 
 
 
-// Define the list of supported LLM providers
-const PROVIDERS = ['Open-source', 'OpenAI', 'Anthropic', 'xAI', 'Hyperbolic'];
+// Define the list of supported LLM providers (plus the endpoints of OPENAI_COMPATIBLE_ENDPOINTS)
+const PROVIDERS = ['Open-source', 'OpenAI', 'Anthropic', 'xAI', 'Gemini', 'Hyperbolic'];
 
 /**
  * GET handler for /api/generate
@@ -17,7 +18,7 @@ export async function GET() {
     console.log('GET request received for /api/generate');
     
     const providerModels = await Promise.all(
-      PROVIDERS.map(async (provider) => {
+      [...PROVIDERS, ...Object.values(getOpenAICompatibleEndpoints()).map(endpoint => endpoint.name)].map(async (provider) => {
         try {
           console.log(`Fetching models for provider: ${provider}`);
           const llmProvider = await LLMFactory.getProvider(provider);
@@ -1,8 +1,13 @@
 import { NextResponse } from 'next/server';
 import { resolveProviderConfig } from '../../../lib/llm/provider-config';
+import { getBudgetGuard } from '../../../lib/llm/budget';
+import { getOpenAICompatibleEndpoints } from '../../../config/openai-compatible';
 
 function buildGatewayStatus() {
-  const classes = ['openai', 'anthropic', 'xai', 'hyperbolic', 'ollama'];
+  const classes = [
+    'openai', 'anthropic', 'xai', 'gemini', 'hyperbolic', 'ollama',
+    ...Object.values(getOpenAICompatibleEndpoints()).map(endpoint => endpoint.name),
+  ];
 
   const routing = classes.map((providerClass) => {
     const resolution = resolveProviderConfig(providerClass);
@@ -22,8 +27,10 @@ function buildGatewayStatus() {
 }
 
 export async function GET() {
+  const budgets = getBudgetGuard().status();
   return NextResponse.json({
-    status: 'ok',
+    // Degraded while a provider or model is rejecting calls
+    status: budgets.some(b => b.breaker === 'open' || b.budget_exhausted) ? 'degraded' : 'ok',
     timestamp: new Date().toISOString(),
     service: 'ai-evaluation-service',
     version: process.env.npm_package_version || '1.0.0',
@@ -31,5 +38,6 @@ export async function GET() {
       'rank-and-justify': '/api/rank-and-justify',
     },
     ai_gateway: buildGatewayStatus(),
+    llm_budgets: budgets,
   });
 }
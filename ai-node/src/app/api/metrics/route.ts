@@ -0,0 +1,11 @@
+import { register } from '../../../lib/metrics';
+
+// Metrics must be read per scrape, never served from a build-time render.
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  return new Response(await register.metrics(), {
+    status: 200,
+    headers: { 'Content-Type': register.contentType },
+  });
+}
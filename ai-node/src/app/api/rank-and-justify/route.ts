@@ -2,10 +2,18 @@ import { NextResponse } from 'next/server';
 import { LLMFactory } from '../../../lib/llm/llm-factory';
 import { prePromptConfig } from '../../../config/prePromptConfig';
 import { postPromptConfig } from '../../../config/postPromptConfig';
-import { parseModelResponse } from '../../../utils/parseModelResponse';
+import { parseModelResponse, extractModelResponse, salvagePartialResponse } from '../../../utils/parseModelResponse';
+import { normalizeScore, buildCorrectionPrompt } from '../../../utils/scoreNormalizer';
 import { processAttachments, convertToLLMFormat, logAttachmentSummary } from '../../../utils/attachment-processor';
-import fs from 'fs';
-import path from 'path';
+import * as metrics from '../../../lib/metrics';
+import { GenerateOptions, TokenUsage } from '../../../lib/llm/llm-provider-interface';
+import { captureUsage } from '../../../lib/llm/usage';
+import { scoreResponseSchema } from '../../../lib/llm/structured-output';
+import { retryWithBackoff, extractProviderErrorDetails } from '../../../lib/llm/retry';
+import { withSpan, incomingContext, context, SpanKind, SpanStatusCode } from '../../../lib/tracing';
+import { logger, interactionLogger, runWithLogContext, logContextFromHeaders } from '../../../lib/logger';
+import { aggregateScores, resolveAggregation, AggregationConfig, AggregationInfo } from '../../../lib/aggregation';
+import { createCostLedger, JUSTIFIER_SLOT, EvaluationUsage, UsageTotals } from '../../../lib/cost';
 
 // Load the justifier model name from environment variables
 const JUSTIFIER_MODEL = process.env.JUSTIFIER_MODEL || 'default-justifier-model';
@@ -14,6 +22,14 @@ const [justifierProviderName, justifierModelName] = process.env.JUSTIFIER_MODEL?
 // Timeout configuration (optimized for 300s total budget)
 const MODEL_TIMEOUT_MS = parseInt(process.env.MODEL_TIMEOUT_MS || '120000'); // 120 seconds default
 const REQUEST_TIMEOUT_MS = parseInt(process.env.REQUEST_TIMEOUT_MS || '240000'); // 240 seconds default
+// Correction prompts sent to a model whose score vector cannot be repaired unambiguously
+const SCORE_REPAIR_REPROMPTS = parseInt(process.env.SCORE_REPAIR_REPROMPTS || '1');
+// "auto": JSON-schema output where the provider supports it; "off": free text for all
+const STRUCTURED_OUTPUT = process.env.STRUCTURED_OUTPUT || 'auto';
+// Retries of a single provider call on rate limits, overload and network errors (lib/llm/retry.ts)
+const MODEL_RETRY_MAX = parseInt(process.env.MODEL_RETRY_MAX || '2');
+const MODEL_RETRY_BASE_DELAY_MS = parseInt(process.env.MODEL_RETRY_BASE_DELAY_MS || '1000');
+const MODEL_RETRY_MAX_DELAY_MS = parseInt(process.env.MODEL_RETRY_MAX_DELAY_MS || '20000');
 
 interface ModelInput {
   provider: string;
@@ -28,6 +44,7 @@ interface RankAndJustifyInput {
   models: ModelInput[];
   iterations?: number;
   attachments?: string[];
+  aggregation?: string | AggregationConfig;  // Score aggregation strategy (lib/aggregation.ts)
 }
 
 interface ScoreOutcome {
@@ -46,9 +63,10 @@ interface RankAndJustifyOutput {
 }
 
 interface LLMProvider {
-  generateResponse: (prompt: string, model: string, options?: any) => Promise<string>;
-  generateResponseWithAttachments?: (prompt: string, model: string, attachments: any[], options?: any) => Promise<string>;
+  generateResponse: (prompt: string, model: string, options?: GenerateOptions) => Promise<string>;
+  generateResponseWithAttachments?: (prompt: string, model: string, attachments: any[], options?: GenerateOptions) => Promise<string>;
   supportsAttachments: (model: string) => boolean;
+  supportsStructuredOutput?: (model: string) => boolean;
 }
 
 // Enhanced error reporting structures
@@ -58,19 +76,38 @@ interface EvaluationMetadata {
   models_failed: number;
   success_threshold_met: boolean;
   total_duration_ms?: number;
+  aggregation?: AggregationInfo;
+  usage?: EvaluationUsage;  // Tokens and cost of every call, justifier included (lib/cost.ts)
 }
 
 interface ModelResult {
   provider: string;
   model: string;
-  status: 'success' | 'failed' | 'timeout' | 'parsing_error';
+  status: 'success' | 'failed' | 'timeout' | 'timeout_salvaged' | 'parsing_error';
   duration_ms: number;
   error_type?: string;
   error_message?: string;
   error_code?: string;
   http_status?: number;
+  output_mode?: 'structured' | 'text';  // JSON-schema constrained output vs free-text parsing
+  fallback?: { provider: string; model: string };  // Substitute that filled this slot (MODEL_FALLBACKS)
+  usage?: UsageTotals;  // This slot's calls across all iterations
 }
 
+// What a jury slot has produced so far, kept up to date by
+// processModelForIteration so a slot that runs out of time can be salvaged
+interface ModelProgress {
+  target?: ModelInput;        // The model answering (a fallback, once substituted)
+  outputs: number[][];        // Score vectors of the completed calls
+  justifications: string[];
+  partial: string;            // Streamed text of the call in flight
+  warnings: Warning[];
+  outputMode?: 'structured' | 'text';
+}
+
+// Records one provider call's token usage (null: estimate from the text)
+type UsageRecorder = (provider: string, model: string, usage: TokenUsage | null, text: { prompt: string; response: string }) => void;
+
 interface Warning {
   type: string;
   message: string;
@@ -79,27 +116,10 @@ interface Warning {
   details?: any;
 }
 
-function logInteraction(message: string) {
-  const timestamp = new Date().toISOString();
-  const logMessage = `[${timestamp}] ${message}\n`;
-  
-  // Log to console
-  console.log(logMessage);
-
-  // Log to file
-  const logDir = path.join(process.cwd(), 'logs');
-  const logFile = path.join(logDir, 'llm-interactions.log');
-
-  try {
-    // Create logs directory if it doesn't exist
-    if (!fs.existsSync(logDir)) {
-      fs.mkdirSync(logDir, { recursive: true });
-    }
-    
-    fs.appendFileSync(logFile, logMessage);
-  } catch (error) {
-    console.error('Error writing to log file:', error);
-  }
+// Full prompts and responses go to the interaction log only (lib/logger.ts)
+function logInteraction(direction: 'prompt' | 'response', target: string, text: string, fields: Record<string, unknown> = {}) {
+  const msg = direction === 'prompt' ? `Prompt to ${target}` : `Response from ${target}`;
+  interactionLogger.info(msg, { direction, target, text, ...fields });
 }
 
 function stripThinkingBlocks(response: string): string {
@@ -109,7 +129,7 @@ function stripThinkingBlocks(response: string): string {
   
   // Log if thinking blocks were found and removed
   if (cleaned !== response.trim()) {
-    console.log('Stripped <think> blocks from model response');
+    logger.info('Stripped <think> blocks from model response');
   }
   
   return cleaned;
@@ -117,14 +137,30 @@ function stripThinkingBlocks(response: string): string {
 
 
 export async function POST(request: Request) {
+  // Continue the adapter's trace (traceparent header) when there is one, and
+  // tag every log record with the adapter's jobRunID / aggId
+  return runWithLogContext(logContextFromHeaders(request.headers), () =>
+    context.with(incomingContext(request.headers), () =>
+      withSpan('rank_and_justify', {}, async span => {
+        const response = await handleRankAndJustify(request);
+        span.setAttribute('http.status_code', response.status);
+        if (response.status >= 400) {
+          span.setStatus({ code: SpanStatusCode.ERROR });
+        }
+        return response;
+      }, { kind: SpanKind.SERVER })
+    )
+  );
+}
+
+async function handleRankAndJustify(request: Request) {
   const requestStartTime = Date.now();
   const timingLog: { [key: string]: number } = {};
   
   function logTiming(operation: string, startTime: number, details?: any) {
     const duration = Date.now() - startTime;
     timingLog[operation] = duration;
-    const detailsStr = details ? ` | ${JSON.stringify(details)}` : '';
-    console.log(`⏱️ TIMING [${operation}]: ${duration}ms${detailsStr}`);
+    logger.info('TIMING', { operation, duration_ms: duration, ...(details && { details }) });
   }
 
   // Apply request-level timeout wrapper to ensure total response within budget
@@ -135,7 +171,7 @@ export async function POST(request: Request) {
     requestTimeoutId = setTimeout(() => {
       if (!requestCompleted) {
         const elapsed = Date.now() - requestStartTime;
-        console.error(`🚨 REQUEST_TIMEOUT: Request exceeded ${REQUEST_TIMEOUT_MS}ms limit (elapsed: ${elapsed}ms)`);
+        logger.error(`REQUEST_TIMEOUT: Request exceeded ${REQUEST_TIMEOUT_MS}ms limit (elapsed: ${elapsed}ms)`);
         requestCompleted = true;
         reject(new Error(`Request timeout: exceeded ${REQUEST_TIMEOUT_MS}ms limit`));
       }
@@ -144,11 +180,11 @@ export async function POST(request: Request) {
 
   const requestProcessingPromise = (async () => {
     try {
-    console.log('POST request received at /api/rank-and-justify');
+    logger.info('POST request received at /api/rank-and-justify');
     const parseStartTime = Date.now();
     const body: RankAndJustifyInput = await request.json();
     logTiming('request_parsing', parseStartTime);
-    console.log('Request body:', {
+    logger.info('Request body:', {
       prompt: body.prompt,
       models: body.models,
       hasAttachments: body.attachments?.length ?? 0 > 0,
@@ -163,21 +199,30 @@ export async function POST(request: Request) {
       );
     }
 
+    let aggregation: AggregationInfo;
+    try {
+      aggregation = resolveAggregation(body.aggregation);
+    } catch (error: any) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    logger.info('AGGREGATION_STRATEGY', aggregation);
+
     const prompt = body.prompt;
     const iterations = body.iterations || 1;
     const models = body.models;
     
     // Initialize warnings array early (used during attachment processing)
     const warnings: Warning[] = [];
+    const costLedger = createCostLedger();
 
     // Check native PDF support for each model
-    console.log('DEBUG: Checking native PDF support for each model:');
+    logger.debug('Checking native PDF support for each model:');
     body.models.forEach(modelInfo => {
       if (modelInfo.provider === 'OpenAI') {
         const supported = ['gpt-4o', 'gpt-4o-mini', 'o1', 'gpt-4.1', 'gpt-4.1-mini', 'gpt-5', 'gpt-5-mini'].some(supportedModel =>
           modelInfo.model.toLowerCase().includes(supportedModel.toLowerCase())
         );
-        console.log(`[OpenAI] Model: ${modelInfo.model}, Supported: ${supported}`);
+        logger.debug(`[OpenAI] Model: ${modelInfo.model}, Supported: ${supported}`);
       } else if (modelInfo.provider === 'Anthropic') {
         const pdfCapableModels = [
           'claude-opus-4', 'claude-sonnet-4', 'claude-4-sonnet', 'claude-4-opus',
@@ -185,12 +230,15 @@ export async function POST(request: Request) {
           'claude-sonnet-4-20250514'
         ];
         const supported = pdfCapableModels.some(supportedModel => modelInfo.model.includes(supportedModel));
-        console.log(`[Anthropic] Model: ${modelInfo.model}, Supported: ${supported}`);
+        logger.debug(`[Anthropic] Model: ${modelInfo.model}, Supported: ${supported}`);
       } else if (modelInfo.provider === 'xAI' || modelInfo.provider === 'xai') {
         // xAI Grok models support text attachments but not native PDF processing
-        console.log(`[xAI] Model: ${modelInfo.model}, Native PDF Supported: false (will use text extraction)`);
+        logger.debug(`[xAI] Model: ${modelInfo.model}, Native PDF Supported: false (will use text extraction)`);
+      } else if (['gemini', 'google'].includes(modelInfo.provider.toLowerCase())) {
+        // Gemini reads PDFs sent as inline data
+        logger.debug(`[Gemini] Model: ${modelInfo.model}, Supported: true`);
       } else {
-        console.log(`[Other] Provider: ${modelInfo.provider}, Model: ${modelInfo.model}, Supported: false`);
+        logger.debug(`[Other] Provider: ${modelInfo.provider}, Model: ${modelInfo.model}, Supported: false`);
       }
     });
 
@@ -209,18 +257,20 @@ export async function POST(request: Request) {
       } else if (modelInfo.provider === 'xAI' || modelInfo.provider === 'xai') {
         // xAI Grok models don't support native PDF - will use text extraction
         return false;
+      } else if (['gemini', 'google'].includes(modelInfo.provider.toLowerCase())) {
+        return true;
       }
       return false;
     });
 
-    console.log('DEBUG: allModelsSupportNativePDF:', allModelsSupportNativePDF);
+    logger.debug('allModelsSupportNativePDF:', allModelsSupportNativePDF);
 
     // Process attachments
     const attachmentStartTime = Date.now();
     let attachments: Array<{ type: string; content: string; mediaType: string }> = [];
     if (body.attachments?.length) {
       if (allModelsSupportNativePDF) {
-        console.log('All models support native PDF processing - passing attachments directly...');
+        logger.info('All models support native PDF processing - passing attachments directly...');
         // Convert base64 attachments to LLM format without text extraction
         attachments = body.attachments.map(attachment => {
           if (attachment.startsWith('data:')) {
@@ -240,15 +290,16 @@ export async function POST(request: Request) {
             };
           }
         });
-        console.log(`Prepared ${attachments.length} attachments for native processing:`, 
+        logger.info(`Prepared ${attachments.length} attachments for native processing:`, 
           attachments.map(att => ({ type: att.type, mediaType: att.mediaType, size: att.content.length }))
         );
         logTiming('attachment_native_processing', attachmentStartTime, { 
           count: attachments.length, 
           type: 'native' 
         });
+        metrics.observeAttachments('native', Date.now() - attachmentStartTime);
       } else {
-        console.log('Some models do not support native PDF processing - using text extraction...')
+        logger.info('Some models do not support native PDF processing - using text extraction...')
         
         try {
           const primaryModel = body.models?.[0];
@@ -264,7 +315,7 @@ export async function POST(request: Request) {
           logAttachmentSummary(processedAttachments);
           
           if (skippedCount > 0) {
-            console.warn(`Skipped ${skippedCount} attachment(s):`, skippedReasons);
+            logger.warn(`Skipped ${skippedCount} attachment(s):`, skippedReasons);
             // Add warnings for skipped attachments
             skippedReasons.forEach(reason => {
               warnings.push({
@@ -279,8 +330,9 @@ export async function POST(request: Request) {
             skipped: skippedCount,
             type: 'text_extraction' 
           });
+          metrics.observeAttachments('text_extraction', Date.now() - attachmentStartTime);
         } catch (error) {
-          console.error('Error processing attachments:', error);
+          logger.error('Error processing attachments:', error);
           // Continue without attachments rather than failing
           attachments = [];
           warnings.push({
@@ -292,6 +344,7 @@ export async function POST(request: Request) {
             error: error instanceof Error ? error.message : 'Unknown error',
             type: 'error' 
           });
+          metrics.observeAttachments('error', Date.now() - attachmentStartTime);
         }
       }
     } else {
@@ -318,7 +371,7 @@ export async function POST(request: Request) {
       );
     }
 
-    console.log('Starting model invocations');
+    logger.info('Starting model invocations');
 
     let finalAggregatedScore: number[] = [];
     let finalJustification: string = '';
@@ -327,7 +380,7 @@ export async function POST(request: Request) {
     // Model Invocation
     for (let i = 0; i < iterations; i++) {
       const iterationStartTime = Date.now();
-      console.log(`Starting iteration ${i + 1}`);
+      logger.info(`Starting iteration ${i + 1}`);
       
       const iterationOutputs: number[][] = [];
       const iterationWeights: number[] = [];
@@ -343,11 +396,11 @@ export async function POST(request: Request) {
 
       // Process all models in parallel for this iteration
       try {
-        console.log(`🚀 PARALLEL_START: Starting ${models.length} models in parallel for iteration ${i + 1}`);
+        logger.info(`PARALLEL_START: Starting ${models.length} models in parallel for iteration ${i + 1}`);
         const parallelStartTime = Date.now();
         
         const modelPromises = models.map((modelInfo, modelIndex) => {
-          console.log(`📋 PARALLEL_QUEUE: Model ${modelIndex + 1}/${models.length}: ${modelInfo.provider}-${modelInfo.model} (weight: ${modelInfo.weight}, count: ${modelInfo.count || 1})`);
+          logger.info(`PARALLEL_QUEUE: Model ${modelIndex + 1}/${models.length}: ${modelInfo.provider}-${modelInfo.model} (weight: ${modelInfo.weight}, count: ${modelInfo.count || 1})`);
           
           // Apply model-level timeout wrapper with proper cleanup to prevent memory leaks
           return new Promise((resolve, reject) => {
@@ -362,26 +415,60 @@ export async function POST(request: Request) {
               completed = true;
             };
             
+            // A timed-out slot keeps whatever complete scores it streamed
+            const slotStartTime = Date.now();
+            const progress: ModelProgress = { outputs: [], justifications: [], partial: '', warnings: [] };
+
             // Start the timeout timer
             timeoutId = setTimeout(() => {
               if (!completed) {
-                console.warn(`⏰ MODEL_TIMEOUT: Model ${modelInfo.provider}-${modelInfo.model} timed out after ${MODEL_TIMEOUT_MS}ms`);
+                logger.warn(`MODEL_TIMEOUT: Model ${modelInfo.provider}-${modelInfo.model} timed out after ${MODEL_TIMEOUT_MS}ms`);
                 completed = true;
-                reject(new Error(`Model ${modelInfo.provider}-${modelInfo.model} timed out after ${MODEL_TIMEOUT_MS}ms`));
+                const salvaged = salvageModelProgress(progress, body.outcomes, Date.now() - slotStartTime);
+                if (salvaged) {
+                  resolve(salvaged);
+                } else {
+                  reject(new Error(`Model ${modelInfo.provider}-${modelInfo.model} timed out after ${MODEL_TIMEOUT_MS}ms`));
+                }
               }
             }, MODEL_TIMEOUT_MS);
             
-            // Start the model processing
-            processModelForIteration(
-              modelInfo,
-              modelIndex,
-              iterationPrompt,
-              attachments,
-              i + 1,
-              body.outcomes,
-              logTiming
-            )
-            .then(result => {
+            // Start the model processing; a failing model moves down its fallback chain
+            const deadline = slotStartTime + MODEL_TIMEOUT_MS;
+            withSpan('model.evaluate', {
+              'llm.provider': modelInfo.provider,
+              'llm.model': modelInfo.model,
+              'verdikta.iteration': i + 1,
+              'verdikta.count': modelInfo.count || 1
+            }, () => LLMFactory.withFallback(
+              modelInfo.provider,
+              modelInfo.model,
+              target => processModelForIteration(
+                { ...modelInfo, ...target },
+                modelIndex,
+                iterationPrompt,
+                attachments,
+                i + 1,
+                body.outcomes,
+                logTiming,
+                deadline,
+                (provider, model, usage, text) => costLedger.record(`jury-${modelIndex}`, provider, model, usage, text),
+                progress
+              ),
+              ({ from, to, error }) => {
+                const errorType = extractProviderErrorDetails(error).errorType;
+                logger.warn(`MODEL_FALLBACK: ${from.provider}-${from.model} failed (${errorType}); substituting ${to.provider}-${to.model}`);
+                warnings.push({
+                  type: 'model_fallback',
+                  message: `Model ${from.provider}-${from.model} failed (${error.message}); substituted ${to.provider}-${to.model}`,
+                  severity: 'warning',
+                  model: `${modelInfo.provider}-${modelInfo.model}`,
+                  details: { from, to, error_type: errorType }
+                });
+              },
+              deadline
+            ))
+            .then(({ result }) => {
               cleanup();
               resolve(result);
             })
@@ -392,7 +479,7 @@ export async function POST(request: Request) {
           });
         });
 
-        console.log(`⏳ PARALLEL_WAIT: Waiting for ${models.length} models to complete...`);
+        logger.info(`PARALLEL_WAIT: Waiting for ${models.length} models to complete...`);
         // Use Promise.allSettled to continue with successful models even if some fail/timeout
         const modelSettledResults = await Promise.allSettled(modelPromises);
         
@@ -413,13 +500,19 @@ export async function POST(request: Request) {
               weight: number;
               justifications: string[];
               timingData: any;
+              warnings: Warning[];
             };
+            // Set when a fallback model answered for this slot
+            const fallback = modelResult.timingData.provider !== modelInfo.provider || modelResult.timingData.model !== modelInfo.model
+              ? { provider: modelResult.timingData.provider, model: modelResult.timingData.model }
+              : undefined;
             
             modelResults.push(modelResult);
+            warnings.push(...modelResult.warnings);
             
             // Check if the fulfilled result actually used fallback (parsing error)
             if (modelResult.timingData?.failed === true) {
-              console.warn(`❌ MODEL_FAILED: ${modelKey} failed (parsing error): ${modelResult.timingData.failureReason || 'Unable to parse response'}`);
+              logger.warn(`MODEL_FAILED: ${modelKey} failed (parsing error): ${modelResult.timingData.failureReason || 'Unable to parse response'}`);
               failedModels.push(modelKey);
               failureDetails.push({ 
                 model: modelKey, 
@@ -433,21 +526,48 @@ export async function POST(request: Request) {
                 status: 'parsing_error',
                 duration_ms: modelResult.timingData.duration_ms || 0,
                 error_type: 'parsing_error',
-                error_message: modelResult.timingData.failureReason || 'Unable to parse response'
+                error_message: modelResult.timingData.failureReason || 'Unable to parse response',
+                output_mode: modelResult.timingData.outputMode,
+                ...(fallback && { fallback })
+              });
+            } else if (modelResult.timingData.salvaged) {
+              // Timed out, but had already produced complete scores; they count as an answer
+              logger.warn(`MODEL_TIMEOUT_SALVAGED: ${modelKey} timed out; kept the scores of ${modelResult.timingData.scoredCalls}/${modelResult.timingData.count} call(s)`);
+              structuredModelResults.push({
+                provider: modelInfo.provider,
+                model: modelInfo.model,
+                status: 'timeout_salvaged',
+                duration_ms: modelResult.timingData.duration_ms || 0,
+                error_type: 'timeout',
+                output_mode: modelResult.timingData.outputMode,
+                ...(fallback && { fallback })
+              });
+              warnings.push({
+                type: 'model_timeout_salvaged',
+                message: `Model ${modelKey} timed out; its scores were salvaged from the response it had streamed so far`,
+                severity: 'warning',
+                model: modelKey,
+                details: {
+                  scored_calls: modelResult.timingData.scoredCalls,
+                  requested_calls: modelResult.timingData.count,
+                  duration_ms: modelResult.timingData.duration_ms
+                }
               });
             } else {
-              console.log(`✅ MODEL_SUCCESS: ${modelKey} completed successfully`);
+              logger.info(`MODEL_SUCCESS: ${modelKey} completed successfully`);
               
               // Add structured model result for success
               structuredModelResults.push({
                 provider: modelInfo.provider,
                 model: modelInfo.model,
                 status: 'success',
-                duration_ms: modelResult.timingData.duration_ms || 0
+                duration_ms: modelResult.timingData.duration_ms || 0,
+                output_mode: modelResult.timingData.outputMode,
+                ...(fallback && { fallback })
               });
             }
           } else {
-            console.warn(`❌ MODEL_FAILED: ${modelKey} failed: ${result.reason.message}`);
+            logger.warn(`MODEL_FAILED: ${modelKey} failed: ${result.reason.message}`);
             failedModels.push(modelKey);
             failureDetails.push({ model: modelKey, reason: result.reason.message });
             
@@ -505,17 +625,18 @@ export async function POST(request: Request) {
         
         const parallelDuration = Date.now() - parallelStartTime;
         const successfulModels = models.length - failedModels.length;
-        console.log(`✅ PARALLEL_COMPLETE: ${successfulModels}/${models.length} models completed in ${parallelDuration}ms`);
+        logger.info(`PARALLEL_COMPLETE: ${successfulModels}/${models.length} models completed in ${parallelDuration}ms`);
         
         // Store structured model results from this iteration
         allStructuredModelResults = structuredModelResults;
+        structuredModelResults.forEach(modelResult => metrics.recordModelResult(modelResult));
         
         if (failedModels.length > 0) {
-          console.warn(`⚠️ FAILED_MODELS: ${failedModels.length} models failed/timed out: ${failedModels.join(', ')}`);
+          logger.warn(`FAILED_MODELS: ${failedModels.length} models failed/timed out: ${failedModels.join(', ')}`);
           
           // Add warnings for each failed model (only if evaluation succeeds)
           structuredModelResults.forEach(modelResult => {
-            if (modelResult.status !== 'success') {
+            if (modelResult.status !== 'success' && modelResult.status !== 'timeout_salvaged') {
               warnings.push({
                 type: modelResult.status === 'timeout' ? 'model_timeout' : 'model_failure',
                 message: `Model ${modelResult.provider}-${modelResult.model} ${modelResult.status === 'timeout' ? 'timed out' : 'failed'}: ${modelResult.error_message || 'Unknown error'}`,
@@ -536,7 +657,7 @@ export async function POST(request: Request) {
         const minSuccessfulModels = Math.ceil(models.length * MIN_SUCCESSFUL_MODELS_PERCENT);
         
         if (successfulModels < minSuccessfulModels) {
-          console.error(`❌ INSUFFICIENT_MODELS: Only ${successfulModels}/${models.length} models succeeded (minimum: ${minSuccessfulModels})`);
+          logger.error(`INSUFFICIENT_MODELS: Only ${successfulModels}/${models.length} models succeeded (minimum: ${minSuccessfulModels})`);
           
           // Build detailed error message including failure reasons
           const failureDetailStr = failureDetails.length > 0
@@ -570,7 +691,7 @@ export async function POST(request: Request) {
             iterationOutputs.push(result.modelAverage);
             iterationWeights.push(result.weight);
           } else {
-            console.log(`⚠️ EXCLUDING_FAILED_MODEL: ${modelInfo.provider}-${modelInfo.model} will not contribute to score aggregation (failed)`);
+            logger.info(`EXCLUDING_FAILED_MODEL: ${modelInfo.provider}-${modelInfo.model} will not contribute to score aggregation (failed)`);
           }
           
           // Add justifications from ALL models (including failed ones for transparency)
@@ -586,7 +707,7 @@ export async function POST(request: Request) {
         }
       } catch (error: any) {
         // If any model fails, Promise.all will reject immediately
-        console.error(`Critical error processing models in parallel (iteration ${i+1}):`, error);
+        logger.error(`Critical error processing models in parallel (iteration ${i+1}):`, error);
         
         // Determine the specific error message and return appropriate response
         if (error.message?.includes('Invalid model input') || error.message?.includes('Unsupported provider')) {
@@ -605,11 +726,14 @@ export async function POST(request: Request) {
         }
       }
 
-      // Compute weighted average for this iteration
-      finalAggregatedScore = computeAverageVectors(iterationOutputs, iterationWeights);
+      // Combine the successful models' vectors with the selected strategy
+      finalAggregatedScore = aggregateScores(
+        iterationOutputs.map((vector, k) => ({ vector, weight: iterationWeights[k] })),
+        aggregation
+      );
       
       // DEBUG: Log the aggregated scores
-      console.log(`🔍 DEBUG - Final aggregated scores for iteration ${i + 1}:`, {
+      logger.debug(`Final aggregated scores for iteration ${i + 1}:`, {
         finalAggregatedScore,
         outcomes: body.outcomes,
         mappedAggregatedScores: body.outcomes ? body.outcomes.map((outcome, idx) => `${outcome}: ${finalAggregatedScore[idx] || 'N/A'}`) : 'No outcomes provided'
@@ -623,20 +747,19 @@ export async function POST(request: Request) {
       // Generate justification only on the final iteration
       if (i === iterations - 1) {
         const justificationStartTime = Date.now();
-        console.log(`🎯 JUSTIFIER_START: Starting justification generation with ${justifierProviderName}-${justifierModelName}`);
-        console.log(`📝 JUSTIFIER_INPUT: Aggregated scores: ${JSON.stringify(finalAggregatedScore)}, Individual justifications: ${iterationJustifications.length} items`);
+        logger.info(`JUSTIFIER_START: Starting justification generation with ${justifierProviderName}-${justifierModelName}`);
+        logger.info(`JUSTIFIER_INPUT: Aggregated scores: ${JSON.stringify(finalAggregatedScore)}, Individual justifications: ${iterationJustifications.length} items`);
         
         try {
-          console.log(`🏭 JUSTIFIER_PROVIDER: Getting provider for ${justifierProviderName}...`);
+          logger.info(`JUSTIFIER_PROVIDER: Getting provider for ${justifierProviderName}...`);
           const justifierProviderSetupStart = Date.now();
           const justifierProvider = await LLMFactory.getProvider(justifierProviderName);
           const justifierProviderSetupTime = Date.now() - justifierProviderSetupStart;
-          console.log(`✅ JUSTIFIER_PROVIDER_READY: ${justifierProviderName} provider ready in ${justifierProviderSetupTime}ms`);
+          logger.info(`JUSTIFIER_PROVIDER_READY: ${justifierProviderName} provider ready in ${justifierProviderSetupTime}ms`);
           
-          logInteraction(`Prompt to Justifier:
-${prompt}\n`); // Assuming base prompt is sufficient context
+          logInteraction('prompt', 'Justifier', prompt); // Assuming base prompt is sufficient context
           
-          console.log(`📞 JUSTIFIER_API_CALL: Calling ${justifierProviderName}-${justifierModelName} for justification...`);
+          logger.info(`JUSTIFIER_API_CALL: Calling ${justifierProviderName}-${justifierModelName} for justification...`);
           const justifierCallStart = Date.now();
           
           // Apply timeout wrapper to justification generation with proper cleanup
@@ -654,12 +777,16 @@ ${prompt}\n`); // Assuming base prompt is sufficient context
                 }
               }, JUSTIFICATION_TIMEOUT_MS);
               
-              generateJustification(
+              withSpan('justifier.generate', {
+                'llm.provider': justifierProviderName,
+                'llm.model': justifierModelName
+              }, () => generateJustification(
                 finalAggregatedScore,
                 iterationJustifications,
                 justifierProvider,
-                justifierModelName
-              )
+                justifierModelName,
+                (provider, model, usage, text) => costLedger.record(JUSTIFIER_SLOT, provider, model, usage, text)
+              ))
               .then(result => {
                 if (justificationTimeoutId && !justificationCompleted) {
                   clearTimeout(justificationTimeoutId);
@@ -677,12 +804,15 @@ ${prompt}\n`); // Assuming base prompt is sufficient context
             });
             
             const justifierCallTime = Date.now() - justifierCallStart;
-            console.log(`✅ JUSTIFIER_API_RESPONSE: ${justifierProviderName}-${justifierModelName} responded in ${justifierCallTime}ms`);
+            metrics.observeJustifier(justifierProviderName, justifierModelName, 'success', justifierCallTime);
+            logger.info(`JUSTIFIER_API_RESPONSE: ${justifierProviderName}-${justifierModelName} responded in ${justifierCallTime}ms`);
           } catch (timeoutError: any) {
             const justifierCallTime = Date.now() - justifierCallStart;
-            if (timeoutError.message.includes('timed out')) {
-              console.warn(`⏰ JUSTIFIER_TIMEOUT: Justification generation timed out after ${justifierCallTime}ms (limit: ${JUSTIFICATION_TIMEOUT_MS}ms)`);
-              console.log(`📝 FALLBACK_JUSTIFICATION: Using individual model responses as justification`);
+            const timedOut = timeoutError.message.includes('timed out');
+            metrics.observeJustifier(justifierProviderName, justifierModelName, timedOut ? 'timeout' : 'error', justifierCallTime);
+            if (timedOut) {
+              logger.warn(`JUSTIFIER_TIMEOUT: Justification generation timed out after ${justifierCallTime}ms (limit: ${JUSTIFICATION_TIMEOUT_MS}ms)`);
+              logger.info(`FALLBACK_JUSTIFICATION: Using individual model responses as justification`);
               
               // Fallback to individual model responses
               if (iterationJustifications && iterationJustifications.length > 0) {
@@ -691,7 +821,7 @@ ${prompt}\n`); // Assuming base prompt is sufficient context
                 finalJustification = `Justification generation timed out after ${(JUSTIFICATION_TIMEOUT_MS/1000).toFixed(1)} seconds. The aggregated scores above represent the collective decision of ${models.length} AI model(s).`;
               }
             } else {
-              console.error(`❌ JUSTIFIER_ERROR: Unexpected error during justification: ${timeoutError.message}`);
+              logger.error(`JUSTIFIER_ERROR: Unexpected error during justification: ${timeoutError.message}`);
               // Also fallback to individual responses on error
               if (iterationJustifications && iterationJustifications.length > 0) {
                 finalJustification = `Error generating consolidated justification: ${timeoutError.message}\n\nIndividual model responses:\n\n${iterationJustifications.join('\n\n')}`;
@@ -703,12 +833,11 @@ ${prompt}\n`); // Assuming base prompt is sufficient context
           
           // Strip thinking blocks from justifier response (handles both success and timeout cases)
           finalJustification = stripThinkingBlocks(finalJustification);
-          logInteraction(`Response from Justifier:
-${finalJustification}\n`);
+          logInteraction('response', 'Justifier', finalJustification);
           
           const totalJustificationTime = Date.now() - justificationStartTime;
           const justifierCallTime = Date.now() - justifierCallStart;
-          console.log(`🎯 JUSTIFIER_COMPLETE: Total justification generation took ${totalJustificationTime}ms`);
+          logger.info(`JUSTIFIER_COMPLETE: Total justification generation took ${totalJustificationTime}ms`);
           
           logTiming('justification_generation', justificationStartTime, {
             provider: justifierProviderName,
@@ -722,7 +851,8 @@ ${finalJustification}\n`);
           });
         } catch (error: any) {
           const errorTime = Date.now() - justificationStartTime;
-          console.error(`❌ JUSTIFIER_ERROR: Error generating final justification after ${errorTime}ms:`, error);
+          logger.error(`JUSTIFIER_ERROR: Error generating final justification after ${errorTime}ms:`, error);
+          metrics.observeJustifier(justifierProviderName, justifierModelName, 'error', errorTime);
           finalJustification = 'Error generating final justification.'; // Handle error gracefully
           logTiming('justification_generation_error', justificationStartTime, {
             provider: justifierProviderName,
@@ -738,8 +868,10 @@ ${finalJustification}\n`);
     }
 
     // Calculate metadata for enhanced error reporting
-    const successfulModelsCount = allStructuredModelResults.filter(m => m.status === 'success').length;
-    const failedModelsCount = allStructuredModelResults.filter(m => m.status !== 'success').length;
+    // Salvaged timeouts answered, so they count as successful
+    const answered = (m: ModelResult) => m.status === 'success' || m.status === 'timeout_salvaged';
+    const successfulModelsCount = allStructuredModelResults.filter(answered).length;
+    const failedModelsCount = allStructuredModelResults.filter(m => !answered(m)).length;
     
     // Format the final response using results from the LAST iteration
     const responseBody: RankAndJustifyOutput = {
@@ -759,9 +891,14 @@ ${finalJustification}\n`);
          models_successful: successfulModelsCount,
          models_failed: failedModelsCount,
          success_threshold_met: true,
-         total_duration_ms: Date.now() - requestStartTime
+         total_duration_ms: Date.now() - requestStartTime,
+         aggregation,
+         usage: costLedger.summary()
        },
-       model_results: allStructuredModelResults,
+       model_results: allStructuredModelResults.map((modelResult, index) => {
+         const usage = costLedger.slot(`jury-${index}`);
+         return usage ? { ...modelResult, usage } : modelResult;
+       }),
        ...(warnings.length > 0 && { warnings: warnings }) // Only include if there are warnings
      };
 
@@ -769,18 +906,20 @@ ${finalJustification}\n`);
     const totalRequestTime = Date.now() - requestStartTime;
     timingLog.total_request = totalRequestTime;
     
-    console.log(`🏁 REQUEST_COMPLETE: Total request completed in ${totalRequestTime}ms`);
-    console.log(`📈 PERFORMANCE_BREAKDOWN: Models: ${body.models.length}, Iterations: ${iterations}, Attachments: ${body.attachments?.length || 0}, Outcomes: ${body.outcomes?.length || 0}`);
+    logger.info(`REQUEST_COMPLETE: Total request completed in ${totalRequestTime}ms`);
+    const usageSummary = responseBody.metadata!.usage!;
+    logger.info(`COST_SUMMARY: ${usageSummary.input_tokens} input / ${usageSummary.output_tokens} output tokens, $${usageSummary.cost_usd.toFixed(6)}${usageSummary.unpriced_models ? ` (unpriced: ${usageSummary.unpriced_models.join(', ')})` : ''}`);
+    logger.info(`PERFORMANCE_BREAKDOWN: Models: ${body.models.length}, Iterations: ${iterations}, Attachments: ${body.attachments?.length || 0}, Outcomes: ${body.outcomes?.length || 0}`);
     
     // Analyze timing components for performance insights
     const modelTimes = Object.entries(timingLog).filter(([key]) => key.startsWith('model_total_')).map(([key, time]) => ({ model: key.replace('model_total_', ''), time }));
     const slowestModel = modelTimes.reduce((prev, current) => (prev.time > current.time) ? prev : current, { model: 'none', time: 0 });
     const fastestModel = modelTimes.reduce((prev, current) => (prev.time < current.time) ? prev : current, { model: 'none', time: Infinity });
     
-    console.log(`⚡ PERFORMANCE_ANALYSIS: Slowest model: ${slowestModel.model} (${slowestModel.time}ms), Fastest model: ${fastestModel.model} (${fastestModel.time}ms)`);
+    logger.info(`PERFORMANCE_ANALYSIS: Slowest model: ${slowestModel.model} (${slowestModel.time}ms), Fastest model: ${fastestModel.model} (${fastestModel.time}ms)`);
     
     // Log extractable timing summary
-    console.log('🎯 TIMING_SUMMARY', JSON.stringify({
+    logger.info('TIMING_SUMMARY', {
       timestamp: new Date().toISOString(),
       total_duration_ms: totalRequestTime,
       components: timingLog,
@@ -797,9 +936,9 @@ ${finalJustification}\n`);
         attachment_count: body.attachments?.length || 0,
         outcomes_count: body.outcomes?.length || 0
       }
-    }));
+    });
 
-    console.log('Sending final response:', responseBody);
+    logger.info('Sending final response:', responseBody);
     return NextResponse.json(responseBody);
 
   } catch (error: any) {
@@ -807,20 +946,20 @@ ${finalJustification}\n`);
     const totalRequestTime = Date.now() - requestStartTime;
     timingLog.total_request_error = totalRequestTime;
     
-    console.error('Error in POST /api/rank-and-justify:', {
+    logger.error('Error in POST /api/rank-and-justify:', {
       error: error.message,
       stack: error.stack,
       type: error.constructor.name
     });
     
     // Log timing summary even for errors
-    console.log('🎯 TIMING_SUMMARY_ERROR', JSON.stringify({
+    logger.info('TIMING_SUMMARY_ERROR', {
       timestamp: new Date().toISOString(),
       total_duration_ms: totalRequestTime,
       components: timingLog,
       error: error.message,
       error_type: error.constructor.name
-    }));
+    });
     
     return NextResponse.json({
       error: error.message || 'An error occurred while processing the request.',
@@ -840,6 +979,7 @@ ${finalJustification}\n`);
       requestCompleted = true;
     }
     
+    metrics.recordRequest(result.status, Date.now() - requestStartTime);
     return result;
   } catch (timeoutError: any) {
     const totalRequestTime = Date.now() - requestStartTime;
@@ -851,7 +991,8 @@ ${finalJustification}\n`);
     }
     
     if (timeoutError.message.includes('Request timeout')) {
-      console.error(`🚨 REQUEST_TIMEOUT_FINAL: Request timed out after ${totalRequestTime}ms`);
+      logger.error(`REQUEST_TIMEOUT_FINAL: Request timed out after ${totalRequestTime}ms`);
+      metrics.recordRequest(408, totalRequestTime);
       return NextResponse.json({
         error: `Request timeout: exceeded ${REQUEST_TIMEOUT_MS}ms limit (actual: ${totalRequestTime}ms)`,
         scores: [] as ScoreOutcome[],
@@ -867,63 +1008,6 @@ ${finalJustification}\n`);
   }
 }
 
-// Helper function to extract detailed error information from provider errors
-function extractProviderErrorDetails(error: any): {
-  errorType: string;
-  errorMessage: string;
-  errorCode?: string;
-  httpStatus?: number;
-} {
-  // Extract HTTP status if available
-  const httpStatus = error.response?.status || error.status || error.statusCode;
-  
-  // Extract error message (try multiple common patterns)
-  let errorMessage = error.message || 'Unknown error';
-  if (error.response?.data?.error?.message) {
-    errorMessage = error.response.data.error.message;
-  } else if (error.response?.data?.message) {
-    errorMessage = error.response.data.message;
-  } else if (error.response?.data?.error) {
-    errorMessage = typeof error.response.data.error === 'string' 
-      ? error.response.data.error 
-      : JSON.stringify(error.response.data.error);
-  }
-  
-  // Extract error code if available
-  const errorCode = error.code || error.response?.data?.error?.code || error.response?.data?.code;
-  
-  // Categorize error type based on status code and message
-  let errorType = 'unknown';
-  const lowerMessage = errorMessage.toLowerCase();
-  
-  if (httpStatus === 401 || lowerMessage.includes('unauthorized') || lowerMessage.includes('invalid api key') || lowerMessage.includes('authentication')) {
-    errorType = 'authentication';
-  } else if (httpStatus === 403 || lowerMessage.includes('forbidden') || lowerMessage.includes('access denied')) {
-    errorType = 'authorization';
-  } else if (httpStatus === 429 || lowerMessage.includes('rate limit') || lowerMessage.includes('too many requests')) {
-    errorType = 'rate_limit';
-  } else if (httpStatus === 404 || lowerMessage.includes('not found') || lowerMessage.includes('model not found')) {
-    errorType = 'model_not_found';
-  } else if (lowerMessage.includes('content policy') || lowerMessage.includes('safety') || lowerMessage.includes('flagged')) {
-    errorType = 'content_policy';
-  } else if (lowerMessage.includes('context length') || lowerMessage.includes('token limit') || lowerMessage.includes('max tokens')) {
-    errorType = 'token_limit';
-  } else if (httpStatus >= 500 || lowerMessage.includes('service unavailable') || lowerMessage.includes('internal error')) {
-    errorType = 'provider_error';
-  } else if (lowerMessage.includes('timeout') || error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-    errorType = 'timeout';
-  } else if (lowerMessage.includes('network') || error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-    errorType = 'network';
-  }
-  
-  return {
-    errorType,
-    errorMessage,
-    errorCode,
-    httpStatus
-  };
-}
-
 // Helper function for processing a single model in parallel - NOT exported
 async function processModelForIteration(
   modelInfo: ModelInput,
@@ -932,18 +1016,24 @@ async function processModelForIteration(
   attachments: Array<{ type: string; content: string; mediaType: string }>,
   iterationNumber: number,
   outcomes: string[] | undefined,
-  logTiming: (operation: string, startTime: number, details?: any) => void
+  logTiming: (operation: string, startTime: number, details?: any) => void,
+  deadline: number,
+  recordUsage: UsageRecorder,
+  progress: ModelProgress
 ): Promise<{
   modelAverage: number[];
   weight: number;
   justifications: string[];
   timingData: any;
+  warnings: Warning[];
 }> {
   const modelStartTime = Date.now();
   const count = modelInfo.count || 1;
   const weight = modelInfo.weight;
   const allOutputs: number[][] = [];
   const justifications: string[] = [];
+  const warnings: Warning[] = []; // Retries, score repairs and re-prompts
+  let salvagedCalls = 0; // Calls that timed out after streaming a complete score
   let usedFallback = false; // Track if this model had to use fallback scores
   let failureReason = ''; // Track the reason for failure if fallback was used
   let errorDetails: {
@@ -953,28 +1043,28 @@ async function processModelForIteration(
     httpStatus?: number;
   } | null = null; // Track detailed error info
 
-  console.log(`🔄 MODEL_START: Processing model ${modelInfo.provider}-${modelInfo.model} (iteration ${iterationNumber})`);
-  console.log(`📊 MODEL_CONFIG: Provider=${modelInfo.provider}, Model=${modelInfo.model}, Weight=${weight}, Count=${count}`);
+  logger.info(`MODEL_START: Processing model ${modelInfo.provider}-${modelInfo.model} (iteration ${iterationNumber})`);
+  logger.info(`MODEL_CONFIG: Provider=${modelInfo.provider}, Model=${modelInfo.model}, Weight=${weight}, Count=${count}`);
 
   if (!modelInfo.provider || !modelInfo.model || weight < 0 || weight > 1) {
-    console.error(`❌ MODEL_ERROR: Invalid model configuration - Provider: ${modelInfo.provider}, Model: ${modelInfo.model}, Weight: ${weight}`);
+    logger.error(`MODEL_ERROR: Invalid model configuration - Provider: ${modelInfo.provider}, Model: ${modelInfo.model}, Weight: ${weight}`);
     throw new Error('Invalid model input. Check provider, model, and weight.');
   }
 
   // Cast to unknown first to avoid type mismatch
-  console.log(`🏭 PROVIDER_SETUP: Getting provider for ${modelInfo.provider}...`);
+  logger.info(`PROVIDER_SETUP: Getting provider for ${modelInfo.provider}...`);
   const providerStartTime = Date.now();
   const llmProvider = await LLMFactory.getProvider(modelInfo.provider) as unknown as LLMProvider;
   const providerSetupTime = Date.now() - providerStartTime;
-  console.log(`✅ PROVIDER_READY: ${modelInfo.provider} provider ready in ${providerSetupTime}ms`);
+  logger.info(`PROVIDER_READY: ${modelInfo.provider} provider ready in ${providerSetupTime}ms`);
   
   if (!llmProvider) {
-    console.error(`❌ PROVIDER_ERROR: Unsupported provider: ${modelInfo.provider}`);
+    logger.error(`PROVIDER_ERROR: Unsupported provider: ${modelInfo.provider}`);
     throw new Error(`Unsupported provider: ${modelInfo.provider}`);
   }
 
   if (attachments.length > 0) {
-    console.log(`Sending ${attachments.length} attachments to ${modelInfo.provider}:`, 
+    logger.info(`Sending ${attachments.length} attachments to ${modelInfo.provider}:`, 
       attachments.map(att => ({
         type: att.type,
         mediaType: att.mediaType,
@@ -994,33 +1084,91 @@ async function processModelForIteration(
                           modelInfo.model.toLowerCase().includes('grok-3') ||
                           modelInfo.model.toLowerCase().includes('reasoning');
   
-  const modelOptions = isReasoningModel 
-    ? { reasoning: { effort: 'medium' as const }, verbosity: 'low' as const }
+  // Constrain the answer to the score schema where the provider can
+  const outputMode: 'structured' | 'text' =
+    STRUCTURED_OUTPUT !== 'off' && llmProvider.supportsStructuredOutput?.(modelInfo.model) ? 'structured' : 'text';
+
+  const modelOptions: GenerateOptions | undefined = isReasoningModel || outputMode === 'structured'
+    ? {
+        ...(isReasoningModel && { reasoning: { effort: 'medium' as const }, verbosity: 'low' as const }),
+        ...(outputMode === 'structured' && { responseSchema: scoreResponseSchema(outcomes?.length || 2) })
+      }
     : undefined;
 
-  console.log(`🔧 MODEL_CONFIG: ${modelInfo.provider}-${modelInfo.model}, isReasoning: ${isReasoningModel}, options: ${JSON.stringify(modelOptions)}`);
+  logger.info(`MODEL_CONFIG: ${modelInfo.provider}-${modelInfo.model}, isReasoning: ${isReasoningModel}, output: ${outputMode}`);
+
+  // Start this model's record afresh (a fallback replaces what the failed model left)
+  Object.assign(progress, { target: modelInfo, outputs: [], justifications: [], partial: '', warnings, outputMode });
+
+  // A call that timed out after streaming a complete score array keeps it
+  const salvageTimedOutCall = (error: any) =>
+    extractProviderErrorDetails(error).errorType === 'timeout' ? salvagePartialResponse(progress.partial, outcomes) : null;
+
+  const keepSalvagedCall = (callNumber: number, error: any, reported: TokenUsage | null) => {
+    salvagedCalls++;
+    logger.warn(`API_TIMEOUT_SALVAGED: Call ${callNumber}/${count} to ${modelInfo.provider}-${modelInfo.model} timed out (${error.message}); kept the score it had streamed`);
+    logInteraction('response', `${modelInfo.provider} - ${modelInfo.model}`, progress.partial, { salvaged: true });
+    // Usage the stream reported before the timeout, else estimated from the partial text
+    recordUsage(modelInfo.provider, modelInfo.model, reported, { prompt: iterationPrompt, response: progress.partial });
+    return progress.partial;
+  };
+
+  // Retry transient provider failures, within the slot's MODEL_TIMEOUT_MS budget
+  const withRetry = (callNumber: number, call: (attempt: number) => Promise<string>) => retryWithBackoff(attempt => {
+    progress.partial = '';
+    return call(attempt);
+  }, {
+    maxRetries: MODEL_RETRY_MAX,
+    baseDelayMs: MODEL_RETRY_BASE_DELAY_MS,
+    maxDelayMs: MODEL_RETRY_MAX_DELAY_MS,
+    deadline,
+    // Salvageable timeouts are not retried: the retry would discard the streamed scores
+    classify: error => salvageTimedOutCall(error) ? 'timeout_salvaged' : extractProviderErrorDetails(error).errorType,
+    onRetry: ({ attempt, delayMs, errorType, error }) => {
+      const modelKey = `${modelInfo.provider}-${modelInfo.model}`;
+      logger.warn(`API_RETRY: Call ${callNumber}/${count} to ${modelKey} failed (${errorType}): ${error.message}; retry ${attempt}/${MODEL_RETRY_MAX} in ${delayMs}ms`);
+      metrics.recordProviderError(modelInfo.provider, modelInfo.model, errorType);
+      metrics.recordProviderRetry(modelInfo.provider, modelInfo.model, errorType);
+      warnings.push({
+        type: 'model_retry',
+        message: `Retried ${modelKey} after ${errorType} error: ${error.message}`,
+        severity: 'info',
+        model: modelKey,
+        details: { error_type: errorType, call: callNumber, attempt, delay_ms: delayMs }
+      });
+    }
+  });
 
   // Inner loop - process multiple calls for this model (kept serial as requested)
-  console.log(`🔁 CALLS_START: Making ${count} call(s) to ${modelInfo.provider}-${modelInfo.model}`);
+  logger.info(`CALLS_START: Making ${count} call(s) to ${modelInfo.provider}-${modelInfo.model}`);
   for (let c = 0; c < count; c++) {
     const callStartTime = Date.now();
-    console.log(`📞 API_CALL: Call ${c + 1}/${count} to ${modelInfo.provider}-${modelInfo.model} starting...`);
+    logger.info(`API_CALL: Call ${c + 1}/${count} to ${modelInfo.provider}-${modelInfo.model} starting...`);
     let responseText: string;
+    let salvaged: { decisionVector: number[]; justification: string } | null = null;
+    const usage = captureUsage({ ...modelOptions, onToken: text => { progress.partial += text; } });
     
     if (attachments.length > 0 && llmProvider.supportsAttachments(modelInfo.model)) {
-      logInteraction(`Prompt to ${modelInfo.provider} - ${modelInfo.model} with attachments:\n${iterationPrompt}\n`);
+      logInteraction('prompt', `${modelInfo.provider} - ${modelInfo.model}`, iterationPrompt, { attachments: attachments.length });
       try {
-        responseText = await llmProvider.generateResponseWithAttachments!(
+        responseText = await withRetry(c + 1, attempt => withSpan('llm.generate', {
+          'llm.provider': modelInfo.provider,
+          'llm.model': modelInfo.model,
+          'llm.attachments': attachments.length,
+          'llm.output_mode': outputMode,
+          'verdikta.call': c + 1,
+          'verdikta.attempt': attempt + 1
+        }, () => llmProvider.generateResponseWithAttachments!(
           iterationPrompt,
           modelInfo.model,
           attachments,
-          modelOptions
-        );
+          usage.options
+        )));
         // Strip thinking blocks from the response
         responseText = stripThinkingBlocks(responseText);
         const callDuration = Date.now() - callStartTime;
-        console.log(`✅ API_RESPONSE: Call ${c + 1}/${count} to ${modelInfo.provider}-${modelInfo.model} completed in ${callDuration}ms (with attachments)`);
-        logInteraction(`Response from ${modelInfo.provider} - ${modelInfo.model}:\n${responseText}\n`);
+        logger.info(`API_RESPONSE: Call ${c + 1}/${count} to ${modelInfo.provider}-${modelInfo.model} completed in ${callDuration}ms (with attachments)`);
+        logInteraction('response', `${modelInfo.provider} - ${modelInfo.model}`, responseText);
         logTiming(`model_call_${modelInfo.provider}_${modelInfo.model}_with_attachments_${c+1}`, callStartTime, {
           provider: modelInfo.provider,
           model: modelInfo.model,
@@ -1028,33 +1176,47 @@ async function processModelForIteration(
           callNumber: c + 1,
           responseLength: responseText.length
         });
+        metrics.observeModelCall(modelInfo.provider, modelInfo.model, true, callDuration);
+        recordUsage(modelInfo.provider, modelInfo.model, usage.reported(), { prompt: iterationPrompt, response: responseText });
       } catch (providerError: any) {
-        // Capture detailed error information
-        errorDetails = extractProviderErrorDetails(providerError);
-        console.error(`Provider error from ${modelInfo.provider}/${modelInfo.model}:`, {
-          error: providerError.message,
-          errorType: errorDetails.errorType,
-          httpStatus: errorDetails.httpStatus,
-          stack: providerError.stack,
-          attachments: attachments.length > 0 ? 'Has attachments' : 'No attachments'
-        });
-        // Enhance the error with our details before re-throwing
-        providerError.verdiktaErrorDetails = errorDetails;
-        throw providerError; // Re-throw to be caught by Promise wrapper
+        salvaged = salvageTimedOutCall(providerError);
+        if (!salvaged) {
+          // Capture detailed error information
+          errorDetails = extractProviderErrorDetails(providerError);
+          metrics.recordProviderError(modelInfo.provider, modelInfo.model, errorDetails.errorType);
+          logger.error(`Provider error from ${modelInfo.provider}/${modelInfo.model}:`, {
+            error: providerError.message,
+            errorType: errorDetails.errorType,
+            httpStatus: errorDetails.httpStatus,
+            stack: providerError.stack,
+            attachments: attachments.length > 0 ? 'Has attachments' : 'No attachments'
+          });
+          // Enhance the error with our details before re-throwing
+          providerError.verdiktaErrorDetails = errorDetails;
+          throw providerError; // Re-throw to be caught by Promise wrapper
+        }
+        responseText = keepSalvagedCall(c + 1, providerError, usage.reported());
       }
     } else {
-      logInteraction(`Prompt to ${modelInfo.provider} - ${modelInfo.model}:\n${iterationPrompt}\n`);
+      logInteraction('prompt', `${modelInfo.provider} - ${modelInfo.model}`, iterationPrompt);
       try {
-        responseText = await llmProvider.generateResponse(
+        responseText = await withRetry(c + 1, attempt => withSpan('llm.generate', {
+          'llm.provider': modelInfo.provider,
+          'llm.model': modelInfo.model,
+          'llm.attachments': 0,
+          'llm.output_mode': outputMode,
+          'verdikta.call': c + 1,
+          'verdikta.attempt': attempt + 1
+        }, () => llmProvider.generateResponse(
           iterationPrompt,
           modelInfo.model,
-          modelOptions
-        );
+          usage.options
+        )));
         // Strip thinking blocks from the response
         responseText = stripThinkingBlocks(responseText);
         const callDuration = Date.now() - callStartTime;
-        console.log(`✅ API_RESPONSE: Call ${c + 1}/${count} to ${modelInfo.provider}-${modelInfo.model} completed in ${callDuration}ms (no attachments)`);
-        logInteraction(`Response from ${modelInfo.provider} - ${modelInfo.model}:\n${responseText}\n`);
+        logger.info(`API_RESPONSE: Call ${c + 1}/${count} to ${modelInfo.provider}-${modelInfo.model} completed in ${callDuration}ms (no attachments)`);
+        logInteraction('response', `${modelInfo.provider} - ${modelInfo.model}`, responseText);
         logTiming(`model_call_${modelInfo.provider}_${modelInfo.model}_${c+1}`, callStartTime, {
           provider: modelInfo.provider,
           model: modelInfo.model,
@@ -1062,34 +1224,53 @@ async function processModelForIteration(
           callNumber: c + 1,
           responseLength: responseText.length
         });
+        metrics.observeModelCall(modelInfo.provider, modelInfo.model, false, callDuration);
+        recordUsage(modelInfo.provider, modelInfo.model, usage.reported(), { prompt: iterationPrompt, response: responseText });
       } catch (providerError: any) {
-        // Capture detailed error information
-        errorDetails = extractProviderErrorDetails(providerError);
-        console.error(`Provider error from ${modelInfo.provider}/${modelInfo.model}:`, {
-          error: providerError.message,
-          errorType: errorDetails.errorType,
-          httpStatus: errorDetails.httpStatus,
-          stack: providerError.stack,
-          attachments: attachments.length > 0 ? 'Has attachments' : 'No attachments'
-        });
-        // Enhance the error with our details before re-throwing
-        providerError.verdiktaErrorDetails = errorDetails;
-        throw providerError; // Re-throw to be caught by Promise wrapper
+        salvaged = salvageTimedOutCall(providerError);
+        if (!salvaged) {
+          // Capture detailed error information
+          errorDetails = extractProviderErrorDetails(providerError);
+          metrics.recordProviderError(modelInfo.provider, modelInfo.model, errorDetails.errorType);
+          logger.error(`Provider error from ${modelInfo.provider}/${modelInfo.model}:`, {
+            error: providerError.message,
+            errorType: errorDetails.errorType,
+            httpStatus: errorDetails.httpStatus,
+            stack: providerError.stack,
+            attachments: attachments.length > 0 ? 'Has attachments' : 'No attachments'
+          });
+          // Enhance the error with our details before re-throwing
+          providerError.verdiktaErrorDetails = errorDetails;
+          throw providerError; // Re-throw to be caught by Promise wrapper
+        }
+        responseText = keepSalvagedCall(c + 1, providerError, usage.reported());
       }
     }
 
-    let { decisionVector, justification, scores } = parseModelResponse(responseText, outcomes);
+    let { decisionVector, justification }: { decisionVector: number[] | null; justification: string } = salvaged
+      ? { ...salvaged, justification: `${salvaged.justification} [cut off at timeout]` }
+      : parseModelResponse(responseText, outcomes);
+
+    // Malformed vectors (percentages, probabilities, label-keyed objects, ...)
+    // are repaired, or the model is asked to restate its answer
+    if (!decisionVector) {
+      const repaired = await repairModelScore(llmProvider, modelInfo, responseText, outcomes, c + 1, modelOptions, recordUsage, withRetry, deadline);
+      decisionVector = repaired.decisionVector;
+      justification = repaired.justification;
+      warnings.push(...repaired.warnings);
+    }
     let effectiveJustification = justification; // Store potentially modified justification
     
     // DEBUG: Log what each model actually returned
-    console.log(`🔍 DEBUG - Model ${modelInfo.provider}/${modelInfo.model} returned:`, {
+    logger.debug(`Model ${modelInfo.provider}/${modelInfo.model} returned:`, {
       decisionVector,
       outcomes: outcomes,
       mappedScores: outcomes ? outcomes.map((outcome, idx) => `${outcome}: ${decisionVector?.[idx] || 'N/A'}`) : 'No outcomes provided'
     });
     
+    const scored = decisionVector !== null;
     if (!decisionVector) {
-      console.warn(`Failed to parse decision vector from model ${modelInfo.model}. Response: ${responseText}. Applying fallback.`);
+      logger.warn(`Failed to parse decision vector from model ${modelInfo.model}. Response: ${responseText}. Applying fallback.`);
       const numOutcomes = outcomes?.length || 2; // Default to 2 if outcomes not specified
       const baseScore = Math.floor(1000000 / numOutcomes);
       const fallbackDecisionVector = Array(numOutcomes).fill(baseScore);
@@ -1113,6 +1294,14 @@ async function processModelForIteration(
     if (effectiveJustification) { // Use the potentially modified justification
       justifications.push(`From model ${modelInfo.model}:\n${effectiveJustification}`);
     }
+
+    // Scored calls survive a later timeout of this slot (salvageModelProgress)
+    if (scored) {
+      progress.outputs.push(decisionVector);
+      if (effectiveJustification) {
+        progress.justifications.push(`From model ${modelInfo.model}:\n${effectiveJustification}`);
+      }
+    }
   }
 
   // Average the outputs for this model if count > 1
@@ -1129,12 +1318,18 @@ async function processModelForIteration(
     count: count,
     weight: weight,
     duration_ms: modelDuration,
-    failed: usedFallback // Mark as failed if fallback scores were used
+    failed: usedFallback, // Mark as failed if fallback scores were used
+    outputMode
   };
   
   if (usedFallback && failureReason) {
     timingData.failureReason = failureReason;
   }
+
+  if (salvagedCalls > 0) {
+    timingData.salvaged = true;
+    timingData.scoredCalls = allOutputs.length;
+  }
   
   if (errorDetails) {
     // Type assertion to work around TypeScript narrowing issue
@@ -1155,19 +1350,112 @@ async function processModelForIteration(
     modelAverage,
     weight,
     justifications,
-    timingData
+    timingData,
+    warnings
   };
 }
 
+// Helper function - NOT exported
+// Re-prompts go through the slot's retry wrapper and stop at its deadline; a
+// re-prompt that still fails is thrown like any other call of the slot, so
+// the slot moves down its fallback chain.
+async function repairModelScore(
+  llmProvider: LLMProvider,
+  modelInfo: ModelInput,
+  responseText: string,
+  outcomes: string[] | undefined,
+  callNumber: number,
+  modelOptions: GenerateOptions | undefined,
+  recordUsage: UsageRecorder,
+  withRetry: (callNumber: number, call: (attempt: number) => Promise<string>) => Promise<string>,
+  deadline: number
+): Promise<{ decisionVector: number[] | null; justification: string; warnings: Warning[] }> {
+  const modelKey = `${modelInfo.provider}-${modelInfo.model}`;
+  const warnings: Warning[] = [];
+
+  const normalize = (text: string) => {
+    const extracted = extractModelResponse(text);
+    const justification = typeof extracted?.justification === 'string' ? extracted.justification : '';
+    const normalized = extracted
+      ? normalizeScore(extracted.score, outcomes)
+      : { decisionVector: null, repairs: [], problem: 'the response contains no JSON object with a "score" field' };
+    normalized.repairs.forEach(repair => {
+      warnings.push({
+        type: 'score_repaired',
+        message: `Repaired score vector from ${modelKey}: ${repair.detail}`,
+        severity: 'warning',
+        model: modelKey,
+        details: { repair: repair.kind, call: callNumber }
+      });
+    });
+    return { ...normalized, justification };
+  };
+
+  let current = normalize(responseText);
+  let previousResponse = responseText;
+
+  for (let attempt = 1; !current.decisionVector && attempt <= SCORE_REPAIR_REPROMPTS; attempt++) {
+    const problem = current.problem || 'the score vector is invalid';
+    if (Date.now() >= deadline) {
+      logger.warn(`SCORE_REPROMPT_SKIPPED: ${modelKey} call ${callNumber}: ${problem}; no time left in the slot`);
+      break;
+    }
+    logger.warn(`SCORE_REPROMPT: ${modelKey} call ${callNumber}: ${problem}; asking for a corrected answer (${attempt}/${SCORE_REPAIR_REPROMPTS})`);
+    warnings.push({
+      type: 'score_reprompted',
+      message: `Re-prompted ${modelKey} for a corrected score vector: ${problem}`,
+      severity: 'info',
+      model: modelKey,
+      details: { problem, call: callNumber, attempt }
+    });
+
+    const correctionPrompt = buildCorrectionPrompt(problem, previousResponse, outcomes);
+    logInteraction('prompt', `${modelInfo.provider} - ${modelInfo.model}`, correctionPrompt, { score_repair: attempt });
+    const callStartTime = Date.now();
+    const usage = captureUsage(modelOptions);
+    try {
+      previousResponse = stripThinkingBlocks(await withRetry(callNumber, retryAttempt => withSpan('llm.generate', {
+        'llm.provider': modelInfo.provider,
+        'llm.model': modelInfo.model,
+        'llm.attachments': 0,
+        'verdikta.call': callNumber,
+        'verdikta.attempt': retryAttempt + 1,
+        'verdikta.score_repair': attempt
+      }, () => llmProvider.generateResponse(correctionPrompt, modelInfo.model, usage.options))));
+    } catch (providerError: any) {
+      const errorDetails = extractProviderErrorDetails(providerError);
+      metrics.recordProviderError(modelInfo.provider, modelInfo.model, errorDetails.errorType);
+      logger.error(`SCORE_REPROMPT_FAILED: ${modelKey}: ${providerError.message}`, { errorType: errorDetails.errorType });
+      providerError.verdiktaErrorDetails = errorDetails;
+      throw providerError;
+    }
+    logInteraction('response', `${modelInfo.provider} - ${modelInfo.model}`, previousResponse, { score_repair: attempt });
+    metrics.observeModelCall(modelInfo.provider, modelInfo.model, false, Date.now() - callStartTime);
+    recordUsage(modelInfo.provider, modelInfo.model, usage.reported(), { prompt: correctionPrompt, response: previousResponse });
+
+    const strict = parseModelResponse(previousResponse, outcomes);
+    current = strict.decisionVector
+      ? { decisionVector: strict.decisionVector, repairs: [], justification: strict.justification }
+      : normalize(previousResponse);
+  }
+
+  if (!current.decisionVector) {
+    return { decisionVector: null, justification: '', warnings };
+  }
+  logger.info(`SCORE_REPAIRED: ${modelKey} call ${callNumber}: ${JSON.stringify(current.decisionVector)}`);
+  return { decisionVector: current.decisionVector, justification: current.justification, warnings };
+}
+
 // Helper function - NOT exported
 async function generateJustification(
   V_total: number[],
   allJustifications: string[],
   justifierProvider: any,
-  justifierModel: string
+  justifierModel: string,
+  recordUsage: UsageRecorder
 ): Promise<string> {
   // DEBUG: Log what's being sent to the justifier
-  console.log(`🔍 DEBUG - Sending to justifier:`, {
+  logger.debug(`Sending to justifier:`, {
     aggregatedVector: V_total,
     individualJustifications: allJustifications
   });
@@ -1187,33 +1475,53 @@ async function generateJustification(
     ? { reasoning: { effort: 'low' as const }, verbosity: 'low' as const }
     : undefined;
 
-  const response = await justifierProvider.generateResponse(prompt, justifierModel, options);
+  const usage = captureUsage(options);
+  const response = await justifierProvider.generateResponse(prompt, justifierModel, usage.options);
+  recordUsage(justifierProviderName, justifierModel, usage.reported(), { prompt, response });
   return response;
 }
 
 // Helper function - NOT exported
-function computeAverageVectors(vectors: number[][], weights: number[]): number[] {
-  if (!vectors || vectors.length === 0 || vectors.length !== weights.length) {
-    // Handle empty input or mismatched lengths
-    console.warn('computeAverageVectors received invalid input:', { vectors: vectors?.length, weights: weights?.length });
-    return []; 
+// Result for a slot that ran out of time: its scored calls plus a complete
+// score array in the call still streaming. Null when there are no scores.
+function salvageModelProgress(progress: ModelProgress, outcomes: string[] | undefined, durationMs: number): {
+  modelAverage: number[];
+  weight: number;
+  justifications: string[];
+  timingData: any;
+  warnings: Warning[];
+} | null {
+  if (!progress.target) {
+    return null;
   }
-  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-  if (totalWeight === 0) {
-      console.warn('computeAverageVectors received zero total weight.');
-      return [];
+  const outputs = [...progress.outputs];
+  const justifications = [...progress.justifications];
+  const partial = salvagePartialResponse(progress.partial, outcomes);
+  if (partial) {
+    outputs.push(partial.decisionVector);
+    justifications.push(`From model ${progress.target.model}:\n${partial.justification} [cut off at timeout]`);
   }
-  const dimensions = vectors[0].length;
-  const result = new Array(dimensions).fill(0);
-
-  for (let i = 0; i < vectors.length; i++) {
-    for (let j = 0; j < dimensions; j++) {
-      // Simplified weighted accumulation assuming vectors.length === weights.length
-      result[j] += (vectors[i][j] * weights[i]) / totalWeight;
-    }
+  if (outputs.length === 0) {
+    return null;
   }
 
-  return result;
+  return {
+    modelAverage: outputs.length > 1 ? averageVectors(outputs) : outputs[0],
+    weight: progress.target.weight,
+    justifications,
+    timingData: {
+      provider: progress.target.provider,
+      model: progress.target.model,
+      count: progress.target.count || 1,
+      weight: progress.target.weight,
+      duration_ms: durationMs,
+      failed: false,
+      salvaged: true,
+      scoredCalls: outputs.length,
+      outputMode: progress.outputMode
+    },
+    warnings: [...progress.warnings]
+  };
 }
 
 // Helper function - NOT exported
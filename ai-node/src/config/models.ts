@@ -18,6 +18,13 @@ export const modelConfig = {
     { name: 'claude-sonnet-4.6', supportsImages: true, supportsAttachments: true },
     { name: 'claude-opus-4.6', supportsImages: true, supportsAttachments: true },
   ],
+  gemini: [
+    { name: 'gemini-2.5-pro', supportsImages: true, supportsAttachments: true },
+    { name: 'gemini-2.5-flash', supportsImages: true, supportsAttachments: true },
+    { name: 'gemini-2.5-flash-lite', supportsImages: true, supportsAttachments: true },
+    { name: 'gemini-3-pro-preview', supportsImages: true, supportsAttachments: true },
+    { name: 'gemini-3.1-pro-preview', supportsImages: true, supportsAttachments: true },
+  ],
   hyperbolic: [
     { name: 'Qwen/Qwen3-235B-A22B-Instruct-2507', supportsImages: true, supportsAttachments: true },
     { name: 'deepseek-ai/DeepSeek-R1', supportsImages: true, supportsAttachments: true },
@@ -0,0 +1,101 @@
+import type { ModelPrice } from './pricing';
+
+export interface OpenAICompatibleModel {
+  name: string;
+  supportsImages: boolean;
+  supportsAttachments: boolean;
+  /** Server accepts OpenAI json_schema response formats (vLLM, recent llama.cpp) */
+  supportsStructuredOutput?: boolean;
+  /** Thinking model: gets REASONING_MODEL_MAX_TOKENS instead of 1000 */
+  reasoning?: boolean;
+  maxTokens?: number;
+}
+
+export interface OpenAICompatibleEndpoint {
+  /** Provider name used in jury requests, fallback chains and LLM_BUDGETS */
+  name: string;
+  /** Up to and including /v1, e.g. http://gpu-1:8000/v1 */
+  baseUrl: string;
+  apiKey?: string;
+  models: OpenAICompatibleModel[];
+  /** USD per million tokens; self-hosted endpoints are free when unset */
+  price?: ModelPrice;
+}
+
+// Endpoint names share a namespace with the built-in providers
+const RESERVED_NAMES = [
+  'openai', 'anthropic', 'xai', 'grok', 'gemini', 'google', 'hyperbolic', 'hyperbolic api',
+  'ollama', 'open-source', 'openrouter', 'openai-compatible',
+];
+
+let cached: { raw: string; endpoints: Record<string, OpenAICompatibleEndpoint> } | undefined;
+
+/**
+ * Self-hosted (or any other) servers speaking the OpenAI chat-completions
+ * API, such as vLLM and llama.cpp, keyed by provider name:
+ *
+ *   OPENAI_COMPATIBLE_ENDPOINTS='{
+ *     "vllm-a100": {"baseUrl": "http://gpu-1:8000/v1", "apiKeyEnv": "VLLM_API_KEY",
+ *       "models": [{"name": "Qwen/Qwen3-32B", "supportsAttachments": true, "supportsStructuredOutput": true, "reasoning": true}]},
+ *     "llamacpp": {"baseUrl": "http://localhost:8080/v1",
+ *       "models": [{"name": "gemma-3-12b", "supportsImages": true, "supportsAttachments": true}]}
+ *   }'
+ *
+ * `apiKeyEnv` names the variable holding the key so it stays out of the
+ * JSON; `apiKey` is read as-is. Names are case-insensitive. Invalid
+ * endpoints are skipped with a warning.
+ */
+export function getOpenAICompatibleEndpoints(): Record<string, OpenAICompatibleEndpoint> {
+  // Parsed once per value of the variable, so warnings aren't repeated per lookup
+  const raw = process.env.OPENAI_COMPATIBLE_ENDPOINTS ?? '';
+  if (!cached || cached.raw !== raw) {
+    cached = { raw, endpoints: parseEndpoints(raw) };
+  }
+  return cached.endpoints;
+}
+
+function parseEndpoints(raw: string): Record<string, OpenAICompatibleEndpoint> {
+  if (!raw) {
+    return {};
+  }
+
+  let parsed: Record<string, any>;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error: any) {
+    console.warn(`[openai-compatible] Ignoring invalid OPENAI_COMPATIBLE_ENDPOINTS: ${error.message}`);
+    return {};
+  }
+
+  const endpoints: Record<string, OpenAICompatibleEndpoint> = {};
+  for (const [name, entry] of Object.entries(parsed ?? {})) {
+    const key = name.trim().toLowerCase();
+    if (RESERVED_NAMES.includes(key)) {
+      console.warn(`[openai-compatible] Skipping endpoint "${name}": the name is taken by a built-in provider`);
+      continue;
+    }
+    if (typeof entry?.baseUrl !== 'string' || !Array.isArray(entry.models)) {
+      console.warn(`[openai-compatible] Skipping endpoint "${name}": baseUrl and models are required`);
+      continue;
+    }
+
+    endpoints[key] = {
+      name,
+      baseUrl: entry.baseUrl.replace(/\/+$/, ''),
+      apiKey: entry.apiKeyEnv ? process.env[entry.apiKeyEnv] : entry.apiKey,
+      models: entry.models
+        .filter((model: any) => typeof model?.name === 'string')
+        .map((model: any) => ({
+          ...model,
+          supportsImages: !!model.supportsImages,
+          supportsAttachments: !!model.supportsAttachments,
+        })),
+      ...(entry.price && { price: entry.price }),
+    };
+  }
+  return endpoints;
+}
+
+export function getOpenAICompatibleEndpoint(provider: string): OpenAICompatibleEndpoint | undefined {
+  return getOpenAICompatibleEndpoints()[provider.trim().toLowerCase()];
+}
@@ -1,17 +1,22 @@
-export type ProviderClass = 'openai' | 'anthropic' | 'xai' | 'hyperbolic' | 'ollama' | 'openrouter';
+export type ProviderClass = 'openai' | 'anthropic' | 'xai' | 'gemini' | 'hyperbolic' | 'ollama' | 'openrouter' | 'openai-compatible';
 
-export const openRouterDefaultModels: Record<Exclude<ProviderClass, 'ollama'>, string> = {
+// Classes that only run on their own servers, never through OpenRouter
+type LocalProviderClass = 'ollama' | 'openai-compatible';
+
+export const openRouterDefaultModels: Record<Exclude<ProviderClass, LocalProviderClass>, string> = {
   openai: 'openai/gpt-5.2',
   anthropic: 'anthropic/claude-sonnet-4.5',
   xai: 'x-ai/grok-4',
+  gemini: 'google/gemini-2.5-pro',
   hyperbolic: 'deepseek/deepseek-r1',
   openrouter: 'openai/gpt-5.2',
 };
 
-export const openRouterModelPrefixes: Record<Exclude<ProviderClass, 'ollama'>, string> = {
+export const openRouterModelPrefixes: Record<Exclude<ProviderClass, LocalProviderClass>, string> = {
   openai: 'openai',
   anthropic: 'anthropic',
   xai: 'x-ai',
+  gemini: 'google',
   hyperbolic: 'meta-llama',
   openrouter: '',
 };
@@ -115,7 +120,7 @@ export function resolveOpenRouterModelId(
 }
 
 export function getOpenRouterDefaultModel(providerClass: ProviderClass): string | null {
-  if (providerClass === 'ollama') {
+  if (providerClass === 'ollama' || providerClass === 'openai-compatible') {
     return null;
   }
 
@@ -123,7 +128,7 @@ export function getOpenRouterDefaultModel(providerClass: ProviderClass): string
 }
 
 export function getOpenRouterModelPrefix(providerClass: ProviderClass): string | null {
-  if (providerClass === 'ollama') {
+  if (providerClass === 'ollama' || providerClass === 'openai-compatible') {
     return null;
   }
 
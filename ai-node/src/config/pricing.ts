@@ -0,0 +1,139 @@
+import { resolveProviderClass } from '../lib/llm/provider-config';
+import { getOpenAICompatibleEndpoint } from './openai-compatible';
+
+/** USD per million tokens */
+export interface ModelPrice {
+  input: number;
+  output: number;
+}
+
+/**
+ * Provider list prices, USD per million tokens. A model matches the entry
+ * that is its name, or else the longest entry it extends with release
+ * suffixes only (dates, -preview, -latest), so dated releases
+ * (gpt-5-mini-2025-08-07, claude-sonnet-4-5-20250929) use their family's
+ * price while variants (gpt-5.1-codex-mini, gpt-5.4) need their own entry
+ * and are otherwise unpriced. Names are compared lower-case with dots as
+ * dashes and without an OpenRouter-style "vendor/" prefix. Prices change:
+ * operators should check them and override with MODEL_PRICES, e.g.
+ *   MODEL_PRICES='{"gpt-5": {"input": 1.25, "output": 10}, "DeepSeek-R1": {"input": 2, "output": 2}}'
+ */
+export const MODEL_PRICES: Record<string, ModelPrice> = {
+  // OpenAI
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-5.1': { input: 1.25, output: 10 },
+  'gpt-5.1-codex': { input: 1.25, output: 10 },
+  'gpt-5.1-codex-mini': { input: 0.25, output: 2 },
+  'gpt-5.2': { input: 1.75, output: 14 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o1': { input: 15, output: 60 },
+  'o1-mini': { input: 1.1, output: 4.4 },
+  'o3': { input: 2, output: 8 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+
+  // Anthropic
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-opus-4.1': { input: 15, output: 75 },
+  'claude-opus-4.5': { input: 5, output: 25 },
+  'claude-opus-4.6': { input: 5, output: 25 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-sonnet-4.5': { input: 3, output: 15 },
+  'claude-sonnet-4.6': { input: 3, output: 15 },
+  'claude-haiku-4.5': { input: 1, output: 5 },
+  'claude-3.7-sonnet': { input: 3, output: 15 },
+  'claude-3.5-sonnet': { input: 3, output: 15 },
+  'claude-3.5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-2': { input: 8, output: 24 },
+  'claude-2.1': { input: 8, output: 24 },
+
+  // Google (Gemini API, prompts up to 200k tokens)
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'gemini-3-pro': { input: 2, output: 12 },
+  'gemini-3.1-pro': { input: 2, output: 12 },
+
+  // xAI
+  'grok-4': { input: 3, output: 15 },
+  'grok-4-fast-reasoning': { input: 0.2, output: 0.5 },
+  'grok-4-fast-non-reasoning': { input: 0.2, output: 0.5 },
+  'grok-4.1-fast-reasoning': { input: 0.2, output: 0.5 },
+  'grok-4.1-fast-non-reasoning': { input: 0.2, output: 0.5 },
+  'grok-code-fast-1': { input: 0.2, output: 1.5 },
+  'grok-3': { input: 3, output: 15 },
+  'grok-3-mini': { input: 0.3, output: 0.5 },
+  'grok-2-vision': { input: 2, output: 10 },
+};
+
+const FREE: ModelPrice = { input: 0, output: 0 };
+
+// What may follow a table entry and still be the same model: release dates
+// (-2025-08-07, -20250929, -0709, -05-20), -preview and -latest
+const RELEASE_SUFFIX = /^(-(\d{4}-\d{2}-\d{2}|\d{8}|\d{4}|\d{2}-\d{2}|preview|latest))+$/;
+
+const normalizeModel = (model: string) =>
+  model.slice(model.lastIndexOf('/') + 1).trim().toLowerCase().replace(/\./g, '-');
+
+function priceTable(): Map<string, ModelPrice> {
+  const table = new Map<string, ModelPrice>();
+  const add = (prices: Record<string, ModelPrice>) => {
+    for (const [model, price] of Object.entries(prices)) {
+      table.set(normalizeModel(model), price);
+    }
+  };
+  add(MODEL_PRICES);
+  if (process.env.MODEL_PRICES) {
+    try {
+      add(JSON.parse(process.env.MODEL_PRICES));
+    } catch (error: any) {
+      console.warn(`[pricing] Ignoring invalid MODEL_PRICES: ${error.message}`);
+    }
+  }
+  return table;
+}
+
+/**
+ * Price of a model, or null when it is not in the table. Local (Ollama)
+ * models are free, and so are OpenAI-compatible endpoints without a `price`.
+ */
+export function priceFor(provider: string, model: string): ModelPrice | null {
+  try {
+    const providerClass = resolveProviderClass(provider);
+    if (providerClass === 'ollama') {
+      return FREE;
+    }
+    if (providerClass === 'openai-compatible') {
+      return getOpenAICompatibleEndpoint(provider)?.price ?? FREE;
+    }
+  } catch {
+    // Unknown provider: fall through to the table
+  }
+
+  const name = normalizeModel(model);
+  let best: { key: string; price: ModelPrice } | null = null;
+  for (const [key, price] of priceTable()) {
+    const matches = name === key || (name.startsWith(key) && RELEASE_SUFFIX.test(name.slice(key.length)));
+    if (matches && (!best || key.length > best.key.length)) {
+      best = { key, price };
+    }
+  }
+  return best?.price ?? null;
+}
+
+/** Cost in USD of a call, rounded to a millionth of a dollar. */
+export function costUsd(price: ModelPrice, usage: { inputTokens: number; outputTokens: number }): number {
+  const cost = (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1_000_000;
+  return Math.round(cost * 1e6) / 1e6;
+}
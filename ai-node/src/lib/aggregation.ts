@@ -0,0 +1,221 @@
+/**
+ * Score aggregation strategies for /api/rank-and-justify.
+ *
+ * Each iteration yields one score vector per successful model (its samples
+ * averaged) together with the model's jury weight. A strategy combines those
+ * into the jury's vector; whatever the strategy, the result is an integer
+ * vector summing to exactly 1,000,000 (largest-remainder rounding).
+ *
+ *   weighted_average     Σ wᵢ·pᵢ (the historical behaviour, default)
+ *   weighted_median      per outcome, the weighted median of the model scores
+ *   trimmed_mean         per outcome, drop the lowest and highest `trim`
+ *                        fraction of models, then the weighted mean
+ *   geometric            log-linear pooling, Π pᵢ^wᵢ; one model's near-zero
+ *                        score vetoes that outcome
+ *   majority_vote        each model's weight goes to its argmax outcome
+ *                        (split on ties); the result is the vote share
+ *   confidence_weighted  weighted average where each weight is scaled by the
+ *                        model's confidence, 1 − entropy(pᵢ)/log(n)
+ *
+ * The strategy is chosen per request (`aggregation` in the body, which the
+ * adapter fills from the manifest's juryParameters.AGGREGATION), else
+ * AGGREGATION_STRATEGY, else weighted_average.
+ */
+
+export const SCORE_TOTAL = 1_000_000;
+
+export const AGGREGATION_STRATEGIES = [
+  'weighted_average',
+  'weighted_median',
+  'trimmed_mean',
+  'geometric',
+  'majority_vote',
+  'confidence_weighted',
+] as const;
+
+export type AggregationStrategy = typeof AGGREGATION_STRATEGIES[number];
+
+export interface AggregationConfig {
+  strategy: AggregationStrategy;
+  /** trimmed_mean: fraction of models dropped at each end (0 ≤ trim < 0.5) */
+  trim?: number;
+}
+
+/** As recorded in the response (and justification) metadata. */
+export interface AggregationInfo extends AggregationConfig {
+  source: 'request' | 'default';
+}
+
+export interface ModelScores {
+  vector: number[];
+  weight: number;
+}
+
+const DEFAULT_TRIM = 0.2;
+// Floor for a probability in log-linear pooling, so a 0 is a strong vote
+// against an outcome rather than an infinite one
+const GEOMETRIC_FLOOR = 1 / SCORE_TOTAL;
+
+/**
+ * Parse an aggregation spec: a strategy name, "trimmed_mean:0.25", or
+ * `{ strategy, trim }`. Throws on unknown strategies or an invalid trim.
+ */
+export function parseAggregation(spec: unknown): AggregationConfig {
+  let strategy: unknown;
+  let trim: unknown;
+  if (typeof spec === 'string') {
+    const [name, param] = spec.trim().split(':');
+    strategy = name;
+    trim = param === undefined ? undefined : Number(param);
+  } else if (spec && typeof spec === 'object') {
+    ({ strategy, trim } = spec as { strategy?: unknown; trim?: unknown });
+  }
+
+  if (!AGGREGATION_STRATEGIES.includes(strategy as AggregationStrategy)) {
+    throw new Error(`Unknown aggregation strategy "${strategy}" (expected one of ${AGGREGATION_STRATEGIES.join(', ')})`);
+  }
+  const config: AggregationConfig = { strategy: strategy as AggregationStrategy };
+  if (config.strategy === 'trimmed_mean') {
+    const value = trim === undefined ? DEFAULT_TRIM : trim;
+    if (typeof value !== 'number' || !(value >= 0 && value < 0.5)) {
+      throw new Error(`Invalid trimmed_mean trim "${trim}" (expected 0 <= trim < 0.5)`);
+    }
+    config.trim = value;
+  }
+  return config;
+}
+
+/** Strategy for a request: its own `aggregation`, else the node default. */
+export function resolveAggregation(requested: unknown): AggregationInfo {
+  if (requested !== undefined && requested !== null) {
+    return { ...parseAggregation(requested), source: 'request' };
+  }
+  if (process.env.AGGREGATION_STRATEGY) {
+    return { ...parseAggregation(process.env.AGGREGATION_STRATEGY), source: 'default' };
+  }
+  return { strategy: 'weighted_average', source: 'default' };
+}
+
+/**
+ * Scale non-negative values to integers summing to exactly `total`. The
+ * remainder left by flooring goes to the largest fractional parts (lowest
+ * index first on ties); an all-zero vector becomes uniform.
+ */
+export function toScoreVector(values: number[], total: number = SCORE_TOTAL): number[] {
+  if (values.length === 0) return [];
+  const clamped = values.map(v => (Number.isFinite(v) && v > 0 ? v : 0));
+  const sum = clamped.reduce((a, b) => a + b, 0);
+  const shares = sum > 0 ? clamped.map(v => v / sum) : clamped.map(() => 1 / values.length);
+
+  // Round away float noise first so exact inputs stay exact (0.3 * 350000 …)
+  const scaled = shares.map(s => Math.round(s * total * 1e6) / 1e6);
+  const result = scaled.map(Math.floor);
+  let remainder = total - result.reduce((a, b) => a + b, 0);
+  const order = scaled
+    .map((s, i) => ({ i, frac: s - Math.floor(s) }))
+    .sort((a, b) => b.frac - a.frac || a.i - b.i);
+  for (let k = 0; remainder > 0; k = (k + 1) % order.length, remainder--) {
+    result[order[k].i]++;
+  }
+  return result;
+}
+
+function weightedMean(values: number[], weights: number[]): number {
+  const total = weights.reduce((a, b) => a + b, 0);
+  return total > 0 ? values.reduce((sum, v, i) => sum + v * weights[i], 0) / total : 0;
+}
+
+function weightedMedian(values: number[], weights: number[]): number {
+  const sorted = values.map((v, i) => ({ v, w: weights[i] })).sort((a, b) => a.v - b.v);
+  const half = sorted.reduce((sum, e) => sum + e.w, 0) / 2;
+  let cumulative = 0;
+  for (let k = 0; k < sorted.length; k++) {
+    cumulative += sorted[k].w;
+    if (cumulative > half) return sorted[k].v;
+    // Exactly half the weight on each side: average the two middle scores
+    if (cumulative === half) return (sorted[k].v + sorted[k + 1].v) / 2;
+  }
+  return sorted.length > 0 ? sorted[sorted.length - 1].v : 0;
+}
+
+function trimmedMean(values: number[], weights: number[], trim: number): number {
+  const drop = Math.floor(values.length * trim);
+  const kept = values
+    .map((v, i) => ({ v, w: weights[i] }))
+    .sort((a, b) => a.v - b.v)
+    .slice(drop, values.length - drop);
+  return weightedMean(kept.map(e => e.v), kept.map(e => e.w));
+}
+
+function perOutcome(models: ModelScores[], combine: (values: number[], weights: number[]) => number): number[] {
+  const weights = models.map(m => m.weight);
+  return models[0].vector.map((_, j) => combine(models.map(m => m.vector[j]), weights));
+}
+
+function shares(vector: number[]): number[] {
+  const sum = vector.reduce((a, b) => a + Math.max(b, 0), 0);
+  return vector.map(v => (sum > 0 ? Math.max(v, 0) / sum : 1 / vector.length));
+}
+
+function geometricPool(models: ModelScores[]): number[] {
+  const logs = models[0].vector.map((_, j) =>
+    models.reduce((sum, m) => sum + m.weight * Math.log(Math.max(shares(m.vector)[j], GEOMETRIC_FLOOR)), 0));
+  const max = Math.max(...logs);
+  return logs.map(l => Math.exp(l - max));
+}
+
+function majorityVote(models: ModelScores[]): number[] {
+  const votes = new Array(models[0].vector.length).fill(0);
+  for (const m of models) {
+    const top = Math.max(...m.vector);
+    const winners = m.vector.map((v, j) => (v === top ? j : -1)).filter(j => j >= 0);
+    winners.forEach(j => {
+      votes[j] += m.weight / winners.length;
+    });
+  }
+  return votes;
+}
+
+/** 1 for a model certain of one outcome, 0 for a uniform vector. */
+export function confidence(vector: number[]): number {
+  if (vector.length < 2) return 1;
+  const entropy = shares(vector).reduce((h, p) => (p > 0 ? h - p * Math.log(p) : h), 0);
+  return Math.max(0, 1 - entropy / Math.log(vector.length));
+}
+
+function confidenceWeighted(models: ModelScores[]): number[] {
+  const scaled = models.map(m => m.weight * confidence(m.vector));
+  // Every model uniform: nothing to prefer, fall back to the jury weights
+  const weights = scaled.some(w => w > 0) ? scaled : models.map(m => m.weight);
+  return models[0].vector.map((_, j) => weightedMean(models.map(m => m.vector[j]), weights));
+}
+
+/**
+ * Combine model score vectors with `config.strategy`. Returns [] when no
+ * model contributed (or all weights are zero), like the old weighted average.
+ */
+export function aggregateScores(models: ModelScores[], config: AggregationConfig): number[] {
+  const usable = models.filter(m => m.vector.length > 0 && m.weight > 0);
+  if (usable.length === 0) return [];
+  const dimensions = usable[0].vector.length;
+  if (usable.some(m => m.vector.length !== dimensions)) {
+    throw new Error('Cannot aggregate score vectors of different lengths');
+  }
+
+  switch (config.strategy) {
+    case 'weighted_average':
+      return toScoreVector(perOutcome(usable, weightedMean));
+    case 'weighted_median':
+      return toScoreVector(perOutcome(usable, weightedMedian));
+    case 'trimmed_mean':
+      return toScoreVector(perOutcome(usable, (v, w) => trimmedMean(v, w, config.trim ?? DEFAULT_TRIM)));
+    case 'geometric':
+      return toScoreVector(geometricPool(usable));
+    case 'majority_vote':
+      return toScoreVector(majorityVote(usable));
+    case 'confidence_weighted':
+      return toScoreVector(confidenceWeighted(usable));
+    default:
+      throw new Error(`Unknown aggregation strategy "${(config as AggregationConfig).strategy}"`);
+  }
+}
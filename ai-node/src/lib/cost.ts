@@ -0,0 +1,99 @@
+/**
+ * Token usage and cost accounting for one /api/rank-and-justify evaluation.
+ *
+ * Every provider call is recorded against a slot — the requested jury model
+ * (whichever model actually answered for it, fallbacks included) or the
+ * justifier — with the provider-reported token counts, or an estimate from
+ * text length when the provider reports none. Cost uses config/pricing.ts;
+ * calls to models without a price count tokens but no cost, and those models
+ * are listed so the total is not mistaken for the full spend.
+ */
+
+import { TokenUsage } from './llm/llm-provider-interface';
+import { priceFor, costUsd } from '../config/pricing';
+import * as metrics from './metrics';
+
+export interface UsageTotals {
+  input_tokens: number;
+  output_tokens: number;
+  /** Null when any call in the slot was to an unpriced model */
+  cost_usd: number | null;
+  /** True when any call's tokens were estimated rather than reported */
+  estimated: boolean;
+}
+
+export interface EvaluationUsage {
+  input_tokens: number;
+  output_tokens: number;
+  /** Sum over priced calls */
+  cost_usd: number;
+  estimated: boolean;
+  justifier?: UsageTotals;
+  /** provider-model pairs with no price (their calls are not in cost_usd) */
+  unpriced_models?: string[];
+}
+
+export const JUSTIFIER_SLOT = 'justifier';
+
+const roundUsd = (usd: number) => Math.round(usd * 1e6) / 1e6;
+
+export function createCostLedger() {
+  const slots = new Map<string, UsageTotals>();
+  const unpriced = new Set<string>();
+  let totalCost = 0;
+
+  return {
+    /**
+     * Record one call. `usage` is what the provider reported (null if
+     * nothing); `text` is used for the estimate in that case.
+     */
+    record(
+      slot: string,
+      provider: string,
+      model: string,
+      usage: TokenUsage | null,
+      text: { prompt: string; response: string }
+    ): void {
+      metrics.recordTokenUsage(provider, model, usage, text);
+      const counts = usage ?? metrics.estimateTokenUsage(text);
+
+      const totals = slots.get(slot) ?? { input_tokens: 0, output_tokens: 0, cost_usd: 0, estimated: false };
+      totals.input_tokens += counts.inputTokens;
+      totals.output_tokens += counts.outputTokens;
+      totals.estimated = totals.estimated || !usage;
+
+      const price = priceFor(provider, model);
+      if (price) {
+        const cost = costUsd(price, counts);
+        metrics.recordCost(provider, model, cost);
+        totalCost += cost;
+        if (totals.cost_usd !== null) {
+          totals.cost_usd = roundUsd(totals.cost_usd + cost);
+        }
+      } else {
+        unpriced.add(`${provider}-${model}`);
+        totals.cost_usd = null;
+      }
+      slots.set(slot, totals);
+    },
+
+    slot(slot: string): UsageTotals | undefined {
+      return slots.get(slot);
+    },
+
+    summary(): EvaluationUsage {
+      const all = Array.from(slots.values());
+      const justifier = slots.get(JUSTIFIER_SLOT);
+      return {
+        input_tokens: all.reduce((sum, t) => sum + t.input_tokens, 0),
+        output_tokens: all.reduce((sum, t) => sum + t.output_tokens, 0),
+        cost_usd: roundUsd(totalCost),
+        estimated: all.some(t => t.estimated),
+        ...(justifier && { justifier }),
+        ...(unpriced.size > 0 && { unpriced_models: Array.from(unpriced) }),
+      };
+    },
+  };
+}
+
+export type CostLedger = ReturnType<typeof createCostLedger>;
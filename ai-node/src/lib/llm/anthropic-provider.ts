@@ -1,4 +1,7 @@
-import { LLMProvider } from './llm-provider-interface';
+import { LLMProvider, GenerateOptions } from './llm-provider-interface';
+import { StructuredOutputSchema } from './structured-output';
+import { reportUsage } from './usage';
+import { streamChatModel } from './streaming';
 import { ChatAnthropic } from "@langchain/anthropic";
 import { modelConfig } from '../../config/models';
 
@@ -29,17 +32,31 @@ export class AnthropicProvider implements LLMProvider {
     return modelInfo ? modelInfo.supportsImages : false;
   }
 
-  async generateResponse(prompt: string, model: string): Promise<string> {
+  /**
+   * Claude 3 and later answer through a forced tool call whose input schema
+   * is the response schema.
+   */
+  supportsStructuredOutput(model: string): boolean {
+    return model.startsWith('claude-') && !model.startsWith('claude-2') && !model.startsWith('claude-instant');
+  }
+
+  async generateResponse(prompt: string, model: string, options?: GenerateOptions): Promise<string> {
     if (!this.apiKey) {
       throw new Error('ANTHROPIC_API_KEY is not set');
     }
+    if (options?.responseSchema) {
+      return this.generateStructuredResponse([{ type: "text", text: prompt }], model, options.responseSchema, options);
+    }
     const anthropic = new ChatAnthropic({
       anthropicApiKey: this.apiKey,
       modelName: model,
       temperature: 0.7,
       topP: undefined, // Explicitly disable topP to prevent LangChain's default of -1 (Claude 4.5+ requires only temperature OR top_p, not both)
     });
-    const response = await anthropic.invoke(prompt);
+    const response = options?.onToken
+      ? await streamChatModel(anthropic, prompt, options.onToken)
+      : await anthropic.invoke(prompt);
+    reportUsage(options, response);
     if (typeof response.content !== 'string') {
       throw new Error('Unexpected response format from Anthropic');
     }
@@ -92,7 +109,7 @@ export class AnthropicProvider implements LLMProvider {
     prompt: string, 
     model: string, 
     attachments: Array<{ type: string, content: string, mediaType: string }>,
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     if (!this.supportsAttachments(model)) {
       throw new Error(`[${this.providerName}] Model ${model} does not support attachments.`);
@@ -108,10 +125,16 @@ export class AnthropicProvider implements LLMProvider {
     const pdfAttachments = attachments.filter(att => att.mediaType === 'application/pdf');
     const otherAttachments = attachments.filter(att => att.mediaType !== 'application/pdf');
 
+    if (options?.responseSchema) {
+      // PDFs go in as document blocks only where the model reads them natively
+      const contentBlocks = this.buildContentBlocks(prompt, supportsNativePDF ? pdfAttachments : [], otherAttachments);
+      return this.generateStructuredResponse(contentBlocks, model, options.responseSchema, options);
+    }
+
     // Use native PDF support for supported models
     if (supportsNativePDF && pdfAttachments.length > 0) {
       console.log(`[${this.providerName}] Using native PDF support for ${pdfAttachments.length} PDF(s)`);
-      return this.generateResponseWithNativePDFSupport(prompt, model, pdfAttachments, otherAttachments);
+      return this.generateResponseWithNativePDFSupport(prompt, model, pdfAttachments, otherAttachments, options);
     }
 
     // Fall back to original implementation for non-PDF or non-supporting models
@@ -142,10 +165,14 @@ export class AnthropicProvider implements LLMProvider {
       })
     ];
 
-    const response = await anthropic.invoke([{
+    const input = [{
       role: "user",
       content: messageContent
-    }]);
+    }];
+    const response = options?.onToken
+      ? await streamChatModel(anthropic, input, options.onToken)
+      : await anthropic.invoke(input);
+    reportUsage(options, response);
 
     if (typeof response.content !== 'string') {
       throw new Error('Unexpected response format from Anthropic');
@@ -171,75 +198,134 @@ export class AnthropicProvider implements LLMProvider {
   }
 
   /**
-   * Generate response using Anthropic's native PDF support
+   * Anthropic Messages API content blocks: the prompt, PDFs as document
+   * blocks, images as base64 image blocks and anything else as text.
    */
-  private async generateResponseWithNativePDFSupport(
-    prompt: string, 
-    model: string, 
+  private buildContentBlocks(
+    prompt: string,
     pdfAttachments: Array<{ type: string, content: string, mediaType: string }>,
     otherAttachments: Array<{ type: string, content: string, mediaType: string }>
-  ): Promise<string> {
-    try {
-      // Use Anthropic's direct client for native PDF support
-      const { Anthropic } = await import('@anthropic-ai/sdk');
-      const client = new Anthropic({ apiKey: this.apiKey });
+  ): any[] {
+    const contentBlocks: any[] = [
+      { type: "text", text: prompt }
+    ];
+
+    // Add PDF attachments using Anthropic's document structure
+    for (const pdfAttachment of pdfAttachments) {
+      // Validate PDF size (Anthropic limit: 32MB, 100 pages)
+      const pdfSizeBytes = (pdfAttachment.content.length * 3) / 4; // Approximate base64 to bytes conversion
+      if (pdfSizeBytes > 32 * 1024 * 1024) {
+        throw new Error(`PDF file size (${Math.round(pdfSizeBytes / 1024 / 1024)}MB) exceeds Anthropic's 32MB limit`);
+      }
 
-      // Build message content with native PDF support
-      const contentBlocks: any[] = [
-        { type: "text", text: prompt }
-      ];
-
-      // Add PDF attachments using Anthropic's document structure
-      for (const pdfAttachment of pdfAttachments) {
-        // Validate PDF size (Anthropic limit: 32MB, 100 pages)
-        const pdfSizeBytes = (pdfAttachment.content.length * 3) / 4; // Approximate base64 to bytes conversion
-        if (pdfSizeBytes > 32 * 1024 * 1024) {
-          throw new Error(`PDF file size (${Math.round(pdfSizeBytes / 1024 / 1024)}MB) exceeds Anthropic's 32MB limit`);
+      // Use Anthropic's document content block for PDFs
+      contentBlocks.push({
+        type: "document",
+        source: {
+          type: "base64",
+          media_type: "application/pdf",
+          data: pdfAttachment.content
         }
+      });
+    }
 
-        // Use Anthropic's document content block for PDFs
+    // Add other attachments (images, text, etc.)
+    for (const attachment of otherAttachments) {
+      if (attachment.type === "image") {
+        if (!SUPPORTED_IMAGE_FORMATS.includes(attachment.mediaType)) {
+          throw new Error(`Unsupported image format: ${attachment.mediaType}`);
+        }
         contentBlocks.push({
-          type: "document",
+          type: "image",
           source: {
             type: "base64",
-            media_type: "application/pdf",
-            data: pdfAttachment.content
+            media_type: attachment.mediaType,
+            data: attachment.content
           }
         });
+      } else {
+        // Handle text content
+        contentBlocks.push({ type: "text", text: attachment.content });
       }
+    }
 
-      // Add other attachments (images, text, etc.)
-      for (const attachment of otherAttachments) {
-        if (attachment.type === "image") {
-          if (!SUPPORTED_IMAGE_FORMATS.includes(attachment.mediaType)) {
-            throw new Error(`Unsupported image format: ${attachment.mediaType}`);
-          }
-          contentBlocks.push({
-            type: "image",
-            source: {
-              type: "base64",
-              media_type: attachment.mediaType,
-              data: attachment.content
-            }
-          });
-        } else {
-          // Handle text content
-          contentBlocks.push({ type: "text", text: attachment.content });
-        }
-      }
+    return contentBlocks;
+  }
+
+  /**
+   * Forces a tool call whose input schema is the response schema and returns
+   * the tool input as JSON text, the shape parseModelResponse expects.
+   */
+  private async generateStructuredResponse(
+    contentBlocks: any[],
+    model: string,
+    responseSchema: StructuredOutputSchema,
+    options?: GenerateOptions
+  ): Promise<string> {
+    const { Anthropic } = await import('@anthropic-ai/sdk');
+    const client = new Anthropic({ apiKey: this.apiKey });
+
+    const params = {
+      model: model,
+      messages: [{ role: "user" as const, content: contentBlocks }],
+      max_tokens: 1000,
+      temperature: 0.7,
+      tools: [{
+        name: responseSchema.name,
+        description: responseSchema.description,
+        input_schema: responseSchema.schema as any
+      }],
+      tool_choice: { type: "tool" as const, name: responseSchema.name }
+    };
+    // Streamed, the tool input arrives as JSON text deltas
+    const onToken = options?.onToken;
+    const response = onToken
+      ? await client.messages.stream(params).on('inputJson', delta => onToken(delta)).finalMessage()
+      : await client.messages.create(params);
+    reportUsage(options, response);
+
+    const toolUse = response.content.find((block: any) => block.type === 'tool_use') as any;
+    if (!toolUse) {
+      throw new Error(`[${this.providerName}] Model ${model} did not return a ${responseSchema.name} tool call`);
+    }
+    console.log(`[${this.providerName}] Structured output via tool use, stop_reason: ${response.stop_reason}`);
+    return JSON.stringify(toolUse.input);
+  }
+
+  /**
+   * Generate response using Anthropic's native PDF support
+   */
+  private async generateResponseWithNativePDFSupport(
+    prompt: string, 
+    model: string, 
+    pdfAttachments: Array<{ type: string, content: string, mediaType: string }>,
+    otherAttachments: Array<{ type: string, content: string, mediaType: string }>,
+    options?: GenerateOptions
+  ): Promise<string> {
+    try {
+      // Use Anthropic's direct client for native PDF support
+      const { Anthropic } = await import('@anthropic-ai/sdk');
+      const client = new Anthropic({ apiKey: this.apiKey });
+
+      const contentBlocks = this.buildContentBlocks(prompt, pdfAttachments, otherAttachments);
 
       // Make the API call with native PDF support
-      const response = await client.messages.create({
+      const params = {
         model: model,
         messages: [
           {
-            role: "user",
+            role: "user" as const,
             content: contentBlocks
           }
         ],
         max_tokens: 1000,
         temperature: 0.7  // Required for Claude Sonnet 4.5+ (cannot use both temperature and top_p)
-      });
+      };
+      const onToken = options?.onToken;
+      const response = onToken
+        ? await client.messages.stream(params).on('text', delta => onToken(delta)).finalMessage()
+        : await client.messages.create(params);
+      reportUsage(options, response);
 
       const content = response.content[0];
       if (!content || content.type !== 'text') {
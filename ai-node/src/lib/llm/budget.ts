@@ -0,0 +1,359 @@
+/**
+ * Spend budgets and circuit breakers for provider calls.
+ *
+ * LLMFactory wraps every provider it hands out with withBudget(), so each
+ * generateResponse / generateResponseWithAttachments call is checked against
+ * the limits of its provider class and of its model before it is sent:
+ *
+ *   LLM_BUDGETS='{"openai": {"daily_usd": 20, "monthly_usd": 300, "requests_per_minute": 60},
+ *                 "openai:gpt-5": {"daily_usd": 5}}'
+ *
+ * (an OpenAI-compatible endpoint is keyed by its own name, not its class)
+ * and against a circuit breaker per class and per model that opens when the
+ * error rate over the last CIRCUIT_BREAKER_WINDOW_MS reaches
+ * CIRCUIT_BREAKER_ERROR_RATE (after at least CIRCUIT_BREAKER_MIN_CALLS calls).
+ * An open breaker rejects calls for CIRCUIT_BREAKER_COOLDOWN_MS, then lets
+ * calls through again and closes on the first success (or reopens on the
+ * first failure). A spent budget rejects calls until the day or month rolls
+ * over (UTC).
+ *
+ * A rejected call throws BudgetRejectedError, which is not retried, so
+ * LLMFactory.withFallback reroutes the jury slot to its fallback chain.
+ * Spend and open breakers are persisted to LLM_BUDGET_STATE_FILE (default
+ * logs/llm-budget-state.json, "none" to disable) and survive restarts. The
+ * file is rewritten in the background (write-tmp → rename), one write at a
+ * time however many calls finish meanwhile, and once more on process exit.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { LLMProvider, GenerateOptions, TokenUsage } from './llm-provider-interface';
+import { resolveProviderScope } from './provider-config';
+import { priceFor, costUsd } from '../../config/pricing';
+import { estimateTokenUsage } from '../metrics';
+
+export interface BudgetLimits {
+  daily_usd?: number;
+  monthly_usd?: number;
+  requests_per_minute?: number;
+}
+
+export interface BreakerSettings {
+  errorRate: number;
+  minCalls: number;
+  windowMs: number;
+  cooldownMs: number;
+}
+
+export type BreakerState = 'closed' | 'open' | 'half_open';
+
+export class BudgetRejectedError extends Error {
+  constructor(
+    message: string,
+    public readonly code: 'BUDGET_EXCEEDED' | 'RATE_LIMITED' | 'CIRCUIT_OPEN',
+    public readonly key: string
+  ) {
+    super(message);
+    this.name = 'BudgetRejectedError';
+  }
+}
+
+interface KeyState {
+  day: string;
+  dailyUsd: number;
+  month: string;
+  monthlyUsd: number;
+  openUntil?: number;
+  openReason?: string;
+}
+
+interface PersistedState {
+  keys: Record<string, KeyState>;
+}
+
+const MINUTE_MS = 60_000;
+
+function readLimits(): Record<string, BudgetLimits> {
+  if (!process.env.LLM_BUDGETS) {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(process.env.LLM_BUDGETS);
+    return Object.fromEntries(Object.entries(parsed).map(([key, limits]) => [key.toLowerCase(), limits as BudgetLimits]));
+  } catch (error: any) {
+    console.warn(`[budget] Ignoring invalid LLM_BUDGETS: ${error.message}`);
+    return {};
+  }
+}
+
+function readBreakerSettings(): BreakerSettings {
+  return {
+    errorRate: parseFloat(process.env.CIRCUIT_BREAKER_ERROR_RATE || '0.5'),
+    minCalls: parseInt(process.env.CIRCUIT_BREAKER_MIN_CALLS || '10'),
+    windowMs: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_MS || '60000'),
+    cooldownMs: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS || '60000'),
+  };
+}
+
+function defaultStateFile(): string | null {
+  const file = process.env.LLM_BUDGET_STATE_FILE || path.join(process.cwd(), 'logs', 'llm-budget-state.json');
+  return file === 'none' ? null : file;
+}
+
+export function createBudgetGuard(options: {
+  limits?: Record<string, BudgetLimits>;
+  breaker?: BreakerSettings;
+  stateFile?: string | null;
+  now?: () => number;
+} = {}) {
+  const limits = options.limits ?? readLimits();
+  const breaker = options.breaker ?? readBreakerSettings();
+  const stateFile = options.stateFile === undefined ? defaultStateFile() : options.stateFile;
+  const now = options.now ?? Date.now;
+
+  const outcomes = new Map<string, Array<{ at: number; ok: boolean }>>();
+  const requests = new Map<string, number[]>();
+  let state: PersistedState = { keys: {} };
+
+  if (stateFile && fs.existsSync(stateFile)) {
+    try {
+      state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch (error: any) {
+      console.warn(`[budget] Could not read ${stateFile}, starting empty: ${error.message}`);
+    }
+  }
+
+  // Bumped by every change; parallel jury calls share one background write
+  let version = 0;
+  let written = 0;
+  let writing: Promise<void> | null = null;
+
+  const writeState = async (file: string) => {
+    while (written < version) {
+      const target = version;
+      try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(state, null, 2));
+        await fs.promises.rename(`${file}.tmp`, file);
+      } catch (error: any) {
+        console.warn(`[budget] Could not write ${file}: ${error.message}`);
+      }
+      written = target;
+    }
+  };
+
+  const persist = () => {
+    if (!stateFile) return;
+    version++;
+    if (!writing) {
+      writing = writeState(stateFile).finally(() => {
+        writing = null;
+      });
+    }
+  };
+
+  const keysFor = (provider: string, model: string) => {
+    const scope = resolveProviderScope(provider);
+    return [scope, `${scope}:${model.toLowerCase()}`];
+  };
+
+  // Spend for the current UTC day and month, rolled over when either changes
+  const keyState = (key: string): KeyState => {
+    const iso = new Date(now()).toISOString();
+    const day = iso.slice(0, 10);
+    const month = iso.slice(0, 7);
+    const current = state.keys[key] ?? (state.keys[key] = { day, dailyUsd: 0, month, monthlyUsd: 0 });
+    if (current.day !== day) {
+      current.day = day;
+      current.dailyUsd = 0;
+    }
+    if (current.month !== month) {
+      current.month = month;
+      current.monthlyUsd = 0;
+    }
+    return current;
+  };
+
+  const breakerState = (current: KeyState): BreakerState => {
+    if (current.openUntil === undefined) return 'closed';
+    return now() < current.openUntil ? 'open' : 'half_open';
+  };
+
+  const recentOutcomes = (key: string) => {
+    const cutoff = now() - breaker.windowMs;
+    const recent = (outcomes.get(key) ?? []).filter(o => o.at > cutoff);
+    outcomes.set(key, recent);
+    return recent;
+  };
+
+  const open = (key: string, current: KeyState, reason: string) => {
+    current.openUntil = now() + breaker.cooldownMs;
+    current.openReason = reason;
+    outcomes.set(key, []);
+    console.warn(`[budget] Circuit open for ${key} for ${breaker.cooldownMs}ms: ${reason}`);
+  };
+
+  return {
+    /** Throws BudgetRejectedError when the call must not be sent. */
+    assertAllowed(provider: string, model: string): void {
+      for (const key of keysFor(provider, model)) {
+        const current = keyState(key);
+        const limit = limits[key] ?? {};
+
+        if (breakerState(current) === 'open') {
+          throw new BudgetRejectedError(`Circuit open for ${key} until ${new Date(current.openUntil!).toISOString()}: ${current.openReason}`, 'CIRCUIT_OPEN', key);
+        }
+        if (limit.daily_usd !== undefined && current.dailyUsd >= limit.daily_usd) {
+          throw new BudgetRejectedError(`Daily budget of $${limit.daily_usd} for ${key} is spent ($${current.dailyUsd.toFixed(4)})`, 'BUDGET_EXCEEDED', key);
+        }
+        if (limit.monthly_usd !== undefined && current.monthlyUsd >= limit.monthly_usd) {
+          throw new BudgetRejectedError(`Monthly budget of $${limit.monthly_usd} for ${key} is spent ($${current.monthlyUsd.toFixed(4)})`, 'BUDGET_EXCEEDED', key);
+        }
+        if (limit.requests_per_minute !== undefined) {
+          const recent = (requests.get(key) ?? []).filter(at => at > now() - MINUTE_MS);
+          requests.set(key, recent);
+          if (recent.length >= limit.requests_per_minute) {
+            throw new BudgetRejectedError(`Request budget of ${limit.requests_per_minute}/min for ${key} is used up`, 'RATE_LIMITED', key);
+          }
+        }
+      }
+      for (const key of keysFor(provider, model)) {
+        requests.set(key, [...(requests.get(key) ?? []), now()]);
+      }
+    },
+
+    /** Record a sent call's outcome and cost (0 for failures and unpriced models). */
+    record(provider: string, model: string, ok: boolean, usd: number): void {
+      for (const key of keysFor(provider, model)) {
+        const current = keyState(key);
+        current.dailyUsd += usd;
+        current.monthlyUsd += usd;
+
+        if (breakerState(current) === 'half_open') {
+          if (ok) {
+            delete current.openUntil;
+            delete current.openReason;
+            outcomes.set(key, []);
+          } else {
+            open(key, current, 'failed again after cooldown');
+          }
+          continue;
+        }
+
+        const recent = recentOutcomes(key);
+        recent.push({ at: now(), ok });
+        const failures = recent.filter(o => !o.ok).length;
+        if (recent.length >= breaker.minCalls && failures / recent.length >= breaker.errorRate) {
+          open(key, current, `${failures}/${recent.length} calls failed in the last ${breaker.windowMs}ms`);
+        }
+      }
+      persist();
+    },
+
+    /** Resolves once every recorded call is on disk. */
+    async flush(): Promise<void> {
+      while (writing) {
+        await writing;
+      }
+    },
+
+    /**
+     * Write unsaved state synchronously, for process exit (where nothing
+     * asynchronous runs any more).
+     */
+    flushSync(): void {
+      if (!stateFile || written >= version) return;
+      written = version;
+      try {
+        fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+        fs.writeFileSync(`${stateFile}.tmp`, JSON.stringify(state, null, 2));
+        fs.renameSync(`${stateFile}.tmp`, stateFile);
+      } catch (error: any) {
+        console.warn(`[budget] Could not write ${stateFile}: ${error.message}`);
+      }
+    },
+
+    /** Limits, spend and breaker state per key, for /api/health. */
+    status() {
+      const keys = new Set([...Object.keys(limits), ...Object.keys(state.keys)]);
+      return Array.from(keys).sort().map(key => {
+        const current = keyState(key);
+        const limit = limits[key] ?? {};
+        const breakerNow = breakerState(current);
+        return {
+          key,
+          limits: limit,
+          spend_usd: { day: round(current.dailyUsd), month: round(current.monthlyUsd) },
+          budget_exhausted: (limit.daily_usd !== undefined && current.dailyUsd >= limit.daily_usd) ||
+            (limit.monthly_usd !== undefined && current.monthlyUsd >= limit.monthly_usd),
+          breaker: breakerNow,
+          ...(breakerNow !== 'closed' && {
+            open_until: new Date(current.openUntil!).toISOString(),
+            reason: current.openReason,
+          }),
+        };
+      });
+    },
+  };
+}
+
+const round = (usd: number) => Math.round(usd * 1e6) / 1e6;
+
+export type BudgetGuard = ReturnType<typeof createBudgetGuard>;
+
+// One guard per process, like the metrics registry (Next.js may load this module more than once)
+const globalForBudget = globalThis as unknown as { __verdiktaBudgetGuard?: BudgetGuard };
+
+export function getBudgetGuard(): BudgetGuard {
+  if (!globalForBudget.__verdiktaBudgetGuard) {
+    const guard = createBudgetGuard();
+    process.once('exit', () => guard.flushSync());
+    globalForBudget.__verdiktaBudgetGuard = guard;
+  }
+  return globalForBudget.__verdiktaBudgetGuard;
+}
+
+/**
+ * Route a provider's generate calls through the guard: reject before
+ * sending, then record the outcome and the cost (provider-reported usage,
+ * else estimated from the text). A failed call, including one that timed
+ * out mid-stream, costs whatever usage the provider reported before it
+ * failed.
+ */
+export function withBudget<T extends LLMProvider>(llmProvider: T, provider: string, guard: BudgetGuard = getBudgetGuard()): T {
+  const guarded = (name: 'generateResponse' | 'generateResponseWithAttachments', optionsIndex: number) => {
+    const original = (llmProvider as any)[name];
+    if (typeof original !== 'function') return;
+
+    (llmProvider as any)[name] = async (...args: any[]) => {
+      const [prompt, model] = args as [string, string];
+      guard.assertAllowed(provider, model);
+
+      const options: GenerateOptions | undefined = args[optionsIndex];
+      let reported: TokenUsage | null = null;
+      args[optionsIndex] = {
+        ...options,
+        onUsage: (usage: TokenUsage) => {
+          reported = usage;
+          options?.onUsage?.(usage);
+        },
+      };
+
+      const price = priceFor(provider, model);
+      let response: string;
+      try {
+        response = await original.apply(llmProvider, args);
+      } catch (error) {
+        guard.record(provider, model, false, price && reported ? costUsd(price, reported) : 0);
+        throw error;
+      }
+      const usage = reported ?? estimateTokenUsage({ prompt, response });
+      guard.record(provider, model, true, price ? costUsd(price, usage) : 0);
+      return response;
+    };
+  };
+
+  guarded('generateResponse', 2);
+  guarded('generateResponseWithAttachments', 3);
+  return llmProvider;
+}
@@ -0,0 +1,254 @@
+/**
+ * GeminiProvider Module
+ *
+ * This module implements the LLMProvider interface for Google's Gemini models,
+ * called natively through the Gemini API (generativelanguage.googleapis.com)
+ * so Gemini stays available when OpenRouter is down or rate-limited.
+ *
+ * Images and PDFs are sent as inline data parts; structured output uses
+ * `responseMimeType: application/json` with `responseJsonSchema`.
+ *
+ * API Documentation: https://ai.google.dev/api
+ */
+
+import { LLMProvider, GenerateOptions } from './llm-provider-interface';
+import { providerHttpError } from './retry';
+import { reportUsage } from './usage';
+import { readServerSentEvents } from './streaming';
+import { modelConfig } from '../../config/models';
+
+const SUPPORTED_IMAGE_FORMATS = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+// Inline data counts towards the 20 MB request limit
+const MAX_INLINE_SIZE = 20 * 1024 * 1024;
+// responseJsonSchema needs Gemini 2.5 or later
+const STRUCTURED_OUTPUT_MODELS = /^gemini-(2\.5|[3-9])/i;
+
+/**
+ * GeminiProvider class
+ *
+ * This class implements the LLMProvider interface for Gemini.
+ * Uses native fetch against the generateContent / streamGenerateContent endpoints.
+ */
+export class GeminiProvider implements LLMProvider {
+  private apiKey: string;
+  private readonly providerName = 'Gemini';
+  private readonly baseUrl: string;
+  private models: Array<{ name: string; supportsImages: boolean; supportsAttachments: boolean }>;
+
+  /**
+   * Constructor for GeminiProvider
+   *
+   * Reads GEMINI_API_KEY (or GOOGLE_API_KEY) and an optional GEMINI_BASE_URL.
+   */
+  constructor() {
+    this.apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || '';
+    this.baseUrl = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta';
+    this.models = modelConfig.gemini || [];
+
+    if (!this.apiKey) {
+      console.warn(`[${this.providerName}] Warning: GEMINI_API_KEY not set. Provider will not be functional.`);
+    }
+  }
+
+  /**
+   * Initialize the provider.
+   * Like XAIProvider, a missing key does not throw so the models can still be listed.
+   */
+  async initialize(): Promise<void> {
+    if (!this.apiKey) {
+      console.warn(`[${this.providerName}] GEMINI_API_KEY not set. Models will be listed but won't work until configured.`);
+    } else {
+      console.log(`[${this.providerName}] Provider initialized with base URL: ${this.baseUrl}`);
+    }
+  }
+
+  async getModels(): Promise<Array<{ name: string; supportsImages: boolean; supportsAttachments: boolean }>> {
+    return this.models;
+  }
+
+  supportsImages(model: string): boolean {
+    const modelInfo = this.models.find(m => m.name === model);
+    return modelInfo?.supportsImages ?? false;
+  }
+
+  supportsAttachments(model: string): boolean {
+    const modelInfo = this.models.find(m => m.name === model);
+    return modelInfo?.supportsAttachments ?? false;
+  }
+
+  supportsStructuredOutput(model: string): boolean {
+    return STRUCTURED_OUTPUT_MODELS.test(model);
+  }
+
+  /**
+   * Gemini 2.5 and later think before answering; thinking tokens count
+   * against maxOutputTokens, so they get the reasoning budget.
+   */
+  private isThinkingModel(model: string): boolean {
+    return /^gemini-(2\.5|[3-9])/i.test(model) && !model.toLowerCase().includes('flash-lite');
+  }
+
+  async generateResponse(prompt: string, model: string, options?: GenerateOptions): Promise<string> {
+    return this.generateContent(model, [{ text: prompt }], options);
+  }
+
+  async generateResponseWithImage(
+    prompt: string,
+    model: string,
+    base64Image: string,
+    mediaType: string = 'image/jpeg'
+  ): Promise<string> {
+    if (!this.supportsImages(model)) {
+      throw new Error(`[${this.providerName}] Model ${model} does not support image inputs.`);
+    }
+    return this.generateContent(model, [{ text: prompt }, this.inlinePart(model, base64Image, mediaType)]);
+  }
+
+  /**
+   * Images and PDFs are passed inline for the model to read natively; text
+   * attachments (extracted documents) are appended as text parts.
+   */
+  async generateResponseWithAttachments(
+    prompt: string,
+    model: string,
+    attachments: Array<{ type: string; content: string; mediaType: string }>,
+    options?: GenerateOptions
+  ): Promise<string> {
+    if (!this.supportsAttachments(model)) {
+      throw new Error(`[${this.providerName}] Model ${model} does not support attachments.`);
+    }
+
+    const parts: any[] = [{ text: prompt }];
+    for (const attachment of attachments) {
+      if (attachment.type === 'image' || attachment.mediaType === 'application/pdf') {
+        if (attachment.type === 'image' && !this.supportsImages(model)) {
+          throw new Error(`[${this.providerName}] Model ${model} does not support image inputs.`);
+        }
+        parts.push(this.inlinePart(model, attachment.content, attachment.mediaType));
+      } else {
+        parts.push({ text: attachment.content });
+      }
+    }
+
+    const inlineBytes = parts.reduce((sum, part) => sum + (part.inline_data ? part.inline_data.data.length * 0.75 : 0), 0);
+    if (inlineBytes > MAX_INLINE_SIZE) {
+      throw new Error(`[${this.providerName}] Model ${model}: Attachments must be under 20 MB in total.`);
+    }
+
+    return this.generateContent(model, parts, options);
+  }
+
+  private inlinePart(model: string, base64Data: string, mediaType: string) {
+    if (mediaType !== 'application/pdf' && !SUPPORTED_IMAGE_FORMATS.includes(mediaType)) {
+      throw new Error(`[${this.providerName}] Model ${model}: Unsupported image format: ${mediaType}. Supported formats are: JPEG, PNG, WEBP, HEIC and HEIF.`);
+    }
+    if (base64Data.length * 0.75 > MAX_INLINE_SIZE) {
+      throw new Error(`[${this.providerName}] Model ${model}: File size must be under 20 MB.`);
+    }
+    return { inline_data: { mime_type: mediaType, data: base64Data } };
+  }
+
+  /**
+   * One generateContent call, streamed through `options.onToken` when given.
+   * Thought parts are left out of the answer.
+   */
+  private async generateContent(model: string, parts: any[], options?: GenerateOptions): Promise<string> {
+    if (!this.apiKey) {
+      throw new Error(`[${this.providerName}] GEMINI_API_KEY not configured`);
+    }
+
+    const maxOutputTokens = this.isThinkingModel(model)
+      ? parseInt(process.env.REASONING_MODEL_MAX_TOKENS || '16000')
+      : 1000;
+    const structured = options?.responseSchema && this.supportsStructuredOutput(model);
+    const url = options?.onToken
+      ? `${this.baseUrl}/models/${model}:streamGenerateContent?alt=sse`
+      : `${this.baseUrl}/models/${model}:generateContent`;
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': this.apiKey,
+        },
+        body: JSON.stringify({
+          contents: [{ role: 'user', parts }],
+          generationConfig: {
+            maxOutputTokens,
+            temperature: 0.7,
+            ...(structured && {
+              responseMimeType: 'application/json',
+              responseJsonSchema: options!.responseSchema!.schema,
+            }),
+          },
+        }),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw providerHttpError(`[${this.providerName}]`, response, errorText);
+      }
+
+      const json = options?.onToken
+        ? await this.collectStream(response, options.onToken)
+        : await response.json();
+      reportUsage(options, json);
+
+      const blockReason = json.promptFeedback?.blockReason;
+      if (blockReason) {
+        throw new Error(`[${this.providerName}] Prompt blocked by Gemini safety filters (${blockReason})`);
+      }
+
+      const candidate = json.candidates?.[0];
+      const content = (candidate?.content?.parts ?? [])
+        .filter((part: any) => !part.thought && typeof part.text === 'string')
+        .map((part: any) => part.text)
+        .join('');
+
+      if (!content) {
+        if (candidate?.finishReason === 'SAFETY' || candidate?.finishReason === 'PROHIBITED_CONTENT') {
+          throw new Error(`[${this.providerName}] Response blocked by Gemini safety filters (${candidate.finishReason})`);
+        }
+        throw new Error(`[${this.providerName}] No content in response from model ${model} (finishReason: ${candidate?.finishReason})`);
+      }
+
+      if (candidate.finishReason === 'MAX_TOKENS') {
+        console.warn(`[${this.providerName}] ⚠️ Response truncated! Model ${model} hit maxOutputTokens (${maxOutputTokens}). Consider increasing REASONING_MODEL_MAX_TOKENS.`);
+      }
+
+      console.log(`[${this.providerName}] Response received, length: ${content.length}, finishReason: ${candidate.finishReason}`);
+      return content;
+    } catch (error: any) {
+      console.error(`[${this.providerName}] Error calling model ${model}:`, error.message);
+      throw error;
+    }
+  }
+
+  /** Fold streamGenerateContent chunks into one generateContent response. */
+  private async collectStream(response: Response, onToken: (text: string) => void): Promise<any> {
+    let text = '';
+    let finishReason: string | undefined;
+    let usageMetadata: any;
+    let promptFeedback: any;
+
+    for await (const chunk of readServerSentEvents(response)) {
+      const candidate = chunk.candidates?.[0];
+      for (const part of candidate?.content?.parts ?? []) {
+        if (!part.thought && typeof part.text === 'string' && part.text) {
+          text += part.text;
+          onToken(part.text);
+        }
+      }
+      finishReason = candidate?.finishReason ?? finishReason;
+      usageMetadata = chunk.usageMetadata ?? usageMetadata;
+      promptFeedback = chunk.promptFeedback ?? promptFeedback;
+    }
+
+    return {
+      candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason }],
+      ...(usageMetadata && { usageMetadata }),
+      ...(promptFeedback && { promptFeedback }),
+    };
+  }
+}
@@ -1,4 +1,7 @@
-import { LLMProvider } from './llm-provider-interface';
+import { LLMProvider, GenerateOptions } from './llm-provider-interface';
+import { providerHttpError } from './retry';
+import { reportUsage } from './usage';
+import { streamingFields, readChatCompletion } from './streaming';
 import { modelConfig } from '../../config/models';
 
 /**
@@ -81,7 +84,7 @@ export class HyperbolicProvider implements LLMProvider {
   async generateResponse(
     prompt: string, 
     model: string,
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     if (!this.apiKey) {
       throw new Error(`[${this.providerName}] HYPERBOLIC_API_KEY not configured`);
@@ -129,16 +132,17 @@ export class HyperbolicProvider implements LLMProvider {
           max_tokens,
           temperature,
           top_p,
-          stream: false
+          ...streamingFields(options)
         }),
       });
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`[${this.providerName}] HTTP ${response.status}: ${errorText}`);
+        throw providerHttpError(`[${this.providerName}]`, response, errorText);
       }
 
-      const json = await response.json();
+      const json = await readChatCompletion(response, options);
+      reportUsage(options, json);
       
       if (!json.choices || !json.choices[0] || !json.choices[0].message) {
         throw new Error(`[${this.providerName}] Invalid response format from model ${model}`);
@@ -214,7 +218,7 @@ export class HyperbolicProvider implements LLMProvider {
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`[${this.providerName}] HTTP ${response.status}: ${errorText}`);
+        throw providerHttpError(`[${this.providerName}]`, response, errorText);
       }
 
       const json = await response.json();
@@ -245,7 +249,7 @@ export class HyperbolicProvider implements LLMProvider {
     prompt: string,
     model: string,
     attachments: Array<{ type: string; content: string; mediaType: string }>,
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     if (!this.supportsAttachments(model)) {
       throw new Error(`[${this.providerName}] Model ${model} does not support attachments.`);
@@ -295,16 +299,17 @@ export class HyperbolicProvider implements LLMProvider {
             content: contentParts
           }],
           max_tokens: 1000,
-          stream: false
+          ...streamingFields(options)
         }),
       });
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`[${this.providerName}] HTTP ${response.status}: ${errorText}`);
+        throw providerHttpError(`[${this.providerName}]`, response, errorText);
       }
 
-      const json = await response.json();
+      const json = await readChatCompletion(response, options);
+      reportUsage(options, json);
       const content = json.choices[0]?.message?.content;
 
       if (!content) {
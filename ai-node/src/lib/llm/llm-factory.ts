@@ -5,8 +5,20 @@ import { AnthropicProvider } from './anthropic-provider';
 import { HyperbolicProvider } from './hyperbolic-provider';
 import { XAIProvider } from './xai-provider';
 import { OpenRouterProvider } from './openrouter-provider';
-import { resolveProviderConfig } from './provider-config';
+import { GeminiProvider } from './gemini-provider';
+import { OpenAICompatibleProvider } from './openai-compatible-provider';
+import { resolveProviderConfig, resolveFallbackChain, ModelTarget } from './provider-config';
+import { withBudget } from './budget';
+import { isProviderError } from './retry';
+import { ReplayProvider, fixtureMode } from './replay-provider';
 import { getOpenRouterModelPrefix } from '../../config/openrouter-models';
+import { getOpenAICompatibleEndpoint } from '../../config/openai-compatible';
+
+export interface FallbackEvent {
+  from: ModelTarget;
+  to: ModelTarget;
+  error: any;
+}
 
 export class LLMFactory {
   static async getProvider(provider: string): Promise<LLMProvider> {
@@ -28,6 +40,10 @@ export class LLMFactory {
         prefix,
       );
       console.log(`[LLMFactory] Class=${provider} → backend=openrouter model=${mappedModel}`);
+    } else if (resolution.providerClass === 'openai-compatible') {
+      const endpoint = getOpenAICompatibleEndpoint(provider)!;
+      llmProvider = new OpenAICompatibleProvider(endpoint);
+      console.log(`[LLMFactory] Class=${provider} → backend=openai-compatible url=${endpoint.baseUrl}`);
     } else {
       switch (provider) {
         case 'OpenAI':
@@ -55,13 +71,58 @@ export class LLMFactory {
         case 'grok':
           llmProvider = new XAIProvider();
           break;
+        case 'Gemini':
+        case 'gemini':
+        case 'Google':
+        case 'google':
+          llmProvider = new GeminiProvider();
+          break;
         default:
           throw new Error(`Unknown provider: ${provider}`);
       }
       console.log(`[LLMFactory] Class=${provider} → backend=native`);
     }
 
+    // LLM_FIXTURES=record|replay: calls are recorded to or answered from fixtures (replay-provider.ts)
+    const mode = fixtureMode();
+    if (mode) {
+      llmProvider = new ReplayProvider(llmProvider, provider, mode);
+    }
+
     await llmProvider.initialize();
-    return llmProvider;
+    // Every call is checked against the spend budgets and circuit breakers (budget.ts)
+    return withBudget(llmProvider, provider);
+  }
+
+  /**
+   * Run `run` for a jury model, moving down its fallback chain
+   * (resolveFallbackChain) each time it fails with a provider error
+   * (isProviderError). Transient errors are retried inside `run`, so what
+   * reaches here is fatal or repeated. Any other error, or any error once
+   * `deadline` (epoch ms) has passed, is rethrown as is. Resolves with the
+   * result and the target that produced it; the last error is rethrown once
+   * the chain is exhausted.
+   */
+  static async withFallback<T>(
+    provider: string,
+    model: string,
+    run: (target: ModelTarget) => Promise<T>,
+    onFallback?: (event: FallbackEvent) => void,
+    deadline?: number
+  ): Promise<{ result: T; target: ModelTarget }> {
+    const chain: ModelTarget[] = [{ provider, model }, ...resolveFallbackChain(provider, model)];
+
+    for (let i = 0; ; i++) {
+      try {
+        return { result: await run(chain[i]), target: chain[i] };
+      } catch (error: any) {
+        const next = chain[i + 1];
+        if (!next || !isProviderError(error) || (deadline !== undefined && Date.now() >= deadline)) {
+          throw error;
+        }
+        console.log(`[LLMFactory] ${chain[i].provider}:${chain[i].model} failed (${error?.message}) → fallback ${next.provider}:${next.model}`);
+        onFallback?.({ from: chain[i], to: next, error });
+      }
+    }
   }
 }
@@ -1,3 +1,25 @@
+import { StructuredOutputSchema } from './structured-output';
+
+/** Token counts reported by a provider for one call. */
+export interface TokenUsage {
+  inputTokens: number;
+  outputTokens: number;
+}
+
+/**
+ * Per-call generation options. Providers ignore what they do not support.
+ */
+export interface GenerateOptions {
+  reasoning?: { effort?: 'low' | 'medium' | 'high' };
+  verbosity?: 'low' | 'medium' | 'high';
+  /** Constrain the answer to this JSON schema (see supportsStructuredOutput) */
+  responseSchema?: StructuredOutputSchema;
+  /** Called with the provider-reported token usage, when the provider reports it */
+  onUsage?: (usage: TokenUsage) => void;
+  /** Stream the answer and pass each text delta here as it arrives (see streaming.ts) */
+  onToken?: (text: string) => void;
+}
+
 /**
  * LLMProvider Interface
  * 
@@ -19,18 +41,25 @@ export interface LLMProvider {
    * 
    * @param prompt - The input text or question to be processed by the model.
    * @param model - The name or identifier of the specific model to use for generation.
+   * @param options - Optional per-call options (reasoning, structured output, usage callback).
    * @returns A promise that resolves to a string containing the generated response.
    */
-  generateResponse(prompt: string, model: string): Promise<string>;
+  generateResponse(prompt: string, model: string, options?: GenerateOptions): Promise<string>;
 
   generateResponseWithImage(prompt: string, model: string, base64Image: string): Promise<string>;
 
-  generateResponseWithAttachments(prompt: string, model: string, attachments: Array<{ type: string, content: string, mediaType: string }>, options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }): Promise<string>;
+  generateResponseWithAttachments(prompt: string, model: string, attachments: Array<{ type: string, content: string, mediaType: string }>, options?: GenerateOptions): Promise<string>;
 
   supportsImages(model: string): boolean;
 
   supportsAttachments(model: string): boolean;
 
+  /**
+   * Whether `options.responseSchema` is honoured for this model. Providers
+   * without this method only get the free-text prompt.
+   */
+  supportsStructuredOutput?(model: string): boolean;
+
   initialize(): Promise<void>;
 }
 
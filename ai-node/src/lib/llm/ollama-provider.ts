@@ -6,7 +6,9 @@
  * and generating responses to prompts.
  */
 
-import { LLMProvider } from './llm-provider-interface';
+import { LLMProvider, GenerateOptions } from './llm-provider-interface';
+import { reportUsage } from './usage';
+import { streamChatModel } from './streaming';
 import { ChatOllama } from "@langchain/ollama";
 
 const SUPPORTED_IMAGE_FORMATS = ['image/jpeg', 'image/png']; // Most Ollama vision models support these formats
@@ -89,6 +91,14 @@ export class OllamaProvider implements LLMProvider {
     return this.models.some(m => m.name === model && m.supportsImages);
   }
 
+  /**
+   * Ollama's JSON mode (`format: json`) guarantees a JSON object but not the
+   * schema itself; the prompt still spells out the score layout.
+   */
+  supportsStructuredOutput(model: string): boolean {
+    return true;
+  }
+
   /**
    * Generates a response using the specified Ollama model based on the given prompt.
    * 
@@ -97,11 +107,12 @@ export class OllamaProvider implements LLMProvider {
    * @returns A promise that resolves to a string containing the generated response.
    * @throws Will throw an error if the model invocation fails.
    */
-  async generateResponse(prompt: string, model: string): Promise<string> {
+  async generateResponse(prompt: string, model: string, options?: GenerateOptions): Promise<string> {
     try {
       const ollama = new ChatOllama({
         baseUrl: this.baseUrl,
         model: model,
+        ...(options?.responseSchema && { format: 'json' }),
       });
       
       // Apply our own timeout wrapper to ensure clean timeout handling with proper cleanup
@@ -122,7 +133,7 @@ export class OllamaProvider implements LLMProvider {
           }
         }, OLLAMA_TIMEOUT_MS);
         
-        ollama.invoke(prompt)
+        (options?.onToken ? streamChatModel(ollama, prompt, options.onToken) : ollama.invoke(prompt))
           .then(result => {
             if (timeoutId && !completed) {
               clearTimeout(timeoutId);
@@ -139,6 +150,7 @@ export class OllamaProvider implements LLMProvider {
           });
       });
       
+      reportUsage(options, response);
       return response.content as string;
     } catch (error: any) {
       // Check if this is our timeout error or an Ollama error
@@ -147,12 +159,13 @@ export class OllamaProvider implements LLMProvider {
         throw error; // Re-throw our clean timeout error
       } else {
         console.error('Error in OllamaProvider.generateResponse:', error);
-        throw new Error(`Failed to generate response: ${error.message}`);
+        // Keep the HTTP status (404 for a model that was never pulled) for the retry policy
+        throw Object.assign(new Error(`Failed to generate response: ${error.message}`), { status: error.status_code ?? error.status });
       }
     }
   }
 
-  async generateResponseWithImage(prompt: string, model: string, base64Image: string, mediaType: string = 'image/jpeg'): Promise<string> {
+  async generateResponseWithImage(prompt: string, model: string, base64Image: string, mediaType: string = 'image/jpeg', options?: GenerateOptions): Promise<string> {
     // Do all validations first, before any API calls
     const supportsImages = await this.supportsImages(model);
     if (!supportsImages) {
@@ -174,7 +187,8 @@ export class OllamaProvider implements LLMProvider {
       const payload = {
         model: model,
         prompt: prompt,
-        images: [base64Image]
+        images: [base64Image],
+        ...(options?.responseSchema && { format: 'json' })
       };
       
       console.log('Ollama - Request payload structure:', {
@@ -196,7 +210,7 @@ export class OllamaProvider implements LLMProvider {
       if (!response.ok) {
         const errorText = await response.text();
         console.error('Ollama - Error response:', errorText);
-        throw new Error(`Ollama API error: ${response.status} ${response.statusText} - ${errorText}`);
+        throw Object.assign(new Error(`Ollama API error: ${response.status} ${response.statusText} - ${errorText}`), { status: response.status });
       }
 
       const reader = response.body?.getReader();
@@ -217,6 +231,10 @@ export class OllamaProvider implements LLMProvider {
             const data = JSON.parse(line);
             if (data.response) {
               fullResponse += data.response;
+              options?.onToken?.(data.response);
+            }
+            if (data.done) {
+              reportUsage(options, data);
             }
           } catch (parseError) {
             console.error('Error parsing JSON chunk:', parseError);
@@ -235,7 +253,7 @@ export class OllamaProvider implements LLMProvider {
     prompt: string, 
     model: string, 
     attachments: Array<{ type: string, content: string, mediaType: string }>,
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     const imageAttachments = attachments.filter(att => att.type === 'image');
     if (imageAttachments.length > 1) {
@@ -244,11 +262,11 @@ export class OllamaProvider implements LLMProvider {
 
     if (imageAttachments.length === 1) {
       const imageAttachment = imageAttachments[0];
-      return this.generateResponseWithImage(prompt, model, imageAttachment.content, imageAttachment.mediaType);
+      return this.generateResponseWithImage(prompt, model, imageAttachment.content, imageAttachment.mediaType, options);
     }
 
     // If no images, fall back to text-only response
-    return this.generateResponse(prompt, model);
+    return this.generateResponse(prompt, model, options);
   }
 
   supportsAttachments(model: string): boolean {
@@ -0,0 +1,173 @@
+/**
+ * OpenAICompatibleProvider Module
+ *
+ * This module implements the LLMProvider interface for any server that speaks
+ * the OpenAI chat-completions API — self-hosted vLLM and llama.cpp servers in
+ * particular. Each endpoint named in OPENAI_COMPATIBLE_ENDPOINTS
+ * (config/openai-compatible.ts) is its own provider, with its base URL, key,
+ * models and capability flags taken from that config, so a jury can mix
+ * models from several servers.
+ */
+
+import { LLMProvider, GenerateOptions } from './llm-provider-interface';
+import { toResponseFormat } from './structured-output';
+import { providerHttpError } from './retry';
+import { reportUsage } from './usage';
+import { streamingFields, readChatCompletion } from './streaming';
+import { OpenAICompatibleEndpoint, OpenAICompatibleModel } from '../../config/openai-compatible';
+
+const SUPPORTED_IMAGE_FORMATS = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_FILE_SIZE = 20 * 1024 * 1024; // 20 MB in bytes
+
+/**
+ * OpenAICompatibleProvider class
+ *
+ * Uses native fetch against `<baseUrl>/chat/completions`. Unlike the hosted
+ * providers the API key is optional (llama.cpp runs without one).
+ */
+export class OpenAICompatibleProvider implements LLMProvider {
+  private readonly providerName: string;
+  private readonly baseUrl: string;
+  private readonly apiKey?: string;
+  private models: OpenAICompatibleModel[];
+
+  constructor(endpoint: OpenAICompatibleEndpoint) {
+    this.providerName = endpoint.name;
+    this.baseUrl = endpoint.baseUrl;
+    this.apiKey = endpoint.apiKey;
+    this.models = endpoint.models;
+  }
+
+  async initialize(): Promise<void> {
+    console.log(`[${this.providerName}] OpenAI-compatible endpoint ${this.baseUrl}, models: ${this.models.map(m => m.name).join(', ') || 'none'}`);
+  }
+
+  async getModels(): Promise<Array<{ name: string; supportsImages: boolean; supportsAttachments: boolean }>> {
+    return this.models.map(({ name, supportsImages, supportsAttachments }) => ({ name, supportsImages, supportsAttachments }));
+  }
+
+  supportsImages(model: string): boolean {
+    return this.modelInfo(model)?.supportsImages ?? false;
+  }
+
+  supportsAttachments(model: string): boolean {
+    return this.modelInfo(model)?.supportsAttachments ?? false;
+  }
+
+  supportsStructuredOutput(model: string): boolean {
+    return this.modelInfo(model)?.supportsStructuredOutput ?? false;
+  }
+
+  private modelInfo(model: string): OpenAICompatibleModel | undefined {
+    return this.models.find(m => m.name === model);
+  }
+
+  private maxTokens(model: string): number {
+    const info = this.modelInfo(model);
+    if (info?.maxTokens) {
+      return info.maxTokens;
+    }
+    return info?.reasoning ? parseInt(process.env.REASONING_MODEL_MAX_TOKENS || '16000') : 1000;
+  }
+
+  async generateResponse(prompt: string, model: string, options?: GenerateOptions): Promise<string> {
+    return this.chatCompletion(model, prompt, options);
+  }
+
+  async generateResponseWithImage(
+    prompt: string,
+    model: string,
+    base64Image: string,
+    mediaType: string = 'image/jpeg'
+  ): Promise<string> {
+    if (!this.supportsImages(model)) {
+      throw new Error(`[${this.providerName}] Model ${model} does not support image inputs.`);
+    }
+    return this.chatCompletion(model, [{ type: 'text', text: prompt }, this.imagePart(model, base64Image, mediaType)]);
+  }
+
+  async generateResponseWithAttachments(
+    prompt: string,
+    model: string,
+    attachments: Array<{ type: string; content: string; mediaType: string }>,
+    options?: GenerateOptions
+  ): Promise<string> {
+    if (!this.supportsAttachments(model)) {
+      throw new Error(`[${this.providerName}] Model ${model} does not support attachments.`);
+    }
+
+    const contentParts: any[] = [{ type: 'text', text: prompt }];
+    for (const attachment of attachments) {
+      if (attachment.type === 'image') {
+        if (!this.supportsImages(model)) {
+          throw new Error(`[${this.providerName}] Model ${model} does not support image inputs.`);
+        }
+        contentParts.push(this.imagePart(model, attachment.content, attachment.mediaType));
+      } else if (attachment.type === 'text') {
+        contentParts.push({ type: 'text', text: attachment.content });
+      } else {
+        throw new Error(`[${this.providerName}] Model ${model}: Unsupported attachment type: ${attachment.type} (${attachment.mediaType}). Only images and text are supported.`);
+      }
+    }
+
+    return this.chatCompletion(model, contentParts, options);
+  }
+
+  private imagePart(model: string, base64Image: string, mediaType: string) {
+    if (!SUPPORTED_IMAGE_FORMATS.includes(mediaType)) {
+      throw new Error(`[${this.providerName}] Model ${model}: Unsupported image format: ${mediaType}. Supported formats are: JPEG, PNG, GIF, and WEBP.`);
+    }
+    if (base64Image.length * 0.75 > MAX_FILE_SIZE) {
+      throw new Error(`[${this.providerName}] Model ${model}: Image file size must be under 20 MB.`);
+    }
+    return { type: 'image_url', image_url: { url: `data:${mediaType};base64,${base64Image}` } };
+  }
+
+  private async chatCompletion(model: string, content: string | any[], options?: GenerateOptions): Promise<string> {
+    const url = `${this.baseUrl}/chat/completions`;
+    const max_tokens = this.maxTokens(model);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content }],
+          max_tokens,
+          temperature: 0.7,
+          ...streamingFields(options),
+          ...(options?.responseSchema && this.supportsStructuredOutput(model) && {
+            response_format: toResponseFormat(options.responseSchema),
+          }),
+        }),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw providerHttpError(`[${this.providerName}]`, response, errorText);
+      }
+
+      const json = await readChatCompletion(response, options);
+      reportUsage(options, json);
+
+      const answer = json.choices?.[0]?.message?.content;
+      const finishReason = json.choices?.[0]?.finish_reason;
+      if (!answer) {
+        throw new Error(`[${this.providerName}] No content in response from model ${model}`);
+      }
+      if (finishReason === 'length') {
+        console.warn(`[${this.providerName}] ⚠️ Response truncated! Model ${model} hit max_tokens limit (${max_tokens}). Raise its maxTokens in OPENAI_COMPATIBLE_ENDPOINTS.`);
+      }
+
+      console.log(`[${this.providerName}] Response received, length: ${answer.length}, finish_reason: ${finishReason}`);
+      return answer;
+    } catch (error: any) {
+      console.error(`[${this.providerName}] Error calling model ${model}:`, error.message);
+      throw error;
+    }
+  }
+}
@@ -7,13 +7,18 @@
  */
 
 
-import { LLMProvider } from './llm-provider-interface';
+import { LLMProvider, GenerateOptions } from './llm-provider-interface';
+import { toResponseFormat } from './structured-output';
+import { reportUsage } from './usage';
+import { streamChatModel, collectChatCompletionChunks } from './streaming';
 import { ChatOpenAI } from "@langchain/openai";
 import { HumanMessage } from '@langchain/core/messages';
 import { modelConfig } from '../../config/models';
 
 const SUPPORTED_IMAGE_FORMATS = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
 const MAX_FILE_SIZE = 20 * 1024 * 1024; // 20 MB in bytes
+// Models accepting response_format json_schema (gpt-4o from 2024-08 on, o1 but not o1-mini/preview)
+const STRUCTURED_OUTPUT_MODELS = /^(gpt-4o|gpt-4\.1|gpt-5|o1(?!-mini|-preview)|o3|o4)/i;
 
 /**
  * OpenAIProvider class
@@ -63,6 +68,10 @@ export class OpenAIProvider implements LLMProvider {
     return modelInfo ? modelInfo.supportsAttachments : false;
   }
 
+  supportsStructuredOutput(model: string): boolean {
+    return STRUCTURED_OUTPUT_MODELS.test(model) && model !== 'gpt-4o-2024-05-13';
+  }
+
   /**
    * Generates a response using the specified OpenAI model based on the given prompt.
    * 
@@ -74,7 +83,7 @@ export class OpenAIProvider implements LLMProvider {
   async generateResponse(
     prompt: string, 
     model: string, 
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     // Check if this is a reasoning model (o1, o3, gpt-4.1, gpt-5, nano, etc.)
     const isReasoningModel = model.toLowerCase().includes('o1') || 
@@ -102,8 +111,12 @@ export class OpenAIProvider implements LLMProvider {
       // Apply reasoning effort and verbosity if provided
       ...(options?.reasoning && { reasoning: options.reasoning }),
       ...(options?.verbosity && { verbosity: options.verbosity }),
+      ...(options?.responseSchema && { modelKwargs: { response_format: toResponseFormat(options.responseSchema) } }),
     });
-    const response = await openai.invoke(prompt);
+    const response = options?.onToken
+      ? await streamChatModel(openai, prompt, options.onToken)
+      : await openai.invoke(prompt);
+    reportUsage(options, response);
     
     // Debug: Log the full response structure to understand what we're getting
     console.log(`[${this.providerName}] Full response:`, {
@@ -153,7 +166,7 @@ export class OpenAIProvider implements LLMProvider {
   private async generateResponseWithNativeClient(
     prompt: string,
     model: string,
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     try {
       const { OpenAI } = await import('openai');
@@ -166,7 +179,7 @@ export class OpenAIProvider implements LLMProvider {
       
       console.log(`[${this.providerName}] Using native client for GPT-5 model ${model} with max_completion_tokens: ${maxCompletionTokens}, reasoning_effort: ${reasoningEffort}`);
 
-      const response = await client.chat.completions.create({
+      const request: any = {
         model: model,
         messages: [
           {
@@ -178,7 +191,15 @@ export class OpenAIProvider implements LLMProvider {
         // GPT-5 uses reasoning_effort (string) instead of reasoning (object)
         reasoning_effort: reasoningEffort,
         ...(options?.verbosity && { verbosity: options.verbosity }),
-      } as any);  // Cast to any since OpenAI SDK types may not include reasoning_effort yet
+        ...(options?.responseSchema && { response_format: toResponseFormat(options.responseSchema) }),
+      };  // Typed any since OpenAI SDK types may not include reasoning_effort yet
+      const response = options?.onToken
+        ? await collectChatCompletionChunks(
+            await client.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } }) as any,
+            options.onToken
+          )
+        : await client.chat.completions.create(request);
+      reportUsage(options, response);
 
       const content = response.choices[0]?.message?.content;
       if (!content) {
@@ -235,7 +256,7 @@ export class OpenAIProvider implements LLMProvider {
     prompt: string, 
     model: string, 
     attachments: Array<{ type: string, content: string, mediaType: string }>,
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     // Check if this model supports native PDF processing
     const supportsNativePDF = ['gpt-4o', 'gpt-4o-mini', 'o1', 'gpt-4.1', 'gpt-4.1-mini', 'gpt-5', 'gpt-5-mini'].some(supportedModel => 
@@ -273,6 +294,7 @@ export class OpenAIProvider implements LLMProvider {
       // Apply reasoning effort and verbosity ONLY for reasoning models
       ...(isReasoningModel && options?.reasoning && { reasoning: options.reasoning }),
       ...(isReasoningModel && options?.verbosity && { verbosity: options.verbosity }),
+      ...(options?.responseSchema && { modelKwargs: { response_format: toResponseFormat(options.responseSchema) } }),
     });
 
     // Validate image attachments
@@ -308,11 +330,15 @@ export class OpenAIProvider implements LLMProvider {
       })
     ];
 
-    const response = await openai.invoke([
+    const input = [
       new HumanMessage({
         content: messageContent
       })
-    ]);
+    ];
+    const response = options?.onToken
+      ? await streamChatModel(openai, input, options.onToken)
+      : await openai.invoke(input);
+    reportUsage(options, response);
 
     if (typeof response.content !== 'string') {
       throw new Error('Unexpected response format from OpenAI');
@@ -328,7 +354,7 @@ export class OpenAIProvider implements LLMProvider {
     model: string, 
     pdfAttachments: Array<{ type: string, content: string, mediaType: string }>,
     otherAttachments: Array<{ type: string, content: string, mediaType: string }>,
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     try {
       // Use OpenAI's direct client for native PDF support
@@ -395,7 +421,7 @@ export class OpenAIProvider implements LLMProvider {
       // GPT-5 models use reasoning_effort (string), other reasoning models use reasoning (object)
       const reasoningEffort = options?.reasoning?.effort || 'medium';
       
-      const response = await client.chat.completions.create({
+      const request: any = {
         model: model,
         messages: [
           {
@@ -411,11 +437,20 @@ export class OpenAIProvider implements LLMProvider {
         ...(isGpt5Model && { reasoning_effort: reasoningEffort }),
         ...(isReasoningModel && !isGpt5Model && options?.reasoning && { reasoning: options.reasoning }),
         ...(isReasoningModel && options?.verbosity && { verbosity: options.verbosity }),
-      } as any, {
+        ...(options?.responseSchema && { response_format: toResponseFormat(options.responseSchema) }),
+      };
+      const requestOptions = {
         headers: {
           'OpenAI-Beta': 'pdf-files-v1'
         }
-      });
+      };
+      const response = options?.onToken
+        ? await collectChatCompletionChunks(
+            await client.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } }, requestOptions) as any,
+            options.onToken
+          )
+        : await client.chat.completions.create(request, requestOptions);
+      reportUsage(options, response);
 
       const content = response.choices[0]?.message?.content;
       if (!content) {
@@ -1,4 +1,8 @@
-import { LLMProvider } from './llm-provider-interface';
+import { LLMProvider, GenerateOptions } from './llm-provider-interface';
+import { toResponseFormat } from './structured-output';
+import { providerHttpError } from './retry';
+import { reportUsage } from './usage';
+import { streamingFields, readChatCompletion } from './streaming';
 import { resolveOpenRouterModelId } from '../../config/openrouter-models';
 
 const SUPPORTED_IMAGE_FORMATS = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
@@ -50,10 +54,15 @@ export class OpenRouterProvider implements LLMProvider {
     return modelInfo?.supportsAttachments ?? true;
   }
 
+  // Passed through as response_format; OpenRouter routes to endpoints that accept it
+  supportsStructuredOutput(model: string): boolean {
+    return true;
+  }
+
   async generateResponse(
     prompt: string,
     model: string,
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     return this.callChatCompletions(prompt, model, [], options);
   }
@@ -82,7 +91,7 @@ export class OpenRouterProvider implements LLMProvider {
     prompt: string,
     model: string,
     attachments: Array<{ type: string; content: string; mediaType: string }>,
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     const attachmentContent = attachments.map(attachment => {
       if (attachment.type === 'image') {
@@ -117,7 +126,7 @@ export class OpenRouterProvider implements LLMProvider {
     prompt: string,
     model: string,
     contentBlocks: any[] = [],
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     if (!this.apiKey) {
       throw new Error('[OpenRouter] OPENROUTER_API_KEY not configured');
@@ -135,7 +144,7 @@ export class OpenRouterProvider implements LLMProvider {
           content: [{ type: 'text', text: prompt }, ...contentBlocks],
         },
       ],
-      stream: false,
+      ...streamingFields(options),
       max_tokens: this.isReasoningModel(normalizedModel) ? reasoningMaxTokens : defaultMaxTokens,
     };
 
@@ -145,6 +154,9 @@ export class OpenRouterProvider implements LLMProvider {
     if (options?.verbosity) {
       payload.verbosity = options.verbosity;
     }
+    if (options?.responseSchema) {
+      payload.response_format = toResponseFormat(options.responseSchema);
+    }
 
     const timeoutMs = parseInt(process.env.MODEL_TIMEOUT_MS || '120000');
     const controller = new AbortController();
@@ -163,10 +175,11 @@ export class OpenRouterProvider implements LLMProvider {
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`[OpenRouter] HTTP ${response.status}: ${errorText}`);
+        throw providerHttpError('[OpenRouter]', response, errorText);
       }
 
-      const data = await response.json();
+      const data = await readChatCompletion(response, options);
+      reportUsage(options, data);
       const content = data?.choices?.[0]?.message?.content;
       if (!content) {
         throw new Error('[OpenRouter] Invalid response payload: missing choices[0].message.content');
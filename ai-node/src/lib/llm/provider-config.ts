@@ -1,4 +1,5 @@
 import { ProviderClass, getOpenRouterDefaultModel } from '../../config/openrouter-models';
+import { getOpenAICompatibleEndpoint } from '../../config/openai-compatible';
 
 export type GatewayBackend = 'openrouter' | 'native';
 
@@ -14,6 +15,8 @@ const CLASS_FROM_PROVIDER: Record<string, ProviderClass> = {
   anthropic: 'anthropic',
   xai: 'xai',
   grok: 'xai',
+  gemini: 'gemini',
+  google: 'gemini',
   hyperbolic: 'hyperbolic',
   'hyperbolic api': 'hyperbolic',
   ollama: 'ollama',
@@ -25,9 +28,14 @@ function normalizeProvider(provider: string): string {
   return provider.trim().toLowerCase();
 }
 
-export function resolveProviderClass(provider: string): ProviderClass {
+// Built-in provider names, then the endpoints of OPENAI_COMPATIBLE_ENDPOINTS
+function lookupProviderClass(provider: string): ProviderClass | undefined {
   const normalized = normalizeProvider(provider);
-  const providerClass = CLASS_FROM_PROVIDER[normalized];
+  return CLASS_FROM_PROVIDER[normalized] ?? (getOpenAICompatibleEndpoint(normalized) ? 'openai-compatible' : undefined);
+}
+
+export function resolveProviderClass(provider: string): ProviderClass {
+  const providerClass = lookupProviderClass(provider);
 
   if (!providerClass) {
     throw new Error(`Unknown provider: ${provider}`);
@@ -36,6 +44,16 @@ export function resolveProviderClass(provider: string): ProviderClass {
   return providerClass;
 }
 
+/**
+ * What budgets, breakers and fallback de-duplication key a provider by: its
+ * class, except that each OpenAI-compatible endpoint stands alone (one
+ * server being down must not trip the breaker of the others).
+ */
+export function resolveProviderScope(provider: string): string {
+  const providerClass = resolveProviderClass(provider);
+  return providerClass === 'openai-compatible' ? normalizeProvider(provider) : providerClass;
+}
+
 function hasNativeKey(providerClass: ProviderClass): boolean {
   switch (providerClass) {
     case 'openai':
@@ -44,9 +62,12 @@ function hasNativeKey(providerClass: ProviderClass): boolean {
       return !!process.env.ANTHROPIC_API_KEY;
     case 'xai':
       return !!(process.env.XAI_API_KEY || process.env.GROK_API_KEY);
+    case 'gemini':
+      return !!(process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY);
     case 'hyperbolic':
       return !!process.env.HYPERBOLIC_API_KEY;
     case 'ollama':
+    case 'openai-compatible':
       return true;
     case 'openrouter':
       return !!process.env.OPENROUTER_API_KEY;
@@ -92,6 +113,14 @@ export function resolveProviderConfig(provider: string): ProviderResolution {
     };
   }
 
+  if (providerClass === 'openai-compatible') {
+    return {
+      providerClass,
+      backend: 'native',
+      reason: 'OpenAI-compatible endpoint',
+    };
+  }
+
   if (providerClass === 'openrouter') {
     return {
       providerClass,
@@ -152,3 +181,69 @@ export function resolveProviderConfig(provider: string): ProviderResolution {
     reason: 'no keys configured; defaulting to native',
   };
 }
+
+export interface ModelTarget {
+  provider: string;
+  model: string;
+}
+
+// A chain entry is "model" (same provider as the jury slot) or "provider:model".
+// Model names may themselves contain ':' (ollama tags, OpenRouter ":free"), so
+// the prefix only counts as a provider when it names one.
+function parseTarget(entry: string, defaultProvider: string): ModelTarget {
+  const separator = entry.indexOf(':');
+  if (separator > 0) {
+    const provider = entry.slice(0, separator).trim();
+    if (lookupProviderClass(provider)) {
+      return { provider, model: entry.slice(separator + 1).trim() };
+    }
+  }
+  return { provider: defaultProvider, model: entry.trim() };
+}
+
+function parseChain(chain: string, defaultProvider: string): ModelTarget[] {
+  return chain
+    .split('>')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => parseTarget(entry, defaultProvider));
+}
+
+function readModelChain(provider: string, model: string, scope: string): ModelTarget[] | null {
+  // MODEL_FALLBACKS="gpt-5=gpt-5-mini>openrouter:openai/gpt-5; anthropic:claude-opus-4-1=claude-sonnet-4-5"
+  for (const entry of (process.env.MODEL_FALLBACKS || '').split(';')) {
+    const separator = entry.indexOf('=');
+    if (separator <= 0) {
+      continue;
+    }
+    const key = parseTarget(entry.slice(0, separator), provider);
+    if (key.model === model && resolveProviderScope(key.provider) === scope) {
+      return parseChain(entry.slice(separator + 1), provider);
+    }
+  }
+  return null;
+}
+
+/**
+ * Ordered substitutes for a jury model, tried by LLMFactory.withFallback when
+ * the model fails: its own chain from MODEL_FALLBACKS if it has one, else its
+ * class chain from <CLASS>_CLASS_FALLBACKS (e.g. OPENAI_CLASS_FALLBACKS=
+ * "gpt-5-mini>openrouter:openai/gpt-5"). The model itself and repeated
+ * entries are dropped.
+ */
+export function resolveFallbackChain(provider: string, model: string): ModelTarget[] {
+  const scope = resolveProviderScope(provider);
+  // An OpenAI-compatible endpoint "vllm-a100" reads VLLM_A100_CLASS_FALLBACKS
+  const classChain = process.env[`${scope.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_CLASS_FALLBACKS`];
+  const chain = readModelChain(provider, model, scope) ?? parseChain(classChain || '', provider);
+
+  const seen = new Set([`${scope}:${model}`]);
+  return chain.filter(target => {
+    const key = `${resolveProviderScope(target.provider)}:${target.model}`;
+    if (!target.model || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
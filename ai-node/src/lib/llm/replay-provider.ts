@@ -0,0 +1,162 @@
+/**
+ * Recorded provider responses, for running /api/rank-and-justify offline.
+ *
+ * With LLM_FIXTURES=record, LLMFactory wraps every provider in a
+ * ReplayProvider that passes calls through and writes each answer to a
+ * fixture file; with LLM_FIXTURES=replay, the wrapped provider is never
+ * called and answers come from those files, so prompt building, parsing,
+ * aggregation and justification all run deterministically without network.
+ *
+ * A fixture is keyed by the model and a hash of what was sent: the prompt,
+ * the attachments (by content hash) and the structured-output schema name.
+ * Files live in LLM_FIXTURES_DIR (default fixtures/llm) as
+ * <model>/<hash>.json and hold the prompt, the answer and the reported token
+ * usage, which is replayed through `onUsage` so costs match the recording.
+ * A call without a fixture fails like a fatal provider error.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { LLMProvider, GenerateOptions, TokenUsage } from './llm-provider-interface';
+
+export type FixtureMode = 'replay' | 'record';
+
+type Attachment = { type: string; content: string; mediaType: string };
+
+export interface LLMFixture {
+  provider: string;
+  model: string;
+  prompt: string;
+  attachments?: Array<{ type: string; mediaType: string; sha256: string }>;
+  schema?: string;
+  response: string;
+  usage: TokenUsage | null;
+  recorded_at: string;
+}
+
+const sha256 = (text: string) => crypto.createHash('sha256').update(text).digest('hex');
+
+/** LLM_FIXTURES as a mode, or null when fixtures are off. */
+export function fixtureMode(): FixtureMode | null {
+  const value = process.env.LLM_FIXTURES?.trim().toLowerCase();
+  return value === 'replay' || value === 'record' ? value : null;
+}
+
+export function fixturesDir(): string {
+  return process.env.LLM_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'llm');
+}
+
+/** Path of the fixture for one call, relative to the fixtures directory. */
+export function fixturePath(model: string, prompt: string, attachments?: Attachment[], schema?: string): string {
+  const hash = sha256(JSON.stringify({
+    model,
+    prompt,
+    attachments: attachments?.map(a => [a.type, a.mediaType, sha256(a.content)]) ?? [],
+    schema: schema ?? null,
+  }));
+  return path.join(model.replace(/[^A-Za-z0-9._-]/g, '_'), `${hash.slice(0, 16)}.json`);
+}
+
+/**
+ * ReplayProvider class
+ *
+ * Wraps a provider (which still answers the capability questions, so the
+ * route builds the same prompts as when recording) and records or replays
+ * its generate calls.
+ */
+export class ReplayProvider implements LLMProvider {
+  constructor(
+    private readonly inner: LLMProvider,
+    private readonly provider: string,
+    private readonly mode: FixtureMode,
+    private readonly dir: string = fixturesDir()
+  ) {}
+
+  async initialize(): Promise<void> {
+    // Replaying needs no connection or key
+    if (this.mode === 'record') {
+      await this.inner.initialize();
+    }
+    console.log(`[Replay] ${this.provider}: ${this.mode} fixtures in ${this.dir}`);
+  }
+
+  getModels() {
+    return this.inner.getModels();
+  }
+
+  supportsImages(model: string): boolean {
+    return this.inner.supportsImages(model);
+  }
+
+  supportsAttachments(model: string): boolean {
+    return this.inner.supportsAttachments(model);
+  }
+
+  supportsStructuredOutput(model: string): boolean {
+    return this.inner.supportsStructuredOutput?.(model) ?? false;
+  }
+
+  async generateResponse(prompt: string, model: string, options?: GenerateOptions): Promise<string> {
+    return this.call(prompt, model, undefined, options, opts => this.inner.generateResponse(prompt, model, opts));
+  }
+
+  async generateResponseWithImage(prompt: string, model: string, base64Image: string, mediaType: string = 'image/jpeg'): Promise<string> {
+    const attachments = [{ type: 'image', content: base64Image, mediaType }];
+    return this.call(prompt, model, attachments, undefined, () =>
+      (this.inner as any).generateResponseWithImage(prompt, model, base64Image, mediaType));
+  }
+
+  async generateResponseWithAttachments(prompt: string, model: string, attachments: Attachment[], options?: GenerateOptions): Promise<string> {
+    return this.call(prompt, model, attachments, options, opts => this.inner.generateResponseWithAttachments(prompt, model, attachments, opts));
+  }
+
+  private async call(
+    prompt: string,
+    model: string,
+    attachments: Attachment[] | undefined,
+    options: GenerateOptions | undefined,
+    live: (options?: GenerateOptions) => Promise<string>
+  ): Promise<string> {
+    const schema = options?.responseSchema?.name;
+    const file = path.join(this.dir, fixturePath(model, prompt, attachments, schema));
+
+    if (this.mode === 'replay') {
+      if (!fs.existsSync(file)) {
+        throw new Error(`[Replay] No recorded fixture for ${this.provider}:${model} (${file}); record one with LLM_FIXTURES=record`);
+      }
+      const fixture: LLMFixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (fixture.usage) {
+        options?.onUsage?.(fixture.usage);
+      }
+      options?.onToken?.(fixture.response);
+      return fixture.response;
+    }
+
+    let usage: TokenUsage | null = null;
+    const response = await live({
+      ...options,
+      onUsage: (reported: TokenUsage) => {
+        usage = reported;
+        options?.onUsage?.(reported);
+      },
+    });
+
+    const fixture: LLMFixture = {
+      provider: this.provider,
+      model,
+      prompt,
+      ...(attachments?.length && {
+        attachments: attachments.map(a => ({ type: a.type, mediaType: a.mediaType, sha256: sha256(a.content) })),
+      }),
+      ...(schema && { schema }),
+      response,
+      usage,
+      recorded_at: new Date().toISOString(),
+    };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+    console.log(`[Replay] Recorded ${this.provider}:${model} → ${file}`);
+    return response;
+  }
+}
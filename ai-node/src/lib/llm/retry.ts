@@ -0,0 +1,189 @@
+/**
+ * Per-call retry for provider requests.
+ *
+ * A rate limit (429), an overloaded or failing provider (5xx, 529) or a
+ * network error is usually gone seconds later, so the call is retried with
+ * exponential backoff and full jitter, or after the provider's Retry-After
+ * when it sends one. Fatal errors (authentication, unknown model, content
+ * policy, token limit, ...) are thrown at once. Retries never outlive the
+ * caller's deadline: a wait that would end past it is not started.
+ *
+ * extractProviderErrorDetails() is the one place provider errors are
+ * classified, for retries here, for LLMFactory.withFallback and for metrics.
+ */
+
+/** extractProviderErrorDetails() error types worth retrying */
+export const RETRYABLE_ERROR_TYPES = ['rate_limit', 'provider_error', 'network', 'timeout'];
+
+/**
+ * extractProviderErrorDetails() error types a retry cannot fix but another
+ * model may avoid (including calls rejected by budget.ts)
+ */
+export const FATAL_ERROR_TYPES = [
+  'authentication', 'authorization', 'model_not_found', 'content_policy', 'token_limit',
+  'circuit_open', 'budget_exceeded',
+];
+
+export interface RetryOptions {
+  /** Retries after the first attempt */
+  maxRetries: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+  /** Epoch ms after which no retry is started */
+  deadline: number;
+  /** Error type for an error (extractProviderErrorDetails().errorType) */
+  classify: (error: any) => string;
+  onRetry?: (info: { attempt: number; delayMs: number; errorType: string; error: any }) => void;
+}
+
+/**
+ * Error for a non-2xx provider response that keeps the HTTP status and the
+ * Retry-After header, so fetch-based providers classify and back off like
+ * the SDK-based ones.
+ */
+export function providerHttpError(prefix: string, response: Response, errorText: string): Error {
+  const error: any = new Error(`${prefix} HTTP ${response.status}: ${errorText}`);
+  error.status = response.status;
+  const retryAfter = response.headers?.get?.('retry-after');
+  if (retryAfter) {
+    error.headers = { 'retry-after': retryAfter };
+  }
+  return error;
+}
+
+function header(headers: any, name: string): string | undefined {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? String(headers[key]) : undefined;
+}
+
+/**
+ * Delay requested by the provider (Retry-After seconds or HTTP date, or
+ * retry-after-ms) on the error or its response, in ms; null when absent.
+ */
+export function retryAfterMs(error: any, now: number = Date.now()): number | null {
+  for (const headers of [error?.headers, error?.response?.headers]) {
+    const ms = header(headers, 'retry-after-ms');
+    if (ms !== undefined && Number.isFinite(Number(ms))) return Math.max(0, Number(ms));
+
+    const value = header(headers, 'retry-after');
+    if (value === undefined) continue;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+  return null;
+}
+
+/** Full-jitter exponential backoff for retry `attempt` (1-based). */
+export function backoffDelay(attempt: number, baseDelayMs: number, maxDelayMs: number): number {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `fn`, retrying retryable failures. The last error is rethrown when
+ * the error is fatal, the retries are used up, or the next wait would pass
+ * the deadline.
+ */
+export async function retryWithBackoff<T>(fn: (attempt: number) => Promise<T>, options: RetryOptions): Promise<T> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error: any) {
+      const errorType = options.classify(error);
+      if (attempt >= options.maxRetries || !RETRYABLE_ERROR_TYPES.includes(errorType)) throw error;
+
+      const requested = retryAfterMs(error);
+      const delayMs = requested !== null
+        ? requested
+        : backoffDelay(attempt + 1, options.baseDelayMs, options.maxDelayMs);
+      if (Date.now() + delayMs >= options.deadline) throw error;
+
+      options.onRetry?.({ attempt: attempt + 1, delayMs, errorType, error });
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * HTTP status, message, code and error type (authentication, rate_limit,
+ * provider_error, timeout, ...; 'unknown' for anything that is not
+ * recognisably a provider failure) of an error thrown by a provider call.
+ */
+export function extractProviderErrorDetails(error: any): {
+  errorType: string;
+  errorMessage: string;
+  errorCode?: string;
+  httpStatus?: number;
+} {
+  // Extract HTTP status if available ("HTTP 429: ..." from fetch-based providers)
+  const statusInMessage = /\bHTTP (\d{3})\b/.exec(error.message || '');
+  const httpStatus = error.response?.status || error.status || error.statusCode ||
+    (statusInMessage ? parseInt(statusInMessage[1]) : undefined);
+  
+  // Extract error message (try multiple common patterns)
+  let errorMessage = error.message || 'Unknown error';
+  if (error.response?.data?.error?.message) {
+    errorMessage = error.response.data.error.message;
+  } else if (error.response?.data?.message) {
+    errorMessage = error.response.data.message;
+  } else if (error.response?.data?.error) {
+    errorMessage = typeof error.response.data.error === 'string' 
+      ? error.response.data.error 
+      : JSON.stringify(error.response.data.error);
+  }
+  
+  // Extract error code if available
+  const errorCode = error.code || error.response?.data?.error?.code || error.response?.data?.code;
+  
+  // Categorize error type based on status code and message
+  let errorType = 'unknown';
+  const lowerMessage = errorMessage.toLowerCase();
+  
+  if (error.code === 'CIRCUIT_OPEN') {
+    errorType = 'circuit_open';
+  } else if (error.code === 'BUDGET_EXCEEDED' || error.code === 'RATE_LIMITED') {
+    errorType = 'budget_exceeded';
+  } else if (httpStatus === 401 || lowerMessage.includes('unauthorized') || lowerMessage.includes('invalid api key') || lowerMessage.includes('authentication')) {
+    errorType = 'authentication';
+  } else if (httpStatus === 403 || lowerMessage.includes('forbidden') || lowerMessage.includes('access denied')) {
+    errorType = 'authorization';
+  } else if (httpStatus === 429 || lowerMessage.includes('rate limit') || lowerMessage.includes('too many requests')) {
+    errorType = 'rate_limit';
+  } else if (httpStatus === 404 || errorCode === 'model_not_found') {
+    // Only the provider's own answer: a local "file not found" is no reason to swap models
+    errorType = 'model_not_found';
+  } else if (lowerMessage.includes('content policy') || lowerMessage.includes('safety') || lowerMessage.includes('flagged')) {
+    errorType = 'content_policy';
+  } else if (lowerMessage.includes('context length') || lowerMessage.includes('token limit') || lowerMessage.includes('max tokens')) {
+    errorType = 'token_limit';
+  } else if (httpStatus >= 500 || lowerMessage.includes('service unavailable') || lowerMessage.includes('internal error') || lowerMessage.includes('overloaded')) {
+    errorType = 'provider_error';
+  } else if (lowerMessage.includes('timeout') || error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+    errorType = 'timeout';
+  } else if (lowerMessage.includes('network') || error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+    errorType = 'network';
+  }
+  
+  return {
+    errorType,
+    errorMessage,
+    errorCode,
+    httpStatus
+  };
+}
+
+/**
+ * Whether `error` is a provider failure (retryable or fatal), as opposed to
+ * one raised by our own parsing or validation.
+ */
+export function isProviderError(error: any): boolean {
+  if (!error) return false;
+  const { errorType } = extractProviderErrorDetails(error);
+  return RETRYABLE_ERROR_TYPES.includes(errorType) || FATAL_ERROR_TYPES.includes(errorType);
+}
@@ -0,0 +1,141 @@
+/**
+ * Streamed provider calls.
+ *
+ * When the caller passes `options.onToken`, providers request a streamed
+ * answer and hand each text delta to it as it arrives, so a call cut off by
+ * MODEL_TIMEOUT_MS still leaves behind what the model had written (see
+ * salvagePartialResponse). The helpers below fold a stream back into the
+ * shape of the provider's non-streamed response, so the code after the call
+ * is the same either way.
+ */
+
+import { GenerateOptions } from './llm-provider-interface';
+
+/** Request body fields for an OpenAI-compatible chat completion. */
+export function streamingFields(options?: GenerateOptions): { stream: boolean; stream_options?: { include_usage: boolean } } {
+  // include_usage adds a final chunk with the token counts
+  return options?.onToken ? { stream: true, stream_options: { include_usage: true } } : { stream: false };
+}
+
+/**
+ * Parsed `data:` payloads of a server-sent event stream, up to `[DONE]`.
+ * Comments (OpenRouter's ": OPENROUTER PROCESSING" keep-alives) and blank
+ * lines are skipped; an `error` payload sent mid-stream is thrown.
+ */
+export async function* readServerSentEvents(response: Response): AsyncGenerator<any> {
+  if (!response.body) {
+    throw new Error('Streamed response has no body');
+  }
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = done ? '' : lines.pop()!;
+
+      for (const line of lines.map(l => l.trim())) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice('data:'.length).trim();
+        if (data === '[DONE]') return;
+        if (!data) continue;
+
+        const payload = JSON.parse(data);
+        if (payload?.error) {
+          const error: any = new Error(`Stream error: ${payload.error.message ?? JSON.stringify(payload.error)}`);
+          if (typeof payload.error.code === 'number') {
+            error.status = payload.error.code;
+          }
+          throw error;
+        }
+        yield payload;
+      }
+      if (done) return;
+    }
+  } finally {
+    reader.cancel().catch(() => undefined);
+  }
+}
+
+/**
+ * Fold OpenAI-style chat completion chunks (from the SDK's stream or
+ * readServerSentEvents) into a non-streamed completion body:
+ * `{ choices: [{ message: { content }, finish_reason }], usage }`.
+ */
+export async function collectChatCompletionChunks(chunks: AsyncIterable<any>, onToken: (text: string) => void): Promise<any> {
+  let content = '';
+  let finishReason: string | null = null;
+  let usage: any;
+  let model: string | undefined;
+
+  for await (const chunk of chunks) {
+    const choice = chunk?.choices?.[0];
+    const delta = choice?.delta?.content;
+    if (typeof delta === 'string' && delta) {
+      content += delta;
+      onToken(delta);
+    }
+    finishReason = choice?.finish_reason ?? finishReason;
+    usage = chunk?.usage ?? usage;
+    model = chunk?.model ?? model;
+  }
+
+  return {
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }],
+    ...(usage && { usage }),
+  };
+}
+
+/**
+ * Body of an OpenAI-compatible chat completion response: streamed through
+ * `options.onToken` when the request asked for a stream (streamingFields),
+ * parsed as JSON otherwise.
+ */
+export async function readChatCompletion(response: Response, options?: GenerateOptions): Promise<any> {
+  return options?.onToken
+    ? collectChatCompletionChunks(readServerSentEvents(response), options.onToken)
+    : response.json();
+}
+
+const chunkText = (content: unknown): string => {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  // Content blocks (Anthropic): text only, thinking is left out
+  return content
+    .map(block => (block?.type === 'text' || block?.type === 'text_delta') && typeof block.text === 'string' ? block.text : '')
+    .join('');
+};
+
+/**
+ * Stream a LangChain chat model call. Resolves to the concatenated message
+ * with its content flattened to text, so callers read `content`,
+ * `usage_metadata` and `additional_kwargs` as from `invoke()`.
+ */
+export async function streamChatModel(
+  chatModel: { stream(input: any): Promise<AsyncIterable<any>> },
+  input: any,
+  onToken: (text: string) => void
+): Promise<any> {
+  let message: any;
+  let content = '';
+
+  for await (const chunk of await chatModel.stream(input)) {
+    const text = chunkText(chunk.content);
+    if (text) {
+      content += text;
+      onToken(text);
+    }
+    message = message ? message.concat(chunk) : chunk;
+  }
+
+  return {
+    content,
+    usage_metadata: message?.usage_metadata,
+    response_metadata: message?.response_metadata ?? {},
+    additional_kwargs: message?.additional_kwargs ?? {},
+  };
+}
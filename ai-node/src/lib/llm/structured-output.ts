@@ -0,0 +1,55 @@
+/**
+ * Structured-output support for jury model calls.
+ *
+ * Providers that can constrain generation to a JSON schema (OpenAI and xAI
+ * `response_format: json_schema`, OpenRouter pass-through, Anthropic forced
+ * tool use, Ollama `format: json`) receive the schema below through
+ * `GenerateOptions.responseSchema` and return the JSON object as text, so
+ * parseModelResponse reads it on its first (direct JSON) strategy. Providers
+ * without it keep the free-text prompt and the regex strategies.
+ */
+
+export interface StructuredOutputSchema {
+  /** Schema / tool name, [a-zA-Z0-9_-] only */
+  name: string;
+  description: string;
+  schema: Record<string, unknown>;
+}
+
+/**
+ * Schema for a jury answer: exactly `numOutcomes` integer scores and a
+ * justification string.
+ */
+export function scoreResponseSchema(numOutcomes: number): StructuredOutputSchema {
+  return {
+    name: 'verdikta_scores',
+    description: `Record the score for each of the ${numOutcomes} outcomes (in the order given, summing to 1,000,000) and the justification.`,
+    schema: {
+      type: 'object',
+      properties: {
+        score: {
+          type: 'array',
+          items: { type: 'integer', minimum: 0, maximum: 1000000 },
+          minItems: numOutcomes,
+          maxItems: numOutcomes,
+        },
+        justification: { type: 'string' },
+      },
+      required: ['score', 'justification'],
+      additionalProperties: false,
+    },
+  };
+}
+
+/** OpenAI-compatible `response_format` (OpenAI, xAI, OpenRouter). */
+export function toResponseFormat(responseSchema: StructuredOutputSchema) {
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: responseSchema.name,
+      description: responseSchema.description,
+      schema: responseSchema.schema,
+      strict: true,
+    },
+  };
+}
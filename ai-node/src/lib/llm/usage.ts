@@ -0,0 +1,54 @@
+import { GenerateOptions, TokenUsage } from './llm-provider-interface';
+
+/**
+ * Token usage from a raw provider response, whichever shape it comes in:
+ * LangChain messages (`usage_metadata`, `response_metadata.tokenUsage`),
+ * OpenAI-compatible bodies (`usage.prompt_tokens`), the Anthropic SDK
+ * (`usage.input_tokens`), Gemini (`usageMetadata`, thinking tokens counted
+ * as output) or Ollama (`prompt_eval_count`). Null when the response
+ * carries none.
+ */
+export function extractUsage(response: any): TokenUsage | null {
+  const counts = (input: unknown, output: unknown): TokenUsage | null =>
+    typeof input === 'number' && typeof output === 'number'
+      ? { inputTokens: input, outputTokens: output }
+      : null;
+
+  if (!response || typeof response !== 'object') {
+    return null;
+  }
+  const tokenUsage = response.response_metadata?.tokenUsage;
+  const usage = response.usage ?? response.response_metadata?.usage;
+  const gemini = response.usageMetadata;
+  return (
+    counts(response.usage_metadata?.input_tokens, response.usage_metadata?.output_tokens) ??
+    counts(tokenUsage?.promptTokens, tokenUsage?.completionTokens) ??
+    counts(usage?.prompt_tokens, usage?.completion_tokens) ??
+    counts(usage?.input_tokens, usage?.output_tokens) ??
+    counts(gemini?.promptTokenCount, gemini && (gemini.candidatesTokenCount ?? 0) + (gemini.thoughtsTokenCount ?? 0)) ??
+    counts(response.prompt_eval_count, response.eval_count)
+  );
+}
+
+/** Pass a response's usage to `options.onUsage`, if both exist. */
+export function reportUsage(options: GenerateOptions | undefined, response: any): void {
+  if (!options?.onUsage) {
+    return;
+  }
+  const usage = extractUsage(response);
+  if (usage) {
+    options.onUsage(usage);
+  }
+}
+
+/**
+ * `options` plus an onUsage that keeps the call's reported usage (the last
+ * report wins, so a retried call keeps its final attempt's).
+ */
+export function captureUsage(options?: GenerateOptions): { options: GenerateOptions; reported: () => TokenUsage | null } {
+  let usage: TokenUsage | null = null;
+  return {
+    options: { ...options, onUsage: reported => { usage = reported; } },
+    reported: () => usage,
+  };
+}
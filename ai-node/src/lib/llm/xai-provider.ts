@@ -10,7 +10,11 @@
  * API Documentation: https://docs.x.ai/docs
  */
 
-import { LLMProvider } from './llm-provider-interface';
+import { LLMProvider, GenerateOptions } from './llm-provider-interface';
+import { toResponseFormat } from './structured-output';
+import { providerHttpError } from './retry';
+import { reportUsage } from './usage';
+import { streamingFields, readChatCompletion } from './streaming';
 import { modelConfig } from '../../config/models';
 
 const SUPPORTED_IMAGE_FORMATS = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
@@ -91,6 +95,13 @@ export class XAIProvider implements LLMProvider {
     return modelInfo?.supportsAttachments ?? false;
   }
 
+  /**
+   * Grok chat models accept OpenAI-style json_schema response formats
+   */
+  supportsStructuredOutput(model: string): boolean {
+    return !model.toLowerCase().includes('vision');
+  }
+
   /**
    * Check if the model is a reasoning model that needs higher token limits
    */
@@ -113,7 +124,7 @@ export class XAIProvider implements LLMProvider {
   async generateResponse(
     prompt: string, 
     model: string,
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     if (!this.apiKey) {
       throw new Error(`[${this.providerName}] XAI_API_KEY not configured`);
@@ -146,16 +157,18 @@ export class XAIProvider implements LLMProvider {
           }],
           max_tokens,
           temperature,
-          stream: false
+          ...streamingFields(options),
+          ...(options?.responseSchema && { response_format: toResponseFormat(options.responseSchema) })
         }),
       });
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`[${this.providerName}] HTTP ${response.status}: ${errorText}`);
+        throw providerHttpError(`[${this.providerName}]`, response, errorText);
       }
 
-      const json = await response.json();
+      const json = await readChatCompletion(response, options);
+      reportUsage(options, json);
       
       if (!json.choices || !json.choices[0] || !json.choices[0].message) {
         throw new Error(`[${this.providerName}] Invalid response format from model ${model}`);
@@ -256,7 +269,7 @@ export class XAIProvider implements LLMProvider {
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`[${this.providerName}] HTTP ${response.status}: ${errorText}`);
+        throw providerHttpError(`[${this.providerName}]`, response, errorText);
       }
 
       const json = await response.json();
@@ -288,7 +301,7 @@ export class XAIProvider implements LLMProvider {
     prompt: string,
     model: string,
     attachments: Array<{ type: string; content: string; mediaType: string }>,
-    options?: { reasoning?: { effort?: 'low' | 'medium' | 'high' }, verbosity?: 'low' | 'medium' | 'high' }
+    options?: GenerateOptions
   ): Promise<string> {
     if (!this.supportsAttachments(model)) {
       throw new Error(`[${this.providerName}] Model ${model} does not support attachments.`);
@@ -361,16 +374,18 @@ export class XAIProvider implements LLMProvider {
             content: contentParts
           }],
           max_tokens,
-          stream: false
+          ...streamingFields(options),
+          ...(options?.responseSchema && { response_format: toResponseFormat(options.responseSchema) })
         }),
       });
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`[${this.providerName}] HTTP ${response.status}: ${errorText}`);
+        throw providerHttpError(`[${this.providerName}]`, response, errorText);
       }
 
-      const json = await response.json();
+      const json = await readChatCompletion(response, options);
+      reportUsage(options, json);
       const content = json.choices[0]?.message?.content;
 
       if (!content) {
@@ -0,0 +1,276 @@
+/**
+ * Structured JSON logger for the AI node.
+ *
+ * Every record is one JSON line carrying a level, message and fields, plus
+ * the request's correlation IDs: the external adapter sends its jobRunID and
+ * aggId as X-Verdikta-Job-Run-Id / X-Verdikta-Agg-Id, and runWithLogContext()
+ * makes them (and the active trace id) appear on every record logged while
+ * that request is handled. Log analysis becomes a JSON query, e.g.
+ *
+ *   jq 'select(.aggId == "0xabc…")' logs/ai-node.jsonl
+ *
+ * Records go to the console and to a size-rotated file written
+ * asynchronously, so a slow disk never blocks a model response.
+ *
+ *   LOG_LEVEL            error | warn | info (default) | debug
+ *   LOG_FORMAT           json (default) | text — console format only
+ *   LOG_FILE             default logs/ai-node.jsonl ("none" disables)
+ *   LLM_INTERACTION_LOG  default logs/llm-interactions.log ("none" disables)
+ *   LOG_MAX_BYTES        rotate a file once it would exceed this (default 50 MB)
+ *   LOG_MAX_FILES        rotated generations kept: file.1 … file.N (default 5)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { trace } from '@opentelemetry/api';
+
+export type LogLevel = 'error' | 'warn' | 'info' | 'debug';
+
+const LEVELS: Record<LogLevel, number> = { error: 0, warn: 1, info: 2, debug: 3 };
+
+export interface LogContext {
+  jobRunID?: string;
+  aggId?: string;
+}
+
+export const JOB_RUN_ID_HEADER = 'x-verdikta-job-run-id';
+export const AGG_ID_HEADER = 'x-verdikta-agg-id';
+
+const requestContext = new AsyncLocalStorage<LogContext>();
+
+/** Run `fn` with correlation IDs attached to everything it logs. */
+export function runWithLogContext<T>(logContext: LogContext, fn: () => T): T {
+  return requestContext.run(logContext, fn);
+}
+
+/** Correlation IDs sent by the external adapter, if any. */
+export function logContextFromHeaders(headers: Headers): LogContext {
+  const logContext: LogContext = {};
+  const jobRunID = headers.get(JOB_RUN_ID_HEADER);
+  const aggId = headers.get(AGG_ID_HEADER);
+  if (jobRunID) logContext.jobRunID = jobRunID;
+  if (aggId) logContext.aggId = aggId;
+  return logContext;
+}
+
+/**
+ * Append-only file sink with size-based rotation. Writes are queued and
+ * flushed by a single async writer; a failed write is reported once on
+ * stderr and dropped rather than thrown into request handling.
+ */
+export class RotatingFileSink {
+  private pending: string[] = [];
+  private draining: Promise<void> | null = null;
+  private size = -1;
+  private reportedError = false;
+
+  constructor(
+    readonly file: string,
+    private readonly maxBytes: number,
+    private readonly maxFiles: number
+  ) {}
+
+  write(line: string): void {
+    this.pending.push(line);
+    if (!this.draining) {
+      this.draining = this.drain().finally(() => {
+        this.draining = null;
+      });
+    }
+  }
+
+  /** Resolves once everything written so far is on disk. */
+  async flush(): Promise<void> {
+    while (this.draining) {
+      await this.draining;
+    }
+  }
+
+  private async drain(): Promise<void> {
+    while (this.pending.length > 0) {
+      const batch = this.pending.splice(0).join('');
+      const bytes = Buffer.byteLength(batch);
+      try {
+        if (this.size < 0) {
+          await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+          this.size = await fs.promises.stat(this.file).then(s => s.size, () => 0);
+        }
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+          await this.rotate();
+        }
+        await fs.promises.appendFile(this.file, batch);
+        this.size += bytes;
+      } catch (error) {
+        if (!this.reportedError) {
+          this.reportedError = true;
+          process.stderr.write(`Log sink ${this.file} failed: ${error instanceof Error ? error.message : error}\n`);
+        }
+      }
+    }
+  }
+
+  private async rotate(): Promise<void> {
+    const rename = (from: string, to: string) => fs.promises.rename(from, to).catch(() => undefined);
+    if (this.maxFiles < 1) {
+      await fs.promises.truncate(this.file, 0);
+    } else {
+      await fs.promises.rm(`${this.file}.${this.maxFiles}`, { force: true });
+      for (let n = this.maxFiles - 1; n >= 1; n--) {
+        await rename(`${this.file}.${n}`, `${this.file}.${n + 1}`);
+      }
+      await rename(this.file, `${this.file}.1`);
+    }
+    this.size = 0;
+  }
+}
+
+// Next.js may load this module once per route bundle; share one sink per
+// file so two writers never rotate the same file underneath each other.
+const globalForSinks = globalThis as unknown as { __verdiktaLogSinks?: Map<string, RotatingFileSink> };
+const sinks = globalForSinks.__verdiktaLogSinks ?? (globalForSinks.__verdiktaLogSinks = new Map());
+
+function sinkFor(file: string | undefined): RotatingFileSink | null {
+  if (!file || file === 'none') return null;
+  let sink = sinks.get(file);
+  if (!sink) {
+    sink = new RotatingFileSink(
+      file,
+      parseInt(process.env.LOG_MAX_BYTES || String(50 * 1024 * 1024)),
+      parseInt(process.env.LOG_MAX_FILES || '5')
+    );
+    sinks.set(file, sink);
+  }
+  return sink;
+}
+
+function serializeError(error: Error): Record<string, unknown> {
+  const serialized: Record<string, unknown> = { name: error.name, message: error.message, stack: error.stack };
+  const code = (error as any).code;
+  if (code !== undefined) serialized.code = code;
+  return serialized;
+}
+
+/**
+ * Accepts what the old console calls passed as their second argument: a
+ * fields object, an Error, or any other value (logged under `data`).
+ */
+function toFields(data: unknown): Record<string, unknown> {
+  if (data === undefined) return {};
+  if (data instanceof Error) return { error: serializeError(data) };
+  if (data !== null && typeof data === 'object' && !Array.isArray(data)) {
+    const fields: Record<string, unknown> = {};
+    for (const [key, value] of Object.entries(data)) {
+      fields[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    return fields;
+  }
+  return { data };
+}
+
+function stringify(record: Record<string, unknown>): string {
+  try {
+    return JSON.stringify(record);
+  } catch {
+    // Circular or otherwise unserializable fields: keep the rest of the record
+    const safe: Record<string, unknown> = {};
+    for (const [key, value] of Object.entries(record)) {
+      try {
+        JSON.stringify(value);
+        safe[key] = value;
+      } catch {
+        safe[key] = '[unserializable]';
+      }
+    }
+    return JSON.stringify(safe);
+  }
+}
+
+function activeTraceId(): string | undefined {
+  const spanContext = trace.getActiveSpan()?.spanContext();
+  return spanContext && spanContext.traceId !== '00000000000000000000000000000000'
+    ? spanContext.traceId
+    : undefined;
+}
+
+export interface Logger {
+  error(msg: string, data?: unknown): void;
+  warn(msg: string, data?: unknown): void;
+  info(msg: string, data?: unknown): void;
+  debug(msg: string, data?: unknown): void;
+  /** A logger that adds `bindings` to every record. */
+  child(bindings: Record<string, unknown>): Logger;
+}
+
+export interface LoggerOptions {
+  level?: LogLevel;
+  format?: 'json' | 'text';
+  /** JSON-lines file path, or "none" */
+  file?: string;
+  /** Also write records to stdout/stderr */
+  console?: boolean;
+  bindings?: Record<string, unknown>;
+}
+
+export function createLogger(options: LoggerOptions = {}): Logger {
+  const level = options.level ?? ((process.env.LOG_LEVEL as LogLevel) in LEVELS ? process.env.LOG_LEVEL as LogLevel : 'info');
+  const format = options.format ?? (process.env.LOG_FORMAT === 'text' ? 'text' : 'json');
+  const toConsole = options.console ?? true;
+  const bindings = options.bindings ?? {};
+
+  function write(recordLevel: LogLevel, msg: string, data: unknown) {
+    if (LEVELS[recordLevel] > LEVELS[level]) return;
+
+    const record: Record<string, unknown> = {
+      time: new Date().toISOString(),
+      level: recordLevel,
+      msg,
+      ...requestContext.getStore(),
+      traceId: activeTraceId(),
+      ...bindings,
+      ...toFields(data),
+    };
+    const line = stringify(record);
+
+    sinkFor(options.file)?.write(line + '\n');
+
+    if (toConsole) {
+      const out = format === 'json' ? line : formatText(record);
+      if (recordLevel === 'error') console.error(out);
+      else if (recordLevel === 'warn') console.warn(out);
+      else console.log(out);
+    }
+  }
+
+  return {
+    error: (msg, data) => write('error', msg, data),
+    warn: (msg, data) => write('warn', msg, data),
+    info: (msg, data) => write('info', msg, data),
+    debug: (msg, data) => write('debug', msg, data),
+    child: extra => createLogger({ ...options, level, format, bindings: { ...bindings, ...extra } }),
+  };
+}
+
+function formatText(record: Record<string, unknown>): string {
+  const { time, level, msg, jobRunID, aggId, traceId, ...fields } = record;
+  const tag = jobRunID || aggId ? ` [${jobRunID ?? '-'} agg=${aggId ?? '-'}]` : '';
+  const rest = Object.keys(fields).length > 0 ? ` ${stringify(fields)}` : '';
+  return `${time} ${String(level).toUpperCase()}${tag} ${msg}${rest}`;
+}
+
+/** Flush all file sinks (tests, graceful shutdown). */
+export async function flushLogs(): Promise<void> {
+  await Promise.all(Array.from(sinks.values()).map(sink => sink.flush()));
+}
+
+/** Application log: console plus LOG_FILE. */
+export const logger = createLogger({
+  file: process.env.LOG_FILE || path.join(process.cwd(), 'logs', 'ai-node.jsonl'),
+});
+
+/** Full prompts and responses; file only, they are too large for the console. */
+export const interactionLogger = createLogger({
+  file: process.env.LLM_INTERACTION_LOG || path.join(process.cwd(), 'logs', 'llm-interactions.log'),
+  console: false,
+  level: 'debug',
+});
@@ -0,0 +1,188 @@
+/**
+ * Prometheus metrics for the AI node (GET /api/metrics).
+ *
+ * /api/rank-and-justify records what it already measures for its timingLog
+ * and ModelResult records — per-model latency and outcome, provider errors,
+ * justifier latency, attachment handling and token usage — so a degraded
+ * provider shows up on a dashboard instead of in llm-interactions.log.
+ *
+ * Next.js may evaluate this module more than once (dev reloads, one bundle
+ * per route), so the registry lives on globalThis to keep a single set of
+ * collectors per process.
+ */
+
+import { Registry, Histogram, Counter, collectDefaultMetrics } from 'prom-client';
+
+// Model calls range from sub-second (small local models) to MODEL_TIMEOUT_MS.
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 45, 60, 90, 120, 180, 240, 300];
+
+// Rough chars-per-token ratio used when a provider does not report usage.
+const CHARS_PER_TOKEN = 4;
+
+function createMetrics() {
+  const register = new Registry();
+  collectDefaultMetrics({ register, prefix: 'verdikta_ai_' });
+
+  return {
+    register,
+
+    requests: new Counter({
+      name: 'verdikta_ai_requests_total',
+      help: '/api/rank-and-justify requests by HTTP status',
+      labelNames: ['status'],
+      registers: [register],
+    }),
+
+    requestDuration: new Histogram({
+      name: 'verdikta_ai_request_duration_seconds',
+      help: 'Total /api/rank-and-justify handling time by HTTP status',
+      labelNames: ['status'],
+      buckets: DURATION_BUCKETS,
+      registers: [register],
+    }),
+
+    modelCallDuration: new Histogram({
+      name: 'verdikta_ai_model_call_duration_seconds',
+      help: 'Latency of a single successful provider call',
+      labelNames: ['provider', 'model', 'attachments'],
+      buckets: DURATION_BUCKETS,
+      registers: [register],
+    }),
+
+    modelDuration: new Histogram({
+      name: 'verdikta_ai_model_duration_seconds',
+      help: 'Time spent on one model in one iteration (all calls), by result status',
+      labelNames: ['provider', 'model', 'status'],
+      buckets: DURATION_BUCKETS,
+      registers: [register],
+    }),
+
+    modelResults: new Counter({
+      name: 'verdikta_ai_model_results_total',
+      help: 'Per-model results by status (success, failed, timeout, parsing_error)',
+      labelNames: ['provider', 'model', 'status'],
+      registers: [register],
+    }),
+
+    providerErrors: new Counter({
+      name: 'verdikta_ai_provider_errors_total',
+      help: 'Provider call failures by error type (see extractProviderErrorDetails)',
+      labelNames: ['provider', 'model', 'error_type'],
+      registers: [register],
+    }),
+
+    providerRetries: new Counter({
+      name: 'verdikta_ai_provider_retries_total',
+      help: 'Provider calls retried after a transient failure, by error type',
+      labelNames: ['provider', 'model', 'error_type'],
+      registers: [register],
+    }),
+
+    justifierDuration: new Histogram({
+      name: 'verdikta_ai_justifier_duration_seconds',
+      help: 'Justification generation time by outcome (success, timeout, error)',
+      labelNames: ['provider', 'model', 'outcome'],
+      buckets: DURATION_BUCKETS,
+      registers: [register],
+    }),
+
+    attachmentDuration: new Histogram({
+      name: 'verdikta_ai_attachment_processing_duration_seconds',
+      help: 'Attachment preparation time by path (native, text_extraction, error)',
+      labelNames: ['type'],
+      buckets: DURATION_BUCKETS,
+      registers: [register],
+    }),
+
+    tokens: new Counter({
+      name: 'verdikta_ai_tokens_total',
+      help: 'Tokens sent to and received from providers (source: provider or estimate)',
+      labelNames: ['provider', 'model', 'direction', 'source'],
+      registers: [register],
+    }),
+
+    cost: new Counter({
+      name: 'verdikta_ai_cost_usd_total',
+      help: 'Provider spend in USD at the configured prices (config/pricing.ts)',
+      labelNames: ['provider', 'model'],
+      registers: [register],
+    }),
+  };
+}
+
+type Metrics = ReturnType<typeof createMetrics>;
+
+const globalForMetrics = globalThis as unknown as { __verdiktaAiMetrics?: Metrics };
+const metrics: Metrics = globalForMetrics.__verdiktaAiMetrics ?? (globalForMetrics.__verdiktaAiMetrics = createMetrics());
+
+export const register = metrics.register;
+
+const seconds = (ms: number) => ms / 1000;
+
+export function recordRequest(status: number, durationMs: number): void {
+  const labels = { status: String(status) };
+  metrics.requests.inc(labels);
+  metrics.requestDuration.observe(labels, seconds(durationMs));
+}
+
+export function observeModelCall(provider: string, model: string, hasAttachments: boolean, durationMs: number): void {
+  metrics.modelCallDuration.observe(
+    { provider, model, attachments: String(hasAttachments) },
+    seconds(durationMs)
+  );
+}
+
+export function recordModelResult(result: { provider: string; model: string; status: string; duration_ms: number }): void {
+  const labels = { provider: result.provider, model: result.model, status: result.status };
+  metrics.modelResults.inc(labels);
+  metrics.modelDuration.observe(labels, seconds(result.duration_ms));
+}
+
+export function recordProviderError(provider: string, model: string, errorType: string): void {
+  metrics.providerErrors.inc({ provider, model, error_type: errorType });
+}
+
+export function recordProviderRetry(provider: string, model: string, errorType: string): void {
+  metrics.providerRetries.inc({ provider, model, error_type: errorType });
+}
+
+export function observeJustifier(provider: string, model: string, outcome: 'success' | 'timeout' | 'error', durationMs: number): void {
+  metrics.justifierDuration.observe({ provider, model, outcome }, seconds(durationMs));
+}
+
+export function observeAttachments(type: string, durationMs: number): void {
+  metrics.attachmentDuration.observe({ type }, seconds(durationMs));
+}
+
+/** Token counts guessed from text length, for providers that report none. */
+export function estimateTokenUsage(text: { prompt: string; response: string }): { inputTokens: number; outputTokens: number } {
+  return {
+    inputTokens: Math.ceil(text.prompt.length / CHARS_PER_TOKEN),
+    outputTokens: Math.ceil(text.response.length / CHARS_PER_TOKEN),
+  };
+}
+
+/**
+ * Count tokens for one call. When the provider reports no usage, both sides
+ * are estimated from text length and labelled source="estimate".
+ */
+export function recordTokenUsage(
+  provider: string,
+  model: string,
+  usage: { inputTokens: number; outputTokens: number } | null,
+  text?: { prompt: string; response: string }
+): void {
+  let source = 'provider';
+  let counts = usage;
+  if (!counts) {
+    if (!text) return;
+    source = 'estimate';
+    counts = estimateTokenUsage(text);
+  }
+  metrics.tokens.inc({ provider, model, direction: 'input', source }, counts.inputTokens);
+  metrics.tokens.inc({ provider, model, direction: 'output', source }, counts.outputTokens);
+}
+
+export function recordCost(provider: string, model: string, usd: number): void {
+  metrics.cost.inc({ provider, model }, usd);
+}
@@ -0,0 +1,170 @@
+/**
+ * OpenTelemetry tracing for the AI node.
+ *
+ * The external adapter sends a W3C `traceparent` header with every
+ * /api/rank-and-justify call; the route continues that trace and adds child
+ * spans per model invocation, per provider call, per text extraction and for
+ * the justifier.
+ *
+ * Export is selected with the same variables the adapter reads:
+ *   OTEL_TRACES_EXPORTER               none (default) | otlp | file
+ *   OTEL_EXPORTER_OTLP_TRACES_ENDPOINT full OTLP/HTTP URL (default localhost:4318)
+ *   OTEL_TRACES_FILE                   JSON-lines file (default logs/traces.jsonl)
+ *   OTEL_SERVICE_NAME                  default verdikta-ai-node
+ *
+ * initTracing() runs from instrumentation.ts; with no exporter installed the
+ * helpers below create no-op spans.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  trace,
+  context,
+  propagation,
+  Context,
+  Span,
+  SpanKind,
+  SpanOptions,
+  SpanStatusCode,
+  Attributes,
+} from '@opentelemetry/api';
+import { ExportResult, ExportResultCode } from '@opentelemetry/core';
+import { NodeTracerProvider } from '@opentelemetry/sdk-trace-node';
+import { BatchSpanProcessor, ReadableSpan, SpanExporter } from '@opentelemetry/sdk-trace-base';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { Resource } from '@opentelemetry/resources';
+
+const TRACER_NAME = 'verdikta-ai-node';
+
+export interface TracingOptions {
+  exporter: string;
+  endpoint?: string;
+  file: string;
+  serviceName: string;
+}
+
+export function tracingOptionsFromEnv(): TracingOptions {
+  return {
+    exporter: process.env.OTEL_TRACES_EXPORTER || 'none',
+    endpoint: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT,
+    file: process.env.OTEL_TRACES_FILE || path.join(process.cwd(), 'logs', 'traces.jsonl'),
+    serviceName: process.env.OTEL_SERVICE_NAME || 'verdikta-ai-node',
+  };
+}
+
+const hrTimeToMs = ([seconds, nanos]: [number, number]) => seconds * 1e3 + nanos / 1e6;
+
+/**
+ * Span exporter writing one JSON object per finished span, for operators
+ * without a collector. Same record shape as the external adapter's exporter,
+ * so both files can be concatenated and grouped by traceId.
+ */
+export class JsonFileSpanExporter implements SpanExporter {
+  constructor(private readonly file: string) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  export(spans: ReadableSpan[], resultCallback: (result: ExportResult) => void): void {
+    const lines = spans.map(span => JSON.stringify({
+      traceId: span.spanContext().traceId,
+      spanId: span.spanContext().spanId,
+      parentSpanId: span.parentSpanId || null,
+      name: span.name,
+      service: span.resource.attributes['service.name'],
+      start: new Date(hrTimeToMs(span.startTime)).toISOString(),
+      durationMs: Math.round(hrTimeToMs(span.duration) * 1000) / 1000,
+      status: span.status,
+      attributes: span.attributes,
+      events: span.events.map(e => ({ name: e.name, attributes: e.attributes })),
+    }) + '\n');
+
+    fs.appendFile(this.file, lines.join(''), error => {
+      resultCallback(error
+        ? { code: ExportResultCode.FAILED, error }
+        : { code: ExportResultCode.SUCCESS });
+    });
+  }
+
+  shutdown(): Promise<void> {
+    return Promise.resolve();
+  }
+}
+
+function createExporter(options: TracingOptions): SpanExporter {
+  switch (options.exporter) {
+    case 'otlp':
+      return new OTLPTraceExporter(options.endpoint ? { url: options.endpoint } : {});
+    case 'file':
+      return new JsonFileSpanExporter(options.file);
+    default:
+      throw new Error(`Unknown OTEL_TRACES_EXPORTER "${options.exporter}" (expected none, otlp or file)`);
+  }
+}
+
+let provider: NodeTracerProvider | null = null;
+
+/**
+ * Install the global tracer provider. Returns whether spans are exported;
+ * exporter "none" leaves the no-op tracer in place.
+ */
+export function initTracing(options: TracingOptions = tracingOptionsFromEnv()): boolean {
+  if (provider || options.exporter === 'none') return !!provider;
+
+  const exporter = createExporter(options);
+  provider = new NodeTracerProvider({
+    resource: new Resource({ 'service.name': options.serviceName }),
+  });
+  provider.addSpanProcessor(new BatchSpanProcessor(exporter));
+  provider.register();
+  return true;
+}
+
+/** Flush pending spans and uninstall the provider. */
+export async function shutdownTracing(): Promise<void> {
+  if (!provider) return;
+  const current = provider;
+  provider = null;
+  await current.shutdown();
+  trace.disable();
+  context.disable();
+  propagation.disable();
+}
+
+/**
+ * Run `fn` inside a new active span that ends when `fn` settles. Thrown
+ * errors are recorded on the span and re-thrown.
+ */
+export function withSpan<T>(
+  name: string,
+  attributes: Attributes,
+  fn: (span: Span) => Promise<T>,
+  options: SpanOptions = {}
+): Promise<T> {
+  return trace.getTracer(TRACER_NAME).startActiveSpan(name, { ...options, attributes }, async span => {
+    try {
+      return await fn(span);
+    } catch (error: any) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error?.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Parent context for an incoming request: the active span if the framework
+ * already started one, otherwise whatever the caller sent in `traceparent`.
+ */
+export function incomingContext(headers: Headers): Context {
+  if (trace.getActiveSpan()) return context.active();
+  const carrier: Record<string, string> = {};
+  headers.forEach((value, key) => {
+    carrier[key] = value;
+  });
+  return propagation.extract(context.active(), carrier);
+}
+
+export { context, SpanKind, SpanStatusCode };
@@ -1,5 +1,6 @@
 import { textExtractor } from '../lib/text-extraction/text-extractor';
 import { AttachmentProcessingResult, ProcessedAttachment } from '../lib/text-extraction/types';
+import { withSpan } from '../lib/tracing';
 
 /**
  * Unified Attachment Processor
@@ -263,7 +264,15 @@ async function processObjectAttachment(
     // Handle document attachment - extract text
     try {
       const buffer = Buffer.from(content, 'base64');
-      const extractionResult = await textExtractor.extractText(buffer, mediaType);
+      const extractionResult = await withSpan('text.extract', {
+        'attachment.media_type': mediaType,
+        'attachment.bytes': buffer.length
+      }, async span => {
+        const result = await textExtractor.extractText(buffer, mediaType);
+        span.setAttribute('attachment.extracted_chars', result.extractedLength);
+        span.setAttribute('attachment.success', result.success);
+        return result;
+      });
       
       // Check if extraction was successful
       if (!extractionResult.success) {
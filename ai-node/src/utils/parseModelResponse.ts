@@ -1,3 +1,5 @@
+import { normalizeScore } from './scoreNormalizer';
+
 interface ScoreOutcome {
   outcome: string;
   score: number;
@@ -19,113 +21,7 @@ export function parseModelResponse(responseText: string, outcomes?: string[]): {
       outcomesLength: outcomes?.length
     });
 
-    // Try multiple strategies to extract JSON from the response
-    let response;
-
-    // Strategy 0: Try direct JSON parsing first
-    try {
-      const trimmedResponse = responseText.trim();
-      if (trimmedResponse.startsWith('{') && trimmedResponse.endsWith('}')) {
-        const parsed = JSON.parse(trimmedResponse);
-        if (parsed && typeof parsed === 'object' && 'score' in parsed && 'justification' in parsed) {
-          response = parsed;
-          console.log('Successfully parsed direct JSON');
-        }
-      }
-    } catch (e) {
-      console.log('Direct JSON parsing failed:', e);
-    }
-
-    // Strategy 1: Try to find JSON in code blocks
-    if (!response) {
-      const jsonBlockMatch = responseText.match(/```(?:json)?\s*({[\s\S]*?})\s*```/);
-      if (jsonBlockMatch) {
-        try {
-          response = JSON.parse(jsonBlockMatch[1].trim());
-          console.log('Successfully parsed JSON from markdown block');
-        } catch (e) {
-          console.log('Failed to parse JSON from markdown block:', e);
-          
-          // Attempt rescue with regex extraction if JSON parsing from code block fails
-          try {
-            response = extractJSONDataWithRegex(jsonBlockMatch[1].trim());
-            if (response) {
-              console.log('Successfully extracted JSON data using regex from code block');
-            }
-          } catch (regexErr) {
-            console.log('Failed regex extraction from code block:', regexErr);
-          }
-        }
-      }
-    }
-
-    // Strategy 2: Try to find any JSON-like structure in the text
-    if (!response) {
-      // Updated regex to better handle multiline JSON
-      const jsonMatch = responseText.match(/\{[\s\S]*?\}/g);
-      if (jsonMatch) {
-        for (const potentialJson of jsonMatch) {
-          try {
-            const parsed = JSON.parse(potentialJson);
-            if (parsed && typeof parsed === 'object' && 'score' in parsed && 'justification' in parsed) {
-              response = parsed;
-              console.log('Successfully parsed JSON from text');
-              break;
-            }
-          } catch (e) {
-            // If JSON parsing fails, try regex extraction
-            try {
-              const extracted = extractJSONDataWithRegex(potentialJson);
-              if (extracted && 'score' in extracted && 'justification' in extracted) {
-                response = extracted;
-                console.log('Successfully extracted JSON data using regex from potential JSON');
-                break;
-              }
-            } catch (regexErr) {
-              continue;
-            }
-          }
-        }
-      }
-    }
-
-    // Strategy 3: Try the old format with SCORE: and JUSTIFICATION:
-    if (!response) {
-      console.log('Trying old format parsing');
-      const scoreMatch = responseText.match(/SCORE:\s*([0-9,\s]+)/i);
-      const justificationMatch = responseText.match(/JUSTIFICATION:\s*([^]*?)(?:$|SCORE:)/i);
-      
-      console.log('Old format parsing results:', {
-        hasScoreMatch: !!scoreMatch,
-        scoreMatchGroups: scoreMatch?.length,
-        hasJustificationMatch: !!justificationMatch,
-        justificationMatchGroups: justificationMatch?.length
-      });
-      
-      if (scoreMatch) {
-        const scores = scoreMatch[1].split(',').map(s => parseInt(s.trim()));
-        const justification = justificationMatch ? justificationMatch[1].trim() : '';
-        
-        response = {
-          score: scores,
-          justification: justification
-        };
-        console.log('Successfully parsed old format');
-      }
-    }
-
-    // Strategy 4: Last resort - forceful regex extraction from the entire response
-    if (!response) {
-      console.log('Attempting forceful regex extraction from entire response');
-      try {
-        response = extractJSONDataWithRegex(responseText);
-        if (response) {
-          console.log('Successfully extracted JSON data using regex from full response');
-        }
-      } catch (e) {
-        console.log('Failed forceful regex extraction:', e);
-      }
-    }
+    const response = extractModelResponse(responseText);
 
     // Validate the response structure
     if (!response || typeof response !== 'object') {
@@ -187,19 +83,182 @@ export function parseModelResponse(responseText: string, outcomes?: string[]): {
   }
 }
 
+/**
+ * Extracts the `{ score, justification }` object from a model response
+ * without validating the score, so malformed vectors (wrong scale, wrong
+ * length, label-keyed objects) can still be repaired by scoreNormalizer.
+ * Returns null when no such object can be found.
+ */
+export function extractModelResponse(responseText: string): { score: unknown; justification: unknown } | null {
+  // Try multiple strategies to extract JSON from the response
+  let response;
+
+  // Strategy 0: Try direct JSON parsing first
+  try {
+    const trimmedResponse = responseText.trim();
+    if (trimmedResponse.startsWith('{') && trimmedResponse.endsWith('}')) {
+      const parsed = JSON.parse(trimmedResponse);
+      if (parsed && typeof parsed === 'object' && 'score' in parsed && 'justification' in parsed) {
+        response = parsed;
+        console.log('Successfully parsed direct JSON');
+      }
+    }
+  } catch (e) {
+    console.log('Direct JSON parsing failed:', e);
+  }
+
+  // Strategy 1: Try to find JSON in code blocks
+  if (!response) {
+    const jsonBlockMatch = responseText.match(/```(?:json)?\s*({[\s\S]*?})\s*```/);
+    if (jsonBlockMatch) {
+      try {
+        response = JSON.parse(jsonBlockMatch[1].trim());
+        console.log('Successfully parsed JSON from markdown block');
+      } catch (e) {
+        console.log('Failed to parse JSON from markdown block:', e);
+        
+        // Attempt rescue with regex extraction if JSON parsing from code block fails
+        try {
+          response = extractJSONDataWithRegex(jsonBlockMatch[1].trim());
+          if (response) {
+            console.log('Successfully extracted JSON data using regex from code block');
+          }
+        } catch (regexErr) {
+          console.log('Failed regex extraction from code block:', regexErr);
+        }
+      }
+    }
+  }
+
+  // Strategy 2: Try to find any JSON-like structure in the text
+  if (!response) {
+    // Updated regex to better handle multiline JSON
+    const jsonMatch = responseText.match(/\{[\s\S]*?\}/g);
+    if (jsonMatch) {
+      for (const potentialJson of jsonMatch) {
+        try {
+          const parsed = JSON.parse(potentialJson);
+          if (parsed && typeof parsed === 'object' && 'score' in parsed && 'justification' in parsed) {
+            response = parsed;
+            console.log('Successfully parsed JSON from text');
+            break;
+          }
+        } catch (e) {
+          // If JSON parsing fails, try regex extraction
+          try {
+            const extracted = extractJSONDataWithRegex(potentialJson);
+            if (extracted && 'score' in extracted && 'justification' in extracted) {
+              response = extracted;
+              console.log('Successfully extracted JSON data using regex from potential JSON');
+              break;
+            }
+          } catch (regexErr) {
+            continue;
+          }
+        }
+      }
+    }
+  }
+
+  // Strategy 3: Try the old format with SCORE: and JUSTIFICATION:
+  if (!response) {
+    console.log('Trying old format parsing');
+    const scoreMatch = responseText.match(/SCORE:\s*([0-9,\s]+)/i);
+    const justificationMatch = responseText.match(/JUSTIFICATION:\s*([^]*?)(?:$|SCORE:)/i);
+    
+    console.log('Old format parsing results:', {
+      hasScoreMatch: !!scoreMatch,
+      scoreMatchGroups: scoreMatch?.length,
+      hasJustificationMatch: !!justificationMatch,
+      justificationMatchGroups: justificationMatch?.length
+    });
+    
+    if (scoreMatch) {
+      const scores = scoreMatch[1].split(',').map(s => parseInt(s.trim()));
+      const justification = justificationMatch ? justificationMatch[1].trim() : '';
+      
+      response = {
+        score: scores,
+        justification: justification
+      };
+      console.log('Successfully parsed old format');
+    }
+  }
+
+  // Strategy 4: Last resort - forceful regex extraction from the entire response
+  if (!response) {
+    console.log('Attempting forceful regex extraction from entire response');
+    try {
+      response = extractJSONDataWithRegex(responseText);
+      if (response) {
+        console.log('Successfully extracted JSON data using regex from full response');
+      }
+    } catch (e) {
+      console.log('Failed forceful regex extraction:', e);
+    }
+  }
+
+  if (!response || typeof response !== 'object' || !('score' in response)) {
+    return null;
+  }
+  return { score: response.score, justification: response.justification };
+}
+
+/**
+ * Salvages the answer of a response cut off mid-stream, e.g. a model that ran
+ * into MODEL_TIMEOUT_MS. The `"score"` array must be complete (closed) and
+ * valid after normalizeScore; the justification is as much of it as had been
+ * written. Text inside <think> blocks, closed or not, is ignored. Returns
+ * null when no complete score array was produced.
+ */
+export function salvagePartialResponse(partialText: string, outcomes?: string[]): {
+  decisionVector: number[];
+  justification: string;
+} | null {
+  const text = partialText.replace(/<think>[\s\S]*?(?:<\/think>|$)/gi, '');
+  const scoreMatch = text.match(/"score"\s*:\s*(\[[^\[\]]*\])/);
+  if (!scoreMatch) {
+    return null;
+  }
+
+  let score: unknown;
+  try {
+    score = JSON.parse(scoreMatch[1]);
+  } catch {
+    return null;
+  }
+  const { decisionVector } = normalizeScore(score, outcomes);
+  if (!decisionVector) {
+    return null;
+  }
+
+  // The justification string may be unterminated, or end inside an escape
+  let justification = '';
+  const justificationMatch = text.match(/"justification"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (justificationMatch) {
+    const written = justificationMatch[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+    try {
+      justification = JSON.parse(`"${written}"`);
+    } catch {
+      justification = written;
+    }
+  }
+  return { decisionVector, justification: justification.trim() };
+}
+
 /**
  * Function to extract JSON data using regex when JSON.parse fails
  * This handles cases where the justification text contains characters that break JSON parsing
  */
 function extractJSONDataWithRegex(text: string): {score: number[], justification: string} | null {
   // Extract score array using regex
-  const scoreMatch = text.match(/"score"\s*:\s*\[([\d\s,]+)\]/);
+  const scoreMatch = text.match(/"score"\s*:\s*\[([-\d\s,.eE+]+)\]/);
   if (!scoreMatch) {
     return null;
   }
   
   // Parse score array
-  const scoreArray = scoreMatch[1].split(',').map(s => parseInt(s.trim())).filter(n => !isNaN(n));
+  const scoreArray = scoreMatch[1].split(',').map(s => Number(s.trim())).filter(n => !isNaN(n));
   
   // First try to find justification when quoted properly
   let justification = '';
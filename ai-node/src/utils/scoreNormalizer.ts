@@ -0,0 +1,170 @@
+import { SCORE_TOTAL, toScoreVector } from '../lib/aggregation';
+
+/**
+ * Repairs score vectors that parseModelResponse rejects.
+ *
+ * Models regularly answer with probabilities ([0.7, 0.3]), percentages
+ * ([70, 30] or ["70%", "30%"]), floats at the right scale, vectors padded
+ * with trailing zeros, or objects keyed by outcome label. When the intent is
+ * unambiguous the vector is repaired and each repair is reported; when it is
+ * not (negative scores, a missing outcome, a sum that fits no known scale)
+ * `problem` says what is wrong so the caller can re-prompt the model with
+ * buildCorrectionPrompt().
+ */
+
+export type ScoreRepairKind =
+  | 'label_keyed'
+  | 'numeric_strings'
+  | 'trailing_zeros_trimmed'
+  | 'probability_scale'
+  | 'percent_scale'
+  | 'rounded'
+  | 'rescaled';
+
+export interface ScoreRepair {
+  kind: ScoreRepairKind;
+  detail: string;
+}
+
+export interface ScoreNormalization {
+  decisionVector: number[] | null;
+  repairs: ScoreRepair[];
+  /** Why the score could not be repaired without guessing */
+  problem?: string;
+}
+
+// Relative distance from a scale's total still treated as that scale
+const SUM_TOLERANCE = parseFloat(process.env.SCORE_SUM_TOLERANCE || '0.02');
+
+const normalizeLabel = (label: string) => label.trim().toLowerCase();
+
+function fromLabelKeyed(
+  score: Record<string, unknown>,
+  outcomes: string[] | undefined,
+  repairs: ScoreRepair[]
+): unknown[] | string {
+  if (!outcomes || outcomes.length === 0) {
+    return 'score is an object keyed by label, but the request has no outcome labels to map it to';
+  }
+  const index = new Map(outcomes.map((outcome, i) => [normalizeLabel(outcome), i]));
+  const vector: unknown[] = new Array(outcomes.length).fill(0);
+  const seen = new Set<number>();
+  for (const [key, value] of Object.entries(score)) {
+    const i = index.get(normalizeLabel(key));
+    if (i === undefined || seen.has(i)) {
+      return `score key "${key}" does not match any outcome (${outcomes.join(', ')})`;
+    }
+    seen.add(i);
+    vector[i] = value;
+  }
+  repairs.push({
+    kind: 'label_keyed',
+    detail: `mapped ${seen.size} labelled score(s) onto ${outcomes.length} outcomes`
+  });
+  return vector;
+}
+
+function toNumbers(values: unknown[], repairs: ScoreRepair[]): { numbers: number[]; percent: boolean } | string {
+  let converted = 0;
+  let percent = false;
+  const numbers = values.map(value => {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
+    converted++;
+    let text = value.trim().replace(/,/g, '');
+    if (text.endsWith('%')) {
+      percent = true;
+      text = text.slice(0, -1);
+    }
+    return text === '' ? NaN : Number(text);
+  });
+  if (numbers.some(n => !Number.isFinite(n))) {
+    return `score contains non-numeric entries: ${JSON.stringify(values)}`;
+  }
+  if (converted > 0) {
+    repairs.push({ kind: 'numeric_strings', detail: `converted ${converted} string score(s) to numbers` });
+  }
+  return { numbers, percent };
+}
+
+const near = (value: number, target: number) => Math.abs(value - target) <= target * SUM_TOLERANCE;
+
+/**
+ * Normalize a raw `score` value from a model response into a vector of
+ * non-negative integers summing to exactly 1,000,000.
+ */
+export function normalizeScore(score: unknown, outcomes?: string[]): ScoreNormalization {
+  const repairs: ScoreRepair[] = [];
+  const fail = (problem: string): ScoreNormalization => ({ decisionVector: null, repairs, problem });
+
+  let values: unknown[];
+  if (Array.isArray(score)) {
+    values = score;
+  } else if (score !== null && typeof score === 'object') {
+    const mapped = fromLabelKeyed(score as Record<string, unknown>, outcomes, repairs);
+    if (typeof mapped === 'string') return fail(mapped);
+    values = mapped;
+  } else {
+    return fail(`score must be an array of numbers, got ${JSON.stringify(score)}`);
+  }
+
+  const parsed = toNumbers(values, repairs);
+  if (typeof parsed === 'string') return fail(parsed);
+  let numbers = parsed.numbers;
+
+  if (numbers.length === 0) return fail('score is empty');
+  if (numbers.some(n => n < 0)) return fail(`score contains negative numbers: ${JSON.stringify(numbers)}`);
+
+  if (outcomes && numbers.length !== outcomes.length) {
+    const extra = numbers.slice(outcomes.length);
+    if (numbers.length > outcomes.length && extra.every(n => n === 0)) {
+      repairs.push({ kind: 'trailing_zeros_trimmed', detail: `dropped ${extra.length} trailing zero score(s)` });
+      numbers = numbers.slice(0, outcomes.length);
+    } else {
+      return fail(`score has ${numbers.length} entries but there are ${outcomes.length} outcomes`);
+    }
+  }
+
+  const sum = numbers.reduce((a, b) => a + b, 0);
+  const max = Math.max(...numbers);
+  if (sum === 0) return fail('all scores are zero');
+
+  if (!parsed.percent && near(sum, SCORE_TOTAL)) {
+    if (numbers.some(n => !Number.isInteger(n))) {
+      repairs.push({ kind: 'rounded', detail: 'rounded fractional scores to integers' });
+    }
+    if (sum !== SCORE_TOTAL) {
+      repairs.push({ kind: 'rescaled', detail: `rescaled scores summing to ${sum} to 1,000,000` });
+    }
+  } else if (!parsed.percent && max <= 1 && near(sum, 1)) {
+    repairs.push({ kind: 'probability_scale', detail: `scores sum to ${sum}; read as probabilities` });
+  } else if (max <= 100 && near(sum, 100)) {
+    repairs.push({ kind: 'percent_scale', detail: `scores sum to ${sum}; read as percentages` });
+  } else {
+    return fail(`scores sum to ${sum}, expected 1,000,000`);
+  }
+
+  return { decisionVector: toScoreVector(numbers), repairs };
+}
+
+/**
+ * Follow-up prompt asking a model to restate its answer in the required
+ * format after normalizeScore() could not repair it.
+ */
+export function buildCorrectionPrompt(problem: string, previousResponse: string, outcomes?: string[]): string {
+  const numOutcomes = outcomes?.length || 2;
+  const order = outcomes
+    ? outcomes.map((outcome, i) => `${i + 1}. ${outcome}`).join('\n')
+    : '1. Option A\n2. Option B';
+  const previous = previousResponse.length > 4000 ? `${previousResponse.substring(0, 4000)}...` : previousResponse;
+
+  return `Your previous answer could not be used: ${problem}.
+
+Your previous answer was:
+${previous}
+
+Keep the same assessment and restate it in the required format. Respond with only a JSON object
+containing 'score' and 'justification', where 'score' is an array of exactly ${numOutcomes} non-negative
+integers that sum to exactly 1,000,000, one per outcome in this order:
+${order}`;
+}
@@ -7,6 +7,12 @@
  * justification (scores, per-model failures), and — for arbiters running
  * version self-reporting — the software version that produced each response.
  *
+ * Signed justifications are verified with the external adapter's
+ * src/utils/justificationSignature.js (so its dependencies must be
+ * installed): the signature must match the content, the signing operator
+ * must be one that revealed, and the signer must be that operator contract's
+ * owner or an authorized sender.
+ *
  * Usage:
  *   node scripts/audit-oracles.js <aggId> [<aggId>…] [options]
  *
@@ -23,6 +29,7 @@ const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
 const axios = require('axios');
+const { verifyJustification } = require('../../external-adapter/src/utils/justificationSignature');
 
 const CONFIG = JSON.parse(
   fs.readFileSync(path.join(__dirname, '..', 'config', 'e2e-config.json'), 'utf8')
@@ -36,6 +43,11 @@ const ABI = [
   'event NewOracleResponseRecorded(bytes32 requestId, uint256 pollIndex, bytes32 indexed aggRequestId, address operator)',
 ];
 
+const OPERATOR_ABI = [
+  'function owner() view returns (address)',
+  'function isAuthorizedSender(address) view returns (bool)',
+];
+
 const GETLOGS_CHUNK = 1999; // public Base Sepolia RPC caps eth_getLogs at 2000 blocks
 
 function parseArgs(argv) {
@@ -90,6 +102,30 @@ async function fetchJson(cid) {
   return null;
 }
 
+/** Whether `signer` is the operator contract's owner or an authorized sender (null if unknown). */
+async function operatorAuthorizes(provider, signer, operator) {
+  const op = new ethers.Contract(operator, OPERATOR_ABI, provider);
+  try {
+    if ((await op.owner()).toLowerCase() === signer.toLowerCase()) return true;
+    return await op.isAuthorizedSender(signer);
+  } catch (_) {
+    return null; // not an Operator contract, or the RPC call failed
+  }
+}
+
+async function describeSignature(j, provider, revealingOperators) {
+  const result = await verifyJustification(j, {
+    isAuthorized: (signer, operator) => operatorAuthorizes(provider, signer, operator),
+  });
+  if (result.reason === 'unsigned') return '(unsigned)';
+  if (!result.valid) return `INVALID — ${result.reason}`;
+  const notes = [result.authorized ? 'authorized on-chain' : 'authorization unknown'];
+  if (!revealingOperators.some((o) => o.toLowerCase() === result.operator.toLowerCase())) {
+    notes.push('operator did not reveal for this request');
+  }
+  return `valid (${result.scheme}) signer=${result.signer} operator=${result.operator} — ${notes.join(', ')}`;
+}
+
 function summarizeJustification(j) {
   if (!j) return null;
   const out = {
@@ -145,14 +181,17 @@ function summarizeJustification(j) {
 
     const cids = String(justCids).split(',').map((s) => s.trim()).filter(Boolean);
     console.log(`\nper-oracle justifications (${cids.length}):`);
+    const revealingOperators = reveals.map((e) => e.args.operator);
     for (const cid of cids) {
-      const summary = summarizeJustification(await fetchJson(cid));
+      const justification = await fetchJson(cid);
+      const summary = summarizeJustification(justification);
       console.log(`  ${cid}`);
       if (!summary) {
         console.log('    (fetch failed on all gateways)');
         continue;
       }
       console.log(`    scores: [${summary.scores}]`);
+      console.log(`    signature: ${await describeSignature(justification, provider, revealingOperators)}`);
       console.log(`    version: ${summary.version ? JSON.stringify(summary.version) : '(not reported — pre-versioning arbiter)'}`);
       if (summary.modelFailures.length) {
         summary.modelFailures.forEach((f) => console.log(`    model failure: ${f}`));
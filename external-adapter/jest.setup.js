@@ -8,3 +8,12 @@ try {
 // Set required environment variables for testing
 process.env.OPERATOR_ADDR = process.env.OPERATOR_ADDR || '0xD47932CaC22d4F5557733619b83114CF82e3bF52';
 process.env.TEST_MODE = 'false';
+
+// Keep commit-reveal state in RAM so tests never write to external-adapter/data
+process.env.COMMIT_STORE_BACKEND = process.env.COMMIT_STORE_BACKEND || 'memory';
+
+// Fetch archives straight through unless a test opts into the on-disk cache
+process.env.ARCHIVE_CACHE_MAX_BYTES = process.env.ARCHIVE_CACHE_MAX_BYTES || '0';
+
+// Pin justifications before answering so tests never write to data/outbox
+process.env.PIN_OUTBOX_ENABLED = process.env.PIN_OUTBOX_ENABLED || 'false';
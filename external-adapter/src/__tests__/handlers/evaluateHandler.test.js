@@ -12,9 +12,6 @@ const mockServices = {
     processMultipleCIDs: jest.fn(),
     cleanup: jest.fn()
   },
-  ipfsClient: {
-    uploadToIPFS: jest.fn()
-  },
   manifestParser: {
     parse: jest.fn(),
     parseMultipleManifests: jest.fn(),
@@ -37,6 +34,11 @@ jest.mock('@verdikta/common', () => ({
   validateRequest: jest.fn().mockResolvedValue(true),
   requestSchema: {}
 }));
+// Justification uploads go through the pinning service
+const mockPinning = { pin: jest.fn() };
+jest.mock('../../services/pinningService', () => ({
+  createPinningService: jest.fn(() => mockPinning)
+}));
 jest.mock('unzipper', () => ({
   Open: {
     file: jest.fn()
@@ -67,7 +69,7 @@ const aiClient = require('../../services/aiClient');
 const fs = require('fs').promises;
 
 // Get the mocked services from the shared mock
-const { archiveService, ipfsClient, manifestParser, validator, logger } = mockServices;
+const { archiveService, manifestParser, validator, logger } = mockServices;
 
 describe('evaluateHandler', () => {
   beforeEach(() => {
@@ -140,7 +142,7 @@ describe('evaluateHandler', () => {
     });
 
     // Mock IPFS upload failure
-    ipfsClient.uploadToIPFS.mockRejectedValue(new Error('IPFS upload failed'));
+    mockPinning.pin.mockRejectedValue(new Error('IPFS upload failed'));
 
     const result = await evaluateHandler(request);
 
@@ -193,7 +195,7 @@ describe('evaluateHandler', () => {
     });
 
     // Mock successful IPFS upload
-    ipfsClient.uploadToIPFS.mockResolvedValue('QmTestJustification');
+    mockPinning.pin.mockResolvedValue('QmTestJustification');
 
     const result = await evaluateHandler(request);
 
@@ -253,7 +255,7 @@ describe('evaluateHandler', () => {
     aiClient.evaluate.mockRejectedValue(providerError);
 
     // Mock successful IPFS upload for error justification
-    ipfsClient.uploadToIPFS.mockResolvedValue('QmTestErrorJustification');
+    mockPinning.pin.mockResolvedValue('QmTestErrorJustification');
 
     const result = await evaluateHandler(request);
 
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createArchiveCache } = require('../../services/archiveCache');
+const { computeCid } = require('../../utils/cid');
+
+const archive = (text) => Buffer.from(text.padEnd(1000, '.'));
+
+describe('archiveCache', () => {
+  let dir;
+  let archives;   // CID → Buffer the fake gateway serves
+  let archiveService;
+
+  const cacheWith = (opts = {}) => createArchiveCache({ archiveService, dir, maxBytes: 10000, ...opts });
+
+  async function publish(text) {
+    const data = archive(text);
+    const cid = await computeCid(data);
+    archives.set(cid, data);
+    return cid;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-cache-'));
+    archives = new Map();
+    archiveService = {
+      getArchive: jest.fn(async (cid) => {
+        if (!archives.has(cid)) throw new Error(`IPFS fetch failed for ${cid}`);
+        return archives.get(cid);
+      }),
+      extractArchive: jest.fn(async (data, name, extractPath) => extractPath),
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('serves repeat fetches from disk, across instances', async () => {
+    const cid = await publish('evidence one');
+    const cache = cacheWith();
+
+    expect(await cache.getArchive(cid)).toEqual(archives.get(cid));
+    expect(await cache.getArchive(cid)).toEqual(archives.get(cid));
+    expect(archiveService.getArchive).toHaveBeenCalledTimes(1);
+    expect(fs.existsSync(path.join(dir, cid))).toBe(true);
+    expect(cache.stats()).toMatchObject({ entries: 1, bytes: 1000, hits: 1, misses: 1 });
+
+    // A restarted adapter picks the archive up from the directory
+    const restarted = cacheWith();
+    await restarted.getArchive(cid);
+    expect(archiveService.getArchive).toHaveBeenCalledTimes(1);
+    expect(restarted.stats()).toMatchObject({ entries: 1, hits: 1, misses: 0 });
+  });
+
+  it('fetches CIDs with fetchArchive and anything else with archiveService', async () => {
+    const cid = await publish('from the gateways');
+    const fetchArchive = jest.fn(async (c) => archives.get(c));
+    const cache = cacheWith({ fetchArchive });
+    archives.set('legacy-id', archive('legacy'));
+
+    await cache.getArchive(cid);
+    await cache.getArchive('legacy-id');
+    expect(fetchArchive).toHaveBeenCalledWith(cid);
+    expect(archiveService.getArchive).toHaveBeenCalledWith('legacy-id');
+    expect(archiveService.getArchive).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns but never caches content that does not hash to its CID', async () => {
+    const cid = await publish('genuine');
+    archives.set(cid, archive('tampered by the gateway'));
+    const cache = cacheWith();
+
+    expect((await cache.getArchive(cid)).toString()).toContain('tampered');
+    expect(fs.existsSync(path.join(dir, cid))).toBe(false);
+    expect(cache.stats()).toMatchObject({ entries: 0, verifyFailures: 1 });
+  });
+
+  it('drops a corrupted entry and fetches it again', async () => {
+    const cid = await publish('evidence');
+    const cache = cacheWith();
+    await cache.getArchive(cid);
+    fs.writeFileSync(path.join(dir, cid), 'bit rot');
+
+    expect(await cache.getArchive(cid)).toEqual(archives.get(cid));
+    expect(archiveService.getArchive).toHaveBeenCalledTimes(2);
+    expect(cache.stats()).toMatchObject({ entries: 1, verifyFailures: 1, hits: 0, misses: 2 });
+  });
+
+  it('evicts the least recently used archives once over maxBytes', async () => {
+    const [a, b, c] = [await publish('a'), await publish('b'), await publish('c')];
+    const cache = cacheWith({ maxBytes: 2500 });
+
+    await cache.getArchive(a);
+    await cache.getArchive(b);
+    await cache.getArchive(a);   // b is now the oldest
+    await cache.getArchive(c);
+
+    expect(fs.existsSync(path.join(dir, a))).toBe(true);
+    expect(fs.existsSync(path.join(dir, b))).toBe(false);
+    expect(fs.existsSync(path.join(dir, c))).toBe(true);
+    expect(cache.stats()).toMatchObject({ entries: 2, bytes: 2000, evictions: 1 });
+  });
+
+  it('shares one fetch between concurrent requests for a CID', async () => {
+    const cid = await publish('popular');
+    const cache = cacheWith();
+
+    const [x, y] = await Promise.all([cache.getArchive(cid), cache.getArchive(cid)]);
+    expect(x).toEqual(y);
+    expect(archiveService.getArchive).toHaveBeenCalledTimes(1);
+    expect(cache.stats()).toMatchObject({ misses: 1, coalesced: 1 });
+  });
+
+  it('prewarms CIDs and reports each outcome', async () => {
+    const cached = await publish('already here');
+    const fresh = await publish('new');
+    const missing = await computeCid(archive('never published'));
+    const cache = cacheWith();
+    await cache.getArchive(cached);
+
+    const results = await cache.prewarm([cached, fresh, missing, 'not-a-cid']);
+    expect(results).toEqual([
+      { cid: cached, status: 'cached', bytes: 1000 },
+      { cid: fresh, status: 'fetched', bytes: 1000 },
+      { cid: missing, status: 'failed', error: `IPFS fetch failed for ${missing}` },
+      { cid: 'not-a-cid', status: 'failed', error: 'Not a CIDv0 or base32 CIDv1' },
+    ]);
+    expect(cache.stats()).toMatchObject({ entries: 2 });
+  });
+
+  it('extracts multi-CID requests from cached archives', async () => {
+    const [a, b] = [await publish('first'), await publish('second')];
+    const cache = cacheWith();
+    await cache.prewarm([a]);
+
+    const paths = await cache.processMultipleCIDs([a, b], '/tmp/job');
+    expect(paths).toEqual({
+      [a]: path.join('/tmp/job', `archive_0_${a.substring(0, 10)}`),
+      [b]: path.join('/tmp/job', `archive_1_${b.substring(0, 10)}`),
+    });
+    expect(archiveService.extractArchive).toHaveBeenCalledWith(archives.get(a), `archive_${a}.zip`, paths[a]);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 2 });
+
+    await expect(cache.processMultipleCIDs([a, 'QmMissing'], '/tmp/job'))
+      .rejects.toThrow('Failed to process CID QmMissing: IPFS fetch failed for QmMissing');
+  });
+
+  it('fetches every time when maxBytes is 0', async () => {
+    const cid = await publish('uncached');
+    const cache = cacheWith({ maxBytes: 0 });
+
+    await cache.getArchive(cid);
+    await cache.getArchive(cid);
+    await cache.processMultipleCIDs([cid], '/tmp/job');
+
+    expect(archiveService.getArchive).toHaveBeenCalledTimes(3);
+    expect(fs.readdirSync(dir)).toEqual([]);
+    expect(cache.stats()).toMatchObject({ enabled: false, entries: 0 });
+  });
+});
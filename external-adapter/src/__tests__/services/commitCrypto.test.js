@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { loadKeyring, createCommitCipher, keyId, isSealed } = require('../../services/commitCrypto');
+
+const HASH = '0123456789abcdef0123456789abcdef';
+const ENTRY = {
+  result: { scores: [{ outcome: 'A', score: 1000000 }] },
+  salt: '00112233445566778899',
+  aggId: '0xabc',
+  created: '2026-01-01T00:00:00.000Z'
+};
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+
+describe('commitCrypto', () => {
+  describe('loadKeyring', () => {
+    it('accepts hex and base64 keys, current key first', () => {
+      const hex = crypto.randomBytes(32).toString('hex');
+      const b64 = newKey();
+      const ring = loadKeyring({ key: hex, previousKeys: b64 });
+      expect(ring.current.id).toBe(keyId(Buffer.from(hex, 'hex')));
+      expect(ring.keys.size).toBe(2);
+    });
+
+    it('reads a keyfile with the current key on the first line', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'commit-keys-'));
+      const file = path.join(dir, 'keys');
+      const [current, previous] = [newKey(), newKey()];
+      fs.writeFileSync(file, `# rotated 2026-01-01\n${current}\n${previous}\n`);
+      try {
+        const ring = loadKeyring({ keyFile: file });
+        expect(ring.current.id).toBe(keyId(Buffer.from(current, 'base64')));
+        expect(ring.keys.size).toBe(2);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('rejects keys that are not 32 bytes', () => {
+      expect(() => loadKeyring({ key: 'too-short' })).toThrow(/32 bytes/);
+    });
+
+    it('returns an empty keyring when nothing is configured', () => {
+      expect(loadKeyring({}).current).toBeNull();
+    });
+  });
+
+  describe('createCommitCipher', () => {
+    it('passes entries through when no key is configured', () => {
+      const cipher = createCommitCipher();
+      expect(cipher.enabled).toBe(false);
+      expect(cipher.seal(HASH, ENTRY)).toBe(ENTRY);
+      expect(cipher.open(HASH, ENTRY)).toBe(ENTRY);
+    });
+
+    it('seals entries so neither result nor salt appear in the stored value', () => {
+      const cipher = createCommitCipher(loadKeyring({ key: newKey() }));
+      const sealed = cipher.seal(HASH, ENTRY);
+      expect(isSealed(sealed)).toBe(true);
+      expect(JSON.stringify(sealed)).not.toContain(ENTRY.salt);
+      expect(sealed.created).toBe(ENTRY.created);
+      expect(cipher.open(HASH, sealed)).toEqual(ENTRY);
+    });
+
+    it('refuses to open an envelope stored under a different hash', () => {
+      const cipher = createCommitCipher(loadKeyring({ key: newKey() }));
+      const sealed = cipher.seal(HASH, ENTRY);
+      expect(() => cipher.open('f'.repeat(32), sealed)).toThrow();
+    });
+
+    it('re-wraps envelopes from a previous key and seals plaintext entries', () => {
+      const [oldKey, currentKey] = [newKey(), newKey()];
+      const oldCipher = createCommitCipher(loadKeyring({ key: oldKey }));
+      const cipher = createCommitCipher(loadKeyring({ key: currentKey, previousKeys: oldKey }));
+
+      const oldSealed = oldCipher.seal(HASH, ENTRY);
+      const rewrapped = cipher.rewrap(HASH, oldSealed);
+      expect(rewrapped.kid).toBe(cipher.keyId);
+      expect(rewrapped.data).toBe(oldSealed.data);
+      expect(cipher.rewrap(HASH, rewrapped)).toBeNull();
+
+      const onlyCurrent = createCommitCipher(loadKeyring({ key: currentKey }));
+      expect(onlyCurrent.open(HASH, rewrapped)).toEqual(ENTRY);
+      expect(isSealed(cipher.rewrap(HASH, ENTRY))).toBe(true);
+    });
+
+    it('names the missing key when an envelope cannot be opened', () => {
+      const sealed = createCommitCipher(loadKeyring({ key: newKey() })).seal(HASH, ENTRY);
+      const cipher = createCommitCipher(loadKeyring({ key: newKey() }));
+      expect(() => cipher.open(HASH, sealed)).toThrow(/unknown key/);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { createCommitStore } = require('../../services/commitStore');
+const { loadKeyring } = require('../../services/commitCrypto');
+
+const HASH_A = '0123456789abcdef0123456789abcdef';
+const HASH_B = 'fedcba9876543210fedcba9876543210';
+
+function entry(overrides = {}) {
+  return {
+    result: { scores: [{ outcome: 'A', score: 600000 }, { outcome: 'B', score: 400000 }] },
+    salt: '00112233445566778899',
+    aggId: '0xabc',
+    created: new Date().toISOString(),
+    ...overrides
+  };
+}
+
+let sqliteAvailable = true;
+try { require('better-sqlite3'); } catch (_) { sqliteAvailable = false; }
+
+describe('commitStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'commit-store-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  const backends = ['memory', 'journal', sqliteAvailable ? 'sqlite' : null].filter(Boolean);
+
+  describe.each(backends)('%s backend', (backend) => {
+    it('saves, gets and deletes entries', async () => {
+      const store = createCommitStore({ backend, dir });
+      const e = entry();
+      await store.save(HASH_A, e);
+      expect(await store.get(HASH_A)).toEqual(e);
+      expect(await store.get(HASH_B)).toBeUndefined();
+
+      await store.del(HASH_A);
+      expect(await store.get(HASH_A)).toBeUndefined();
+      await store.close();
+    });
+
+    it('purges entries older than the cutoff', async () => {
+      const store = createCommitStore({ backend, dir });
+      await store.save(HASH_A, entry({ created: new Date(Date.now() - 4 * 24 * 3600e3).toISOString() }));
+      await store.save(HASH_B, entry());
+
+      expect(await store.purgeStale()).toBe(1);
+      expect(await store.get(HASH_A)).toBeUndefined();
+      expect(await store.get(HASH_B)).toBeDefined();
+      await store.close();
+    });
+  });
+
+  describe.each(backends.filter(b => b !== 'memory'))('%s backend durability', (backend) => {
+    it('replays commits after a restart', async () => {
+      const first = createCommitStore({ backend, dir });
+      await first.save(HASH_A, entry());
+      await first.save(HASH_B, entry({ salt: 'ffffffffffffffffffff' }));
+      await first.del(HASH_A);
+      await first.close();
+
+      const second = createCommitStore({ backend, dir });
+      expect(await second.open()).toBe(1);
+      expect(await second.get(HASH_A)).toBeUndefined();
+      expect((await second.get(HASH_B)).salt).toBe('ffffffffffffffffffff');
+      await second.close();
+    });
+  });
+
+  describe('journal backend crash recovery', () => {
+    const journal = () => path.join(dir, 'commits.journal');
+
+    it('drops a torn trailing record and keeps appending cleanly', async () => {
+      const first = createCommitStore({ backend: 'journal', dir });
+      await first.save(HASH_A, entry());
+      await first.close();
+      await fs.promises.appendFile(journal(), '{"op":"put","hash":"' + HASH_B + '","entr');
+
+      const second = createCommitStore({ backend: 'journal', dir });
+      expect(await second.open()).toBe(1);
+      await second.save(HASH_B, entry());
+      await second.close();
+
+      const third = createCommitStore({ backend: 'journal', dir });
+      expect(await third.open()).toBe(2);
+      await third.close();
+    });
+
+    it('compacts the journal once dead records dominate', async () => {
+      const store = createCommitStore({ backend: 'journal', dir });
+      for (let i = 0; i < 300; i++) {
+        await store.save(HASH_A, entry({ salt: String(i).padStart(20, '0') }));
+      }
+      await store.save(HASH_B, entry());
+      const lines = (await fs.promises.readFile(journal(), 'utf8')).trim().split('\n');
+      expect(lines.length).toBeLessThan(300);
+      expect((await store.get(HASH_A)).salt).toBe('00000000000000000299');
+      await store.close();
+    });
+
+    it('keeps appending to the journal when compaction fails midway', async () => {
+      const rename = jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('EXDEV: cross-device link'));
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      try {
+        const store = createCommitStore({ backend: 'journal', dir });
+        for (let i = 0; i < 300; i++) {
+          await store.save(HASH_A, entry({ salt: String(i).padStart(20, '0') }));
+        }
+        await store.save(HASH_B, entry());
+        await store.close();
+        expect(rename).toHaveBeenCalled();
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('compaction'));
+
+        const reopened = createCommitStore({ backend: 'journal', dir });
+        expect(await reopened.open()).toBe(2);
+        expect((await reopened.get(HASH_A)).salt).toBe('00000000000000000299');
+        await reopened.close();
+        expect(fs.existsSync(journal() + '.tmp')).toBe(false);
+      } finally {
+        rename.mockRestore();
+        warn.mockRestore();
+      }
+    });
+  });
+
+  describe('encryption at rest', () => {
+    const journal = () => path.join(dir, 'commits.journal');
+    const newKey = () => crypto.randomBytes(32).toString('base64');
+
+    it('writes ciphertext to disk and decrypts transparently on get', async () => {
+      const store = createCommitStore({ backend: 'journal', dir, keyring: loadKeyring({ key: newKey() }) });
+      const e = entry();
+      await store.save(HASH_A, e);
+      expect(await fs.promises.readFile(journal(), 'utf8')).not.toContain(e.salt);
+      expect(await store.get(HASH_A)).toEqual(e);
+      await store.close();
+    });
+
+    it('re-encrypts pending entries under the new key when the store opens', async () => {
+      const [oldKey, currentKey] = [newKey(), newKey()];
+      const plain = createCommitStore({ backend: 'journal', dir, keyring: loadKeyring({}) });
+      await plain.save(HASH_A, entry());
+      await plain.close();
+      const before = createCommitStore({ backend: 'journal', dir, keyring: loadKeyring({ key: oldKey }) });
+      await before.save(HASH_B, entry());
+      await before.close();
+
+      const rotated = createCommitStore({
+        backend: 'journal', dir, keyring: loadKeyring({ key: currentKey, previousKeys: oldKey })
+      });
+      expect(await rotated.open()).toBe(2);
+      await rotated.close();
+      const journalText = await fs.promises.readFile(journal(), 'utf8');
+      expect(journalText).not.toContain('00112233445566778899');
+      expect(journalText.trim().split('\n')).toHaveLength(2);
+
+      const after = createCommitStore({ backend: 'journal', dir, keyring: loadKeyring({ key: currentKey }) });
+      expect((await after.get(HASH_A)).salt).toBe('00112233445566778899');
+      expect((await after.get(HASH_B)).salt).toBe('00112233445566778899');
+      await after.close();
+    });
+
+    it('ages out sealed entries without needing the key', async () => {
+      const store = createCommitStore({ backend: 'memory', dir, keyring: loadKeyring({ key: newKey() }) });
+      await store.save(HASH_A, entry({ created: new Date(Date.now() - 4 * 24 * 3600e3).toISOString() }));
+      expect(await store.purgeStale()).toBe(1);
+      await store.close();
+    });
+  });
+
+  it('rejects unknown backends', () => {
+    expect(() => createCommitStore({ backend: 'redis', dir })).toThrow(/Unknown COMMIT_STORE_BACKEND/);
+  });
+});
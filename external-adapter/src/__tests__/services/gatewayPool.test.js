@@ -0,0 +1,144 @@
+const { createGatewayPool } = require('../../services/gatewayPool');
+const { computeCid } = require('../../utils/cid');
+
+const CONTENT = Buffer.from('evidence archive bytes');
+const quietLogger = { warn: jest.fn() };
+
+// Gateway behaviour by host: { delay, data | error }
+function fakeHttp(behaviour) {
+  const respond = (url, { signal }) => {
+    const host = url.startsWith('http://127.0.0.1:5001') ? 'kubo' : new URL(url).host;
+    const { delay = 0, data, error } = behaviour[host];
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => (error ? reject(new Error(error)) : resolve({ data })), delay);
+      signal.addEventListener('abort', () => { clearTimeout(timer); reject(new Error('canceled')); });
+    });
+  };
+  return {
+    get: jest.fn((url, options) => respond(url, options)),
+    post: jest.fn((url, body, options) => respond(url, options)),
+  };
+}
+
+describe('gatewayPool', () => {
+  let cid;
+
+  beforeAll(async () => {
+    // A raw-leaf CIDv1: always decidable, so forged content is provably wrong
+    cid = await computeCid(CONTENT, { cidVersion: 1 });
+  });
+
+  const poolWith = (http, opts = {}) => createGatewayPool({
+    gateways: ['https://slow.example', 'https://fast.example/'],
+    hedgeDelayMs: 20,
+    timeoutMs: 1000,
+    banMs: 60000,
+    http,
+    logger: quietLogger,
+    ...opts,
+  });
+
+  it('uses the first gateway when it answers before the hedge delay', async () => {
+    const http = fakeHttp({ 'slow.example': { data: CONTENT }, 'fast.example': { data: CONTENT } });
+    const pool = poolWith(http);
+
+    expect(await pool.getArchive(cid)).toEqual(CONTENT);
+    expect(http.get).toHaveBeenCalledTimes(1);
+    expect(http.get).toHaveBeenCalledWith(`https://slow.example/ipfs/${cid}`, expect.objectContaining({ responseType: 'arraybuffer' }));
+  });
+
+  it('hedges to the next gateway when the first is slow, and aborts the loser', async () => {
+    const http = fakeHttp({ 'slow.example': { delay: 500, data: CONTENT }, 'fast.example': { delay: 5, data: CONTENT } });
+    const pool = poolWith(http);
+
+    expect(await pool.getArchive(cid)).toEqual(CONTENT);
+    expect(http.get.mock.calls[1][0]).toBe(`https://fast.example/ipfs/${cid}`);
+    expect(http.get.mock.calls[0][1].signal.aborted).toBe(true);
+
+    const [slow, fast] = pool.stats();
+    expect(slow).toMatchObject({ requests: 1, successes: 0, failures: 0 });
+    expect(fast).toMatchObject({ requests: 1, successes: 1, bannedUntil: null });
+    expect(fast.latencyMs).toEqual(expect.any(Number));
+  });
+
+  it('moves on immediately when a gateway fails', async () => {
+    const http = fakeHttp({ 'slow.example': { error: 'HTTP 504' }, 'fast.example': { data: CONTENT } });
+    const pool = poolWith(http, { hedgeDelayMs: 10000 });
+
+    expect(await pool.getArchive(cid)).toEqual(CONTENT);
+    expect(pool.stats()[0]).toMatchObject({ failures: 1 });
+  });
+
+  it('bans a gateway that serves content not matching the CID', async () => {
+    const http = fakeHttp({ 'slow.example': { data: Buffer.from('forged') }, 'fast.example': { delay: 5, data: CONTENT } });
+    const pool = poolWith(http);
+
+    expect(await pool.getArchive(cid)).toEqual(CONTENT);
+    expect(pool.stats()[0]).toMatchObject({ mismatches: 1, bannedUntil: expect.any(String) });
+
+    // Banned gateways are skipped while another is available
+    http.get.mockClear();
+    await pool.getArchive(cid);
+    expect(http.get).toHaveBeenCalledTimes(1);
+    expect(http.get.mock.calls[0][0]).toBe(`https://fast.example/ipfs/${cid}`);
+  });
+
+  it('prefers a verifiable answer over one it cannot check', async () => {
+    // For a dag-pb CIDv0, forged bytes are undecidable rather than provably wrong
+    const v0 = await computeCid(CONTENT);
+    const http = fakeHttp({ 'slow.example': { data: Buffer.from('forged') }, 'fast.example': { delay: 5, data: CONTENT } });
+    const pool = poolWith(http, { hedgeDelayMs: 10000 });
+
+    expect(await pool.getArchive(v0)).toEqual(CONTENT);
+    expect(pool.stats().map(g => [g.successes, g.unverified])).toEqual([[1, 1], [1, 0]]);
+  });
+
+  it('returns content it cannot verify, without a ban, only when no gateway serves verifiable content', async () => {
+    // CIDv0 of a file chunked some way utils/cid.js does not reproduce
+    const chunkedElsewhere = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+    const http = fakeHttp({ 'slow.example': { data: CONTENT }, 'fast.example': { error: 'HTTP 504' } });
+    const pool = poolWith(http);
+
+    expect(await pool.getArchive(chunkedElsewhere)).toEqual(CONTENT);
+    expect(http.get).toHaveBeenCalledTimes(2);
+    expect(pool.stats()[0]).toMatchObject({ successes: 1, unverified: 1, mismatches: 0, bannedUntil: null });
+    expect(quietLogger.warn).toHaveBeenCalledWith(expect.stringContaining(`No gateway served verifiable content for ${chunkedElsewhere}`));
+  });
+
+  it('trusts a local Kubo node, which checks blocks itself', async () => {
+    const chunkedElsewhere = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+    const http = fakeHttp({ kubo: { data: CONTENT }, 'slow.example': { data: CONTENT }, 'fast.example': { data: CONTENT } });
+    const pool = poolWith(http, { kuboUrl: 'http://127.0.0.1:5001' });
+
+    expect(await pool.getArchive(chunkedElsewhere)).toEqual(CONTENT);
+    expect(http.get).not.toHaveBeenCalled();
+    expect(pool.stats()[0]).toMatchObject({ successes: 1, unverified: 0 });
+  });
+
+  it('skips malformed gateway URLs instead of failing to start', () => {
+    const pool = poolWith(fakeHttp({}), { gateways: ['https://fast.example', 'not a url', 'ftp://files.example'] });
+
+    expect(pool.stats().map(g => g.name)).toEqual(['fast.example']);
+    expect(quietLogger.warn).toHaveBeenCalledWith('[gatewayPool] Ignoring IPFS gateway "not a url": Invalid URL');
+    expect(() => poolWith(fakeHttp({}), { gateways: ['not a url'] })).toThrow('No IPFS gateways configured');
+  });
+
+  it('asks a local Kubo node first', async () => {
+    const http = fakeHttp({ kubo: { data: CONTENT }, 'slow.example': { data: CONTENT }, 'fast.example': { data: CONTENT } });
+    const pool = poolWith(http, { kuboUrl: 'http://127.0.0.1:5001' });
+
+    await pool.getArchive(cid);
+    expect(http.post).toHaveBeenCalledWith(`http://127.0.0.1:5001/api/v0/cat?arg=${cid}`, null, expect.any(Object));
+    expect(http.get).not.toHaveBeenCalled();
+    expect(pool.stats().map(g => g.name)).toEqual(['kubo', 'slow.example', 'fast.example']);
+  });
+
+  it('fails with every gateway error when none can serve the CID', async () => {
+    const http = fakeHttp({ 'slow.example': { error: 'HTTP 504' }, 'fast.example': { data: Buffer.from('forged') } });
+    const pool = poolWith(http);
+
+    await expect(pool.getArchive(cid)).rejects.toThrow(
+      `All IPFS gateways failed for ${cid} (slow.example: HTTP 504; fast.example: fast.example served content that does not hash to ${cid})`
+    );
+  });
+});
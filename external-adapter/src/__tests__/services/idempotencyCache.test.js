@@ -0,0 +1,91 @@
+const { createIdempotencyCache, requestKey } = require('../../services/idempotencyCache');
+
+const CID = 'QmTestaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const body = (id, cid = CID) => ({ id, data: { cid, aggId: '0xabc' } });
+const ok = (id) => ({ jobRunID: id, status: 'success', statusCode: 200, data: { aggregatedScore: [1] } });
+
+describe('idempotencyCache', () => {
+  describe('requestKey', () => {
+    it('separates mode, CID string, jobRunID and aggId', () => {
+      expect(requestKey(body('1'))).toBe(`1|0xabc|0|${CID}`);
+      expect(requestKey(body('1', `1:${CID}`))).toBe(`1|0xabc|1|${CID}`);
+      expect(requestKey(body('1', `1:${CID}:addendum`))).toBe(`1|0xabc|1|${CID}:addendum`);
+      expect(requestKey(body('2', `1:${CID}`))).not.toBe(requestKey(body('1', `1:${CID}`)));
+      expect(requestKey({ id: '1', data: { cid: CID, aggId: '0xdef' } })).not.toBe(requestKey(body('1')));
+    });
+
+    it('returns null for requests that cannot be keyed', () => {
+      expect(requestKey({ data: { cid: CID } })).toBeNull();
+      expect(requestKey({ id: '1', data: {} })).toBeNull();
+      expect(requestKey(undefined)).toBeNull();
+    });
+  });
+
+  it('returns the cached response for a repeated request', async () => {
+    const cache = createIdempotencyCache({ ttlMs: 60000, maxEntries: 10 });
+    const fn = jest.fn().mockResolvedValue(ok('1'));
+
+    const first = await cache.run(body('1'), fn);
+    const second = await cache.run(body('1'), fn);
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 1, cached: 1 });
+  });
+
+  it('coalesces concurrent duplicates onto one evaluation', async () => {
+    const cache = createIdempotencyCache({ ttlMs: 60000, maxEntries: 10 });
+    let release;
+    const fn = jest.fn(() => new Promise((resolve) => { release = () => resolve(ok('1')); }));
+
+    const onJoin = jest.fn();
+    const a = cache.run(body('1'), fn, onJoin);
+    const b = cache.run(body('1'), fn, onJoin);
+    await Promise.resolve();
+    expect(onJoin).toHaveBeenCalledTimes(1);
+    release();
+
+    expect(await a).toBe(await b);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(cache.stats()).toMatchObject({ coalesced: 1, inFlight: 0 });
+  });
+
+  it('does not cache 5xx responses or thrown errors', async () => {
+    const cache = createIdempotencyCache({ ttlMs: 60000, maxEntries: 10 });
+    const errored = { jobRunID: '1', status: 'errored', statusCode: 500 };
+    const fn = jest.fn()
+      .mockResolvedValueOnce(errored)
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce(ok('1'));
+
+    expect(await cache.run(body('1'), fn)).toBe(errored);
+    await expect(cache.run(body('1'), fn)).rejects.toThrow('boom');
+    expect(await cache.run(body('1'), fn)).toEqual(ok('1'));
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('expires entries after the TTL and evicts the oldest beyond maxEntries', async () => {
+    let t = 0;
+    const cache = createIdempotencyCache({ ttlMs: 1000, maxEntries: 2, now: () => t });
+    const fn = jest.fn((id) => Promise.resolve(ok(id)));
+
+    await cache.run(body('1'), () => fn('1'));
+    t = 1500;
+    await cache.run(body('1'), () => fn('1'));
+    expect(fn).toHaveBeenCalledTimes(2);
+
+    await cache.run(body('2'), () => fn('2'));
+    await cache.run(body('3'), () => fn('3'));
+    expect(cache.stats().cached).toBe(2);
+    await cache.run(body('1'), () => fn('1'));
+    expect(fn).toHaveBeenCalledTimes(5);
+  });
+
+  it('passes through when disabled', async () => {
+    const cache = createIdempotencyCache({ ttlMs: 0, maxEntries: 10 });
+    const fn = jest.fn().mockResolvedValue(ok('1'));
+    await cache.run(body('1'), fn);
+    await cache.run(body('1'), fn);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+});
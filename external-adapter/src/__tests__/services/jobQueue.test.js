@@ -0,0 +1,125 @@
+const { createJobQueue, InvalidResponseURLError } = require('../../services/jobQueue');
+
+const NODE_URL = 'http://chainlink:6688';
+const RESPONSE_URL = `${NODE_URL}/v2/resume/abc`;
+const body = { id: 'job-1', responseURL: RESPONSE_URL, data: { cid: 'QmTest' } };
+const success = { jobRunID: 'job-1', status: 'success', statusCode: 200, data: { aggregatedScore: [1], justificationCid: 'QmJ' } };
+const quietLogger = { warn: jest.fn(), error: jest.fn() };
+const fastRetry = { retries: 3, factor: 1, minTimeout: 1, maxTimeout: 1 };
+
+function httpError(status) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status };
+  return err;
+}
+
+describe('jobQueue', () => {
+  it('runs the evaluation in the background and PATCHes the result to responseURL', async () => {
+    const http = { patch: jest.fn().mockResolvedValue({ status: 200 }) };
+    const queue = createJobQueue({
+      nodeUrl: NODE_URL,
+      run: jest.fn().mockResolvedValue(success),
+      callbackToken: 'incoming-token',
+      callbackRetry: fastRetry,
+      http,
+      logger: quietLogger
+    });
+
+    const job = queue.enqueue(body);
+    expect(job.id).toEqual(expect.any(String));
+    await job.done;
+
+    expect(http.patch).toHaveBeenCalledWith(
+      RESPONSE_URL,
+      { value: success, error: null },
+      expect.objectContaining({ headers: expect.objectContaining({ Authorization: 'Bearer incoming-token' }) })
+    );
+    expect(queue.get(job.id)).toMatchObject({ status: 'delivered', callbackAttempts: 1, response: success });
+    expect(queue.get(job.id).done).toBeUndefined();
+  });
+
+  it('reports evaluation failures through the callback error field', async () => {
+    const http = { patch: jest.fn().mockResolvedValue({ status: 200 }) };
+    const queue = createJobQueue({
+      nodeUrl: NODE_URL,
+      run: jest.fn().mockRejectedValue(new Error('IPFS timeout')),
+      callbackRetry: fastRetry,
+      http,
+      logger: quietLogger
+    });
+
+    const job = queue.enqueue(body);
+    await job.done;
+
+    expect(http.patch.mock.calls[0][1]).toMatchObject({ error: 'IPFS timeout', value: { statusCode: 500 } });
+  });
+
+  it('marks jobs whose evaluation was rejected as failed, with the status and body', async () => {
+    const rejected = { jobRunID: 'job-1', status: 'errored', statusCode: 429, error: 'Evaluation queue is full, retry later' };
+    const http = { patch: jest.fn().mockResolvedValue({ status: 200 }) };
+    const queue = createJobQueue({ nodeUrl: NODE_URL, run: async () => rejected, callbackRetry: fastRetry, http, logger: quietLogger });
+
+    const job = queue.enqueue(body);
+    await job.done;
+
+    expect(http.patch.mock.calls[0][1]).toEqual({ value: rejected, error: 'Evaluation queue is full, retry later' });
+    expect(queue.get(job.id)).toMatchObject({ status: 'failed', error: 'HTTP 429: Evaluation queue is full, retry later' });
+    expect(queue.stats()).toEqual({ total: 1, byStatus: { failed: 1 } });
+  });
+
+  it('retries failed callbacks and gives up on non-retryable statuses', async () => {
+    const http = {
+      patch: jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }))
+        .mockRejectedValueOnce(httpError(503))
+        .mockResolvedValueOnce({ status: 200 })
+    };
+    const queue = createJobQueue({ nodeUrl: NODE_URL, run: async () => success, callbackRetry: fastRetry, http, logger: quietLogger });
+    const job = queue.enqueue(body);
+    await job.done;
+    expect(queue.get(job.id)).toMatchObject({ status: 'delivered', callbackAttempts: 3 });
+
+    const rejecting = { patch: jest.fn().mockRejectedValue(httpError(401)) };
+    const strict = createJobQueue({ nodeUrl: NODE_URL, run: async () => success, callbackRetry: fastRetry, http: rejecting, logger: quietLogger });
+    const failed = strict.enqueue(body);
+    await failed.done;
+    expect(rejecting.patch).toHaveBeenCalledTimes(1);
+    expect(strict.get(failed.id)).toMatchObject({ status: 'callback_failed', lastError: 'callback HTTP 401' });
+    expect(strict.stats()).toEqual({ total: 1, byStatus: { callback_failed: 1 } });
+
+    const forbidden = { patch: jest.fn().mockRejectedValue(Object.assign(httpError(403), { response: { status: 403, data: { errors: ['run is not pending'] } } })) };
+    const gone = createJobQueue({ nodeUrl: NODE_URL, run: async () => success, callbackRetry: fastRetry, http: forbidden, logger: quietLogger });
+    const rejectedJob = gone.enqueue(body);
+    await rejectedJob.done;
+    expect(gone.get(rejectedJob.id)).toMatchObject({ status: 'callback_failed', lastError: 'callback HTTP 403: {"errors":["run is not pending"]}' });
+  });
+
+  it('refuses responseURLs that are not resume URLs on the Chainlink node', () => {
+    const http = { patch: jest.fn() };
+    const run = jest.fn();
+    const queue = createJobQueue({ nodeUrl: NODE_URL, run, callbackToken: 'incoming-token', http, logger: quietLogger });
+
+    for (const responseURL of [
+      'http://attacker.example/v2/resume/abc',
+      'https://chainlink:6688/v2/resume/abc',
+      `${NODE_URL}/v2/jobs`,
+      'http://user:pw@chainlink:6688/v2/resume/abc',
+      'not a url',
+    ]) {
+      expect(() => queue.enqueue({ ...body, responseURL })).toThrow(InvalidResponseURLError);
+    }
+    expect(run).not.toHaveBeenCalled();
+    expect(http.patch).not.toHaveBeenCalled();
+    expect(queue.stats()).toEqual({ total: 0, byStatus: {} });
+    expect(() => createJobQueue({ nodeUrl: undefined, run })).toThrow('CHAINLINK_NODE_URL');
+  });
+
+  it('forgets finished jobs after the retention period', async () => {
+    const http = { patch: jest.fn().mockResolvedValue({ status: 200 }) };
+    const queue = createJobQueue({ nodeUrl: NODE_URL, run: async () => success, retentionMs: 0, callbackRetry: fastRetry, http, logger: quietLogger });
+    const job = queue.enqueue(body);
+    await job.done;
+    await new Promise((r) => setTimeout(r, 5));
+    expect(queue.get(job.id)).toBeUndefined();
+  });
+});
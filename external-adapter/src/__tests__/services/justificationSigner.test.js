@@ -0,0 +1,34 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJustificationSigner } = require('../../services/justificationSigner');
+const { verifyJustification } = require('../../utils/justificationSignature');
+
+const KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const OPERATOR = '0xD47932CaC22d4F5557733619b83114CF82e3bF52';
+
+describe('justificationSigner', () => {
+  it('is disabled without a key', () => {
+    expect(createJustificationSigner({ operator: OPERATOR, key: undefined, keyFile: undefined })).toBeNull();
+  });
+
+  it('signs with a key read from a keyfile', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signing-key-'));
+    const keyFile = path.join(dir, 'justification.key');
+    fs.writeFileSync(keyFile, `${KEY}\n`);
+    try {
+      const signer = createJustificationSigner({ operator: OPERATOR, key: undefined, keyFile, scheme: 'eip191' });
+      const signed = await signer.sign({ scores: [{ outcome: 'A', score: 1000000 }], timestamp: 'now' });
+      expect(await verifyJustification(signed, { operator: OPERATOR })).toMatchObject({ valid: true, signer: signer.address, scheme: 'eip191' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('refuses a bad key or scheme at startup', () => {
+    expect(() => createJustificationSigner({ operator: OPERATOR, key: 'not-a-key' }))
+      .toThrow('JUSTIFICATION_SIGNING_KEY does not hold a valid private key');
+    expect(() => createJustificationSigner({ operator: OPERATOR, key: KEY, scheme: 'eip1271' }))
+      .toThrow('JUSTIFICATION_SIGNATURE_SCHEME must be eip712 or eip191, got "eip1271"');
+  });
+});
@@ -0,0 +1,69 @@
+const metrics = require('../../services/metrics');
+
+const scrape = () => metrics.register.metrics();
+
+describe('metrics', () => {
+  beforeEach(() => {
+    metrics.register.resetMetrics();
+  });
+
+  it('records requests by mode and outcome', async () => {
+    metrics.recordRequest('1', { statusCode: 200, status: 'success', data: { aggregatedScore: [1] } }, 1500);
+    metrics.recordRequest('0', { statusCode: 200, data: { aggregatedScore: [0], error: 'Model not available' } }, 10);
+    metrics.recordRequest('2', { statusCode: 500, status: 'errored' }, 20);
+
+    const text = await scrape();
+    expect(text).toContain('verdikta_ea_requests_total{mode="1",outcome="success"} 1');
+    expect(text).toContain('verdikta_ea_requests_total{mode="0",outcome="provider_error"} 1');
+    expect(text).toContain('verdikta_ea_requests_total{mode="2",outcome="error"} 1');
+    expect(text).toContain('verdikta_ea_request_duration_seconds_sum{mode="1",outcome="success"} 1.5');
+  });
+
+  it('exports per-stage histograms', async () => {
+    metrics.observeStage('ipfs_fetch', '0', 250);
+    const text = await scrape();
+    expect(text).toContain('verdikta_ea_stage_duration_seconds_bucket{le="0.25",stage="ipfs_fetch",mode="0"} 1');
+    expect(text).toContain('verdikta_ea_stage_duration_seconds_count{stage="ipfs_fetch",mode="0"} 1');
+  });
+
+  it('exports reveal, provider-error and upload-failure counters', async () => {
+    metrics.reveals.inc({ result: 'hit' });
+    metrics.reveals.inc({ result: 'miss' });
+    metrics.providerErrors.inc();
+    metrics.ipfsUploadFailures.inc({ kind: 'justification' });
+
+    const text = await scrape();
+    expect(text).toContain('verdikta_ea_reveals_total{result="hit"} 1');
+    expect(text).toContain('verdikta_ea_reveals_total{result="miss"} 1');
+    expect(text).toContain('verdikta_ea_provider_errors_total 1');
+    expect(text).toContain('verdikta_ea_ipfs_upload_failures_total{kind="justification"} 1');
+  });
+
+  it('exports the services\' running totals as counters', async () => {
+    metrics.queueRejections.inc();
+    metrics.dedupRequests.inc({ result: 'hit' });
+    metrics.archiveCacheRequests.inc({ result: 'miss' });
+
+    const text = await scrape();
+    expect(text).toContain('# TYPE verdikta_ea_queue_rejections_total counter');
+    expect(text).toContain('verdikta_ea_queue_rejections_total 1');
+    expect(text).toContain('verdikta_ea_dedup_requests_total{result="hit"} 1');
+    expect(text).toContain('verdikta_ea_archive_cache_requests_total{result="miss"} 1');
+  });
+
+  it('samples bound services at scrape time', async () => {
+    metrics.bindSources({
+      commitStore: { size: async () => 3 },
+      workQueue: { stats: () => ({ running: 2, rejected: 5, queued: { high: 1, normal: 4 } }) },
+      jobs: { stats: () => ({ total: 2, byStatus: { running: 1, delivered: 1 } }) },
+      archiveCache: { enabled: true, stats: () => ({ hits: 4, coalesced: 0, misses: 2, bytes: 2048 }) },
+    });
+
+    const text = await scrape();
+    expect(text).toContain('verdikta_ea_commit_store_entries 3');
+    expect(text).toContain('verdikta_ea_queue_depth{priority="normal"} 4');
+    expect(text).toContain('verdikta_ea_evaluations_running 2');
+    expect(text).toContain('verdikta_ea_async_jobs{status="delivered"} 1');
+    expect(text).toContain('verdikta_ea_archive_cache_bytes 2048');
+  });
+});
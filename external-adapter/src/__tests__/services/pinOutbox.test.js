@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPinOutbox } = require('../../services/pinOutbox');
+const { createPinningService } = require('../../services/pinningService');
+const { createBackend } = require('../../services/pinningBackends');
+const { computeCid } = require('../../utils/cid');
+
+const quietLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+// Poll until the background pin loop reaches the expected state
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for the outbox');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+describe('pinOutbox', () => {
+  let dir;
+  let outboxDir;
+  let file;
+  let outboxes;
+
+  const outboxWith = (pinning, opts = {}) => {
+    const outbox = createPinOutbox({ pinning, dir: outboxDir, minRetryMs: 5, maxRetryMs: 20, logger: quietLogger, ...opts });
+    outboxes.push(outbox);
+    return outbox;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pin-outbox-'));
+    outboxDir = path.join(dir, 'outbox');
+    file = path.join(dir, 'justification.json');
+    fs.writeFileSync(file, JSON.stringify({ scores: [{ outcome: 'A', score: 600000 }], justification: 'A was on time' }));
+    outboxes = [];
+  });
+
+  afterEach(() => {
+    outboxes.forEach((o) => o.close());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns the locally computed CID before the pin completes', async () => {
+    let release;
+    const pinning = { pin: jest.fn(() => new Promise((resolve) => { release = resolve; })) };
+    const outbox = outboxWith(pinning);
+
+    const cid = await outbox.enqueue(file);
+    expect(cid).toBe(await computeCid(fs.readFileSync(file)));
+    expect(fs.readFileSync(path.join(outboxDir, cid))).toEqual(fs.readFileSync(file));
+
+    await waitFor(() => release);
+    expect(pinning.pin).toHaveBeenCalledWith(path.join(outboxDir, cid), { filename: 'justification.json', cid });
+    release(cid);
+    await waitFor(() => outbox.stats().pinned === 1 && fs.readdirSync(outboxDir).length === 0);
+
+    expect(fs.readdirSync(outboxDir)).toEqual([]);
+    expect(outbox.stats()).toMatchObject({ pending: 0, enqueued: 1, pinned: 1, recent: [{ cid, attempts: 1 }] });
+  });
+
+  it('can announce CIDv1', async () => {
+    const outbox = outboxWith({ pin: jest.fn(() => new Promise(() => {})) }, { cidVersion: 1 });
+    expect(await outbox.enqueue(file)).toBe(await computeCid(fs.readFileSync(file), { cidVersion: 1 }));
+  });
+
+  it('retries with backoff until the pin succeeds', async () => {
+    const pinning = { pin: jest.fn()
+      .mockRejectedValueOnce(new Error('Pinned by 0 backend(s), 1 required (pinata: HTTP 503)'))
+      .mockRejectedValueOnce(new Error('Pinned by 0 backend(s), 1 required (pinata: HTTP 503)'))
+      .mockImplementation(async (p) => path.basename(p)) };
+    const outbox = outboxWith(pinning);
+
+    const cid = await outbox.enqueue(file, { kind: 'error_justification' });
+    await waitFor(() => outbox.stats().pinned === 1);
+
+    expect(pinning.pin).toHaveBeenCalledTimes(3);
+    expect(outbox.stats()).toMatchObject({
+      pending: 0,
+      failedAttempts: 2,
+      recent: [{ cid, kind: 'error_justification', attempts: 3 }],
+    });
+  });
+
+  it('keeps pending pins on disk and resumes them on open', async () => {
+    const down = { pin: jest.fn().mockRejectedValue(new Error('pinata: HTTP 503')) };
+    const before = outboxWith(down, { minRetryMs: 60000, maxRetryMs: 60000 });
+    const cid = await before.enqueue(file);
+    await waitFor(() => before.stats().items[0].lastError && before.stats().items[0].nextAttemptAt);
+    expect(before.stats().items).toEqual([expect.objectContaining({
+      cid, attempts: 1, lastError: 'pinata: HTTP 503', nextAttemptAt: expect.any(String),
+    })]);
+    before.close();
+
+    // Next boot, with the pinning service back
+    const up = { pin: jest.fn(async () => cid) };
+    const after = outboxWith(up);
+    expect(await after.open()).toBe(1);
+    await waitFor(() => after.stats().pinned === 1);
+
+    expect(up.pin).toHaveBeenCalledWith(path.join(outboxDir, cid), { filename: 'justification.json', cid });
+    expect(after.stats()).toMatchObject({ pending: 0, recent: [{ cid, attempts: 2 }] });
+  });
+
+  it('keeps retrying while the pin lands under a different CID than announced', async () => {
+    const pinning = { pin: jest.fn()
+      .mockResolvedValueOnce('bafkreiotherversion')
+      .mockImplementation(async (p) => path.basename(p)) };
+    const outbox = outboxWith(pinning);
+
+    const cid = await outbox.enqueue(file);
+    await waitFor(() => outbox.stats().pinned === 1);
+
+    expect(pinning.pin).toHaveBeenCalledTimes(2);
+    expect(quietLogger.warn).toHaveBeenCalledWith(expect.stringContaining(`pinned as bafkreiotherversion, announced as ${cid}`));
+    expect(outbox.stats()).toMatchObject({ failedAttempts: 1, recent: [{ cid, attempts: 2 }] });
+  });
+
+  it('pins through the pinning service under the announced CID', async () => {
+    const pinsDir = path.join(dir, 'pins');
+    const pinning = createPinningService({ backends: [createBackend('fs', { dir: pinsDir })], logger: quietLogger });
+    const outbox = outboxWith(pinning, { cidVersion: 1 });
+
+    const cid = await outbox.enqueue(file);
+    await waitFor(() => outbox.stats().pinned === 1);
+
+    expect(cid).toMatch(/^bafk/);
+    expect(fs.readFileSync(path.join(pinsDir, cid))).toEqual(fs.readFileSync(file));
+  });
+
+  it('keeps the entry when a backend pins under another CID', async () => {
+    const other = { name: 'web3storage', pin: jest.fn(async () => 'bafkreisomeotherdag') };
+    const pinning = createPinningService({ backends: [other], logger: quietLogger });
+    const outbox = outboxWith(pinning, { minRetryMs: 60000, maxRetryMs: 60000 });
+
+    const cid = await outbox.enqueue(file);
+    await waitFor(() => outbox.stats().failedAttempts === 1);
+
+    expect(outbox.stats().items).toEqual([expect.objectContaining({
+      cid, attempts: 1, lastError: expect.stringContaining(`web3storage: pinned as bafkreisomeotherdag, expected ${cid}`),
+    })]);
+    expect(fs.existsSync(path.join(outboxDir, cid))).toBe(true);
+  });
+
+  it('counts a pin as done when the outbox files cannot be removed', async () => {
+    const pinning = { pin: jest.fn(async (filePath, { cid }) => cid) };
+    const outbox = outboxWith(pinning);
+    const rm = jest.spyOn(fs.promises, 'rm').mockRejectedValue(new Error('EBUSY'));
+
+    try {
+      const cid = await outbox.enqueue(file);
+      await waitFor(() => outbox.stats().pinned === 1);
+      await waitFor(() => quietLogger.warn.mock.calls.some(([msg]) => msg.includes(`Pinned ${cid} but could not remove it`)));
+      expect(outbox.stats()).toMatchObject({ pending: 0, failedAttempts: 0 });
+      expect(pinning.pin).toHaveBeenCalledTimes(1);
+    } finally {
+      rm.mockRestore();
+    }
+  });
+
+  it('queues identical content once', async () => {
+    const pinning = { pin: jest.fn(() => new Promise(() => {})) };
+    const outbox = outboxWith(pinning);
+
+    const [a, b] = [await outbox.enqueue(file), await outbox.enqueue(file)];
+    expect(a).toBe(b);
+    expect(outbox.stats()).toMatchObject({ pending: 1, enqueued: 1 });
+  });
+});
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPinningService, PinQuorumError } = require('../../services/pinningService');
+const { createBackend } = require('../../services/pinningBackends');
+const { computeCid } = require('../../utils/cid');
+
+const quietLogger = { info: jest.fn(), warn: jest.fn() };
+
+const failing = (name, message) => ({ name, pin: jest.fn().mockRejectedValue(new Error(message)) });
+const pinningAs = (name, cid) => ({ name, pin: jest.fn().mockResolvedValue(cid) });
+
+describe('pinningService', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pinning-'));
+    file = path.join(dir, 'justification.json');
+    fs.writeFileSync(file, JSON.stringify({ scores: [{ outcome: 'A', score: 1000000 }] }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('pins to the filesystem stand-in under the locally computed CID', async () => {
+    const pinsDir = path.join(dir, 'pins');
+    const pinning = createPinningService({ backends: [createBackend('fs', { dir: pinsDir })], logger: quietLogger });
+
+    const cid = await pinning.pin(file);
+    expect(cid).toBe(await computeCid(fs.readFileSync(file)));
+    expect(fs.readFileSync(path.join(pinsDir, cid))).toEqual(fs.readFileSync(file));
+  });
+
+  it('pins CIDv1 when asked to', async () => {
+    const pinsDir = path.join(dir, 'pins');
+    const pinning = createPinningService({ backends: [createBackend('fs', { dir: pinsDir })], cidVersion: 1, logger: quietLogger });
+
+    expect(await pinning.pin(file)).toBe(await computeCid(fs.readFileSync(file), { cidVersion: 1 }));
+  });
+
+  it('only counts backends that pinned under the expected CID', async () => {
+    const expected = await computeCid(fs.readFileSync(file), { cidVersion: 1 });
+    const right = pinningAs('kubo', expected);
+    const wrong = pinningAs('pinata', 'QmSomethingElse');
+    const pinning = createPinningService({ backends: [wrong, right], quorum: 1, logger: quietLogger });
+
+    expect(await pinning.pin(file, { cid: expected })).toBe(expected);
+    expect(wrong.pin).toHaveBeenCalledWith(expect.objectContaining({ cidVersion: 1 }));
+
+    const strict = createPinningService({ backends: [wrong, right], quorum: 2, logger: quietLogger });
+    await expect(strict.pin(file, { cid: expected }))
+      .rejects.toThrow(`Pinned by 1 backend(s), 2 required (pinata: pinned as QmSomethingElse, expected ${expected})`);
+  });
+
+  it('uploads to every backend and succeeds on quorum', async () => {
+    const pinata = failing('pinata', 'HTTP 401');
+    const kubo = pinningAs('kubo', 'QmSame');
+    const local = pinningAs('fs', 'QmSame');
+    const pinning = createPinningService({ backends: [pinata, kubo, local], quorum: 2, logger: quietLogger });
+
+    expect(await pinning.pin(file)).toBe('QmSame');
+    for (const backend of [pinata, kubo, local]) {
+      expect(backend.pin).toHaveBeenCalledWith({ data: fs.readFileSync(file), filename: 'justification.json', cidVersion: 0 });
+    }
+    expect(quietLogger.warn).toHaveBeenCalledWith(expect.stringContaining('pinata: HTTP 401'));
+  });
+
+  it('counts the quorum per CID when backends disagree', async () => {
+    const backends = [pinningAs('kubo', 'QmKubo'), pinningAs('pinata', 'QmPinata'), pinningAs('fs', 'QmPinata')];
+
+    const split = createPinningService({ backends: backends.slice(0, 2), quorum: 2, logger: quietLogger });
+    const error = await split.pin(file).catch((e) => e);
+    expect(error).toBeInstanceOf(PinQuorumError);
+    expect(error.message).toBe('Pinned by 1 backend(s), 2 required (kubo: pinned as QmKubo; pinata: pinned as QmPinata)');
+
+    // The CID held by enough backends wins, even if another was reported first
+    const majority = createPinningService({ backends, quorum: 2, logger: quietLogger });
+    expect(await majority.pin(file)).toBe('QmPinata');
+  });
+
+  it('returns the CID of the first backend in configured order, not the fastest', async () => {
+    const slow = { name: 'kubo', pin: () => new Promise((resolve) => setTimeout(() => resolve('QmSlow'), 20)) };
+    const pinning = createPinningService({ backends: [slow, pinningAs('fs', 'QmFast')], logger: quietLogger });
+
+    expect(await pinning.pin(file)).toBe('QmSlow');
+  });
+
+  it('fails with every backend error when quorum is not reached', async () => {
+    const pinning = createPinningService({
+      backends: [failing('pinata', 'IPFS_PINNING_KEY is not set'), pinningAs('kubo', 'QmKubo'), failing('web3storage', 'socket hang up')],
+      quorum: 2,
+      logger: quietLogger,
+    });
+
+    const error = await pinning.pin(file).catch((e) => e);
+    expect(error).toBeInstanceOf(PinQuorumError);
+    expect(error.message).toBe('Pinned by 1 backend(s), 2 required (pinata: IPFS_PINNING_KEY is not set; web3storage: socket hang up)');
+  });
+
+  it('gives up on a backend that does not answer within the timeout', async () => {
+    const hanging = { name: 'web3storage', pin: () => new Promise(() => {}) };
+    const pinning = createPinningService({ backends: [hanging], timeout: 20, logger: quietLogger });
+
+    await expect(pinning.pin(file)).rejects.toThrow('web3storage: timed out after 20ms');
+  });
+
+  it('rejects unknown backends and impossible quorums at construction', () => {
+    expect(() => createPinningService({ backends: ['pinata', 'dropbox'] }))
+      .toThrow('Unknown pinning backend "dropbox" in PINNING_BACKENDS (expected any of: pinata, kubo, web3storage, fs)');
+    expect(() => createPinningService({ backends: ['fs'], quorum: 2 }))
+      .toThrow('PINNING_QUORUM must be between 1 and 1, got 2');
+  });
+});
+
+describe('pinning backends', () => {
+  const data = Buffer.from('{"scores":[]}');
+  const http = { post: jest.fn() };
+
+  beforeEach(() => http.post.mockReset());
+
+  it('pinata posts the file to pinFileToIPFS with the JWT', async () => {
+    http.post.mockResolvedValue({ data: { IpfsHash: 'QmPinata' } });
+    const pinata = createBackend('pinata', { url: 'https://api.pinata.cloud/', jwt: 'eyJ.a.b', http });
+
+    expect(await pinata.pin({ data, filename: 'justification.json' })).toBe('QmPinata');
+    const [url, , options] = http.post.mock.calls[0];
+    expect(url).toBe('https://api.pinata.cloud/pinning/pinFileToIPFS');
+    expect(options.headers.Authorization).toBe('Bearer eyJ.a.b');
+    expect(options.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+    expect(http.post.mock.calls[0][1].getBuffer().toString()).toContain('{"cidVersion":0}');
+
+    await expect(createBackend('pinata', { jwt: undefined, http }).pin({ data, filename: 'j.json' }))
+      .rejects.toThrow('IPFS_PINNING_KEY is not set');
+  });
+
+  it('kubo adds and pins through the RPC API', async () => {
+    http.post.mockResolvedValue({ data: { Name: 'justification.json', Hash: 'QmKubo', Size: '21' } });
+    const kubo = createBackend('kubo', { url: 'http://127.0.0.1:5001', http });
+
+    expect(await kubo.pin({ data, filename: 'justification.json' })).toBe('QmKubo');
+    expect(http.post.mock.calls[0][0]).toBe('http://127.0.0.1:5001/api/v0/add?pin=true&cid-version=0&raw-leaves=false');
+
+    await kubo.pin({ data, filename: 'justification.json', cidVersion: 1 });
+    expect(http.post.mock.calls[1][0]).toBe('http://127.0.0.1:5001/api/v0/add?pin=true&cid-version=1&raw-leaves=true');
+  });
+
+  it('web3storage uploads the raw bytes with a bearer token', async () => {
+    http.post.mockResolvedValue({ data: { cid: 'bafyWeb3' } });
+    const web3 = createBackend('web3storage', { url: 'https://api.web3.storage', token: 'tok', http });
+
+    expect(await web3.pin({ data, filename: 'justification.json', cidVersion: 1 })).toBe('bafyWeb3');
+    expect(http.post).toHaveBeenCalledWith('https://api.web3.storage/upload', data, expect.objectContaining({
+      headers: expect.objectContaining({ Authorization: 'Bearer tok', 'X-Name': 'justification.json' }),
+    }));
+
+    await expect(web3.pin({ data, filename: 'justification.json', cidVersion: 0 }))
+      .rejects.toThrow('web3storage only produces CIDv1 (set PIN_CID_VERSION=1)');
+  });
+});
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tracing = require('../../services/tracing');
+
+describe('tracing', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ea-traces-'));
+    file = path.join(dir, 'traces.jsonl');
+  });
+
+  afterEach(async () => {
+    await tracing.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readSpans = () => fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+
+  it('creates no-op spans when export is disabled', async () => {
+    expect(tracing.init({ exporter: 'none' })).toBe(false);
+    await expect(tracing.withSpan('evaluate', {}, async () => 'ok')).resolves.toBe('ok');
+    expect(tracing.injectContext()).toEqual({});
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  it('rejects unknown exporters', () => {
+    expect(() => tracing.init({ exporter: 'zipkin', serviceName: 'ea' })).toThrow(/Unknown OTEL_TRACES_EXPORTER/);
+  });
+
+  it('writes nested stage spans as JSON lines and propagates traceparent', async () => {
+    expect(tracing.init({ exporter: 'file', file, serviceName: 'ea-test' })).toBe(true);
+
+    let headers;
+    await tracing.withSpan('evaluate', { 'verdikta.mode': '0' }, () =>
+      tracing.withSpan('ai.evaluate', {}, async () => {
+        headers = tracing.injectContext();
+      }));
+    await tracing.shutdown();
+
+    const spans = readSpans();
+    const root = spans.find((s) => s.name === 'evaluate');
+    const child = spans.find((s) => s.name === 'ai.evaluate');
+    expect(root).toMatchObject({ service: 'ea-test', parentSpanId: null, attributes: { 'verdikta.mode': '0' } });
+    expect(child.traceId).toBe(root.traceId);
+    expect(child.parentSpanId).toBe(root.spanId);
+    expect(headers.traceparent).toBe(`00-${child.traceId}-${child.spanId}-01`);
+  });
+
+  it('records errors on the span and re-throws them', async () => {
+    tracing.init({ exporter: 'file', file, serviceName: 'ea-test' });
+
+    await expect(tracing.withSpan('ipfs.fetch', {}, async () => {
+      throw new Error('gateway timeout');
+    })).rejects.toThrow('gateway timeout');
+    await tracing.shutdown();
+
+    const [span] = readSpans();
+    expect(span.status).toEqual({ code: tracing.SpanStatusCode.ERROR, message: 'gateway timeout' });
+    expect(span.events[0].name).toBe('exception');
+  });
+});
@@ -0,0 +1,80 @@
+const { createWorkQueue, priorityOf, QueueFullError } = require('../../services/workQueue');
+const metrics = require('../../services/metrics');
+
+/** A task whose completion the test controls. */
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+const flush = () => new Promise((r) => setImmediate(r));
+
+describe('workQueue', () => {
+  it('classifies mode-2 reveals as high priority', () => {
+    expect(priorityOf({ id: '1', data: { cid: '2:12345' } })).toBe('high');
+    expect(priorityOf({ id: '1', data: { cid: '1:QmTest' } })).toBe('normal');
+    expect(priorityOf({ id: '1', data: { cid: 'QmTest' } })).toBe('normal');
+    expect(priorityOf({})).toBe('normal');
+  });
+
+  it('never runs more than maxConcurrent tasks at once', async () => {
+    const queue = createWorkQueue({ maxConcurrent: 2, maxQueued: 10, retryAfterSeconds: 5 });
+    const gates = [deferred(), deferred(), deferred()];
+    const results = gates.map((g, i) => queue.submit('normal', () => g.promise.then(() => i)));
+
+    await flush();
+    expect(queue.stats()).toMatchObject({ running: 2, queued: { high: 0, normal: 1 } });
+
+    gates[0].resolve();
+    await flush();
+    expect(queue.stats()).toMatchObject({ running: 2, queued: { normal: 0 } });
+
+    gates[1].resolve();
+    gates[2].resolve();
+    expect(await Promise.all(results)).toEqual([0, 1, 2]);
+    expect(queue.stats()).toMatchObject({ running: 0, completed: 3 });
+  });
+
+  it('runs waiting reveals before waiting evaluations', async () => {
+    const queue = createWorkQueue({ maxConcurrent: 1, maxQueued: 10, retryAfterSeconds: 5 });
+    const blocker = deferred();
+    const order = [];
+
+    const first = queue.submit('normal', () => blocker.promise);
+    const evaluation = queue.submit('normal', async () => { order.push('evaluation'); });
+    const reveal = queue.submit('high', async () => { order.push('reveal'); });
+
+    blocker.resolve();
+    await Promise.all([first, evaluation, reveal]);
+    expect(order).toEqual(['reveal', 'evaluation']);
+  });
+
+  it('rejects evaluations with a Retry-After hint once the queue is full, but admits reveals', async () => {
+    metrics.queueRejections.reset();
+    const queue = createWorkQueue({ maxConcurrent: 1, maxQueued: 1, retryAfterSeconds: 7 });
+    const blocker = deferred();
+    const running = queue.submit('normal', () => blocker.promise);
+    const waiting = queue.submit('normal', async () => 'queued');
+
+    expect(queue.canAccept('normal')).toBe(false);
+    const rejection = queue.submit('normal', async () => 'never');
+    await expect(rejection).rejects.toBeInstanceOf(QueueFullError);
+    await expect(rejection).rejects.toMatchObject({ code: 'QUEUE_FULL', retryAfterSeconds: 7 });
+
+    expect(queue.canAccept('high')).toBe(true);
+    const reveal = queue.submit('high', async () => 'revealed');
+
+    blocker.resolve();
+    expect(await Promise.all([running, waiting, reveal])).toEqual([undefined, 'queued', 'revealed']);
+    expect(queue.stats().rejected).toBe(1);
+    expect((await metrics.queueRejections.get()).values[0].value).toBe(1);
+  });
+
+  it('frees the slot when a task fails', async () => {
+    const queue = createWorkQueue({ maxConcurrent: 1, maxQueued: 10, retryAfterSeconds: 5 });
+    await expect(queue.submit('normal', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(await queue.submit('normal', async () => 'ok')).toBe('ok');
+    expect(queue.stats()).toMatchObject({ running: 0, failed: 1, completed: 1 });
+  });
+});
@@ -0,0 +1,40 @@
+const { isCid, computeCid, verifyCid } = require('../../utils/cid');
+
+// `echo 'hello world' | ipfs add -q` and `ipfs add -q --cid-version 1`
+const HELLO = Buffer.from('hello world\n');
+const HELLO_V0 = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const HELLO_V1 = 'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4';
+
+describe('cid', () => {
+  it('computes the CID ipfs add gives the bytes', async () => {
+    expect(await computeCid(HELLO)).toBe(HELLO_V0);
+    expect(await computeCid(HELLO, { cidVersion: 1 })).toBe(HELLO_V1);
+  });
+
+  it('verifies content against either CID version', async () => {
+    expect(await verifyCid(HELLO, HELLO_V0)).toBe(true);
+    expect(await verifyCid(HELLO, HELLO_V1)).toBe(true);
+    expect(await verifyCid(Buffer.from('hello world'), HELLO_V1)).toBe(false);
+    expect(await verifyCid(HELLO, '../etc/passwd')).toBe(false);
+  });
+
+  it('verifies dag-pb CIDs built with raw leaves or larger chunks', async () => {
+    const archive = Buffer.alloc(600000, 7);
+    // `ipfs add --raw-leaves` and `ipfs add --cid-version 1`
+    expect(await verifyCid(archive, 'QmWctuJed6YUBST21sHXeQEDr9gCRPG7e1qmS8v4GNqpof')).toBe(true);
+    expect(await verifyCid(archive, 'bafybeid3a3lcmihd3ymli2ln4m3rha6djdrh5kenaz2zqgdlpau5hyesty')).toBe(true);
+  });
+
+  it('cannot tell when a dag-pb CID is not reproduced by any known import settings', async () => {
+    // The content may have been chunked some other way
+    expect(await verifyCid(Buffer.from('hello world'), HELLO_V0)).toBeNull();
+  });
+
+  it('recognises CIDs that are safe to use as file names', () => {
+    expect(isCid(HELLO_V0)).toBe(true);
+    expect(isCid(HELLO_V1)).toBe(true);
+    expect(isCid('QmShort')).toBe(false);
+    expect(isCid('bafy/../../x')).toBe(false);
+    expect(isCid(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,67 @@
+const { ethers } = require('ethers');
+const { canonicalize, contentHash, signJustification, verifyJustification } = require('../../utils/justificationSignature');
+
+const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const OPERATOR = '0xD47932CaC22d4F5557733619b83114CF82e3bF52';
+const AGG_ID = '0x' + 'ab'.repeat(32);
+
+const justification = () => ({
+  scores: [{ outcome: 'A', score: 750000 }, { outcome: 'B', score: 250000 }],
+  justification: 'Both jurors found the delivery on time.',
+  timestamp: '2026-10-18T12:00:00.000Z',
+  arbiter: { version: '1.4.0' },
+  aggId: AGG_ID,
+  model_results: [{ provider: 'xAI', model: 'grok-4-0709', status: 'success' }],
+});
+
+describe('justificationSignature', () => {
+  it('canonicalizes independently of key order and whitespace', () => {
+    expect(canonicalize({ b: [1, { d: 2, c: 'x' }], a: null, skip: undefined })).toBe('{"a":null,"b":[1,{"c":"x","d":2}]}');
+    const reordered = JSON.parse(JSON.stringify(Object.fromEntries(Object.entries(justification()).reverse()), null, 4));
+    expect(contentHash(reordered)).toBe(contentHash(justification()));
+  });
+
+  it.each(['eip712', 'eip191'])('signs and verifies with %s', async (scheme) => {
+    const signed = await signJustification(justification(), { wallet, operator: OPERATOR.toLowerCase(), scheme });
+    expect(signed.signature).toMatchObject({ scheme, operator: OPERATOR, signer: wallet.address, contentHash: contentHash(justification()) });
+
+    // Survives a round trip through IPFS as pretty-printed JSON
+    const fetched = JSON.parse(JSON.stringify(signed, null, 2));
+    expect(await verifyJustification(fetched, { operator: OPERATOR })).toEqual({
+      valid: true, reason: null, scheme, operator: OPERATOR, signer: wallet.address, authorized: null,
+    });
+  });
+
+  it('rejects tampered content, forged signers and other operators', async () => {
+    const signed = await signJustification(justification(), { wallet, operator: OPERATOR });
+
+    const rescored = { ...signed, scores: [{ outcome: 'A', score: 0 }, { outcome: 'B', score: 1000000 }] };
+    expect(await verifyJustification(rescored)).toMatchObject({ valid: false, reason: 'content does not match the signed hash' });
+
+    // Recomputing the hash does not help without the key
+    const rehashed = { ...rescored, signature: { ...signed.signature, contentHash: contentHash(rescored) } };
+    expect((await verifyJustification(rehashed)).reason).toMatch(/^signed by 0x[0-9a-fA-F]{40}, not the stated signer$/);
+
+    const claimed = { ...signed, signature: { ...signed.signature, signer: ethers.Wallet.createRandom().address } };
+    expect((await verifyJustification(claimed)).valid).toBe(false);
+
+    expect(await verifyJustification(signed, { operator: '0x000000000000000000000000000000000000dEaD' })).toMatchObject({
+      valid: false, reason: `signed for operator ${OPERATOR}, expected 0x000000000000000000000000000000000000dEaD`,
+    });
+    expect(await verifyJustification(justification())).toMatchObject({ valid: false, reason: 'unsigned' });
+  });
+
+  it('asks isAuthorized whether the signer speaks for the operator', async () => {
+    const signed = await signJustification(justification(), { wallet, operator: OPERATOR });
+    const isAuthorized = jest.fn(async (signer) => signer === wallet.address);
+
+    expect(await verifyJustification(signed, { isAuthorized })).toMatchObject({ valid: true, authorized: true });
+    expect(isAuthorized).toHaveBeenCalledWith(wallet.address, OPERATOR);
+
+    const stranger = new ethers.Wallet(ethers.utils.keccak256('0x01'));
+    const unauthorized = await signJustification(justification(), { wallet: stranger, operator: OPERATOR });
+    expect(await verifyJustification(unauthorized, { isAuthorized })).toMatchObject({
+      valid: false, authorized: false, reason: `${stranger.address} is not authorized for operator ${OPERATOR}`,
+    });
+  });
+});
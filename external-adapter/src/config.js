@@ -4,6 +4,7 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 
 /**
  * @typedef {Object} Config
@@ -12,6 +13,15 @@ require('dotenv').config();
  * @property {Object} ai - AI Node configuration
  * @property {Object} retry - Retry configuration
  * @property {Object} temp - Temporary directory configuration
+ * @property {Object} commitStore - Commit-reveal persistence configuration
+ * @property {Object} idempotency - /evaluate request deduplication configuration
+ * @property {Object} asyncBridge - Async (pending + callback) bridge configuration
+ * @property {Object} workQueue - Evaluation concurrency / backpressure configuration
+ * @property {Object} tracing - OpenTelemetry span export configuration
+ * @property {Object} archiveCache - On-disk CID archive cache configuration
+ * @property {Object} pinning - Justification pinning backends configuration
+ * @property {Object} outbox - Background justification pin outbox configuration
+ * @property {Object} signing - Justification signing key configuration
  */
 const config = {
   server: {
@@ -20,6 +30,14 @@ const config = {
   },
   ipfs: {
     gateway: process.env.IPFS_GATEWAY || 'https://ipfs.io',
+    // Archive fetches are hedged across these gateways in order (see
+    // services/gatewayPool.js); a local Kubo node, if set, is asked first.
+    gateways: (process.env.IPFS_GATEWAYS || process.env.IPFS_GATEWAY || 'https://ipfs.io')
+      .split(',').map(s => s.trim()).filter(Boolean),
+    kuboUrl: process.env.IPFS_KUBO_URL,
+    hedgeDelayMs: parseInt(process.env.IPFS_HEDGE_DELAY_MS) || 2000,
+    fetchTimeout: parseInt(process.env.IPFS_FETCH_TIMEOUT_MS) || 30000,
+    banMs: parseInt(process.env.IPFS_GATEWAY_BAN_MS) || 3600000,
     pinningService: process.env.IPFS_PINNING_SERVICE || 'https://api.pinata.cloud',
     // No hardcoded fallback: a missing IPFS_PINNING_KEY should be a loud,
     // clear failure rather than a silent fallback to a bogus default that
@@ -40,6 +58,95 @@ const config = {
   },
   temp: {
     dir: process.env.TEMP_DIR || './tmp',
+  },
+  commitStore: {
+    // memory | journal | sqlite. Anything but memory survives an EA restart
+    // between a mode-1 commit and its mode-2 reveal.
+    backend: process.env.COMMIT_STORE_BACKEND || 'journal',
+    dir: process.env.COMMIT_STORE_DIR || path.join(__dirname, '..', 'data'),
+    // Envelope-encryption master keys (see services/commitCrypto.js). Keep
+    // the keyfile outside COMMIT_STORE_DIR, or disk access defeats it.
+    key: process.env.COMMIT_STORE_KEY,
+    keyFile: process.env.COMMIT_STORE_KEYFILE,
+    previousKeys: process.env.COMMIT_STORE_PREVIOUS_KEYS,
+  },
+  idempotency: {
+    // How long a completed /evaluate response is replayed for Chainlink
+    // retries of the same jobRunID + CID string + mode (0 disables).
+    ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS ?? '900000', 10),
+    maxEntries: parseInt(process.env.IDEMPOTENCY_MAX_ENTRIES) || 1000,
+  },
+  asyncBridge: {
+    // Requests carrying a responseURL (bridge task async="true") are answered
+    // with { pending: true } and resumed via PATCH once evaluated.
+    enabled: process.env.ASYNC_BRIDGE_ENABLED !== 'false',
+    // The Chainlink node calling us: only its /v2/resume/ URLs are accepted as
+    // responseURL, so callbacks (and the token) never go anywhere else.
+    // Unset answers async bridge tasks synchronously.
+    nodeUrl: process.env.CHAINLINK_NODE_URL,
+    // The bridge's *incoming* token, which the node expects on callbacks
+    callbackToken: process.env.CHAINLINK_CALLBACK_TOKEN,
+    callbackTimeout: parseInt(process.env.CALLBACK_TIMEOUT) || 15000,
+    callbackRetry: {
+      retries: parseInt(process.env.CALLBACK_RETRIES ?? '6', 10),
+      factor: 2,
+      minTimeout: 1000,
+      maxTimeout: 30000,
+    },
+    retentionMs: parseInt(process.env.ASYNC_JOB_RETENTION_MS) || 3600000,
+  },
+  workQueue: {
+    // Each evaluation runs parallel LLM calls and extracts archives to disk;
+    // cap how many run at once and how many may wait before we answer 429.
+    maxConcurrent: parseInt(process.env.MAX_CONCURRENT_EVALUATIONS) || 4,
+    maxQueued: parseInt(process.env.MAX_QUEUED_EVALUATIONS ?? '50', 10),
+    retryAfterSeconds: parseInt(process.env.QUEUE_RETRY_AFTER_SECONDS) || 30,
+  },
+  tracing: {
+    // none | otlp | file. The AI Node reads the same variables, so both
+    // services can share one collector or one traces directory.
+    exporter: process.env.OTEL_TRACES_EXPORTER || 'none',
+    // Full OTLP/HTTP traces URL; unset falls back to OTEL_EXPORTER_OTLP_ENDPOINT
+    // or http://localhost:4318/v1/traces.
+    endpoint: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT,
+    file: process.env.OTEL_TRACES_FILE || path.join(__dirname, '..', 'logs', 'traces.jsonl'),
+    serviceName: process.env.OTEL_SERVICE_NAME || 'verdikta-external-adapter',
+  },
+  archiveCache: {
+    // Verified evidence archives keyed by CID, evicted least recently used
+    // first once they exceed maxBytes (0 disables the cache).
+    dir: process.env.ARCHIVE_CACHE_DIR || path.join(__dirname, '..', 'data', 'archives'),
+    maxBytes: parseInt(process.env.ARCHIVE_CACHE_MAX_BYTES ?? '1073741824', 10),
+  },
+  pinning: {
+    // Justifications are pinned to every backend listed (pinata, kubo,
+    // web3storage, fs) and succeed once `quorum` of them have pinned.
+    backends: (process.env.PINNING_BACKENDS || 'pinata')
+      .split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+    quorum: parseInt(process.env.PINNING_QUORUM) || 1,
+    timeout: parseInt(process.env.PINNING_TIMEOUT_MS) || 60000,
+    // CID version justifications are pinned and announced under; 0 matches
+    // Pinata's and `ipfs add`'s defaults, web3storage only produces 1
+    cidVersion: parseInt(process.env.PIN_CID_VERSION ?? '0', 10) === 1 ? 1 : 0,
+    web3StorageUrl: process.env.WEB3_STORAGE_URL || 'https://api.web3.storage',
+    web3StorageToken: process.env.WEB3_STORAGE_TOKEN,
+    // fs backend: a local stand-in for tests and offline development
+    fsDir: process.env.PINNING_FS_DIR || path.join(__dirname, '..', 'data', 'pins'),
+  },
+  outbox: {
+    // Answer with the locally computed justification CID and pin in the
+    // background, retrying until pinned. false pins before answering.
+    enabled: process.env.PIN_OUTBOX_ENABLED !== 'false',
+    dir: process.env.PIN_OUTBOX_DIR || path.join(__dirname, '..', 'data', 'outbox'),
+    minRetryMs: parseInt(process.env.PIN_OUTBOX_MIN_RETRY_MS) || 5000,
+    maxRetryMs: parseInt(process.env.PIN_OUTBOX_MAX_RETRY_MS) || 600000,
+  },
+  signing: {
+    // Key of an address the operator contract recognises (owner or authorized
+    // sender); unset leaves justifications unsigned.
+    key: process.env.JUSTIFICATION_SIGNING_KEY,
+    keyFile: process.env.JUSTIFICATION_SIGNING_KEYFILE,
+    scheme: (process.env.JUSTIFICATION_SIGNATURE_SCHEME || 'eip712').toLowerCase(),
   }
 };
 
@@ -5,8 +5,17 @@ const { createClient, validateRequest, requestSchema } = require('@verdikta/comm
 const aiClient = require('../services/aiClient');
 const crypto = require('crypto');
 const commitStore = require('../services/commitStore');
+const metrics = require('../services/metrics');
+const tracing = require('../services/tracing');
 const ethers = require('ethers');
 const { collectVersionInfo } = require('../utils/versionInfo');
+const { parseModePrefix } = require('../utils/cidField');
+const { createArchiveCache } = require('../services/archiveCache');
+const { createGatewayPool } = require('../services/gatewayPool');
+const { createPinningService } = require('../services/pinningService');
+const { createPinOutbox } = require('../services/pinOutbox');
+const { createJustificationSigner } = require('../services/justificationSigner');
+const config = require('../config');
 // Validator is sourced from @verdikta/common; remove local validator import
 
 const OPERATOR_ADDRESS = (() => {
@@ -37,9 +46,70 @@ const verdikta = createClient({
   }
 });
 
-const { manifestParser, archiveService, logger, ipfsClient } = verdikta;
+const { manifestParser, archiveService, logger } = verdikta;
 
+// Evidence fetches go through the on-disk CID cache (services/archiveCache.js)
+// and, on a miss, are hedged across the IPFS gateways (services/gatewayPool.js)
+const gateways = createGatewayPool({ logger });
+const archiveCache = createArchiveCache({ archiveService, fetchArchive: gateways.getArchive });
+
+// Justifications are pinned to every PINNING_BACKENDS entry (services/pinningService.js),
+// in the background through the outbox unless PIN_OUTBOX_ENABLED=false
+const pinning = createPinningService({ logger });
+const outbox = config.outbox.enabled ? createPinOutbox({ pinning, logger }) : null;
+
+/**
+ * Publish a justification file: queue it in the outbox and return its locally
+ * computed CID, or pin it before returning when the outbox is disabled.
+ */
+function publishJustification(justificationPath, kind) {
+  return outbox ? outbox.enqueue(justificationPath, { kind }) : pinning.pin(justificationPath);
+}
+
+// Justifications are signed for OPERATOR_ADDR when a signing key is configured
+// (services/justificationSigner.js)
+const justificationSigner = createJustificationSigner({ operator: OPERATOR_ADDRESS });
+
+/**
+ * Add the operator signature to a justification. A signing failure leaves it
+ * unsigned rather than failing the evaluation.
+ */
+async function signJustification(justificationContent) {
+  if (!justificationSigner) return justificationContent;
+  try {
+    return await justificationSigner.sign(justificationContent);
+  } catch (error) {
+    logger.warn(`Justification left unsigned: ${error.message}`);
+    return justificationContent;
+  }
+}
+
+/**
+ * Entry point for POST /evaluate: handles the request inside the root
+ * "evaluate" span and records its outcome and total duration per mode.
+ */
 const evaluateHandler = async (request) => {
+  const t0 = Date.now();
+  const data = (request && request.data) || {};
+  const mode = typeof data.cid === 'string' ? parseModePrefix(data.cid).mode : 'unknown';
+  const attributes = {
+    'verdikta.job_run_id': String(request && request.id),
+    'verdikta.agg_id': String(data.aggId || data.aggid || ''),
+    'verdikta.mode': mode
+  };
+  return tracing.withSpan('evaluate', attributes, async (span) => {
+    const response = await handleEvaluation(request);
+    const statusCode = response.statusCode || 200;
+    span.setAttribute('verdikta.status_code', statusCode);
+    if (statusCode >= 500) {
+      span.setStatus({ code: tracing.SpanStatusCode.ERROR, message: response.error });
+    }
+    metrics.recordRequest(mode, response, Date.now() - t0);
+    return response;
+  });
+};
+
+const handleEvaluation = async (request) => {
   const { id, data } = request;
   const aggId = (data.aggId || data.aggid || '').toLowerCase();
   const t0 = Date.now();   
@@ -48,20 +118,14 @@ const evaluateHandler = async (request) => {
 
   try {
     // console.log('Validating request:', request);
-    await validateRequest(request);
+    await tracing.withSpan('evaluate.validate', {}, () => validateRequest(request));
 
     // console.log('Processing CID string:', data.cid);
 
     // Process mode if present
-    let modeString;
-    let cidString;
-    if (data.cid.length >= 2 && data.cid.charAt(1) === ":" && data.cid.charAt(0) !== ":") {
-      modeString = data.cid.substring(0, 1);
-      cidString = data.cid.substring(2);
-    } else {
-      modeString = "0";
-      cidString = data.cid;
-    }
+    const parsedCid = parseModePrefix(data.cid);
+    const modeString = parsedCid.mode;
+    let cidString = parsedCid.cidString;
     logger.debug(`Mode: ${modeString}`);
     runTag = `[EA ${id} agg=${aggId} mode=${modeString}]`;
 
@@ -70,8 +134,11 @@ const evaluateHandler = async (request) => {
     if (modeString === '2') {
       const hashHex = cidString.toLowerCase();
       const t_mode2 = Date.now();
-      const { result, justificationCid } = await handleMode2Reveal(hashHex, tempDir, runTag);
-      logger.info(`${runTag} Mode 2 reveal took ${Date.now() - t_mode2}ms`);
+      const { result, justificationCid } = await tracing.withSpan('commit.reveal', {},
+        () => handleMode2Reveal(hashHex, tempDir, runTag));
+      const d_mode2 = Date.now() - t_mode2;
+      logger.info(`${runTag} Mode 2 reveal took ${d_mode2}ms`);
+      metrics.observeStage('reveal', modeString, d_mode2);
       logger.info(`${runTag} TOTAL execution time: ${Date.now() - t0}ms`);
       return createSuccessResponse(id, result, justificationCid);
     }
@@ -100,24 +167,34 @@ const evaluateHandler = async (request) => {
       logger.info('Single-CID flow start');
       
       const t1 = Date.now();
-      const archiveData = await archiveService.getArchive(cidArray[0]);
-      logger.info(`${runTag} IPFS getArchive took ${Date.now() - t1}ms`);
+      const archiveData = await tracing.withSpan('ipfs.fetch', { 'ipfs.cid': cidArray[0] },
+        () => archiveCache.getArchive(cidArray[0]));
+      const d1 = Date.now() - t1;
+      logger.info(`${runTag} IPFS getArchive took ${d1}ms`);
+      metrics.observeStage('ipfs_fetch', modeString, d1);
       
       const t2 = Date.now();
-      const extractedPath = await archiveService.extractArchive(
-        archiveData,
-        'archive.zip',
-        tempDir
-      );
-      logger.info(`${runTag} extractArchive took ${Date.now() - t2}ms`);
+      const extractedPath = await tracing.withSpan('archive.extract', {},
+        () => archiveService.extractArchive(
+          archiveData,
+          'archive.zip',
+          tempDir
+        ));
+      const d2 = Date.now() - t2;
+      logger.info(`${runTag} extractArchive took ${d2}ms`);
+      metrics.observeStage('extract', modeString, d2);
       
       const t3 = Date.now();
-      await archiveService.validateManifest(extractedPath);
-      logger.info(`${runTag} validateManifest took ${Date.now() - t3}ms`);
+      await tracing.withSpan('manifest.validate', {}, () => archiveService.validateManifest(extractedPath));
+      const d3 = Date.now() - t3;
+      logger.info(`${runTag} validateManifest took ${d3}ms`);
+      metrics.observeStage('validate_manifest', modeString, d3);
       
       const t4 = Date.now();
-      const parsedManifest = await manifestParser.parse(extractedPath);
-      logger.info(`${runTag} manifestParser.parse took ${Date.now() - t4}ms`);
+      const parsedManifest = await tracing.withSpan('manifest.parse', {}, () => manifestParser.parse(extractedPath));
+      const d4 = Date.now() - t4;
+      logger.info(`${runTag} manifestParser.parse took ${d4}ms`);
+      metrics.observeStage('manifest_parse', modeString, d4);
       
       // Construct query object
       const queryObject = {
@@ -137,11 +214,14 @@ const evaluateHandler = async (request) => {
       
       logger.debug(`${runTag} AI service call…`);
       const t5 = Date.now();
-      const result = await aiClient.evaluate(queryObject, extractedPath, runTag);
-      logger.info(`${runTag} aiClient.evaluate took ${Date.now() - t5}ms`);
+      const result = await tracing.withSpan('ai.evaluate', { 'verdikta.models': queryObject.models?.length || 0 },
+        () => aiClient.evaluate(queryObject, extractedPath, runTag, { jobRunID: id, aggId }));
+      const d5 = Date.now() - t5;
+      logger.info(`${runTag} aiClient.evaluate took ${d5}ms`);
+      metrics.observeStage('ai_evaluate', modeString, d5);
       
       if (modeString === '1') {
-        const hashDecimal = await handleMode1Commit(result, aggId, runTag);
+        const hashDecimal = await tracing.withSpan('commit.store', {}, () => handleMode1Commit(result, aggId, runTag));
         await archiveService.cleanup(tempDir);
         logger.info(`${runTag} TOTAL execution time: ${Date.now() - t0}ms`);
         logger.info(`${runTag} RETURN commit (empty CID)`);
@@ -158,8 +238,11 @@ const evaluateHandler = async (request) => {
  
       // MODE 0 (standard flow) 
       const t6 = Date.now();
-      const justificationCid = await createAndUploadJustification(result, tempDir);
-      logger.info(`${runTag} createAndUploadJustification took ${Date.now() - t6}ms`);
+      const justificationCid = await tracing.withSpan('justification.upload', {},
+        () => createAndUploadJustification(result, tempDir, aggId));
+      const d6 = Date.now() - t6;
+      logger.info(`${runTag} createAndUploadJustification took ${d6}ms`);
+      metrics.observeStage('justification_upload', modeString, d6);
       await archiveService.cleanup(tempDir);
       logger.info(`${runTag} TOTAL execution time: ${Date.now() - t0}ms`);
       return createSuccessResponse(id, result, justificationCid);
@@ -170,32 +253,44 @@ const evaluateHandler = async (request) => {
       
       // Process all CIDs
       const t7 = Date.now();
-      const extractedPaths = await archiveService.processMultipleCIDs(cidArray, tempDir);
-      logger.info(`${runTag} processMultipleCIDs took ${Date.now() - t7}ms`);
+      const extractedPaths = await tracing.withSpan('ipfs.fetch', { 'ipfs.cid': cidArray.join(',') },
+        () => archiveCache.processMultipleCIDs(cidArray, tempDir));
+      const d7 = Date.now() - t7;
+      logger.info(`${runTag} processMultipleCIDs took ${d7}ms`);
+      metrics.observeStage('ipfs_fetch', modeString, d7);
       
       // Validate all manifests
       const t8 = Date.now();
-      for (const cid of cidArray) {
-        await archiveService.validateManifest(extractedPaths[cid]);
-      }
-      logger.info(`${runTag} validateManifest (all) took ${Date.now() - t8}ms`);
+      await tracing.withSpan('manifest.validate', { 'verdikta.cids': cidArray.length }, async () => {
+        for (const cid of cidArray) {
+          await archiveService.validateManifest(extractedPaths[cid]);
+        }
+      });
+      const d8 = Date.now() - t8;
+      logger.info(`${runTag} validateManifest (all) took ${d8}ms`);
+      metrics.observeStage('validate_manifest', modeString, d8);
       
       // Parse all manifests
       const t9 = Date.now();
-      const { primaryManifest, bCIDManifests } = 
-        await manifestParser.parseMultipleManifests(extractedPaths, cidArray);
-      logger.info(`${runTag} parseMultipleManifests took ${Date.now() - t9}ms`);
+      const { primaryManifest, bCIDManifests } = await tracing.withSpan('manifest.parse', {},
+        () => manifestParser.parseMultipleManifests(extractedPaths, cidArray));
+      const d9 = Date.now() - t9;
+      logger.info(`${runTag} parseMultipleManifests took ${d9}ms`);
+      metrics.observeStage('manifest_parse', modeString, d9);
       
       logger.info(`Parsed primary manifest and ${bCIDManifests.length} bCID manifests`);
       
       // Construct combined query
       const t10 = Date.now();
-      let combinedQueryData = await manifestParser.constructCombinedQuery(
-        primaryManifest,
-        bCIDManifests,
-        addendumString
-      );
-      logger.info(`${runTag} constructCombinedQuery took ${Date.now() - t10}ms`);
+      let combinedQueryData = await tracing.withSpan('manifest.combine', {},
+        () => manifestParser.constructCombinedQuery(
+          primaryManifest,
+          bCIDManifests,
+          addendumString
+        ));
+      const d10 = Date.now() - t10;
+      logger.info(`${runTag} constructCombinedQuery took ${d10}ms`);
+      metrics.observeStage('combine_query', modeString, d10);
       
 
       
@@ -259,11 +354,14 @@ const evaluateHandler = async (request) => {
       
       logger.info(`${runTag} Evaluating combined query with AI service...`);
       const t11 = Date.now();
-      const result = await aiClient.evaluate(queryObject, extractedPaths[cidArray[0]], runTag);
-      logger.info(`${runTag} aiClient.evaluate (multi-CID) took ${Date.now() - t11}ms`);
+      const result = await tracing.withSpan('ai.evaluate', { 'verdikta.models': queryObject.models?.length || 0 },
+        () => aiClient.evaluate(queryObject, extractedPaths[cidArray[0]], runTag, { jobRunID: id, aggId }));
+      const d11 = Date.now() - t11;
+      logger.info(`${runTag} aiClient.evaluate (multi-CID) took ${d11}ms`);
+      metrics.observeStage('ai_evaluate', modeString, d11);
      
       if (modeString === '1') {
-        const hashDecimal = await handleMode1Commit(result, aggId, runTag);
+        const hashDecimal = await tracing.withSpan('commit.store', {}, () => handleMode1Commit(result, aggId, runTag));
         await archiveService.cleanup(tempDir);
         logger.info(`${runTag} TOTAL execution time: ${Date.now() - t0}ms`);
         logger.info(`${runTag} RETURN commit (empty CID)`);
@@ -280,8 +378,11 @@ const evaluateHandler = async (request) => {
 
       // MODE 0 (standard flow)
       const t12 = Date.now();
-      const justificationCid = await createAndUploadJustification(result, tempDir);
-      logger.info(`${runTag} createAndUploadJustification (multi-CID) took ${Date.now() - t12}ms`);
+      const justificationCid = await tracing.withSpan('justification.upload', {},
+        () => createAndUploadJustification(result, tempDir, aggId));
+      const d12 = Date.now() - t12;
+      logger.info(`${runTag} createAndUploadJustification (multi-CID) took ${d12}ms`);
+      metrics.observeStage('justification_upload', modeString, d12);
       await archiveService.cleanup(tempDir);
       logger.info(`${runTag} TOTAL execution time: ${Date.now() - t0}ms`);
       return createSuccessResponse(id, result, justificationCid);
@@ -296,8 +397,9 @@ const evaluateHandler = async (request) => {
 
     // If we detect the custom PROVIDER_ERROR prefix, handle that differently
     if (error.message && error.message.startsWith('PROVIDER_ERROR:')) {
+      metrics.providerErrors.inc();
       const providerMessage = error.message.replace('PROVIDER_ERROR:', '').trim();
-      const justificationCid = await handleProviderError(providerMessage, tempDir);
+      const justificationCid = await handleProviderError(providerMessage, tempDir, aggId);
       
       logger.info(`${runTag} RETURN provider-error cid=${justificationCid}`);
       return {
@@ -419,9 +521,11 @@ async function handleMode2Reveal(hashHex, tempDir, runTag) {
 
   // if (!commit) throw new Error(`Unknown commit hash: ${hashHex}`);
   if (!commit) {
+    metrics.reveals.inc({ result: 'miss' });
     logger.warn(`${runTag} REVEAL miss`);
     throw new Error(`Unknown commit hash: ${hashHex}`);
   } else {
+    metrics.reveals.inc({ result: 'hit' });
     logger.info(`${runTag} REVEAL hit salt=${commit.salt}`);
   }
 
@@ -433,7 +537,7 @@ async function handleMode2Reveal(hashHex, tempDir, runTag) {
   try {
     // Build and publish justification *now*
     const revealUploadStart = Date.now();
-    const justificationCid = await createAndUploadJustification(commit.result, tempDir);
+    const justificationCid = await createAndUploadJustification(commit.result, tempDir, commit.aggId);
     logger.info(`${runTag} Mode 2 reveal justification upload took ${Date.now() - revealUploadStart}ms`);
     await commitStore.del(hashHex);  // burn after reveal
     logger.debug(`COMMIT deleted hash=${hashHex}`);
@@ -462,9 +566,10 @@ async function handleMode2Reveal(hashHex, tempDir, runTag) {
  * Creates and uploads a justification file to IPFS
  * @param {Object} result - The AI evaluation result
  * @param {string} tempDir - Temporary directory path
+ * @param {string} [aggId] - Aggregator request the justification answers
  * @returns {string} The CID of the uploaded justification
  */
-async function createAndUploadJustification(result, tempDir) {
+async function createAndUploadJustification(result, tempDir, aggId) {
   logger.info('Creating justification archive...');
   
   // Build justification content with backward compatibility
@@ -477,6 +582,9 @@ async function createAndUploadJustification(result, tempDir) {
     // software that produced it (consumers ignore unknown fields).
     arbiter: collectVersionInfo()
   };
+  if (aggId) {
+    justificationContent.aggId = aggId;
+  }
   
   // Include enhanced error reporting fields if present (backward compatible)
   if (result.metadata) {
@@ -500,13 +608,19 @@ async function createAndUploadJustification(result, tempDir) {
   const justificationPath = path.join(tempDir, 'justification.json');
   await fs.promises.writeFile(
     justificationPath, 
-    JSON.stringify(justificationContent, null, 2)
+    JSON.stringify(await signJustification(justificationContent), null, 2)
   );
 
   // Upload justification to IPFS
   logger.info('Uploading justification to IPFS...');
   const ipfsUploadStart = Date.now();
-  const justificationCid = await ipfsClient.uploadToIPFS(justificationPath);
+  let justificationCid;
+  try {
+    justificationCid = await publishJustification(justificationPath, 'justification');
+  } catch (uploadError) {
+    metrics.ipfsUploadFailures.inc({ kind: 'justification' });
+    throw uploadError;
+  }
   logger.info(`IPFS justification upload took ${Date.now() - ipfsUploadStart}ms`);
   
   // Log summary of what was uploaded
@@ -526,9 +640,10 @@ async function createAndUploadJustification(result, tempDir) {
  * Handles a provider error by creating an error justification
  * @param {string} providerMessage - The error message
  * @param {string} tempDir - Temporary directory path
+ * @param {string} [aggId] - Aggregator request the justification answers
  * @returns {string|null} The CID of the uploaded error justification or null
  */
-async function handleProviderError(providerMessage, tempDir) {
+async function handleProviderError(providerMessage, tempDir, aggId) {
   let justificationCid = null;
   if (tempDir) {
     try {
@@ -539,13 +654,16 @@ async function handleProviderError(providerMessage, tempDir) {
         error: providerMessage,
         timestamp: new Date().toISOString()
       };
+      if (aggId) {
+        justificationContent.aggId = aggId;
+      }
       await fs.promises.writeFile(
         justificationPath,
-        JSON.stringify(justificationContent, null, 2)
+        JSON.stringify(await signJustification(justificationContent), null, 2)
       );
 
       const ipfsErrorUploadStart = Date.now();
-      justificationCid = await ipfsClient.uploadToIPFS(justificationPath);
+      justificationCid = await publishJustification(justificationPath, 'error_justification');
       logger.info(`IPFS error justification upload took ${Date.now() - ipfsErrorUploadStart}ms`);
       logger.info(`Error justification uploaded with CID: ${justificationCid}`);
 
@@ -553,6 +671,7 @@ async function handleProviderError(providerMessage, tempDir) {
       logger.info('Cleaning up temporary directory after provider error...');
       await archiveService.cleanup(tempDir);
     } catch (uploadError) {
+      metrics.ipfsUploadFailures.inc({ kind: 'error_justification' });
       logger.error('Failed to upload provider-error justification to IPFS:', uploadError);
       // Still try to clean up
       await archiveService.cleanup(tempDir);
@@ -586,3 +705,7 @@ function createSuccessResponse(id, result, justificationCid) {
 }
 
 module.exports = evaluateHandler;
+module.exports.archiveCache = archiveCache;
+module.exports.gateways = gateways;
+module.exports.outbox = outbox;
+module.exports.justificationSigner = justificationSigner;
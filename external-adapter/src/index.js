@@ -33,19 +33,78 @@ function validatePinataKey() {
   return true;
 }
 
+const config = require('./config');
+
+// Only Pinata needs the JWT; other PINNING_BACKENDS check their own settings
+// when they upload (see services/pinningBackends).
+const pinningBackends = config.pinning.backends;
+
 // We log the warning prominently but don't exit: the EA also serves commit
 // requests (mode 1) which don't need IPFS, so partial functionality is
 // better than total outage. Only reveals (mode 2) will fail at upload time.
-validatePinataKey();
+if (pinningBackends.includes('pinata')) validatePinataKey();
+
+// Install the span exporter before anything creates spans
+const tracing = require('./services/tracing');
+try {
+  if (tracing.init()) console.log(`Tracing enabled (OTEL_TRACES_EXPORTER=${process.env.OTEL_TRACES_EXPORTER})`);
+} catch (err) {
+  console.warn('\x1b[1;33m[CONFIG WARNING]\x1b[0m Tracing disabled: ' + err.message);
+}
 
 const express = require('express');
 const bodyParser = require('body-parser');
 const evaluateHandler = require('./handlers/evaluateHandler');
+const commitStore = require('./services/commitStore');
+const { createIdempotencyCache } = require('./services/idempotencyCache');
+const { createJobQueue, InvalidResponseURLError } = require('./services/jobQueue');
+const { createWorkQueue, priorityOf, QueueFullError } = require('./services/workQueue');
+const metrics = require('./services/metrics');
 const { collectVersionInfo } = require('./utils/versionInfo');
 
 const app = express();
 app.use(bodyParser.json());
 
+// Chainlink retries bridge calls; replay/coalesce them instead of re-running
+// the evaluation (and, in mode 1, minting a second commitment).
+const evaluations = createIdempotencyCache();
+
+// Bounded concurrency with reveals first. Deduplication sits in front, so a
+// retry of a queued request doesn't take a second slot. A request joining an
+// evaluation already in flight counts as started (onStart) straight away.
+const workQueue = createWorkQueue();
+const runEvaluation = (body, onStart) => evaluations.run(body,
+  () => workQueue.submit(priorityOf(body), () => {
+    if (onStart) onStart();
+    return evaluateHandler(body);
+  }), onStart);
+
+function sendQueueFull(res, body, retryAfterSeconds) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  res.status(429).json({
+    jobRunID: body?.id || 'unknown',
+    status: 'errored',
+    statusCode: 429,
+    error: 'Evaluation queue is full, retry later'
+  });
+}
+
+// Async bridge jobs: answered { pending: true } now, PATCHed to responseURL later.
+// Without the node's URL there is nowhere safe to call back, so async bridge
+// tasks get the synchronous answer instead.
+const asyncBridge = config.asyncBridge.enabled && !!config.asyncBridge.nodeUrl;
+if (config.asyncBridge.enabled && !asyncBridge) {
+  console.warn(
+    '\x1b[1;33m[CONFIG WARNING]\x1b[0m CHAINLINK_NODE_URL is not set: async bridge requests\n' +
+    '  (responseURL) are answered synchronously. Set it to the Chainlink node\'s URL.'
+  );
+}
+const jobs = asyncBridge ? createJobQueue({ run: runEvaluation }) : null;
+
+const { archiveCache, gateways, outbox, justificationSigner } = evaluateHandler;
+
+metrics.bindSources({ commitStore, workQueue, idempotency: evaluations, jobs, archiveCache, gateways, outbox });
+
 // Version self-report for local ops tooling (arbiter-doctor) and debugging.
 // The same block is embedded in every justification uploaded to IPFS.
 app.get('/version', (req, res) => {
@@ -63,10 +122,33 @@ server.timeout = parseInt(process.env.SERVER_TIMEOUT) || 300000;  // 5 minute ti
 
 // Update the route handler
 app.post('/evaluate', async (req, res) => {
+  if (jobs && req.body?.responseURL) {
+    if (!workQueue.canAccept(priorityOf(req.body))) {
+      return sendQueueFull(res, req.body, workQueue.estimateRetryAfter());
+    }
+    let job;
+    try {
+      job = jobs.enqueue(req.body);
+    } catch (error) {
+      if (!(error instanceof InvalidResponseURLError)) throw error;
+      console.warn(`[EA ${req.body.id}] ${error.message}`);
+      return res.status(400).json({
+        jobRunID: req.body.id || 'unknown',
+        status: 'errored',
+        statusCode: 400,
+        error: error.message
+      });
+    }
+    console.log(`[EA ${req.body.id}] async job ${job.id} accepted; callback → ${job.responseURL}`);
+    return res.status(200).json({ jobRunID: req.body.id, pending: true, jobId: job.id });
+  }
   try {
-    const result = await evaluateHandler(req.body);
+    const result = await runEvaluation(req.body);
     res.status(result.statusCode || 200).json(result);
   } catch (error) {
+    if (error instanceof QueueFullError) {
+      return sendQueueFull(res, req.body, error.retryAfterSeconds);
+    }
     res.status(500).json({
       jobRunID: req.body?.id || 'unknown',
       status: 'errored',
@@ -76,6 +158,64 @@ app.post('/evaluate', async (req, res) => {
   }
 });
 
+// Status of an async bridge job (see services/jobQueue.js)
+app.get('/jobs/:id', (req, res) => {
+  const job = jobs && jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Unknown job ${req.params.id}` });
+  }
+  res.json(job);
+});
+
+// Prometheus scrape endpoint (see services/metrics.js)
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    res.status(500).end(error.message);
+  }
+});
+
+// Evaluation queue depth and throughput (see services/workQueue.js)
+app.get('/queue', (req, res) => {
+  res.json(workQueue.stats());
+});
+
+// Evidence archive cache size and hit rate (see services/archiveCache.js)
+app.get('/cache', (req, res) => {
+  res.json(archiveCache.stats());
+});
+
+// Fetch archives into the cache before the jobs that need them arrive
+app.post('/cache/prewarm', async (req, res) => {
+  const { cids, cid } = req.body || {};
+  const list = Array.isArray(cids) ? cids
+    : typeof cid === 'string' ? cid.split(',').map(c => c.trim()).filter(Boolean)
+    : [];
+  if (list.length === 0) {
+    return res.status(400).json({ error: 'Expected { "cids": [...] } or a comma-separated "cid"' });
+  }
+  if (!archiveCache.enabled) {
+    return res.status(409).json({ error: 'Archive cache is disabled (ARCHIVE_CACHE_MAX_BYTES=0)' });
+  }
+  const results = await archiveCache.prewarm(list);
+  res.json({ results, cache: archiveCache.stats() });
+});
+
+// Per-gateway archive fetch latency, failures and bans (see services/gatewayPool.js)
+app.get('/gateways', (req, res) => {
+  res.json({ gateways: gateways.stats() });
+});
+
+// Justifications announced on-chain and not yet pinned (see services/pinOutbox.js)
+app.get('/outbox', (req, res) => {
+  if (!outbox) {
+    return res.json({ enabled: false });
+  }
+  res.json({ enabled: true, ...outbox.stats() });
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -88,6 +228,38 @@ app.use((err, req, res, next) => {
 });
 
 const port = process.env.PORT || 8080;
-server.listen(port, () => {
-  console.log(`Server is running on port ${port}`);
-}); 
\ No newline at end of file
+
+// Replay persisted commits before accepting traffic, so a reveal arriving
+// right after a restart finds its commit. Unlike a bad Pinata key, a broken
+// commit store breaks every commit-reveal round, so refuse to start.
+commitStore.open()
+  .then((pending) => {
+    console.log(`Commit store (${commitStore.backend()}) ready: ${pending} pending commit(s)`);
+    if (!commitStore.encrypted() && commitStore.backend() !== 'memory') {
+      console.warn(
+        '\x1b[1;33m[CONFIG WARNING]\x1b[0m Commit store is not encrypted: committed results and\n' +
+        '  reveal salts are stored in plaintext. Set COMMIT_STORE_KEY or COMMIT_STORE_KEYFILE.'
+      );
+    }
+    // Resume pins a previous run left unfinished. Not fatal: a reveal can
+    // still answer, and enqueue retries opening the directory.
+    if (outbox) {
+      outbox.open()
+        .then((n) => { if (n > 0) console.log(`Pin outbox: resuming ${n} pending pin(s)`); })
+        .catch((err) => console.error('\x1b[1;31m[CONFIG ERROR]\x1b[0m Pin outbox failed to open: ' + err.message));
+    }
+    server.listen(port, () => {
+      console.log(`Justifications pinned to ${pinningBackends.join(', ')} (quorum ${config.pinning.quorum})`);
+      console.log(justificationSigner
+        ? `Justifications signed (${justificationSigner.scheme}) by ${justificationSigner.address}`
+        : 'Justifications are unsigned (set JUSTIFICATION_SIGNING_KEY to sign them)');
+      console.log(`Server is running on port ${port}`);
+    });
+  })
+  .catch((err) => {
+    console.error(
+      '\x1b[1;31m[FATAL CONFIG]\x1b[0m Commit store failed to open: ' + err.message + '\n' +
+      '  Check COMMIT_STORE_BACKEND / COMMIT_STORE_DIR in external-adapter/.env.'
+    );
+    process.exit(1);
+  });
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const retry = require('retry');
 const config = require('../config');
+const tracing = require('./tracing');
 const { createClient } = require('@verdikta/common');
 const fs = require('fs').promises;
 const path = require('path');
@@ -105,6 +106,14 @@ function encodeAttachment(fileData, mimeType) {
   return fileData;
 }
 
+/** X-Verdikta-* headers the AI Node reads into its structured log context. */
+function correlationHeaders({ jobRunID, aggId } = {}) {
+  const headers = {};
+  if (jobRunID) headers['X-Verdikta-Job-Run-Id'] = String(jobRunID);
+  if (aggId) headers['X-Verdikta-Agg-Id'] = String(aggId);
+  return headers;
+}
+
 class AIClient {
   constructor() {
     this.client = axios.create({
@@ -120,7 +129,14 @@ class AIClient {
 
   }
 
-  async evaluate(query, extractedPath, runTag = '') {
+  /**
+   * @param {Object} query - prompt, models, iterations, additional, outcomes
+   * @param {string} [extractedPath] - Extracted archive (manifest + attachments)
+   * @param {string} [runTag] - Log prefix
+   * @param {{jobRunID?: string, aggId?: string}} [correlation] - Sent as headers
+   *   so the AI Node tags its log records with this request
+   */
+  async evaluate(query, extractedPath, runTag = '', correlation = {}) {
     const requestStartTime = Date.now();
     return new Promise((resolve, reject) => {
       const operation = retry.operation(this.retryOptions);
@@ -241,6 +257,11 @@ class AIClient {
           if (query.outcomes) {
             payload.outcomes = query.outcomes;
           }
+
+          // Score aggregation strategy from the manifest's jury parameters
+          if (payload.aggregation === undefined && manifest?.juryParameters?.AGGREGATION) {
+            payload.aggregation = manifest.juryParameters.AGGREGATION;
+          }
           const payloadConstructTime = Date.now() - tPayloadStart;
           logger.info(`${runTag} Payload construction took ${payloadConstructTime}ms`);
           
@@ -258,7 +279,16 @@ class AIClient {
           logger.info(`${runTag} Full payload:`, JSON.stringify(payload, null, 2));
 
           const tApiStart = Date.now();
-          const response = await this.client.post('/api/rank-and-justify', payload);
+          // Client span per attempt; its context travels as traceparent so
+          // the AI Node's spans join this trace.
+          const response = await tracing.withSpan(
+            'ai_node.rank_and_justify',
+            { 'http.method': 'POST', 'verdikta.attempt': currentAttempt, 'verdikta.attachments': attachments.length },
+            () => this.client.post('/api/rank-and-justify', payload, {
+              headers: tracing.injectContext(correlationHeaders(correlation))
+            }),
+            { kind: tracing.SpanKind.CLIENT }
+          );
           const apiCallTime = Date.now() - tApiStart;
           logger.info(`${runTag} API call to /api/rank-and-justify took ${apiCallTime}ms`);
           
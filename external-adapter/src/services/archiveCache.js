@@ -0,0 +1,221 @@
+/**
+ * @fileoverview On-disk, content-addressed cache of evidence archives.
+ *
+ * Aggregators fan the same CID out to several of our jobs, and retries
+ * re-fetch it, so every mode-0/1 evaluation used to pay for its own IPFS
+ * round trip. This cache sits in front of archiveService.getArchive and
+ * processMultipleCIDs:
+ *
+ *  - archives are stored as `<dir>/<cid>` and only once the bytes hash back
+ *    to the CID, so a bad gateway answer is never cached; entries are
+ *    re-verified when read, and a corrupt file is dropped and re-fetched;
+ *  - concurrent requests for the same CID share one fetch;
+ *  - least recently used archives are evicted once the total size passes
+ *    `maxBytes` (file mtimes carry the LRU order across restarts);
+ *  - prewarm() fetches CIDs ahead of the jobs that will need them.
+ *
+ * Archives are fetched with `fetchArchive` (the adapter's gateway pool),
+ * falling back to archiveService for identifiers that are not CIDs we can
+ * verify. With `maxBytes` 0 the cache is off and every call fetches.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const metrics = require('./metrics');
+const { isCid, verifyCid } = require('../utils/cid');
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.archiveService  - @verdikta/common archiveService (getArchive, extractArchive)
+ * @param {Function} [opts.fetchArchive] - cid => Promise<Buffer>; defaults to archiveService.getArchive
+ * @param {string} [opts.dir]            - Cache directory
+ * @param {number} [opts.maxBytes]       - Total size budget; 0 disables the cache
+ * @param {Function} [opts.verify]       - (data, cid) => Promise<boolean>
+ */
+function createArchiveCache({
+  archiveService,
+  fetchArchive = (cid) => archiveService.getArchive(cid),
+  dir      = config.archiveCache.dir,
+  maxBytes = config.archiveCache.maxBytes,
+  verify   = verifyCid,
+}) {
+  const enabled = maxBytes > 0;
+  const entries = new Map();   // cid → size, least recently used first
+  const inFlight = new Map();  // cid → Promise<Buffer>
+  const counters = { hits: 0, misses: 0, coalesced: 0, evictions: 0, verifyFailures: 0 };
+  let bytes = 0;
+  let loaded = false;
+
+  // Index what a previous run left behind, oldest access first
+  function load() {
+    if (loaded) return;
+    loaded = true;
+    fs.mkdirSync(dir, { recursive: true });
+    const found = [];
+    for (const name of fs.readdirSync(dir)) {
+      const file = path.join(dir, name);
+      if (!isCid(name)) {
+        if (name.endsWith('.tmp')) fs.rmSync(file, { force: true });
+        continue;
+      }
+      const stat = fs.statSync(file);
+      found.push({ cid: name, size: stat.size, mtime: stat.mtimeMs });
+    }
+    found.sort((a, b) => a.mtime - b.mtime);
+    for (const { cid, size } of found) {
+      entries.set(cid, size);
+      bytes += size;
+    }
+    evict();
+  }
+
+  function remove(cid) {
+    bytes -= entries.get(cid) || 0;
+    entries.delete(cid);
+    fs.rmSync(path.join(dir, cid), { force: true });
+  }
+
+  function evict() {
+    while (bytes > maxBytes && entries.size > 0) {
+      remove(entries.keys().next().value);
+      counters.evictions++;
+    }
+  }
+
+  async function readCached(cid) {
+    if (!entries.has(cid)) return null;
+    const file = path.join(dir, cid);
+    const data = await fs.promises.readFile(file).catch(() => null);
+    if (!data || !(await verify(data, cid))) {
+      console.warn(`[archiveCache] Dropping corrupt cache entry ${cid}`);
+      counters.verifyFailures++;
+      remove(cid);
+      return null;
+    }
+    // Most recently used goes last, on disk as in memory
+    entries.delete(cid);
+    entries.set(cid, data.length);
+    const now = new Date();
+    fs.promises.utimes(file, now, now).catch(() => {});
+    return data;
+  }
+
+  // Not a CID we can verify or name a file after: leave it to archiveService
+  function fetchUncached(cid) {
+    return isCid(cid) ? fetchArchive(cid) : archiveService.getArchive(cid);
+  }
+
+  async function store(cid, data) {
+    const verified = await verify(data, cid);
+    if (!verified) {
+      // Only verified bytes are cached, including when the CID is undecidable
+      counters.verifyFailures++;
+      console.warn(verified === null
+        ? `[archiveCache] Cannot verify the archive fetched for ${cid}; not cached`
+        : `[archiveCache] Archive fetched for ${cid} does not hash to its CID; not cached`);
+      return;
+    }
+    if (data.length > maxBytes) return;
+    const file = path.join(dir, cid);
+    await fs.promises.writeFile(`${file}.tmp`, data);
+    await fs.promises.rename(`${file}.tmp`, file);
+    if (!entries.has(cid)) bytes += data.length;
+    entries.set(cid, data.length);
+    evict();
+  }
+
+  /**
+   * Archive bytes for `cid`, with where they came from.
+   * @returns {Promise<{data: Buffer, source: 'cache'|'fetched'}>}
+   */
+  async function lookup(cid) {
+    if (!isCid(cid)) return { data: await fetchUncached(cid), source: 'fetched' };
+    load();
+    const cached = await readCached(cid);
+    if (cached) {
+      counters.hits++;
+      metrics.archiveCacheRequests.inc({ result: 'hit' });
+      return { data: cached, source: 'cache' };
+    }
+    if (inFlight.has(cid)) {
+      counters.coalesced++;
+      metrics.archiveCacheRequests.inc({ result: 'coalesced' });
+      return { data: await inFlight.get(cid), source: 'fetched' };
+    }
+
+    counters.misses++;
+    metrics.archiveCacheRequests.inc({ result: 'miss' });
+    const fetching = (async () => {
+      const data = Buffer.from(await fetchArchive(cid));
+      await store(cid, data).catch((err) => {
+        console.warn(`[archiveCache] Could not cache ${cid}: ${err.message}`);
+      });
+      return data;
+    })();
+    inFlight.set(cid, fetching);
+    try {
+      return { data: await fetching, source: 'fetched' };
+    } finally {
+      inFlight.delete(cid);
+    }
+  }
+
+  async function getArchive(cid) {
+    if (!enabled) return fetchUncached(cid);
+    return (await lookup(cid)).data;
+  }
+
+  return {
+    enabled,
+    getArchive,
+
+    /**
+     * Fetch and extract several archives, as archiveService.processMultipleCIDs
+     * does, with each fetch going through getArchive above.
+     * @returns {Promise<Object<string, string>>} CID → extracted path
+     */
+    async processMultipleCIDs(cids, tempDir) {
+      const extractedPaths = {};
+      for (let i = 0; i < cids.length; i++) {
+        const cid = cids[i];
+        try {
+          const archiveData = await getArchive(cid);
+          extractedPaths[cid] = await archiveService.extractArchive(
+            archiveData,
+            `archive_${cid}.zip`,
+            path.join(tempDir, `archive_${i}_${cid.substring(0, 10)}`)
+          );
+        } catch (error) {
+          throw new Error(`Failed to process CID ${cid}: ${error.message}`);
+        }
+      }
+      return extractedPaths;
+    },
+
+    /**
+     * Fetch CIDs into the cache ahead of the jobs that will need them.
+     * @param {string[]} cids
+     * @returns {Promise<Array<{cid: string, status: 'cached'|'fetched'|'failed', bytes?: number, error?: string}>>}
+     */
+    async prewarm(cids) {
+      if (!enabled) throw new Error('Archive cache is disabled (ARCHIVE_CACHE_MAX_BYTES=0)');
+      return Promise.all(cids.map(async (cid) => {
+        if (!isCid(cid)) return { cid, status: 'failed', error: 'Not a CIDv0 or base32 CIDv1' };
+        try {
+          const { data, source } = await lookup(cid);
+          return { cid, status: source === 'cache' ? 'cached' : 'fetched', bytes: data.length };
+        } catch (error) {
+          return { cid, status: 'failed', error: error.message };
+        }
+      }));
+    },
+
+    stats() {
+      if (enabled) load();
+      return { enabled, dir, entries: entries.size, bytes, maxBytes, ...counters };
+    },
+  };
+}
+
+module.exports = { createArchiveCache };
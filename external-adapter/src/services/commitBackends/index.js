@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Commit-store persistence backends.
+ *
+ * Each backend exposes the same async surface — open / get / put / remove /
+ * entries / size / compact / close — and must make put/remove durable before
+ * they resolve. compact() rewrites the on-disk state so that overwritten or
+ * removed entries no longer appear in it. Serialisation of concurrent
+ * callers is the commit store's job, not the backend's.
+ */
+
+const path = require('path');
+const { createMemoryBackend }  = require('./memoryBackend');
+const { createJournalBackend } = require('./journalBackend');
+const { createSqliteBackend }  = require('./sqliteBackend');
+
+const BACKENDS = {
+  memory:  () => createMemoryBackend(),
+  journal: (dir) => createJournalBackend({ file: path.join(dir, 'commits.journal') }),
+  sqlite:  (dir) => createSqliteBackend({ file: path.join(dir, 'commits.sqlite') }),
+};
+
+/**
+ * @param {string} name - memory | journal | sqlite
+ * @param {string} dir  - Directory holding the on-disk state
+ */
+function createBackend(name, dir) {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown COMMIT_STORE_BACKEND "${name}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`
+    );
+  }
+  return factory(dir);
+}
+
+module.exports = { createBackend, BACKEND_NAMES: Object.keys(BACKENDS) };
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Append-only journal commit-store backend.
+ *
+ * Every mutation is appended to a JSON-lines file and fsync'd *before* the
+ * call resolves, so once handleMode1Commit hands a commitment back to the
+ * chain the matching { result, salt } is already on disk (write-ahead).
+ *
+ * Record format (one per line):
+ *   {"op":"put","hash":"<32 hex>","entry":{...}}
+ *   {"op":"del","hash":"<32 hex>"}
+ *
+ * On open() the journal is replayed into memory. A trailing partial line —
+ * the signature of a crash mid-append — is dropped and truncated away; a
+ * corrupt line anywhere else is skipped with a warning. When dead records
+ * (overwritten or deleted entries) outnumber live ones the journal is
+ * compacted into a fresh snapshot via write-tmp → fsync → rename; compact()
+ * forces that rewrite, e.g. after the commit store re-encrypts every entry.
+ */
+
+const fs   = require('fs').promises;
+const path = require('path');
+
+// Don't bother compacting tiny journals; a few hundred lines replay instantly.
+const COMPACT_MIN_DEAD = 256;
+
+function createJournalBackend({ file }) {
+  const live = new Map();
+  let fh = null;
+  let dead = 0;
+
+  async function fsyncDir() {
+    // Persist the rename itself. Not supported on every platform/filesystem.
+    let dh;
+    try {
+      dh = await fs.open(path.dirname(file), 'r');
+      await dh.sync();
+    } catch (_) { /* best effort */ } finally {
+      if (dh) await dh.close();
+    }
+  }
+
+  async function append(record) {
+    await fh.write(JSON.stringify(record) + '\n');
+    await fh.datasync();
+  }
+
+  async function replay() {
+    let raw;
+    try {
+      raw = await fs.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+
+    const lines = raw.split('\n');
+    const tail  = lines.pop();       // '' when the file ends with a newline
+    if (tail) {
+      console.warn(`[commitStore] dropping torn journal record at end of ${file}`);
+      await fs.truncate(file, Buffer.byteLength(raw) - Buffer.byteLength(tail));
+    }
+
+    lines.forEach((line, idx) => {
+      if (!line) return;
+      let rec;
+      try {
+        rec = JSON.parse(line);
+      } catch (_) {
+        console.warn(`[commitStore] skipping corrupt journal record ${file}:${idx + 1}`);
+        dead++;
+        return;
+      }
+      if (rec.op === 'put') {
+        if (live.has(rec.hash)) dead++;
+        live.set(rec.hash, rec.entry);
+      } else if (rec.op === 'del') {
+        if (live.delete(rec.hash)) dead++;
+        dead++;
+      }
+    });
+  }
+
+  async function compact() {
+    const tmp = file + '.tmp';
+    try {
+      const out = await fs.open(tmp, 'w');
+      try {
+        for (const [hash, entry] of live) {
+          await out.write(JSON.stringify({ op: 'put', hash, entry }) + '\n');
+        }
+        await out.sync();
+      } finally {
+        await out.close();
+      }
+      await fh.close();
+      fh = null;
+      await fs.rename(tmp, file);
+      await fsyncDir();
+      dead = 0;
+    } catch (err) {
+      await fs.rm(tmp, { force: true }).catch(() => {});
+      throw err;
+    } finally {
+      // Whether or not the rename happened, `file` is a complete journal:
+      // keep appending to it rather than to a closed handle
+      if (!fh) fh = await fs.open(file, 'a');
+    }
+  }
+
+  async function maybeCompact() {
+    if (dead < COMPACT_MIN_DEAD || dead <= live.size) return;
+    try {
+      await compact();
+    } catch (err) {
+      // The mutation itself is already durable; compaction is retried next time
+      console.warn(`[commitStore] journal compaction of ${file} failed: ${err.message}`);
+    }
+  }
+
+  return {
+    name: 'journal',
+    file,
+
+    async open() {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await replay();
+      fh = await fs.open(file, 'a');
+      await maybeCompact();
+      return live.size;
+    },
+
+    async get(hash) { return live.get(hash); },
+
+    async put(hash, entry) {
+      await append({ op: 'put', hash, entry });
+      if (live.has(hash)) dead++;
+      live.set(hash, entry);
+      await maybeCompact();
+    },
+
+    async remove(hash) {
+      if (!live.has(hash)) return false;
+      await append({ op: 'del', hash });
+      live.delete(hash);
+      dead += 2;                     // the put it cancels + the del itself
+      await maybeCompact();
+      return true;
+    },
+
+    async entries() { return [...live.entries()]; },
+
+    async size() { return live.size; },
+
+    compact,
+
+    async close() {
+      if (fh) await fh.close();
+      fh = null;
+    },
+  };
+}
+
+module.exports = { createJournalBackend };
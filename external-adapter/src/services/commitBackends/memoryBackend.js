@@ -0,0 +1,24 @@
+/**
+ * @fileoverview RAM-only commit-store backend.
+ *
+ * Nothing survives a restart: a commit made before the adapter is bounced
+ * can never be revealed. Only suitable for tests and throwaway dev nodes.
+ */
+
+function createMemoryBackend() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async open() { return entries.size; },
+    async get(hash) { return entries.get(hash); },
+    async put(hash, entry) { entries.set(hash, entry); },
+    async remove(hash) { return entries.delete(hash); },
+    async entries() { return [...entries.entries()]; },
+    async size() { return entries.size; },
+    async compact() { /* nothing on disk */ },
+    async close() { /* nothing to release */ },
+  };
+}
+
+module.exports = { createMemoryBackend };
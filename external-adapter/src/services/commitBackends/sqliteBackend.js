@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Embedded SQLite commit-store backend.
+ *
+ * Uses better-sqlite3 (an optional dependency — it needs a native build) in
+ * WAL mode with synchronous=FULL, so each committed write is durable before
+ * the call returns. SQLite's own recovery replays the WAL on open.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (err) {
+    throw new Error(
+      'COMMIT_STORE_BACKEND=sqlite requires the better-sqlite3 package ' +
+      `(npm install better-sqlite3): ${err.message}`
+    );
+  }
+}
+
+function createSqliteBackend({ file }) {
+  let db = null;
+  let stmt = null;
+
+  return {
+    name: 'sqlite',
+    file,
+
+    async open() {
+      const Database = loadDriver();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.pragma('synchronous = FULL');
+      db.exec(`CREATE TABLE IF NOT EXISTS commits (
+                 hash  TEXT PRIMARY KEY,
+                 entry TEXT NOT NULL
+               )`);
+      stmt = {
+        get:    db.prepare('SELECT entry FROM commits WHERE hash = ?'),
+        put:    db.prepare('INSERT OR REPLACE INTO commits (hash, entry) VALUES (?, ?)'),
+        remove: db.prepare('DELETE FROM commits WHERE hash = ?'),
+        all:    db.prepare('SELECT hash, entry FROM commits'),
+        count:  db.prepare('SELECT COUNT(*) AS n FROM commits'),
+      };
+      return stmt.count.get().n;
+    },
+
+    async get(hash) {
+      const row = stmt.get.get(hash);
+      return row ? JSON.parse(row.entry) : undefined;
+    },
+
+    async put(hash, entry) {
+      stmt.put.run(hash, JSON.stringify(entry));
+    },
+
+    async remove(hash) {
+      return stmt.remove.run(hash).changes > 0;
+    },
+
+    async entries() {
+      return stmt.all.all().map(row => [row.hash, JSON.parse(row.entry)]);
+    },
+
+    async size() {
+      return stmt.count.get().n;
+    },
+
+    // Fold the WAL back in and rebuild the file, dropping freed pages that may
+    // still hold replaced rows
+    async compact() {
+      db.pragma('wal_checkpoint(TRUNCATE)');
+      db.exec('VACUUM');
+      db.pragma('wal_checkpoint(TRUNCATE)');
+    },
+
+    async close() {
+      if (db) db.close();
+      db = null;
+      stmt = null;
+    },
+  };
+}
+
+module.exports = { createSqliteBackend };
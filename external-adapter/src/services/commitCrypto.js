@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Envelope encryption for commit-store entries.
+ *
+ * A committed entry holds the full AI result and the reveal salt; anyone who
+ * can read it can front-run our reveal. Each entry is therefore sealed with
+ * a fresh 256-bit data key (AES-256-GCM), and that data key is wrapped with
+ * the operator's master key. Rotating the master key only re-wraps the small
+ * data keys; the sealed payloads never change.
+ *
+ * Both layers use the commit hash as associated data, so an envelope copied
+ * under a different hash fails to open.
+ *
+ * Keyring sources (first match wins for the current key):
+ *  - COMMIT_STORE_KEY       current master key (64 hex chars or base64)
+ *  - COMMIT_STORE_KEYFILE   one key per line; first line is current, the
+ *                           rest are previous keys kept for decryption
+ *  - COMMIT_STORE_PREVIOUS_KEYS  comma-separated previous keys
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+
+const ALGO    = 'aes-256-gcm';
+const VERSION = 'aes-256-gcm/v1';
+const IV_LEN  = 12;
+const TAG_LEN = 16;
+
+function parseKey(text, source) {
+  const value = text.trim();
+  let key;
+  if (/^[0-9a-fA-F]{64}$/.test(value)) {
+    key = Buffer.from(value, 'hex');
+  } else {
+    key = Buffer.from(value, 'base64');
+  }
+  if (key.length !== 32) {
+    throw new Error(`${source}: commit-store key must be 32 bytes (64 hex chars or base64)`);
+  }
+  return key;
+}
+
+/** Short, stable identifier of a master key, stored alongside each envelope. */
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function seal(key, plaintext, aad) {
+  const iv     = crypto.randomBytes(IV_LEN);
+  const cipher = crypto.createCipheriv(ALGO, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const body = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64');
+}
+
+function unseal(key, sealed, aad) {
+  const raw      = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGO, key, raw.subarray(0, IV_LEN));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(raw.subarray(IV_LEN, IV_LEN + TAG_LEN));
+  return Buffer.concat([decipher.update(raw.subarray(IV_LEN + TAG_LEN)), decipher.final()]);
+}
+
+/**
+ * Build a keyring from configuration.
+ *
+ * @param {Object} opts
+ * @param {string} [opts.key]          - Current master key
+ * @param {string} [opts.keyFile]      - Path to a keyfile (one key per line)
+ * @param {string} [opts.previousKeys] - Comma-separated previous keys
+ * @returns {{current: ?{id: string, key: Buffer}, keys: Map<string, Buffer>}}
+ */
+function loadKeyring({ key, keyFile, previousKeys } = {}) {
+  const ordered = [];
+
+  if (key) ordered.push(parseKey(key, 'COMMIT_STORE_KEY'));
+  if (keyFile) {
+    const lines = fs.readFileSync(keyFile, 'utf8')
+      .split('\n')
+      .map(l => l.trim())
+      .filter(l => l && !l.startsWith('#'));
+    lines.forEach((l, i) => ordered.push(parseKey(l, `${keyFile}:${i + 1}`)));
+  }
+  if (previousKeys) {
+    previousKeys.split(',').filter(k => k.trim())
+      .forEach(k => ordered.push(parseKey(k, 'COMMIT_STORE_PREVIOUS_KEYS')));
+  }
+
+  const keys = new Map(ordered.map(k => [keyId(k), k]));
+  const current = ordered.length ? { id: keyId(ordered[0]), key: ordered[0] } : null;
+  return { current, keys };
+}
+
+/** True if a stored entry is an envelope rather than a plaintext entry. */
+function isSealed(stored) {
+  return !!stored && stored.enc === VERSION;
+}
+
+/**
+ * Create the cipher used by the commit store. With an empty keyring entries
+ * pass through in plaintext, so existing RAM-only/dev setups keep working.
+ */
+function createCommitCipher(keyring = { current: null, keys: new Map() }) {
+  const { current, keys } = keyring;
+
+  function masterKey(kid) {
+    const k = keys.get(kid);
+    if (!k) throw new Error(`Commit entry sealed with unknown key ${kid}; add it to COMMIT_STORE_PREVIOUS_KEYS`);
+    return k;
+  }
+
+  return {
+    enabled: !!current,
+    keyId: current ? current.id : null,
+
+    /** Seal an entry for storage under `hash`. */
+    seal(hash, entry) {
+      if (!current) return entry;
+      const dek = crypto.randomBytes(32);
+      return {
+        enc: VERSION,
+        kid: current.id,
+        dek: seal(current.key, dek, hash),
+        data: seal(dek, Buffer.from(JSON.stringify(entry)), hash),
+        // Not secret, and purgeStale must be able to age entries without keys
+        created: entry.created,
+      };
+    },
+
+    /** Open a stored value; plaintext entries are returned unchanged. */
+    open(hash, stored) {
+      if (!isSealed(stored)) return stored;
+      const dek = unseal(masterKey(stored.kid), stored.dek, hash);
+      return JSON.parse(unseal(dek, stored.data, hash).toString('utf8'));
+    },
+
+    /**
+     * Bring a stored value up to the current key. Returns the replacement
+     * value, or null when nothing needs to change.
+     */
+    rewrap(hash, stored) {
+      if (!current) return null;
+      if (!isSealed(stored)) return this.seal(hash, stored);
+      if (stored.kid === current.id) return null;
+      const dek = unseal(masterKey(stored.kid), stored.dek, hash);
+      return { ...stored, kid: current.id, dek: seal(current.key, dek, hash) };
+    },
+  };
+}
+
+module.exports = { loadKeyring, createCommitCipher, keyId, isSealed };
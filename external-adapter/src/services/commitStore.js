@@ -1,77 +1,129 @@
 // services/commitStore.js
 const { Mutex } = require('async-mutex');
-const fs       = require('fs').promises;
-const path     = require('path');
+const config    = require('../config');
+const { createBackend } = require('./commitBackends');
+const { loadKeyring, createCommitCipher } = require('./commitCrypto');
 
 ///////////////////////////////////////////////////////////////////////////////
-// Flip this to switch between modes
-//   true  → original behaviour (every call touches the JSON file)
-//   false → RAM-only (never touches the JSON file)
+// Commit-reveal state between mode 1 and mode 2.
 //
-// No other differences.
+// The backend is selected at runtime via COMMIT_STORE_BACKEND:
+//   memory  → RAM-only; a restart between commit and reveal loses the commit
+//   journal → append-only, fsync'd JSON-lines file, replayed on boot (default)
+//   sqlite  → embedded SQLite (WAL, synchronous=FULL); needs better-sqlite3
+//
+// Whatever the backend, save/del are durable before they resolve, so a
+// commitment is never returned to the chain without its salt on disk.
+//
+// With a master key configured (COMMIT_STORE_KEY / COMMIT_STORE_KEYFILE)
+// entries are envelope-encrypted before they reach the backend and decrypted
+// on get, so callers only ever see plaintext. Opening the store re-wraps any
+// pending entry still sealed under a previous key (or not sealed at all), then
+// compacts the backend so the superseded records are gone from disk too.
 ///////////////////////////////////////////////////////////////////////////////
-const USE_FILE = false;           // ← change to false for memory-only tests
 
-const DB_FILE  = path.join(__dirname, '..', '.commit-db.json');
-const mtx      = new Mutex();
+/**
+ * Build an independent commit store. The module-level API below wraps a
+ * default instance configured from config.commitStore.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.backend] - memory | journal | sqlite
+ * @param {string} [opts.dir]     - Directory for on-disk state
+ * @param {Object} [opts.keyring] - Master keys, see commitCrypto.loadKeyring
+ */
+function createCommitStore ({
+  backend = config.commitStore.backend,
+  dir     = config.commitStore.dir,
+  keyring = loadKeyring(config.commitStore),
+} = {}) {
+  const store  = createBackend(backend, dir);
+  const cipher = createCommitCipher(keyring);
+  const mtx    = new Mutex();
+  let   opening = null;
 
-/* ------------------------------------------------------------------------ */
-/* Helpers                                                                  */
-/* ------------------------------------------------------------------------ */
-async function _load () {
-  if (!USE_FILE) {                              // RAM-only
-    return _load._mem || (_load._mem = {});     // singleton in-process store
+  async function replay () {
+    await store.open();
+    let rewrapped = 0;
+    for (const [h, stored] of await store.entries()) {
+      let replacement;
+      try {
+        replacement = cipher.rewrap(h, stored);
+      } catch (err) {
+        // Leave it be: the reveal will fail loudly, and purgeStale ages it out
+        console.warn(`[commitStore] cannot re-encrypt commit ${h}: ${err.message}`);
+        continue;
+      }
+      if (replacement) {
+        await store.put(h, replacement);
+        rewrapped++;
+      }
+    }
+    if (rewrapped > 0) {
+      // put() only appends: without a rewrite the old plaintext / old-key
+      // records would stay on disk
+      try {
+        await store.compact();
+      } catch (err) {
+        console.error(`[commitStore] re-encrypted ${rewrapped} commit(s) but could not rewrite ${store.name} storage; superseded records remain on disk: ${err.message}`);
+      }
+    }
+    return store.size();
   }
 
-  // file mode – read & parse on **every call**, exactly like the original
-  try {
-    return JSON.parse(await fs.readFile(DB_FILE, 'utf8'));
-  } catch {
-    return {};                                 // first run or corrupt file
-  }
-}
+  // Open (and replay) lazily on first use unless open() was called at boot.
+  const ready = () => opening || (opening = replay());
 
-async function _save (obj) {
-  if (!USE_FILE) {               // RAM-only
-    _load._mem = obj;            // keep in-memory copy current
-    return;
-  }
+  const exclusive = fn => mtx.runExclusive(async () => { await ready(); return fn(); });
+
+  return {
+    backend: store.name,
+    encrypted: cipher.enabled,
 
-  // file mode – rewrite the whole file atomically (unchanged)
-  const tmp = DB_FILE + '.tmp';
-  await fs.writeFile(tmp, JSON.stringify(obj, null, 2));
-  await fs.rename(tmp, DB_FILE);
+    /** Open the backend and replay persisted state; resolves to the entry count. */
+    open: () => mtx.runExclusive(ready),
+
+    save: (hash, entry) => exclusive(() => store.put(hash, cipher.seal(hash, entry))),
+
+    get: (hash) => exclusive(async () => cipher.open(hash, await store.get(hash))),
+
+    del: (hash) => exclusive(async () => { await store.remove(hash); }),
+
+    size: () => exclusive(() => store.size()),
+
+    purgeStale: (maxAgeMs = 3 * 24 * 60 * 60 * 1000) => exclusive(async () => {
+      const cutoff = Date.now() - maxAgeMs;
+      let   removed = 0;
+
+      for (const [h, e] of await store.entries()) {
+        if (Date.parse(e.created) < cutoff) {
+          await store.remove(h);
+          removed++;
+        }
+      }
+      return removed;
+    }),
+
+    close: () => mtx.runExclusive(async () => {
+      if (opening) await opening;
+      opening = null;
+      await store.close();
+    }),
+  };
 }
 
 /* ------------------------------------------------------------------------ */
 /* Public API – unchanged                                                   */
 /* ------------------------------------------------------------------------ */
-exports.save = async (hash, entry) =>
-  mtx.runExclusive(async () => {
-    const db = await _load();
-    db[hash] = entry;
-    await _save(db);
-  });
-
-exports.get  = async (hash) =>
-  mtx.runExclusive(async () => (await _load())[hash]);
-
-exports.del  = async (hash) =>
-  mtx.runExclusive(async () => {
-    const db = await _load();
-    delete db[hash];
-    await _save(db);
-  });
-
-exports.purgeStale = async function purgeStale (maxAgeMs = 3 * 24 * 60 * 60 * 1000) {
-  const cutoff = Date.now() - maxAgeMs;
-  const db     = await _load();
-  let   removed = 0;
-
-  for (const [h, e] of Object.entries(db)) {
-    if (Date.parse(e.created) < cutoff) { delete db[h]; removed++; }
-  }
-  if (removed) await _save(db);
-  return removed;
-};
+let defaultStore = null;
+const store = () => defaultStore || (defaultStore = createCommitStore());
 
+exports.createCommitStore = createCommitStore;
+exports.backend    = () => store().backend;
+exports.encrypted  = () => store().encrypted;
+exports.open       = () => store().open();
+exports.save       = (hash, entry) => store().save(hash, entry);
+exports.get        = (hash) => store().get(hash);
+exports.del        = (hash) => store().del(hash);
+exports.size       = () => store().size();
+exports.purgeStale = (maxAgeMs) => store().purgeStale(maxAgeMs);
+exports.close      = () => store().close();
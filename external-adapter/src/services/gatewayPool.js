@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Hedged archive fetches across several IPFS gateways.
+ *
+ * A single public gateway is often slow or briefly down, and an evaluation
+ * waits on it. The pool asks the first gateway (a local Kubo node, when
+ * configured, always comes first), and if no answer arrives within
+ * `hedgeDelayMs` — or the request fails — asks the next one as well, until
+ * one of them returns. The first answer whose bytes hash to the requested CID
+ * wins and the others are aborted.
+ *
+ * A gateway that serves content provably not matching the CID is banned for
+ * `banMs`; banned gateways are skipped while any other gateway is available.
+ * Content that cannot be checked (a dag-pb CID built with import settings
+ * utils/cid.js does not reproduce, which includes any forgery of such a CID)
+ * does not win: the pool keeps asking the remaining gateways, and only
+ * returns the first unverified answer, without a ban, if none of them
+ * serves content that verifies. A local Kubo node checks every block
+ * against its hash as it fetches, so its answers count as verified.
+ * Latency and outcomes are kept per gateway for GET /gateways and exported as
+ * `verdikta_ea_ipfs_gateway_duration_seconds`.
+ */
+
+const axios = require('axios');
+const config = require('../config');
+const metrics = require('./metrics');
+const { verifyCid } = require('../utils/cid');
+
+// Weight of the newest sample in the per-gateway latency average
+const LATENCY_EWMA_ALPHA = 0.3;
+
+class ContentMismatchError extends Error {
+  constructor(gateway, cid) {
+    super(`${gateway} served content that does not hash to ${cid}`);
+    this.name = 'ContentMismatchError';
+  }
+}
+
+// Gateway entry for `url`, or null (with a warning) if it is not an http(s) URL
+function parseGateway(url, logger) {
+  try {
+    const { protocol, host } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') throw new Error(`unsupported protocol ${protocol}`);
+    return { name: host, url: url.replace(/\/+$/, ''), kubo: false };
+  } catch (error) {
+    logger.warn(`[gatewayPool] Ignoring IPFS gateway "${url}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {string[]} [opts.gateways]     - Gateway base URLs, in order of preference
+ * @param {string} [opts.kuboUrl]        - Local Kubo RPC API (e.g. http://127.0.0.1:5001), tried first
+ * @param {number} [opts.hedgeDelayMs]   - Wait before also asking the next gateway
+ * @param {number} [opts.timeoutMs]      - Per-gateway request timeout
+ * @param {number} [opts.banMs]          - How long a gateway serving wrong content is skipped
+ * @param {Function} [opts.verify]       - (data, cid) => Promise<boolean|null>, null when undecidable
+ * @param {Object} [opts.http]           - axios-compatible client (injectable for tests)
+ * @param {Object} [opts.logger]
+ */
+function createGatewayPool({
+  gateways     = config.ipfs.gateways,
+  kuboUrl      = config.ipfs.kuboUrl,
+  hedgeDelayMs = config.ipfs.hedgeDelayMs,
+  timeoutMs    = config.ipfs.fetchTimeout,
+  banMs        = config.ipfs.banMs,
+  verify       = verifyCid,
+  http         = axios,
+  logger       = console,
+} = {}) {
+  const pool = [
+    ...(kuboUrl ? [{ name: 'kubo', url: kuboUrl.replace(/\/+$/, ''), kubo: true }] : []),
+    ...gateways.map((url) => parseGateway(url, logger)).filter(Boolean),
+  ].map((g) => ({ ...g, requests: 0, successes: 0, unverified: 0, failures: 0, mismatches: 0, latencyMs: null, bannedUntil: 0 }));
+
+  if (pool.length === 0) {
+    throw new Error('No IPFS gateways configured (IPFS_GATEWAYS / IPFS_KUBO_URL)');
+  }
+
+  function candidates() {
+    const now = Date.now();
+    const healthy = pool.filter((g) => g.bannedUntil <= now);
+    // Every gateway banned: try them anyway, the CID check still guards us
+    return healthy.length > 0 ? healthy : pool;
+  }
+
+  function request(gateway, cid, signal) {
+    const options = { responseType: 'arraybuffer', timeout: timeoutMs, signal };
+    return gateway.kubo
+      ? http.post(`${gateway.url}/api/v0/cat?arg=${cid}`, null, options)
+      : http.get(`${gateway.url}/ipfs/${cid}`, options);
+  }
+
+  function record(gateway, result, ms) {
+    metrics.gatewayDuration.observe({ gateway: gateway.name, result }, ms / 1000);
+    if (result === 'success' || result === 'unverified') {
+      gateway.successes++;
+      if (result === 'unverified') gateway.unverified++;
+      gateway.latencyMs = gateway.latencyMs === null
+        ? ms
+        : Math.round(LATENCY_EWMA_ALPHA * ms + (1 - LATENCY_EWMA_ALPHA) * gateway.latencyMs);
+    } else if (result === 'mismatch') {
+      gateway.mismatches++;
+      gateway.bannedUntil = Date.now() + banMs;
+      logger.warn(`[gatewayPool] Banning ${gateway.name} for ${Math.round(banMs / 1000)}s: served wrong content`);
+    } else {
+      gateway.failures++;
+    }
+  }
+
+  /**
+   * Fetch the bytes of `cid`, verified against the CID unless no gateway
+   * serves content that can be.
+   * @param {string} cid - CIDv0 or base32 CIDv1
+   * @returns {Promise<Buffer>}
+   */
+  function getArchive(cid) {
+    const order = candidates();
+    const controllers = [];
+    const errors = [];
+    let next = 0;
+    let pending = 0;
+    let settled = false;
+    let hedgeTimer;
+    let unverified = null;   // first answer we could not check, the last resort
+
+    return new Promise((resolve, reject) => {
+      function finish(error, data) {
+        if (settled) return;
+        settled = true;
+        clearTimeout(hedgeTimer);
+        controllers.forEach((c) => c.abort());
+        if (error) reject(error); else resolve(data);
+      }
+
+      function launch() {
+        clearTimeout(hedgeTimer);
+        if (settled || next >= order.length) return;
+        const gateway = order[next++];
+        const controller = new AbortController();
+        controllers.push(controller);
+        pending++;
+        gateway.requests++;
+        const started = Date.now();
+
+        request(gateway, cid, controller.signal)
+          .then(async (response) => {
+            const data = Buffer.from(response.data);
+            const verified = gateway.kubo || await verify(data, cid);
+            if (verified === false) throw new ContentMismatchError(gateway.name, cid);
+            if (settled) return;
+            if (verified === null) {
+              pending--;
+              record(gateway, 'unverified', Date.now() - started);
+              if (!unverified) unverified = { gateway, data };
+              errors.push(`${gateway.name}: served content that cannot be verified locally`);
+              moveOn();
+              return;
+            }
+            record(gateway, 'success', Date.now() - started);
+            finish(null, data);
+          })
+          .catch((error) => {
+            pending--;
+            if (settled) return;   // a slower request we aborted
+            record(gateway, error instanceof ContentMismatchError ? 'mismatch' : 'error', Date.now() - started);
+            errors.push(`${gateway.name}: ${error.message}`);
+            moveOn();
+          });
+
+        if (next < order.length) hedgeTimer = setTimeout(launch, hedgeDelayMs);
+      }
+
+      // After an attempt without a verified answer: ask the next gateway, or
+      // settle once every gateway has answered
+      function moveOn() {
+        if (next < order.length) {
+          launch();
+        } else if (pending > 0) {
+          return;
+        } else if (unverified) {
+          logger.warn(`[gatewayPool] No gateway served verifiable content for ${cid}; using ${unverified.gateway.name}'s answer unverified`);
+          finish(null, unverified.data);
+        } else {
+          finish(new Error(`All IPFS gateways failed for ${cid} (${errors.join('; ')})`));
+        }
+      }
+
+      launch();
+    });
+  }
+
+  return {
+    getArchive,
+
+    /** Per-gateway request counts, outcomes, average latency and bans. */
+    stats() {
+      const now = Date.now();
+      return pool.map(({ name, url, requests, successes, unverified, failures, mismatches, latencyMs, bannedUntil }) => ({
+        name,
+        url,
+        requests,
+        successes,
+        unverified,
+        failures,
+        mismatches,
+        latencyMs,
+        bannedUntil: bannedUntil > now ? new Date(bannedUntil).toISOString() : null,
+      }));
+    },
+  };
+}
+
+module.exports = { createGatewayPool, ContentMismatchError };
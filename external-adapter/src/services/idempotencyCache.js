@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Request deduplication for POST /evaluate.
+ *
+ * Chainlink retries bridge calls that time out or drop. Without this layer a
+ * retry re-runs the IPFS fetch and the full multi-model evaluation — paying
+ * LLM costs twice and, in mode 1, producing a second commitment with a
+ * different salt. Requests are keyed on jobRunID + mode + CID string, plus
+ * aggId: the job spec sends the externalJobID as `id`, which is the same for
+ * every run of a job, so aggId is what tells two aggregations apart.
+ *
+ *  - a duplicate arriving while the original is still running is attached
+ *    to the same in-flight promise (coalesced);
+ *  - a duplicate arriving after completion gets the cached response, as long
+ *    as the original did not fail with a 5xx (those are worth retrying);
+ *  - cached responses expire after `ttlMs`, and the oldest are evicted once
+ *    `maxEntries` is exceeded.
+ */
+
+const config = require('../config');
+const metrics = require('./metrics');
+const { parseModePrefix } = require('../utils/cidField');
+
+/**
+ * Derive the deduplication key for an /evaluate request body.
+ * @returns {string|null} null when the request can't be keyed (no id / cid)
+ */
+function requestKey(body) {
+  const id  = body && body.id;
+  const cid = body && body.data && body.data.cid;
+  if (!id || typeof cid !== 'string') return null;
+  const aggId = String(body.data.aggId || body.data.aggid || '').toLowerCase();
+  const { mode, cidString } = parseModePrefix(cid);
+  return `${id}|${aggId}|${mode}|${cidString}`;
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {number} [opts.ttlMs]      - How long completed responses are reused; 0 disables the cache
+ * @param {number} [opts.maxEntries] - Upper bound on cached responses
+ * @param {Function} [opts.now]      - Clock, injectable for tests
+ */
+function createIdempotencyCache({
+  ttlMs      = config.idempotency.ttlMs,
+  maxEntries = config.idempotency.maxEntries,
+  now        = Date.now,
+} = {}) {
+  const inFlight  = new Map();   // key → Promise<response>
+  const completed = new Map();   // key → { response, expires }, insertion-ordered
+  const counters  = { hits: 0, coalesced: 0, misses: 0 };
+
+  function prune() {
+    const t = now();
+    for (const [key, { expires }] of completed) {
+      if (expires <= t) completed.delete(key);
+    }
+    while (completed.size > maxEntries) {
+      completed.delete(completed.keys().next().value);
+    }
+  }
+
+  return {
+    /**
+     * Run `fn` for `body` unless an equivalent request is in flight or was
+     * recently answered.
+     * @param {Object} body - /evaluate request body
+     * @param {() => Promise<Object>} fn - Produces the response
+     * @param {Function} [onJoin] - Called when the request joins an in-flight
+     *        evaluation instead of running `fn`
+     */
+    async run(body, fn, onJoin) {
+      const key = ttlMs > 0 ? requestKey(body) : null;
+      if (!key) return fn();
+
+      const cached = completed.get(key);
+      if (cached && cached.expires > now()) {
+        counters.hits++;
+        metrics.dedupRequests.inc({ result: 'hit' });
+        return cached.response;
+      }
+      if (inFlight.has(key)) {
+        counters.coalesced++;
+        metrics.dedupRequests.inc({ result: 'coalesced' });
+        if (onJoin) onJoin();
+        return inFlight.get(key);
+      }
+
+      counters.misses++;
+      metrics.dedupRequests.inc({ result: 'miss' });
+      const pending = Promise.resolve().then(fn);
+      inFlight.set(key, pending);
+      try {
+        const response = await pending;
+        if ((response && response.statusCode || 200) < 500) {
+          completed.delete(key);
+          completed.set(key, { response, expires: now() + ttlMs });
+          prune();
+        }
+        return response;
+      } finally {
+        inFlight.delete(key);
+      }
+    },
+
+    stats() {
+      prune();
+      return { ...counters, inFlight: inFlight.size, cached: completed.size };
+    },
+  };
+}
+
+module.exports = { createIdempotencyCache, requestKey };
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Asynchronous bridge jobs.
+ *
+ * A Chainlink bridge task with `async="true"` adds a `responseURL` to the
+ * request body and accepts `{ "pending": true }` as an immediate answer. The
+ * evaluation then runs in the background and its response is PATCHed back to
+ * `responseURL` as `{ "value": <response>, "error": <string|null> }`, which
+ * resumes the job run with the same output a synchronous call would have
+ * produced (so the job spec's jsonparse paths do not change).
+ *
+ * Failed callbacks (network errors, 5xx, 429) are retried with exponential
+ * backoff; other 4xx answers mean the run is gone or our token is wrong, and
+ * retrying cannot help. Jobs live in memory and are forgotten `retentionMs`
+ * after they finish.
+ *
+ * An evaluation answered with a 4xx or 5xx status is still called back, with
+ * its status and error in the `error` field so the run fails instead of
+ * resuming with an empty result; the job then ends as `failed`.
+ *
+ * `responseURL` comes from the request body, so it is only accepted when it
+ * is a resume URL (`/v2/resume/...`) on the configured Chainlink node;
+ * anything else is refused with an InvalidResponseURLError, which keeps the
+ * adapter from PATCHing arbitrary URLs and the callback token from leaving
+ * for another host.
+ *
+ * Job lifecycle: queued → running → delivering → delivered | failed | callback_failed
+ */
+
+const axios  = require('axios');
+const crypto = require('crypto');
+const retry  = require('retry');
+const config = require('../config');
+
+const RESUME_PATH = '/v2/resume/';
+
+class InvalidResponseURLError extends Error {
+  constructor(responseURL, reason) {
+    super(`Rejected responseURL ${responseURL}: ${reason}`);
+    this.name = 'InvalidResponseURLError';
+    this.code = 'INVALID_RESPONSE_URL';
+  }
+}
+
+// Throws unless `responseURL` resumes a run on the node at `nodeUrl`
+function checkResponseURL(responseURL, nodeUrl) {
+  let url;
+  try {
+    url = new URL(responseURL);
+  } catch {
+    throw new InvalidResponseURLError(responseURL, 'not a URL');
+  }
+  if (url.origin !== new URL(nodeUrl).origin) {
+    throw new InvalidResponseURLError(responseURL, 'not on the configured Chainlink node (CHAINLINK_NODE_URL)');
+  }
+  if (!url.pathname.startsWith(RESUME_PATH) || url.username || url.password) {
+    throw new InvalidResponseURLError(responseURL, `not a ${RESUME_PATH} URL`);
+  }
+}
+
+function isRetryableCallbackError(error) {
+  const status = error.response && error.response.status;
+  return !status || status >= 500 || status === 429;
+}
+
+// The callback `error` for an evaluation response, or null if it succeeded
+function evaluationError(response) {
+  const statusCode = response.statusCode || 200;
+  if (statusCode < 400) return null;
+  if (response.error) return response.error;
+  const { jobRunID, ...body } = response;
+  return `Evaluation failed: ${JSON.stringify(body)}`;
+}
+
+function describeCallbackError(error) {
+  const { status, data } = error.response || {};
+  if (!status) return error.message;
+  if (data === undefined || data === '') return `callback HTTP ${status}`;
+  return `callback HTTP ${status}: ${typeof data === 'string' ? data : JSON.stringify(data)}`;
+}
+
+/**
+ * @param {Object} opts
+ * @param {(body: Object, onStart: Function) => Promise<Object>} opts.run - Produces the
+ *        /evaluate response, calling onStart when the evaluation actually begins
+ * @param {string} opts.nodeUrl - Chainlink node URL; responseURLs must be on its origin
+ * @param {string} [opts.callbackToken] - Bridge incoming token, sent as a Bearer token
+ * @param {Object} [opts.callbackRetry] - Options for the `retry` package
+ * @param {number} [opts.callbackTimeout] - Per-attempt PATCH timeout (ms)
+ * @param {number} [opts.retentionMs] - How long finished jobs stay inspectable
+ * @param {Object} [opts.http] - axios-compatible client (injectable for tests)
+ * @param {Object} [opts.logger]
+ */
+function createJobQueue({
+  run,
+  nodeUrl         = config.asyncBridge.nodeUrl,
+  callbackToken   = config.asyncBridge.callbackToken,
+  callbackRetry   = config.asyncBridge.callbackRetry,
+  callbackTimeout = config.asyncBridge.callbackTimeout,
+  retentionMs     = config.asyncBridge.retentionMs,
+  http            = axios,
+  logger          = console,
+}) {
+  if (!nodeUrl) throw new Error('Async bridge jobs need the Chainlink node URL (CHAINLINK_NODE_URL)');
+  new URL(nodeUrl);   // fail at startup, not on the first request
+  const jobs = new Map();
+
+  function update(job, fields) {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+  }
+
+  function prune() {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+    }
+  }
+
+  function deliver(job, response) {
+    const payload = { value: response, error: evaluationError(response) };
+    const headers = { 'Content-Type': 'application/json' };
+    if (callbackToken) headers.Authorization = `Bearer ${callbackToken}`;
+
+    return new Promise((resolve) => {
+      const operation = retry.operation(callbackRetry);
+      operation.attempt(async (attempt) => {
+        update(job, { callbackAttempts: attempt });
+        try {
+          await http.patch(job.responseURL, payload, { headers, timeout: callbackTimeout });
+          resolve(true);
+        } catch (error) {
+          update(job, { lastError: describeCallbackError(error) });
+          logger.warn(`[EA ${job.jobRunID}] async callback attempt ${attempt} failed: ${job.lastError}`);
+          if (isRetryableCallbackError(error) && operation.retry(error)) return;
+          resolve(false);
+        }
+      });
+    });
+  }
+
+  async function execute(job, body) {
+    let response;
+    try {
+      response = await run(body, () => update(job, { status: 'running', startedAt: new Date().toISOString() }));
+    } catch (error) {
+      response = {
+        jobRunID: job.jobRunID,
+        status: 'errored',
+        statusCode: 500,
+        error: error.message || 'Unknown error'
+      };
+    }
+    const error = evaluationError(response);
+    update(job, { status: 'delivering', response, error: error && `HTTP ${response.statusCode}: ${error}` });
+
+    const delivered = await deliver(job, response);
+    update(job, {
+      status: !delivered ? 'callback_failed' : error ? 'failed' : 'delivered',
+      finishedAt: new Date().toISOString()
+    });
+    if (!delivered) {
+      logger.error(`[EA ${job.jobRunID}] async callback to ${job.responseURL} abandoned: ${job.lastError}`);
+    }
+  }
+
+  return {
+    /**
+     * Accept an /evaluate body carrying `responseURL` and start it in the
+     * background.
+     * @returns {Object} The job record
+     * @throws {InvalidResponseURLError} If responseURL is not a resume URL on the node
+     */
+    enqueue(body) {
+      checkResponseURL(body.responseURL, nodeUrl);
+      prune();
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        jobRunID: body.id,
+        responseURL: body.responseURL,
+        status: 'queued',
+        createdAt: now,
+        updatedAt: now,
+        callbackAttempts: 0,
+        error: null,
+      };
+      jobs.set(job.id, job);
+      job.done = execute(job, body);
+      return job;
+    },
+
+    /** Public view of a job, or undefined. */
+    get(id) {
+      prune();
+      const job = jobs.get(id);
+      if (!job) return undefined;
+      const { done, ...view } = job;
+      return view;
+    },
+
+    stats() {
+      const byStatus = {};
+      for (const job of jobs.values()) byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+      return { total: jobs.size, byStatus };
+    },
+  };
+}
+
+module.exports = { createJobQueue, InvalidResponseURLError };
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Signs justifications with the operator's signing key.
+ *
+ * The key comes from JUSTIFICATION_SIGNING_KEY (0x-prefixed private key) or
+ * JUSTIFICATION_SIGNING_KEYFILE (a file holding one). Use the key of an
+ * address the operator contract recognises — its owner or one of its
+ * authorized senders — so verifiers can tie the signature to OPERATOR_ADDR
+ * on-chain. Without a key, justifications go out unsigned as before.
+ *
+ * See utils/justificationSignature.js for the format and verification.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const config = require('../config');
+const { signJustification } = require('../utils/justificationSignature');
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.operator   - OPERATOR_ADDR
+ * @param {string} [opts.key]
+ * @param {string} [opts.keyFile]
+ * @param {'eip712'|'eip191'} [opts.scheme]
+ * @returns {{address: string, scheme: string, sign: (justification: Object) => Promise<Object>}|null}
+ */
+function createJustificationSigner({
+  operator,
+  key     = config.signing.key,
+  keyFile = config.signing.keyFile,
+  scheme  = config.signing.scheme,
+}) {
+  const privateKey = key || (keyFile && fs.readFileSync(keyFile, 'utf8').trim());
+  if (!privateKey) return null;
+
+  let wallet;
+  try {
+    wallet = new ethers.Wallet(privateKey);
+  } catch (_) {
+    throw new Error(`${key ? 'JUSTIFICATION_SIGNING_KEY' : keyFile} does not hold a valid private key`);
+  }
+  if (!['eip712', 'eip191'].includes(scheme)) {
+    throw new Error(`JUSTIFICATION_SIGNATURE_SCHEME must be eip712 or eip191, got "${scheme}"`);
+  }
+
+  return {
+    address: wallet.address,
+    scheme,
+    sign: (justification) => signJustification(justification, { wallet, operator, scheme }),
+  };
+}
+
+module.exports = { createJustificationSigner };
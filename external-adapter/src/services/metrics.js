@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Prometheus metrics for the External Adapter (GET /metrics).
+ *
+ * The pipeline timings evaluateHandler logs ("IPFS getArchive took …",
+ * "aiClient.evaluate took …", TOTAL) are also recorded here as histograms, so
+ * dashboards and alerts no longer depend on regex log parsers such as
+ * installer/util/parse-timing-logs.js.
+ *
+ * Point-in-time values owned by other services (commit-store size, queue
+ * depth, async jobs, archive cache size, gateway bans, pin outbox) are
+ * sampled at scrape time from the sources handed to bindSources(); counts
+ * that only grow are counters the services increment themselves.
+ */
+
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'verdikta_ea_' });
+
+// Evaluations run from well under a second (reveals) to several minutes.
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 180, 300, 600];
+
+const stageDuration = new client.Histogram({
+  name: 'verdikta_ea_stage_duration_seconds',
+  help: 'Duration of each evaluateHandler pipeline stage',
+  labelNames: ['stage', 'mode'],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const requestDuration = new client.Histogram({
+  name: 'verdikta_ea_request_duration_seconds',
+  help: 'Total /evaluate handling time by mode and outcome',
+  labelNames: ['mode', 'outcome'],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const requests = new client.Counter({
+  name: 'verdikta_ea_requests_total',
+  help: '/evaluate requests by mode (0 standard, 1 commit, 2 reveal) and outcome',
+  labelNames: ['mode', 'outcome'],
+  registers: [register],
+});
+
+const reveals = new client.Counter({
+  name: 'verdikta_ea_reveals_total',
+  help: 'Mode-2 commit lookups by result (hit, miss)',
+  labelNames: ['result'],
+  registers: [register],
+});
+
+const providerErrors = new client.Counter({
+  name: 'verdikta_ea_provider_errors_total',
+  help: 'Evaluations that failed with a PROVIDER_ERROR from the AI Node',
+  registers: [register],
+});
+
+const ipfsUploadFailures = new client.Counter({
+  name: 'verdikta_ea_ipfs_upload_failures_total',
+  help: 'Failed justification uploads to IPFS by kind (justification, error_justification)',
+  labelNames: ['kind'],
+  registers: [register],
+});
+
+const pins = new client.Counter({
+  name: 'verdikta_ea_pins_total',
+  help: 'Justification uploads per pinning backend by result (success, failure)',
+  labelNames: ['backend', 'result'],
+  registers: [register],
+});
+
+const queueRejections = new client.Counter({
+  name: 'verdikta_ea_queue_rejections_total',
+  help: 'Evaluations refused with 429 because the queue was full',
+  registers: [register],
+});
+
+const dedupRequests = new client.Counter({
+  name: 'verdikta_ea_dedup_requests_total',
+  help: 'Idempotency cache outcomes for /evaluate requests (hit, coalesced, miss)',
+  labelNames: ['result'],
+  registers: [register],
+});
+
+const archiveCacheRequests = new client.Counter({
+  name: 'verdikta_ea_archive_cache_requests_total',
+  help: 'Archive cache lookups (hit, coalesced, miss)',
+  labelNames: ['result'],
+  registers: [register],
+});
+
+const gatewayDuration = new client.Histogram({
+  name: 'verdikta_ea_ipfs_gateway_duration_seconds',
+  help: 'Archive fetches per IPFS gateway by result (success, unverified, error, mismatch)',
+  labelNames: ['gateway', 'result'],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const sources = {};
+
+new client.Gauge({
+  name: 'verdikta_ea_commit_store_entries',
+  help: 'Commits awaiting reveal in the commit store',
+  registers: [register],
+  async collect() {
+    if (sources.commitStore) this.set(await sources.commitStore.size());
+  },
+});
+
+new client.Gauge({
+  name: 'verdikta_ea_queue_depth',
+  help: 'Evaluations waiting for a slot, by priority',
+  labelNames: ['priority'],
+  registers: [register],
+  collect() {
+    if (!sources.workQueue) return;
+    const { queued } = sources.workQueue.stats();
+    for (const [priority, n] of Object.entries(queued)) this.set({ priority }, n);
+  },
+});
+
+new client.Gauge({
+  name: 'verdikta_ea_evaluations_running',
+  help: 'Evaluations currently running',
+  registers: [register],
+  collect() {
+    if (sources.workQueue) this.set(sources.workQueue.stats().running);
+  },
+});
+
+new client.Gauge({
+  name: 'verdikta_ea_async_jobs',
+  help: 'Async bridge jobs held in memory, by status',
+  labelNames: ['status'],
+  registers: [register],
+  collect() {
+    if (!sources.jobs) return;
+    this.reset();
+    for (const [status, n] of Object.entries(sources.jobs.stats().byStatus)) this.set({ status }, n);
+  },
+});
+
+new client.Gauge({
+  name: 'verdikta_ea_archive_cache_bytes',
+  help: 'Bytes of verified archives held in the on-disk cache',
+  registers: [register],
+  collect() {
+    if (sources.archiveCache && sources.archiveCache.enabled) this.set(sources.archiveCache.stats().bytes);
+  },
+});
+
+new client.Gauge({
+  name: 'verdikta_ea_ipfs_gateway_banned',
+  help: 'Whether each IPFS gateway is banned for serving content that did not match its CID',
+  labelNames: ['gateway'],
+  registers: [register],
+  collect() {
+    if (!sources.gateways) return;
+    for (const { name, bannedUntil } of sources.gateways.stats()) this.set({ gateway: name }, bannedUntil ? 1 : 0);
+  },
+});
+
+new client.Gauge({
+  name: 'verdikta_ea_pin_outbox_pending',
+  help: 'Justifications announced on-chain and still waiting to be pinned',
+  registers: [register],
+  collect() {
+    if (sources.outbox) this.set(sources.outbox.stats().pending);
+  },
+});
+
+/**
+ * Register the services sampled at scrape time.
+ * @param {Object} s - Any of { commitStore, workQueue, idempotency, jobs, archiveCache, gateways, outbox }
+ */
+function bindSources(s) {
+  Object.assign(sources, s);
+}
+
+/** Record one pipeline stage that took `ms` milliseconds. */
+function observeStage(stage, mode, ms) {
+  stageDuration.observe({ stage, mode }, ms / 1000);
+}
+
+/** Classify a finished /evaluate response. */
+function outcomeOf(response) {
+  if (!response || (response.statusCode || 200) >= 500) return 'error';
+  if (response.data && response.data.error) return 'provider_error';
+  return 'success';
+}
+
+/** Record a finished /evaluate request. */
+function recordRequest(mode, response, ms) {
+  const outcome = outcomeOf(response);
+  requests.inc({ mode, outcome });
+  requestDuration.observe({ mode, outcome }, ms / 1000);
+}
+
+module.exports = {
+  register,
+  bindSources,
+  observeStage,
+  recordRequest,
+  reveals,
+  providerErrors,
+  ipfsUploadFailures,
+  pins,
+  queueRejections,
+  dedupRequests,
+  archiveCacheRequests,
+  gatewayDuration,
+};
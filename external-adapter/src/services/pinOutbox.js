@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Persistent outbox for justification pins.
+ *
+ * A reveal used to wait for the justification to be pinned, so a pinning
+ * outage during the reveal window cost the oracle its reveal. Instead, the
+ * justification's CID is computed locally (utils/cid.js; the same CID
+ * `ipfs add` and Pinata give the bytes), the file is written durably to the
+ * outbox directory, and the CID goes back to the chain straight away. The pin
+ * itself is retried in the background, with exponential backoff capped at
+ * `maxRetryMs`, until the pinning service (services/pinningService.js) has
+ * pinned it under that same CID; a pin under any other CID is a failed
+ * attempt.
+ *
+ * Each pending pin is two files in `dir`: `<cid>` holds the bytes and
+ * `<cid>.json` its status ({ filename, kind, createdAt, attempts, lastError }).
+ * Both are removed once pinned, and open() resumes whatever a previous run
+ * left behind.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const { computeCid, isCid } = require('../utils/cid');
+
+// Recently pinned entries kept for GET /outbox
+const RECENT_LIMIT = 50;
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.pinning         - Pinning service ({ pin(filePath, { filename, cid }) })
+ * @param {string} [opts.dir]           - Outbox directory
+ * @param {0|1} [opts.cidVersion]       - CID version announced to the chain
+ * @param {number} [opts.minRetryMs]    - First retry delay
+ * @param {number} [opts.maxRetryMs]    - Cap on the retry delay
+ * @param {Object} [opts.logger]
+ */
+function createPinOutbox({
+  pinning,
+  dir        = config.outbox.dir,
+  cidVersion = config.pinning.cidVersion,
+  minRetryMs = config.outbox.minRetryMs,
+  maxRetryMs = config.outbox.maxRetryMs,
+  logger     = console,
+}) {
+  const pending = new Map();   // cid → status (plus nextAttemptAt, timer)
+  const recent = [];
+  const counters = { enqueued: 0, pinned: 0, failedAttempts: 0 };
+  let opening = null;
+
+  const dataFile = (cid) => path.join(dir, cid);
+  const statusFile = (cid) => path.join(dir, `${cid}.json`);
+
+  // write-tmp → fsync → rename, so a crash never leaves a torn file
+  async function writeDurable(file, data) {
+    const tmp = `${file}.tmp`;
+    const fh = await fs.open(tmp, 'w');
+    try {
+      await fh.writeFile(data);
+      await fh.sync();
+    } finally {
+      await fh.close();
+    }
+    await fs.rename(tmp, file);
+  }
+
+  const saveStatus = ({ filename, kind, createdAt, attempts, lastError }, cid) =>
+    writeDurable(statusFile(cid), JSON.stringify({ filename, kind, createdAt, attempts, lastError }));
+
+  function schedule(cid, delay) {
+    const entry = pending.get(cid);
+    entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    entry.timer = setTimeout(() => attempt(cid), delay);
+    if (entry.timer.unref) entry.timer.unref();
+  }
+
+  async function attempt(cid) {
+    const entry = pending.get(cid);
+    entry.attempts++;
+    entry.nextAttemptAt = null;
+    try {
+      const pinnedCid = await pinning.pin(dataFile(cid), { filename: entry.filename, cid });
+      if (pinnedCid !== cid) throw new Error(`pinned as ${pinnedCid}, announced as ${cid}`);
+    } catch (error) {
+      counters.failedAttempts++;
+      entry.lastError = error.message;
+      const delay = Math.min(maxRetryMs, minRetryMs * 2 ** (entry.attempts - 1));
+      logger.warn(`[outbox] Pin of ${cid} failed (attempt ${entry.attempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+      await saveStatus(entry, cid).catch((err) => logger.error(`[outbox] Could not save status of ${cid}: ${err.message}`));
+      schedule(cid, delay);
+      return;
+    }
+
+    pending.delete(cid);
+    counters.pinned++;
+    recent.unshift({ cid, filename: entry.filename, kind: entry.kind, attempts: entry.attempts, pinnedAt: new Date().toISOString() });
+    recent.length = Math.min(recent.length, RECENT_LIMIT);
+    logger.info(`[outbox] Pinned ${cid} after ${entry.attempts} attempt(s)`);
+    // Nothing awaits attempt(), so this must not throw; leftovers are pinned again (a no-op) on restart
+    await Promise.all([fs.rm(dataFile(cid), { force: true }), fs.rm(statusFile(cid), { force: true })])
+      .catch((err) => logger.warn(`[outbox] Pinned ${cid} but could not remove it from the outbox: ${err.message}`));
+  }
+
+  async function load() {
+    await fs.mkdir(dir, { recursive: true });
+    for (const name of await fs.readdir(dir)) {
+      if (name.endsWith('.tmp')) {
+        await fs.rm(path.join(dir, name), { force: true });
+        continue;
+      }
+      if (!isCid(name) || pending.has(name)) continue;
+      let status = { filename: 'justification.json', kind: 'justification', createdAt: null, attempts: 0, lastError: null };
+      try {
+        status = { ...status, ...JSON.parse(await fs.readFile(statusFile(name), 'utf8')) };
+      } catch (_) { /* bytes made it to disk but the status did not: start afresh */ }
+      pending.set(name, status);
+      schedule(name, 0);
+    }
+    return pending.size;
+  }
+
+  // Resume pending pins lazily on first use unless open() was called at boot;
+  // a failed open is retried by the next call
+  const ready = () => opening || (opening = load().catch((err) => { opening = null; throw err; }));
+
+  return {
+    /** Create the directory and resume pins left by a previous run; resolves to the pending count. */
+    open: ready,
+
+    /**
+     * Queue a file for pinning and return the CID it will be pinned under.
+     * Resolves once the bytes are durably in the outbox.
+     * @param {string} filePath
+     * @param {Object} [opts]
+     * @param {string} [opts.kind] - Label shown in GET /outbox (justification, error_justification)
+     * @returns {Promise<string>}
+     */
+    async enqueue(filePath, { kind = 'justification' } = {}) {
+      await ready();
+      const data = await fs.readFile(filePath);
+      const cid = await computeCid(data, { cidVersion });
+      if (pending.has(cid)) return cid;
+
+      const entry = { filename: path.basename(filePath), kind, createdAt: new Date().toISOString(), attempts: 0, lastError: null };
+      await writeDurable(dataFile(cid), data);
+      await saveStatus(entry, cid);
+      pending.set(cid, entry);
+      counters.enqueued++;
+      schedule(cid, 0);
+      return cid;
+    },
+
+    /** Pending pins with their attempts and last error, plus recently pinned CIDs. */
+    stats() {
+      return {
+        pending: pending.size,
+        ...counters,
+        items: [...pending].map(([cid, { filename, kind, createdAt, attempts, lastError, nextAttemptAt }]) =>
+          ({ cid, filename, kind, createdAt, attempts, lastError, nextAttemptAt })),
+        recent: [...recent],
+      };
+    },
+
+    /** Stop retrying (pending pins stay on disk for the next open()). */
+    close() {
+      for (const entry of pending.values()) clearTimeout(entry.timer);
+    },
+  };
+}
+
+module.exports = { createPinOutbox };
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Filesystem stand-in for a pinning service.
+ *
+ * Writes the bytes to `<dir>/<cid>` under their locally computed CID. Nothing
+ * reaches IPFS, so this is for tests and offline development only.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { computeCid } = require('../../utils/cid');
+
+function createFsBackend({ dir }) {
+  return {
+    name: 'fs',
+    async pin({ data, cidVersion = 0 }) {
+      const cid = await computeCid(data, { cidVersion });
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, cid), data);
+      return cid;
+    },
+  };
+}
+
+module.exports = { createFsBackend };
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Pinning backends for justification uploads.
+ *
+ * Each backend exposes `name` and `pin({ data, filename, cidVersion })`,
+ * which resolves to the CID the service pinned the bytes under once they are
+ * pinned, and rejects otherwise. Backends import with the settings
+ * utils/cid.js computeCid uses for `cidVersion` (v1: raw leaves), so the CID
+ * matches the one computed locally. Redundancy and quorum are the pinning
+ * service's job, not the backend's.
+ */
+
+const config = require('../../config');
+const { createPinataBackend }      = require('./pinataBackend');
+const { createKuboBackend }        = require('./kuboBackend');
+const { createWeb3StorageBackend } = require('./web3StorageBackend');
+const { createFsBackend }          = require('./fsBackend');
+
+const BACKENDS = {
+  pinata:      (opts) => createPinataBackend({ url: config.ipfs.pinningService, jwt: config.ipfs.pinningKey, ...opts }),
+  kubo:        (opts) => createKuboBackend({ url: config.ipfs.kuboUrl, ...opts }),
+  web3storage: (opts) => createWeb3StorageBackend({ url: config.pinning.web3StorageUrl, token: config.pinning.web3StorageToken, ...opts }),
+  fs:          (opts) => createFsBackend({ dir: config.pinning.fsDir, ...opts }),
+};
+
+/**
+ * @param {string} name   - pinata | kubo | web3storage | fs
+ * @param {Object} [opts] - Overrides for the backend's config-derived options
+ */
+function createBackend(name, opts = {}) {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown pinning backend "${name}" in PINNING_BACKENDS (expected any of: ${Object.keys(BACKENDS).join(', ')})`
+    );
+  }
+  return factory(opts);
+}
+
+module.exports = { createBackend, BACKEND_NAMES: Object.keys(BACKENDS) };
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Local Kubo node pinning backend (RPC API /api/v0/add).
+ *
+ * Adds with the defaults `ipfs add` uses for the requested CID version, so
+ * the CID matches what utils/cid.js computes for the same bytes.
+ */
+
+const axios = require('axios');
+const FormData = require('form-data');
+
+function createKuboBackend({ url, timeout, http = axios }) {
+  return {
+    name: 'kubo',
+    async pin({ data, filename, cidVersion = 0 }) {
+      if (!url) throw new Error('IPFS_KUBO_URL is not set');
+      const form = new FormData();
+      form.append('file', data, { filename });
+      const query = `pin=true&cid-version=${cidVersion}&raw-leaves=${cidVersion === 1}`;
+      const response = await http.post(`${url.replace(/\/+$/, '')}/api/v0/add?${query}`, form, {
+        headers: form.getHeaders(),
+        maxBodyLength: Infinity,
+        timeout,
+      });
+      return response.data.Hash;
+    },
+  };
+}
+
+module.exports = { createKuboBackend };
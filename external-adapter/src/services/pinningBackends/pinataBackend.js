@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Pinata pinning backend (pinFileToIPFS, authenticated with a JWT).
+ *
+ * The CID version is passed as pinataOptions.cidVersion; Pinata builds v1
+ * CIDs with raw leaves, as utils/cid.js does.
+ */
+
+const axios = require('axios');
+const FormData = require('form-data');
+
+function createPinataBackend({ url, jwt, timeout, http = axios }) {
+  return {
+    name: 'pinata',
+    async pin({ data, filename, cidVersion = 0 }) {
+      if (!jwt) throw new Error('IPFS_PINNING_KEY is not set');
+      const form = new FormData();
+      form.append('file', data, { filename });
+      form.append('pinataOptions', JSON.stringify({ cidVersion }));
+      const response = await http.post(`${url.replace(/\/+$/, '')}/pinning/pinFileToIPFS`, form, {
+        headers: { ...form.getHeaders(), Authorization: `Bearer ${jwt}` },
+        maxBodyLength: Infinity,
+        timeout,
+      });
+      return response.data.IpfsHash;
+    },
+  };
+}
+
+module.exports = { createPinataBackend };
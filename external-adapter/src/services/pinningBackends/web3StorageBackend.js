@@ -0,0 +1,34 @@
+/**
+ * @fileoverview web3.storage-style pinning backend.
+ *
+ * Covers services that take the raw file as the body of `POST <url>/upload`
+ * with a Bearer token and answer `{ "cid": "..." }` (web3.storage's HTTP
+ * API, nft.storage, and self-hosted services that copy it).
+ *
+ * These services always produce CIDv1 with raw leaves, so a CIDv0 pin is
+ * refused rather than pinned under a CID nobody announced.
+ */
+
+const axios = require('axios');
+
+function createWeb3StorageBackend({ url, token, timeout, http = axios }) {
+  return {
+    name: 'web3storage',
+    async pin({ data, filename, cidVersion = 0 }) {
+      if (!token) throw new Error('WEB3_STORAGE_TOKEN is not set');
+      if (cidVersion !== 1) throw new Error('web3storage only produces CIDv1 (set PIN_CID_VERSION=1)');
+      const response = await http.post(`${url.replace(/\/+$/, '')}/upload`, data, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/octet-stream',
+          'X-Name': encodeURIComponent(filename),
+        },
+        maxBodyLength: Infinity,
+        timeout,
+      });
+      return response.data.cid;
+    },
+  };
+}
+
+module.exports = { createWeb3StorageBackend };
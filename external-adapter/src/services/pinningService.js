@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Redundant pinning of justification files.
+ *
+ * Every upload goes to all configured backends (PINNING_BACKENDS, see
+ * services/pinningBackends) in parallel and succeeds once at least `quorum`
+ * of them have pinned it, so one pinning provider being down or revoking a
+ * key no longer fails the evaluation — and a justification stays retrievable
+ * if one provider later unpins it.
+ *
+ * All backends are awaited (each bounded by `timeout`) before answering. Each
+ * is asked for `cidVersion` CIDs. The quorum is counted per CID: backends that
+ * disagree on the CID pinned different DAGs, and the CID written on-chain
+ * must be held by `quorum` of them. Of the CIDs that reach it, the one first
+ * reported in configured order is returned, so it does not depend on which
+ * service answered fastest. When the caller already announced a CID (the pin
+ * outbox), only backends that pinned the bytes under that CID count.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const metrics = require('./metrics');
+const { createBackend } = require('./pinningBackends');
+
+class PinQuorumError extends Error {
+  constructor(pinned, quorum, errors) {
+    super(`Pinned by ${pinned} backend(s), ${quorum} required (${errors.join('; ')})`);
+    this.name = 'PinQuorumError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {Array<string|Object>} [opts.backends] - Backend names, or backend objects ({ name, pin })
+ * @param {number} [opts.quorum]                 - Backends that must succeed
+ * @param {number} [opts.timeout]                - Per-backend upload timeout (ms)
+ * @param {0|1} [opts.cidVersion]                - CID version to pin under
+ * @param {Object} [opts.logger]
+ */
+function createPinningService({
+  backends   = config.pinning.backends,
+  quorum     = config.pinning.quorum,
+  timeout    = config.pinning.timeout,
+  cidVersion = config.pinning.cidVersion,
+  logger     = console,
+} = {}) {
+  const pinners = backends.map((b) => (typeof b === 'string' ? createBackend(b, { timeout }) : b));
+
+  if (pinners.length === 0) {
+    throw new Error('No pinning backends configured (PINNING_BACKENDS)');
+  }
+  if (quorum < 1 || quorum > pinners.length) {
+    throw new Error(`PINNING_QUORUM must be between 1 and ${pinners.length}, got ${quorum}`);
+  }
+
+  function withTimeout(promise) {
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${timeout}ms`)), timeout);
+    });
+    return Promise.race([promise, timedOut]).finally(() => clearTimeout(timer));
+  }
+
+  return {
+    backends: pinners.map((b) => b.name),
+    quorum,
+    cidVersion,
+
+    /**
+     * Pin a file to every backend.
+     * @param {string} filePath
+     * @param {Object} [opts]
+     * @param {string} [opts.filename] - Name to upload under (defaults to the file's)
+     * @param {string} [opts.cid]      - CID the file must be pinned under (its version
+     *        overrides `cidVersion`)
+     * @returns {Promise<string>} CID of the pinned file
+     * @throws {PinQuorumError} when fewer than `quorum` backends pinned it under one CID
+     */
+    async pin(filePath, { filename = path.basename(filePath), cid: expected } = {}) {
+      const data = await fs.readFile(filePath);
+      const version = expected ? (expected.startsWith('Qm') ? 0 : 1) : cidVersion;
+
+      const outcomes = await Promise.allSettled(pinners.map(async (backend) => {
+        const started = Date.now();
+        try {
+          const cid = await withTimeout(backend.pin({ data, filename, cidVersion: version }));
+          if (!cid) throw new Error('no CID in response');
+          if (expected && cid !== expected) throw new Error(`pinned as ${cid}, expected ${expected}`);
+          metrics.pins.inc({ backend: backend.name, result: 'success' });
+          logger.info(`[pinning] ${backend.name} pinned ${filename} as ${cid} in ${Date.now() - started}ms`);
+          return { backend: backend.name, cid };
+        } catch (error) {
+          metrics.pins.inc({ backend: backend.name, result: 'failure' });
+          const status = error.response && error.response.status;
+          throw new Error(`${backend.name}: ${status ? `HTTP ${status}` : error.message}`);
+        }
+      }));
+
+      const pinned = outcomes.filter((o) => o.status === 'fulfilled').map((o) => o.value);
+      const errors = outcomes.filter((o) => o.status === 'rejected').map((o) => o.reason.message);
+      if (errors.length > 0) logger.warn(`[pinning] ${filename}: ${errors.join('; ')}`);
+
+      // Backends per CID, in the order each CID was first reported
+      const byCid = new Map();
+      for (const { cid } of pinned) byCid.set(cid, (byCid.get(cid) || 0) + 1);
+      const agreed = [...byCid].find(([, count]) => count >= quorum);
+      if (!agreed) {
+        if (byCid.size > 1) {
+          errors.push(...pinned.map(({ backend, cid }) => `${backend}: pinned as ${cid}`));
+          logger.warn(`[pinning] ${filename}: backends disagree on the CID (${[...byCid.keys()].join(', ')})`);
+        }
+        throw new PinQuorumError(Math.max(0, ...byCid.values()), quorum, errors);
+      }
+      return agreed[0];
+    },
+  };
+}
+
+module.exports = { createPinningService, PinQuorumError };
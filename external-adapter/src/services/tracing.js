@@ -0,0 +1,145 @@
+/**
+ * @fileoverview OpenTelemetry tracing for the External Adapter.
+ *
+ * evaluateHandler wraps each pipeline stage in a span and aiClient forwards
+ * the active context to the AI Node as a W3C `traceparent` header, so one
+ * trace covers an aggregator request from /evaluate down to the individual
+ * model calls in /api/rank-and-justify.
+ *
+ * Export is selected by `config.tracing.exporter`:
+ *  - none: spans are created against the no-op API tracer (default)
+ *  - otlp: OTLP/HTTP to a local collector (OTEL_EXPORTER_OTLP_* env vars)
+ *  - file: one JSON object per finished span, appended to `config.tracing.file`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { trace, context, propagation, SpanStatusCode, SpanKind } = require('@opentelemetry/api');
+const { ExportResultCode } = require('@opentelemetry/core');
+const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { BatchSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const { Resource } = require('@opentelemetry/resources');
+const config = require('../config');
+
+const TRACER_NAME = 'verdikta-external-adapter';
+
+let provider = null;
+
+const hrTimeToMs = ([seconds, nanos]) => seconds * 1e3 + nanos / 1e6;
+
+/**
+ * Span exporter writing JSON lines, for operators without a collector.
+ * Each line is self-contained: trace/span/parent ids, timings, attributes.
+ */
+class JsonFileSpanExporter {
+  constructor(file) {
+    this.file = file;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  export(spans, resultCallback) {
+    const lines = spans.map((span) => JSON.stringify({
+      traceId: span.spanContext().traceId,
+      spanId: span.spanContext().spanId,
+      parentSpanId: span.parentSpanId || null,
+      name: span.name,
+      service: span.resource.attributes['service.name'],
+      start: new Date(hrTimeToMs(span.startTime)).toISOString(),
+      durationMs: Math.round(hrTimeToMs(span.duration) * 1000) / 1000,
+      status: span.status,
+      attributes: span.attributes,
+      events: span.events.map((e) => ({ name: e.name, attributes: e.attributes })),
+    }) + '\n');
+
+    fs.appendFile(this.file, lines.join(''), (error) => {
+      resultCallback(error
+        ? { code: ExportResultCode.FAILED, error }
+        : { code: ExportResultCode.SUCCESS });
+    });
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+function createExporter({ exporter, endpoint, file }) {
+  switch (exporter) {
+    case 'otlp': {
+      const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+      return new OTLPTraceExporter(endpoint ? { url: endpoint } : {});
+    }
+    case 'file':
+      return new JsonFileSpanExporter(file);
+    default:
+      throw new Error(`Unknown OTEL_TRACES_EXPORTER "${exporter}" (expected none, otlp or file)`);
+  }
+}
+
+/**
+ * Install the global tracer provider. A no-op for exporter "none"; safe to
+ * call once per process.
+ * @param {Object} [opts] - Defaults to config.tracing
+ * @returns {boolean} Whether spans are being exported
+ */
+function init(opts = config.tracing) {
+  if (provider || !opts.exporter || opts.exporter === 'none') return !!provider;
+
+  const exporter = createExporter(opts);
+  provider = new NodeTracerProvider({
+    resource: new Resource({ 'service.name': opts.serviceName }),
+  });
+  provider.addSpanProcessor(new BatchSpanProcessor(exporter));
+  provider.register();
+  return true;
+}
+
+/** Flush pending spans and uninstall the provider. */
+async function shutdown() {
+  if (!provider) return;
+  const p = provider;
+  provider = null;
+  await p.shutdown();
+  trace.disable();
+  context.disable();
+  propagation.disable();
+}
+
+/**
+ * Run `fn` inside a new active span that ends when `fn` settles. Thrown
+ * errors are recorded on the span and re-thrown.
+ * @param {string} name
+ * @param {Object} attributes
+ * @param {(span: import('@opentelemetry/api').Span) => Promise<*>} fn
+ * @param {Object} [options] - Extra span options (e.g. kind)
+ */
+function withSpan(name, attributes, fn, options = {}) {
+  const tracer = trace.getTracer(TRACER_NAME);
+  return tracer.startActiveSpan(name, { ...options, attributes }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/** Add the active trace context (traceparent/tracestate) to outgoing headers. */
+function injectContext(headers = {}) {
+  propagation.inject(context.active(), headers);
+  return headers;
+}
+
+module.exports = {
+  init,
+  shutdown,
+  withSpan,
+  injectContext,
+  JsonFileSpanExporter,
+  SpanStatusCode,
+  SpanKind,
+};
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Bounded-concurrency priority queue in front of evaluateHandler.
+ *
+ * Every mode-0/1 evaluation fans out parallel LLM calls and extracts archives
+ * into temp directories, so an unbounded burst can exhaust memory. At most
+ * `maxConcurrent` tasks run at once; the rest wait in one of two FIFO lanes:
+ *
+ *  - high:   mode-2 reveals. Cheap (no IPFS fetch, no AI call) and bound to
+ *            the aggregator's reveal window, so they jump the queue and are
+ *            never refused — a refused reveal is a slashed oracle.
+ *  - normal: mode-0/1 evaluations. Refused with QueueFullError once
+ *            `maxQueued` are already waiting, so the caller can answer 429.
+ */
+
+const config = require('../config');
+const metrics = require('./metrics');
+const { parseModePrefix } = require('../utils/cidField');
+
+const PRIORITY_HIGH   = 'high';
+const PRIORITY_NORMAL = 'normal';
+
+class QueueFullError extends Error {
+  constructor(retryAfterSeconds) {
+    super('Evaluation queue is full, retry later');
+    this.name = 'QueueFullError';
+    this.code = 'QUEUE_FULL';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/** Queue lane for an /evaluate request body. */
+function priorityOf(body) {
+  const cid = body && body.data && body.data.cid;
+  if (typeof cid === 'string' && parseModePrefix(cid).mode === '2') return PRIORITY_HIGH;
+  return PRIORITY_NORMAL;
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {number} [opts.maxConcurrent]     - Tasks allowed to run at once
+ * @param {number} [opts.maxQueued]         - Normal-priority tasks allowed to wait
+ * @param {number} [opts.retryAfterSeconds] - Retry-After hint before any task has finished
+ */
+function createWorkQueue({
+  maxConcurrent     = config.workQueue.maxConcurrent,
+  maxQueued         = config.workQueue.maxQueued,
+  retryAfterSeconds = config.workQueue.retryAfterSeconds,
+} = {}) {
+  const lanes = { [PRIORITY_HIGH]: [], [PRIORITY_NORMAL]: [] };
+  const counters = { started: 0, completed: 0, failed: 0, rejected: 0 };
+  let running = 0;
+  let avgRunMs = null;          // exponentially weighted mean task duration
+
+  function next() {
+    while (running < maxConcurrent) {
+      const item = lanes[PRIORITY_HIGH].shift() || lanes[PRIORITY_NORMAL].shift();
+      if (!item) return;
+      start(item);
+    }
+  }
+
+  function start({ fn, resolve, reject }) {
+    running++;
+    counters.started++;
+    const t0 = Date.now();
+
+    // Free the slot before settling, so callers observe consistent stats
+    const settle = (outcome, fulfil, value) => {
+      const ms = Date.now() - t0;
+      avgRunMs = avgRunMs === null ? ms : 0.8 * avgRunMs + 0.2 * ms;
+      running--;
+      counters[outcome]++;
+      fulfil(value);
+      next();
+    };
+    Promise.resolve()
+      .then(fn)
+      .then(
+        (value) => settle('completed', resolve, value),
+        (error) => settle('failed', reject, error)
+      );
+  }
+
+  /** Seconds until a slot is likely free, for the Retry-After header. */
+  function estimateRetryAfter() {
+    if (avgRunMs === null) return retryAfterSeconds;
+    const waiting = lanes[PRIORITY_HIGH].length + lanes[PRIORITY_NORMAL].length;
+    const seconds = Math.ceil((avgRunMs * (waiting + 1)) / maxConcurrent / 1000);
+    return Math.min(Math.max(seconds, 1), 600);
+  }
+
+  /** True if a task of this priority would be admitted right now. */
+  function canAccept(priority = PRIORITY_NORMAL) {
+    return priority === PRIORITY_HIGH
+      || running < maxConcurrent
+      || lanes[PRIORITY_NORMAL].length < maxQueued;
+  }
+
+  return {
+    canAccept,
+
+    /**
+     * Run `fn` once a slot is free.
+     * @param {string} priority - 'high' | 'normal'
+     * @param {() => Promise<*>} fn
+     * @throws {QueueFullError} (as a rejection) when the normal lane is full
+     */
+    submit(priority, fn) {
+      if (!canAccept(priority)) {
+        counters.rejected++;
+        metrics.queueRejections.inc();
+        return Promise.reject(new QueueFullError(estimateRetryAfter()));
+      }
+      return new Promise((resolve, reject) => {
+        lanes[priority === PRIORITY_HIGH ? PRIORITY_HIGH : PRIORITY_NORMAL].push({ fn, resolve, reject });
+        next();
+      });
+    },
+
+    estimateRetryAfter,
+
+    stats() {
+      return {
+        running,
+        queued: {
+          high: lanes[PRIORITY_HIGH].length,
+          normal: lanes[PRIORITY_NORMAL].length,
+        },
+        maxConcurrent,
+        maxQueued,
+        avgRunMs: avgRunMs === null ? null : Math.round(avgRunMs),
+        ...counters,
+      };
+    },
+  };
+}
+
+module.exports = { createWorkQueue, priorityOf, QueueFullError, PRIORITY_HIGH, PRIORITY_NORMAL };
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Local IPFS CID computation for archive bytes.
+ *
+ * Computes the CID a default single-file `ipfs add` would give the bytes
+ * (UnixFS, 256 KiB chunks, balanced DAG): CIDv0 (`Qm…`) by default, CIDv1
+ * (`bafy…`/`bafk…`) with raw leaves as Kubo and Pinata use for v1. Content
+ * fetched by CID can then be checked without trusting the gateway.
+ *
+ * A CID does not record how its file was chunked, so verifyCid() can only
+ * prove a dag-pb CID right by finding import settings that reproduce it. A
+ * raw-codec CID is just the hash of the bytes and is always decidable.
+ */
+
+const crypto = require('crypto');
+const CID = require('cids');
+const Hash = require('ipfs-only-hash');
+
+// sha2-256 multihash prefix: function code 0x12, 32-byte digest
+const SHA2_256_PREFIX = Buffer.from([0x12, 0x20]);
+
+// Import settings tried, in order, when re-deriving a dag-pb CID: the
+// defaults, raw leaves (Kubo's --raw-leaves, the v1 default), and 1 MiB
+// chunks with wide nodes (Kubo's unixfs-v1-2025 profile)
+const IMPORT_PROFILES = [
+  {},
+  { rawLeaves: true },
+  { rawLeaves: true, maxChunkSize: 1048576, maxChildrenPerNode: 1024 },
+];
+
+// Base58btc multihash (v0) or base32 CIDv1 — also safe as a file name
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{20,})$/;
+
+/** Whether `cid` looks like a CIDv0 or base32 CIDv1. */
+function isCid(cid) {
+  return typeof cid === 'string' && CID_PATTERN.test(cid);
+}
+
+/**
+ * @param {Buffer} data
+ * @param {Object} [opts]
+ * @param {0|1} [opts.cidVersion=0]
+ * @returns {Promise<string>}
+ */
+async function computeCid(data, { cidVersion = 0 } = {}) {
+  return Hash.of(data, cidVersion === 1 ? { cidVersion: 1, rawLeaves: true } : {});
+}
+
+/**
+ * Whether `data` is the content of `cid`, using the CID's own version and
+ * codec.
+ * @returns {Promise<boolean|null>} true if it is, false if it provably is
+ *          not, null if no known import settings reproduce the CID (the
+ *          content may still be right, chunked some other way)
+ */
+async function verifyCid(data, cid) {
+  if (!isCid(cid)) return false;
+  let parsed;
+  try {
+    parsed = new CID(cid);
+  } catch (_) {
+    return false;
+  }
+  const multihash = Buffer.from(parsed.multihash);
+  if (!multihash.subarray(0, 2).equals(SHA2_256_PREFIX)) return null;
+
+  if (parsed.codec === 'raw') {
+    return crypto.createHash('sha256').update(data).digest().equals(multihash.subarray(2));
+  }
+  if (parsed.codec !== 'dag-pb') return null;
+  for (const profile of IMPORT_PROFILES) {
+    if (await Hash.of(data, { ...profile, cidVersion: parsed.version }) === cid) return true;
+  }
+  return null;
+}
+
+module.exports = { isCid, computeCid, verifyCid };
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Parsing of the `data.cid` request field.
+ *
+ * The dispatcher's commit-reveal aggregation prefixes the CID list with a
+ * single-character mode: `1:Qm...` (commit), `2:<hash>` (reveal). No prefix
+ * means mode 0. Everything after the prefix — CIDs plus an optional
+ * `:addendum` — is returned untouched.
+ */
+
+/**
+ * @param {string} cid - Raw `data.cid` value
+ * @returns {{mode: string, cidString: string}}
+ */
+function parseModePrefix(cid) {
+  if (cid.length >= 2 && cid.charAt(1) === ':' && cid.charAt(0) !== ':') {
+    return { mode: cid.substring(0, 1), cidString: cid.substring(2) };
+  }
+  return { mode: '0', cidString: cid };
+}
+
+module.exports = { parseModePrefix };
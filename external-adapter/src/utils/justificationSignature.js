@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Operator signatures on justification JSON.
+ *
+ * A justification is just a JSON file on IPFS; its `arbiter` block is
+ * self-reported, so anyone could upload one claiming to be from our
+ * operator. A signed justification carries a `signature` block:
+ *
+ *   {
+ *     "scheme": "eip712" | "eip191",
+ *     "operator": "0x…",      // OPERATOR_ADDR the arbiter serves
+ *     "signer": "0x…",        // address of the signing key
+ *     "contentHash": "0x…",   // keccak256 of the canonical JSON, signature removed
+ *     "value": "0x…"          // 65-byte signature
+ *   }
+ *
+ * The canonical JSON sorts object keys and has no whitespace, so the hash does
+ * not depend on how the file was pretty-printed or re-serialised. With EIP-712
+ * the signed struct also spells out the aggId, outcomes, scores, timestamp and
+ * a hash of model_results; with EIP-191 the signed message names the operator,
+ * aggId and content hash. Either way the whole document is covered.
+ *
+ * A valid signature proves which key signed; whether that key may speak for
+ * the operator (its owner or an authorized sender) is an on-chain question,
+ * answered by the optional `isAuthorized` callback of verifyJustification.
+ *
+ * Run directly to verify a file:
+ *   node src/utils/justificationSignature.js justification.json [--operator 0x…]
+ */
+
+const { ethers } = require('ethers');
+
+const EIP712_DOMAIN = { name: 'Verdikta Justification', version: '1' };
+
+const EIP712_TYPES = {
+  Justification: [
+    { name: 'operator', type: 'address' },
+    { name: 'aggId', type: 'string' },
+    { name: 'outcomes', type: 'string[]' },
+    { name: 'scores', type: 'uint256[]' },
+    { name: 'timestamp', type: 'string' },
+    { name: 'modelResultsHash', type: 'bytes32' },
+    { name: 'contentHash', type: 'bytes32' },
+  ],
+};
+
+const SCHEMES = ['eip712', 'eip191'];
+
+/** Deterministic JSON: sorted object keys, no whitespace, undefined dropped. */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((v) => (v === undefined ? 'null' : canonicalize(v))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalize(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const keccakJson = (value) => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(canonicalize(value)));
+
+/** keccak256 of the canonical justification, without its signature block. */
+function contentHash(justification) {
+  const { signature, ...content } = justification;
+  return keccakJson(content);
+}
+
+/** The EIP-712 Justification struct for a document. */
+function typedMessage(justification, operator) {
+  const scores = justification.scores || [];
+  return {
+    operator,
+    aggId: justification.aggId || '',
+    outcomes: scores.map((s) => String(s.outcome)),
+    scores: scores.map((s) => ethers.BigNumber.from(s.score)),
+    timestamp: justification.timestamp || '',
+    modelResultsHash: keccakJson(justification.model_results || []),
+    contentHash: contentHash(justification),
+  };
+}
+
+/** The EIP-191 (personal_sign) message for a document. */
+function personalMessage(justification, operator) {
+  return [
+    'Verdikta justification',
+    `operator: ${operator}`,
+    `aggId: ${justification.aggId || ''}`,
+    `contentHash: ${contentHash(justification)}`,
+  ].join('\n');
+}
+
+/**
+ * Return a copy of `justification` with a signature block.
+ * @param {Object} justification
+ * @param {Object} opts
+ * @param {ethers.Wallet} opts.wallet  - Signing key
+ * @param {string} opts.operator       - Operator contract address
+ * @param {'eip712'|'eip191'} [opts.scheme='eip712']
+ * @returns {Promise<Object>}
+ */
+async function signJustification(justification, { wallet, operator, scheme = 'eip712' }) {
+  if (!SCHEMES.includes(scheme)) throw new Error(`Unknown justification signature scheme "${scheme}"`);
+  const { signature, ...content } = justification;
+  operator = ethers.utils.getAddress(operator);
+  const value = scheme === 'eip712'
+    ? await wallet._signTypedData(EIP712_DOMAIN, EIP712_TYPES, typedMessage(content, operator))
+    : await wallet.signMessage(personalMessage(content, operator));
+  return {
+    ...content,
+    signature: { scheme, operator, signer: wallet.address, contentHash: contentHash(content), value },
+  };
+}
+
+/**
+ * Check a justification's signature.
+ * @param {Object} justification
+ * @param {Object} [opts]
+ * @param {string} [opts.operator] - Operator the justification must be signed for
+ * @param {(signer: string, operator: string) => Promise<boolean>} [opts.isAuthorized]
+ *        - Whether the signer may sign for the operator (e.g. an on-chain check)
+ * @returns {Promise<{valid: boolean, reason: string|null, signer?: string, operator?: string, scheme?: string, authorized: boolean|null}>}
+ */
+async function verifyJustification(justification, { operator, isAuthorized } = {}) {
+  const invalid = (reason, extra = {}) => ({ valid: false, reason, authorized: null, ...extra });
+  const sig = justification && justification.signature;
+  if (!sig) return invalid('unsigned');
+  if (!SCHEMES.includes(sig.scheme)) return invalid(`unknown scheme "${sig.scheme}"`);
+
+  let claimedOperator;
+  try {
+    claimedOperator = ethers.utils.getAddress(sig.operator);
+  } catch (_) {
+    return invalid('signature has no valid operator address');
+  }
+  const info = { scheme: sig.scheme, operator: claimedOperator, signer: sig.signer };
+  if (sig.contentHash !== contentHash(justification)) return invalid('content does not match the signed hash', info);
+
+  let recovered;
+  try {
+    recovered = sig.scheme === 'eip712'
+      ? ethers.utils.verifyTypedData(EIP712_DOMAIN, EIP712_TYPES, typedMessage(justification, claimedOperator), sig.value)
+      : ethers.utils.verifyMessage(personalMessage(justification, claimedOperator), sig.value);
+  } catch (err) {
+    return invalid(`malformed signature: ${err.message}`, info);
+  }
+  if (recovered.toLowerCase() !== String(sig.signer).toLowerCase()) {
+    return invalid(`signed by ${recovered}, not the stated signer`, info);
+  }
+  info.signer = recovered;
+  if (operator && ethers.utils.getAddress(operator) !== claimedOperator) {
+    return invalid(`signed for operator ${claimedOperator}, expected ${ethers.utils.getAddress(operator)}`, info);
+  }
+
+  const authorized = isAuthorized ? await isAuthorized(recovered, claimedOperator) : null;
+  if (authorized === false) {
+    return { valid: false, reason: `${recovered} is not authorized for operator ${claimedOperator}`, ...info, authorized };
+  }
+  return { valid: true, reason: null, ...info, authorized };
+}
+
+module.exports = {
+  EIP712_DOMAIN,
+  EIP712_TYPES,
+  canonicalize,
+  contentHash,
+  signJustification,
+  verifyJustification,
+};
+
+if (require.main === module) {
+  const fs = require('fs');
+  const [file, flag, expected] = process.argv.slice(2);
+  if (!file || (flag && flag !== '--operator')) {
+    console.error('Usage: node src/utils/justificationSignature.js <justification.json> [--operator 0x…]');
+    process.exit(2);
+  }
+  verifyJustification(JSON.parse(fs.readFileSync(file, 'utf8')), { operator: expected })
+    .then((result) => {
+      console.log(JSON.stringify(result, null, 2));
+      process.exit(result.valid ? 0 : 1);
+    });
+}
@@ -1420,7 +1420,7 @@ fi
 
 # Upgrade External Adapter
 echo -e "${BLUE}Upgrading External Adapter...${NC}"
-upgrade_component "$REPO_EXTERNAL_ADAPTER" "$TARGET_EXTERNAL_ADAPTER" "External Adapter" ".env .env.local logs node_modules *.pid"
+upgrade_component "$REPO_EXTERNAL_ADAPTER" "$TARGET_EXTERNAL_ADAPTER" "External Adapter" ".env .env.local logs node_modules *.pid data"
 
 # Update External Adapter with current operator address if available
 echo -e "${BLUE}Checking for operator address configuration...${NC}"
@@ -817,57 +817,67 @@ print(f"release={v.get(\"release\") or \"unstamped\"} adapter={v.get(\"adapter\"
              "Created automatically by the next install.sh / upgrade-arbiter.sh run."
     fi
 
-    # commitStore mode.
-    # USE_FILE=false makes the EA keep commits in RAM only — fine for normal
-    # steady-state operation (where reveals follow commits within seconds and
-    # the EA process isn't bounced), but commits are lost if the EA restarts
-    # mid-flight. Treat as WARN, not FAIL: it's a latent footgun rather than
-    # an active outage. Real outages (e.g. unfunded node, missing auth) are
-    # what actually break running arbiters.
-    local cs_file="$INSTALL_DIR/external-adapter/src/services/commitStore.js"
-    if [ -f "$cs_file" ]; then
-        if grep -qE '^const[[:space:]]+USE_FILE[[:space:]]*=[[:space:]]*true' "$cs_file"; then
-            emit PASS ea.commit_store_mode "USE_FILE=true (commits persist across EA restarts)" ""
-        elif grep -qE '^const[[:space:]]+USE_FILE[[:space:]]*=[[:space:]]*false' "$cs_file"; then
-            emit WARN ea.commit_store_mode "USE_FILE=false — in-flight commits are RAM-only and would be lost across an EA restart" \
-                 "Steady-state operation is unaffected; only matters during recovery / rapid restarts. To eliminate the risk: patch $cs_file (USE_FILE=true) and restart EA."
-        else
-            emit WARN ea.commit_store_mode "could not parse USE_FILE flag in commitStore.js" ""
-        fi
-    else
-        emit WARN ea.commit_store_mode "commitStore.js not found at expected path" "$cs_file"
+    # commitStore backend.
+    # COMMIT_STORE_BACKEND=memory makes the EA keep commits in RAM only — fine
+    # for normal steady-state operation (where reveals follow commits within
+    # seconds and the EA process isn't bounced), but commits are lost if the
+    # EA restarts mid-flight. Treat as WARN, not FAIL: it's a latent footgun
+    # rather than an active outage. Unset means the durable journal default.
+    local cs_env="$INSTALL_DIR/external-adapter/.env"
+    local cs_backend="journal" cs_dir="$INSTALL_DIR/external-adapter/data"
+    if [ -f "$cs_env" ]; then
+        local v
+        v=$(grep -E '^COMMIT_STORE_BACKEND=' "$cs_env" | tail -1 | cut -d= -f2- | tr -d '"'"'"' ')
+        [ -n "$v" ] && cs_backend="$v"
+        v=$(grep -E '^COMMIT_STORE_DIR=' "$cs_env" | tail -1 | cut -d= -f2- | tr -d '"'"'"' ')
+        [ -n "$v" ] && cs_dir="$v"
     fi
+    case "$cs_backend" in
+        journal|sqlite)
+            emit PASS ea.commit_store_mode "COMMIT_STORE_BACKEND=$cs_backend (commits persist across EA restarts)" "$cs_dir" ;;
+        memory)
+            emit WARN ea.commit_store_mode "COMMIT_STORE_BACKEND=memory — in-flight commits are RAM-only and would be lost across an EA restart" \
+                 "Steady-state operation is unaffected; only matters during recovery / rapid restarts. To eliminate the risk: set COMMIT_STORE_BACKEND=journal in $cs_env and restart EA." ;;
+        *)
+            emit WARN ea.commit_store_mode "unknown COMMIT_STORE_BACKEND=$cs_backend (EA will refuse to start)" "$cs_env" ;;
+    esac
 
-    # commit-db state
-    local commit_db="$INSTALL_DIR/external-adapter/src/.commit-db.json"
-    if [ -f "$commit_db" ]; then
-        local entries last_mtime mtime_age_sec
-        entries=$(python3 -c 'import json,sys; print(len(json.load(open(sys.argv[1]))))' "$commit_db" 2>/dev/null || echo "?")
+    # commit-store state (journal backend; one JSON record per line)
+    local commit_db="$cs_dir/commits.journal"
+    if [ "$cs_backend" != "journal" ]; then
+        :
+    elif [ -f "$commit_db" ]; then
+        local entries mtime_age_sec stale_count
         mtime_age_sec=$(( $(date +%s) - $(stat -c %Y "$commit_db" 2>/dev/null || echo 0) ))
-        emit INFO ea.commit_db "$entries open commit(s), last write ${mtime_age_sec}s ago" "$commit_db"
-        # Stale entries
-        local stale_count
-        stale_count=$(python3 -c '
+        read -r entries stale_count < <(python3 -c '
 import json, sys, datetime
-db=json.load(open(sys.argv[1]))
+live={}
+for line in open(sys.argv[1]):
+    try:
+        rec=json.loads(line)
+    except Exception:
+        continue
+    if rec.get("op")=="put": live[rec["hash"]]=rec.get("entry") or {}
+    elif rec.get("op")=="del": live.pop(rec.get("hash"), None)
 now=datetime.datetime.now(datetime.timezone.utc)
 cutoff=now - datetime.timedelta(hours=72)
 n=0
-for h,e in db.items():
+for e in live.values():
     c=e.get("created","")
     try:
         t=datetime.datetime.fromisoformat(c.replace("Z","+00:00"))
         if t < cutoff: n+=1
     except Exception:
         pass
-print(n)' "$commit_db" 2>/dev/null || echo 0)
+print(len(live), n)' "$commit_db" 2>/dev/null || echo "? 0")
+        emit INFO ea.commit_db "$entries open commit(s), last write ${mtime_age_sec}s ago" "$commit_db"
         if [ "$stale_count" != "0" ]; then
             emit WARN ea.commit_db_stale "$stale_count commit(s) older than 72h (will never be revealed)" \
-                 "Safe to clear: rm $commit_db then restart EA (only if you're past those requests)."
+                 "Purged automatically after the next reveal; no action needed unless the EA never reveals."
         fi
     else
         # Acceptable if EA hasn't received any commits yet
-        emit INFO ea.commit_db "commit DB not created yet" "$commit_db (created on first commit)"
+        emit INFO ea.commit_db "commit journal not created yet" "$commit_db (created on first commit)"
     fi
 
     # Pinata IPFS pinning key sanity.
@@ -1098,10 +1108,14 @@ run_fix_mode() {
                 fi
                 ;;
             ea.commit_store_mode)
-                local cs_file="$INSTALL_DIR/external-adapter/src/services/commitStore.js"
-                if [ -f "$cs_file" ]; then
-                    if prompt_yes_no "Patch commitStore.js to USE_FILE=true (in place) and restart EA?"; then
-                        sed -i 's/^const[[:space:]]*USE_FILE[[:space:]]*=[[:space:]]*false/const USE_FILE = true/' "$cs_file"
+                local cs_env="$INSTALL_DIR/external-adapter/.env"
+                if [ -f "$cs_env" ]; then
+                    if prompt_yes_no "Set COMMIT_STORE_BACKEND=journal in $cs_env and restart EA?"; then
+                        if grep -qE '^COMMIT_STORE_BACKEND=' "$cs_env"; then
+                            sed -i 's/^COMMIT_STORE_BACKEND=.*/COMMIT_STORE_BACKEND=journal/' "$cs_env"
+                        else
+                            echo "COMMIT_STORE_BACKEND=journal" >> "$cs_env"
+                        fi
                         echo "  patched."
                         if [ -x "$INSTALL_DIR/external-adapter/stop.sh" ] && [ -x "$INSTALL_DIR/external-adapter/start.sh" ]; then
                             ( cd "$INSTALL_DIR/external-adapter" && ./stop.sh && sleep 2 && ./start.sh )
@@ -86,12 +86,19 @@ class AINodeLogParser {
   }
 
   parseTimingSummaryLine(line) {
-    // Look for TIMING_SUMMARY entries
-    const summaryMatch = line.match(/🎯 TIMING_SUMMARY (.+)/);
-    if (!summaryMatch) return false;
+    // Look for TIMING_SUMMARY entries: JSON log records (msg === 'TIMING_SUMMARY')
+    // or the older "🎯 TIMING_SUMMARY {...}" console lines
+    let summaryJson = null;
+    if (line.startsWith('{') && line.includes('"msg":"TIMING_SUMMARY"')) {
+      summaryJson = line;
+    } else {
+      const summaryMatch = line.match(/🎯 TIMING_SUMMARY (.+)/);
+      if (summaryMatch) summaryJson = summaryMatch[1];
+    }
+    if (!summaryJson) return false;
 
     try {
-      const timingData = JSON.parse(summaryMatch[1]);
+      const timingData = JSON.parse(summaryJson);
       
       const request = {
         timestamp: timingData.timestamp,